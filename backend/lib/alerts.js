@@ -0,0 +1,281 @@
+/**
+ * Price Alerts Engine
+ * Stores structured alert conditions and evaluates them against live quotes
+ *
+ * Condition types:
+ *   price           { operator, value }   last price
+ *   change_percent  { operator, value }   today's % change
+ *   rsi             { operator, value }   RSI(14) on daily closes incl. the live price
+ *   volume_ratio    { operator, value }   today's volume / 3-month average volume
+ *   high_52w        {}                    price breaks the prior 52-week high
+ *   low_52w         {}                    price breaks the prior 52-week low
+ *   macd_cross      { direction }         MACD line crosses its signal (bullish | bearish)
+ *
+ * Operators: above, below, crosses_above, crosses_below
+ *
+ * Firing: an alert fires when its condition becomes true and then disarms until
+ * the condition is false again, so a level that stays breached fires once.
+ * mode 'once' deactivates the alert after the first fire; mode 'cooldown'
+ * additionally waits cooldownMinutes before it may fire again.
+ */
+
+const HttpError = require('./http-error');
+const { createId } = require('./json-store');
+
+const CONDITION_TYPES = ['price', 'change_percent', 'rsi', 'volume_ratio', 'high_52w', 'low_52w', 'macd_cross'];
+const OPERATORS = ['above', 'below', 'crosses_above', 'crosses_below'];
+const MODES = ['once', 'cooldown'];
+const INDICATOR_TYPES = ['rsi', 'high_52w', 'low_52w', 'macd_cross'];
+const MAX_HISTORY = 500;
+const DEFAULT_COOLDOWN_MINUTES = 60;
+
+// ===================================
+// Validation
+// ===================================
+function normalizeCondition(input = {}) {
+    const type = String(input.type || '').toLowerCase();
+    if (!CONDITION_TYPES.includes(type)) {
+        throw new HttpError(400, `condition.type must be one of: ${CONDITION_TYPES.join(', ')}`);
+    }
+
+    if (type === 'high_52w' || type === 'low_52w') {
+        return { type };
+    }
+
+    if (type === 'macd_cross') {
+        const direction = String(input.direction || 'bullish').toLowerCase();
+        if (!['bullish', 'bearish'].includes(direction)) {
+            throw new HttpError(400, 'condition.direction must be bullish or bearish');
+        }
+        return { type, direction };
+    }
+
+    const operator = String(input.operator || '').toLowerCase();
+    if (!OPERATORS.includes(operator)) {
+        throw new HttpError(400, `condition.operator must be one of: ${OPERATORS.join(', ')}`);
+    }
+    const value = Number(input.value);
+    if (!Number.isFinite(value)) {
+        throw new HttpError(400, 'condition.value must be a number');
+    }
+    return { type, operator, value };
+}
+
+function normalizeOptions(input = {}, current = {}) {
+    const mode = String(input.mode ?? current.mode ?? 'cooldown').toLowerCase();
+    if (!MODES.includes(mode)) {
+        throw new HttpError(400, `mode must be one of: ${MODES.join(', ')}`);
+    }
+    const cooldownMinutes = Number(input.cooldownMinutes ?? current.cooldownMinutes ?? DEFAULT_COOLDOWN_MINUTES);
+    if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < 0) {
+        throw new HttpError(400, 'cooldownMinutes must be zero or a positive number');
+    }
+    return { mode, cooldownMinutes };
+}
+
+function describeCondition(symbol, condition) {
+    const labels = {
+        price: 'Price',
+        change_percent: 'Change %',
+        rsi: 'RSI(14)',
+        volume_ratio: 'Volume ratio'
+    };
+    if (condition.type === 'high_52w') return `${symbol} breaks 52-week high`;
+    if (condition.type === 'low_52w') return `${symbol} breaks 52-week low`;
+    if (condition.type === 'macd_cross') return `${symbol} MACD ${condition.direction} crossover`;
+    return `${symbol} ${labels[condition.type]} ${condition.operator.replace('_', ' ')} ${condition.value}`;
+}
+
+// ===================================
+// Evaluation
+// ===================================
+
+// Current value of the metric an alert watches (null when unavailable)
+function metricValue(condition, snapshot) {
+    switch (condition.type) {
+        case 'price': return snapshot.price ?? null;
+        case 'change_percent': return snapshot.changePercent ?? null;
+        case 'rsi': return snapshot.rsi ?? null;
+        case 'volume_ratio':
+            return snapshot.volume && snapshot.avgVolume ? snapshot.volume / snapshot.avgVolume : null;
+        default: return null;
+    }
+}
+
+function conditionMet(condition, snapshot, previousValue) {
+    if (condition.type === 'high_52w') {
+        return { met: snapshot.priorHigh52w != null && snapshot.price > snapshot.priorHigh52w, value: snapshot.price };
+    }
+    if (condition.type === 'low_52w') {
+        return { met: snapshot.priorLow52w != null && snapshot.price < snapshot.priorLow52w, value: snapshot.price };
+    }
+    if (condition.type === 'macd_cross') {
+        return { met: snapshot.macdCross === condition.direction, value: snapshot.macd ?? null };
+    }
+
+    const value = metricValue(condition, snapshot);
+    if (value === null) return { met: false, value };
+
+    switch (condition.operator) {
+        case 'above': return { met: value > condition.value, value };
+        case 'below': return { met: value < condition.value, value };
+        case 'crosses_above':
+            return { met: previousValue != null && previousValue <= condition.value && value > condition.value, value };
+        case 'crosses_below':
+            return { met: previousValue != null && previousValue >= condition.value && value < condition.value, value };
+        default: return { met: false, value };
+    }
+}
+
+// ===================================
+// Engine
+// ===================================
+
+/**
+ * store: json store holding { alerts: [], history: [] }
+ * getIndicators(symbol): resolves { rsi, macd, macdCross, priorHigh52w, priorLow52w }
+ */
+function createAlertEngine({ store, getIndicators }) {
+    // Per-alert runtime state: last metric value (for crosses) and armed flag
+    const runtime = new Map();
+
+    function find(id) {
+        const alert = store.read().alerts.find(a => a.id === id);
+        if (!alert) throw new HttpError(404, 'Alert not found');
+        return alert;
+    }
+
+    function list({ symbol } = {}) {
+        const alerts = store.read().alerts;
+        return symbol ? alerts.filter(a => a.symbol === symbol.toUpperCase()) : alerts;
+    }
+
+    function create(input = {}) {
+        const symbol = String(input.symbol || '').trim().toUpperCase();
+        if (!symbol) throw new HttpError(400, 'symbol is required');
+
+        const condition = normalizeCondition(input.condition);
+        const alert = {
+            id: createId('al'),
+            symbol,
+            condition,
+            ...normalizeOptions(input),
+            description: describeCondition(symbol, condition),
+            note: input.note ? String(input.note) : undefined,
+            active: true,
+            createdAt: Date.now(),
+            lastTriggeredAt: null,
+            triggerCount: 0
+        };
+
+        store.update(data => data.alerts.push(alert));
+        return alert;
+    }
+
+    function update(id, input = {}) {
+        const alert = find(id);
+        const options = normalizeOptions(input, alert);
+        const condition = input.condition ? normalizeCondition(input.condition) : alert.condition;
+
+        store.update(() => {
+            Object.assign(alert, options, { condition, description: describeCondition(alert.symbol, condition) });
+            if (input.active !== undefined) alert.active = Boolean(input.active);
+            if (input.note !== undefined) alert.note = String(input.note);
+        });
+        runtime.delete(id);
+        return alert;
+    }
+
+    function remove(id) {
+        find(id);
+        store.update(data => {
+            data.alerts = data.alerts.filter(a => a.id !== id);
+        });
+        runtime.delete(id);
+    }
+
+    function history({ symbol, limit = 100 } = {}) {
+        const events = store.read().history;
+        const filtered = symbol ? events.filter(e => e.symbol === symbol.toUpperCase()) : events;
+        return filtered.slice(0, limit);
+    }
+
+    function symbols() {
+        return [...new Set(store.read().alerts.filter(a => a.active).map(a => a.symbol))];
+    }
+
+    // Evaluate all active alerts against this cycle's quotes; returns fired events
+    async function evaluate(quotes, now = Date.now()) {
+        const active = store.read().alerts.filter(a => a.active);
+        if (active.length === 0) return [];
+
+        const quoteBySymbol = new Map(quotes.map(q => [q.symbol, q]));
+        const indicatorSymbols = new Set(active
+            .filter(a => INDICATOR_TYPES.includes(a.condition.type) && quoteBySymbol.has(a.symbol))
+            .map(a => a.symbol));
+
+        const indicators = new Map();
+        await Promise.all([...indicatorSymbols].map(async (symbol) => {
+            try {
+                indicators.set(symbol, await getIndicators(symbol, quoteBySymbol.get(symbol)));
+            } catch (e) {
+                console.error(`[Alerts] Indicators unavailable for ${symbol}:`, e.message);
+            }
+        }));
+
+        // Alerts deleted or switched off while indicators were loading no longer fire
+        const live = new Set(store.read().alerts.filter(a => a.active).map(a => a.id));
+        let events = [];
+        active.forEach(alert => {
+            const quote = quoteBySymbol.get(alert.symbol);
+            if (!quote || !live.has(alert.id)) return;
+
+            const snapshot = { ...quote, ...(indicators.get(alert.symbol) || {}) };
+            const state = runtime.get(alert.id) || { previousValue: null, armed: true };
+            const { met, value } = conditionMet(alert.condition, snapshot, state.previousValue);
+
+            const coolingDown = alert.mode === 'cooldown' && alert.lastTriggeredAt &&
+                now - alert.lastTriggeredAt < alert.cooldownMinutes * 60000;
+
+            if (met && state.armed && !coolingDown) {
+                events.push({
+                    id: createId('ev'),
+                    alertId: alert.id,
+                    symbol: alert.symbol,
+                    condition: alert.condition,
+                    description: alert.description,
+                    note: alert.note,
+                    value: value !== null && value !== undefined ? Math.round(value * 100) / 100 : null,
+                    price: quote.price,
+                    triggeredAt: now
+                });
+                state.armed = false;
+            } else if (!met) {
+                state.armed = true;
+            }
+
+            state.previousValue = value;
+            runtime.set(alert.id, state);
+        });
+
+        if (events.length > 0) {
+            store.update(data => {
+                events = events.filter(event => {
+                    const alert = data.alerts.find(a => a.id === event.alertId);
+                    if (!alert) return false;
+                    alert.lastTriggeredAt = event.triggeredAt;
+                    alert.triggerCount += 1;
+                    if (alert.mode === 'once') alert.active = false;
+                    return true;
+                });
+                data.history = [...[...events].reverse(), ...data.history].slice(0, MAX_HISTORY);
+            });
+        }
+
+        return events;
+    }
+
+    return { list, create, update, remove, history, symbols, evaluate };
+}
+
+module.exports = { createAlertEngine, CONDITION_TYPES, OPERATORS, MODES };
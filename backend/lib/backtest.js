@@ -0,0 +1,522 @@
+/**
+ * Strategy Backtester
+ * Replays daily OHLCV bars through entry/exit rules and simulates a long-only portfolio
+ *
+ * Rule conditions (rules.entry combines per rules.match: all | any; any exit condition closes):
+ *   rsi           { operator, value, period? }   RSI(period, default 14)
+ *   macd_cross    { direction }                  MACD(12,26) crosses its 9-day signal (bullish | bearish)
+ *   sma_cross     { fast, slow, direction }      fast SMA crosses slow SMA (golden | death)
+ *   price_sma     { period, operator }           close vs SMA(period)
+ *   ai_score      { operator, value }            calculateAIScore on that day's indicators
+ *   volume_ratio  { operator, value }            volume / 20-day average volume
+ *   return        { days, operator, value }      % change over the last `days` bars
+ *
+ * Operators: above, below, crosses_above, crosses_below
+ *
+ * Signals are read on a bar's close and filled at the next bar's open, so a rule
+ * never trades on a price it could not have seen. stopLoss / takeProfit (percent
+ * from entry) are checked against each bar's low/high; a gap through the level
+ * fills at the open, and a bar that touches both is treated as a stop.
+ */
+
+const HttpError = require('./http-error');
+const indicators = require('./indicators');
+
+const CONDITION_TYPES = ['rsi', 'macd_cross', 'sma_cross', 'price_sma', 'ai_score', 'volume_ratio', 'return'];
+const OPERATORS = ['above', 'below', 'crosses_above', 'crosses_below'];
+const MAX_LOOKBACK = 250;
+const TRADING_DAYS = 252;
+
+const STRATEGY_PRESETS = {
+    rsi_reversion: {
+        name: 'RSI Oversold Bounce',
+        entry: [{ type: 'rsi', operator: 'below', value: 30 }],
+        exit: [{ type: 'rsi', operator: 'above', value: 55 }],
+        stopLoss: 8
+    },
+    macd_trend: {
+        name: 'MACD Trend',
+        match: 'all',
+        entry: [
+            { type: 'macd_cross', direction: 'bullish' },
+            { type: 'price_sma', period: 200, operator: 'above' }
+        ],
+        exit: [{ type: 'macd_cross', direction: 'bearish' }],
+        stopLoss: 8
+    },
+    golden_cross: {
+        name: 'Golden Cross',
+        entry: [{ type: 'sma_cross', fast: 50, slow: 200, direction: 'golden' }],
+        exit: [{ type: 'sma_cross', fast: 50, slow: 200, direction: 'death' }]
+    },
+    ai_score: {
+        name: 'AI Score Bands',
+        entry: [{ type: 'ai_score', operator: 'above', value: 70 }],
+        exit: [{ type: 'ai_score', operator: 'below', value: 40 }],
+        stopLoss: 8,
+        takeProfit: 20
+    },
+    // Mirrors the "momentum" category in analyzeAllStocks, with its -5% stop advice
+    momentum: {
+        name: 'Momentum Breakout',
+        match: 'all',
+        entry: [
+            { type: 'volume_ratio', operator: 'above', value: 1.5 },
+            { type: 'return', days: 5, operator: 'above', value: 3 },
+            { type: 'rsi', operator: 'above', value: 50 },
+            { type: 'rsi', operator: 'below', value: 75 }
+        ],
+        exit: [{ type: 'rsi', operator: 'above', value: 80 }],
+        stopLoss: 5,
+        takeProfit: 10
+    },
+    // Mirrors the "value" category: oversold below SMA50, exit on reclaiming it
+    value: {
+        name: 'Oversold Value',
+        match: 'all',
+        entry: [
+            { type: 'rsi', operator: 'below', value: 35 },
+            { type: 'price_sma', period: 50, operator: 'below' }
+        ],
+        exit: [{ type: 'price_sma', period: 50, operator: 'crosses_above' }],
+        stopLoss: 8
+    }
+};
+
+const round = (value, digits = 2) => {
+    const f = Math.pow(10, digits);
+    return Math.round(value * f) / f;
+};
+
+// ===================================
+// Validation
+// ===================================
+function lookback(value, field, fallback) {
+    const n = value === undefined ? fallback : Number(value);
+    if (!Number.isInteger(n) || n < 1 || n > MAX_LOOKBACK) {
+        throw new HttpError(400, `${field} must be an integer between 1 and ${MAX_LOOKBACK}`);
+    }
+    return n;
+}
+
+function operatorOf(input) {
+    const operator = String(input.operator || '').toLowerCase();
+    if (!OPERATORS.includes(operator)) {
+        throw new HttpError(400, `condition.operator must be one of: ${OPERATORS.join(', ')}`);
+    }
+    return operator;
+}
+
+function numberOf(input) {
+    const value = Number(input.value);
+    if (input.value === undefined || input.value === null || !Number.isFinite(value)) {
+        throw new HttpError(400, 'condition.value must be a number');
+    }
+    return value;
+}
+
+function normalizeCondition(input = {}) {
+    const type = String(input.type || '').toLowerCase();
+
+    switch (type) {
+        case 'rsi':
+            return { type, period: lookback(input.period, 'condition.period', 14), operator: operatorOf(input), value: numberOf(input) };
+        case 'macd_cross': {
+            const direction = String(input.direction || 'bullish').toLowerCase();
+            if (!['bullish', 'bearish'].includes(direction)) {
+                throw new HttpError(400, 'condition.direction must be bullish or bearish');
+            }
+            return { type, direction };
+        }
+        case 'sma_cross': {
+            const direction = String(input.direction || 'golden').toLowerCase();
+            if (!['golden', 'death'].includes(direction)) {
+                throw new HttpError(400, 'condition.direction must be golden or death');
+            }
+            const fast = lookback(input.fast, 'condition.fast', 50);
+            const slow = lookback(input.slow, 'condition.slow', 200);
+            if (fast >= slow) throw new HttpError(400, 'condition.fast must be shorter than condition.slow');
+            return { type, fast, slow, direction };
+        }
+        case 'price_sma':
+            return { type, period: lookback(input.period, 'condition.period', 50), operator: operatorOf(input) };
+        case 'return':
+            return { type, days: lookback(input.days, 'condition.days', 5), operator: operatorOf(input), value: numberOf(input) };
+        case 'ai_score':
+        case 'volume_ratio':
+            return { type, operator: operatorOf(input), value: numberOf(input) };
+        default:
+            throw new HttpError(400, `condition.type must be one of: ${CONDITION_TYPES.join(', ')}`);
+    }
+}
+
+// Commission in % per side; a negative one would pay the strategy to trade
+function normalizeCommission(value) {
+    if (value === undefined || value === null || value === '') return 0;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n >= 100) {
+        throw new HttpError(400, 'commission must be a percentage from 0 up to 100');
+    }
+    return n;
+}
+
+function optionalPercent(value, field) {
+    if (value === undefined || value === null || value === '') return null;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0 || n >= 100) {
+        throw new HttpError(400, `${field} must be a percentage between 0 and 100`);
+    }
+    return n;
+}
+
+// Accepts a preset name ({ strategy: 'golden_cross' }) or explicit rules
+function normalizeRules(input = {}) {
+    let source = input.rules;
+    let name = input.rules?.name || 'Custom';
+
+    if (!source) {
+        const preset = STRATEGY_PRESETS[input.strategy];
+        if (!preset) {
+            throw new HttpError(400, `strategy must be one of: ${Object.keys(STRATEGY_PRESETS).join(', ')} (or pass rules)`);
+        }
+        source = preset;
+        name = preset.name;
+    }
+
+    const match = String(source.match || 'all').toLowerCase();
+    if (!['all', 'any'].includes(match)) {
+        throw new HttpError(400, 'rules.match must be all or any');
+    }
+    if (!Array.isArray(source.entry) || source.entry.length === 0) {
+        throw new HttpError(400, 'rules.entry must list at least one condition');
+    }
+
+    const rules = {
+        name,
+        match,
+        entry: source.entry.map(normalizeCondition),
+        exit: (source.exit || []).map(normalizeCondition),
+        stopLoss: optionalPercent(source.stopLoss, 'rules.stopLoss'),
+        takeProfit: optionalPercent(source.takeProfit, 'rules.takeProfit')
+    };
+
+    if (rules.exit.length === 0 && !rules.stopLoss && !rules.takeProfit) {
+        throw new HttpError(400, 'rules need an exit condition, stopLoss or takeProfit');
+    }
+    return rules;
+}
+
+// ===================================
+// Signals
+// ===================================
+
+/**
+ * Per-bar indicator series, computed lazily and shared by all conditions
+ * scoreFn: calculateAIScore(rsi, macd, priceVsSMA50, priceVsSMA200, volumeTrend)
+ */
+function createSeriesCache(bars, scoreFn) {
+    const closes = bars.map(b => b.close);
+    const volumes = bars.map(b => b.volume || 0);
+    const memo = new Map();
+
+    const get = (key, compute) => {
+        if (!memo.has(key)) memo.set(key, compute());
+        return memo.get(key);
+    };
+
+    const series = {
+        close: () => closes,
+        sma: period => get(`sma${period}`, () => indicators.sma(closes, period)),
+        rsi: period => get(`rsi${period}`, () => indicators.rsi(closes, period)),
+        macd: () => get('macd', () => indicators.macd(closes)),
+        volumeRatio: () => get('volumeRatio', () => {
+            const avg = indicators.sma(volumes, 20);
+            return volumes.map((v, i) => avg[i] ? v / avg[i] : null);
+        }),
+        change: days => get(`change${days}`, () =>
+            closes.map((c, i) => i >= days ? (c / closes[i - days] - 1) * 100 : null)
+        ),
+        aiScore: () => get('aiScore', () => {
+            const rsi = series.rsi(14);
+            const macd = series.macd();
+            const sma50 = series.sma(50);
+            const sma200 = series.sma(200);
+            const volumeRatio = series.volumeRatio();
+            return closes.map((c, i) => {
+                if ([rsi[i], macd.histogram[i], sma50[i], sma200[i], volumeRatio[i]].includes(null)) return null;
+                return scoreFn(
+                    rsi[i],
+                    { macd: macd.macd[i], signal: macd.signal[i], histogram: macd.histogram[i] },
+                    (c - sma50[i]) / sma50[i] * 100,
+                    (c - sma200[i]) / sma200[i] * 100,
+                    volumeRatio[i]
+                );
+            });
+        })
+    };
+    return series;
+}
+
+// A condition reduces to a value line, a threshold line and an operator
+function conditionLines(condition, series) {
+    switch (condition.type) {
+        case 'rsi':
+            return { value: series.rsi(condition.period), threshold: condition.value, operator: condition.operator };
+        case 'macd_cross': {
+            const { macd, signal } = series.macd();
+            return { value: macd, threshold: signal, operator: condition.direction === 'bullish' ? 'crosses_above' : 'crosses_below' };
+        }
+        case 'sma_cross':
+            return {
+                value: series.sma(condition.fast),
+                threshold: series.sma(condition.slow),
+                operator: condition.direction === 'golden' ? 'crosses_above' : 'crosses_below'
+            };
+        case 'price_sma':
+            return { value: series.close(), threshold: series.sma(condition.period), operator: condition.operator };
+        case 'ai_score':
+            return { value: series.aiScore(), threshold: condition.value, operator: condition.operator };
+        case 'volume_ratio':
+            return { value: series.volumeRatio(), threshold: condition.value, operator: condition.operator };
+        case 'return':
+            return { value: series.change(condition.days), threshold: condition.value, operator: condition.operator };
+    }
+}
+
+function conditionSignals(condition, series, length) {
+    const { value, threshold, operator } = conditionLines(condition, series);
+    const at = (line, i) => (Array.isArray(line) ? line[i] : line);
+
+    const out = new Array(length).fill(false);
+    for (let i = 0; i < length; i++) {
+        const v = value[i];
+        const t = at(threshold, i);
+        if (v === null || t === null || v === undefined || t === undefined) continue;
+
+        if (operator === 'above') out[i] = v > t;
+        else if (operator === 'below') out[i] = v < t;
+        else if (i > 0) {
+            const pv = value[i - 1];
+            const pt = at(threshold, i - 1);
+            if (pv === null || pt === null || pv === undefined || pt === undefined) continue;
+            out[i] = operator === 'crosses_above' ? pv <= pt && v > t : pv >= pt && v < t;
+        }
+    }
+    return out;
+}
+
+function combineSignals(conditions, match, series, length) {
+    if (conditions.length === 0) return new Array(length).fill(false);
+    const lists = conditions.map(c => conditionSignals(c, series, length));
+    return lists[0].map((_, i) => match === 'any' ? lists.some(l => l[i]) : lists.every(l => l[i]));
+}
+
+// ===================================
+// Simulation
+// ===================================
+
+/**
+ * barsBySymbol: { SYMBOL: [{ date: 'YYYY-MM-DD', open, high, low, close, volume }] }
+ *   bars before options.start are used for indicator warm-up only
+ * options: { start, initialCapital, positionSize (% of equity per position), commission (% per side), scoreFn }
+ */
+function runBacktest(barsBySymbol, rules, options = {}) {
+    const symbols = Object.keys(barsBySymbol).filter(s => barsBySymbol[s].length > 0);
+    if (symbols.length === 0) throw new HttpError(404, 'No price history for the requested symbols');
+
+    const start = options.start || '0000-00-00';
+    const initialCapital = options.initialCapital || 10000;
+    const positionSize = options.positionSize || 100 / symbols.length;
+    const commission = normalizeCommission(options.commission) / 100;
+
+    const books = symbols.map(symbol => {
+        const bars = barsBySymbol[symbol];
+        const series = createSeriesCache(bars, options.scoreFn);
+        return {
+            symbol,
+            bars,
+            indexByDate: new Map(bars.map((b, i) => [b.date, i])),
+            entry: combineSignals(rules.entry, rules.match, series, bars.length),
+            exit: combineSignals(rules.exit, 'any', series, bars.length),
+            position: null,
+            pending: null,
+            lastClose: null
+        };
+    });
+
+    const days = [...new Set(books.flatMap(b => b.bars.map(bar => bar.date)))]
+        .filter(d => d >= start)
+        .sort();
+    if (days.length === 0) throw new HttpError(404, 'No price history inside the requested period');
+
+    let cash = initialCapital;
+    const trades = [];
+    const equityCurve = [];
+    let peak = initialCapital;
+    let daysInMarket = 0;
+
+    const equityAt = () => cash + books.reduce((sum, b) =>
+        sum + (b.position ? b.position.shares * b.lastClose : 0), 0);
+
+    const closePosition = (book, date, price, reason) => {
+        const { position } = book;
+        const proceeds = position.shares * price * (1 - commission);
+        cash += proceeds;
+        trades.push({
+            symbol: book.symbol,
+            entryDate: position.entryDate,
+            entryPrice: round(position.entryPrice, 4),
+            exitDate: date,
+            exitPrice: round(price, 4),
+            shares: round(position.shares, 4),
+            pnl: round(proceeds - position.cost),
+            returnPercent: round((proceeds / position.cost - 1) * 100),
+            holdingDays: position.bars,
+            exitReason: reason
+        });
+        book.position = null;
+    };
+
+    days.forEach(date => {
+        const equityBefore = equityAt();
+
+        // Fill yesterday's orders at today's open: exits first so entries can use the cash
+        books.forEach(book => {
+            const i = book.indexByDate.get(date);
+            if (i === undefined || book.pending !== 'exit' || !book.position) return;
+            closePosition(book, date, book.bars[i].open, 'signal');
+            book.pending = null;
+        });
+        books.forEach(book => {
+            const i = book.indexByDate.get(date);
+            if (i === undefined || book.pending !== 'entry' || book.position) return;
+            book.pending = null;
+
+            const price = book.bars[i].open;
+            const budget = Math.min(cash, equityBefore * positionSize / 100);
+            if (budget < 1 || !price) return;
+
+            cash -= budget;
+            book.position = {
+                entryDate: date,
+                entryPrice: price,
+                shares: budget * (1 - commission) / price,
+                cost: budget,
+                bars: 0
+            };
+        });
+
+        books.forEach(book => {
+            const i = book.indexByDate.get(date);
+            if (i === undefined) return;
+            const bar = book.bars[i];
+            book.lastClose = bar.close;
+
+            const { position } = book;
+            if (position) {
+                position.bars++;
+                const stop = rules.stopLoss ? position.entryPrice * (1 - rules.stopLoss / 100) : null;
+                const target = rules.takeProfit ? position.entryPrice * (1 + rules.takeProfit / 100) : null;
+
+                if (stop !== null && bar.low <= stop) {
+                    closePosition(book, date, Math.min(bar.open, stop), 'stop_loss');
+                } else if (target !== null && bar.high >= target) {
+                    closePosition(book, date, Math.max(bar.open, target), 'take_profit');
+                }
+            }
+
+            // Orders for tomorrow's open, from today's close
+            if (book.position && book.exit[i]) book.pending = 'exit';
+            else if (!book.position && book.entry[i]) book.pending = 'entry';
+            else book.pending = null;
+        });
+
+        const equity = equityAt();
+        peak = Math.max(peak, equity);
+        if (books.some(b => b.position)) daysInMarket++;
+        equityCurve.push({
+            date,
+            equity: round(equity),
+            cash: round(cash),
+            drawdown: round((equity / peak - 1) * 100)
+        });
+    });
+
+    // Positions still open are closed at the last close so they count toward the stats
+    const lastDay = days[days.length - 1];
+    books.forEach(book => {
+        if (book.position) closePosition(book, lastDay, book.lastClose, 'end_of_test');
+    });
+
+    return {
+        trades,
+        equityCurve,
+        benchmark: buyAndHold(books, days, initialCapital),
+        stats: backtestStats(equityCurve, trades, initialCapital, daysInMarket)
+    };
+}
+
+// Equal-weight buy & hold of the same symbols from each one's first in-period open
+function buyAndHold(books, days, initialCapital) {
+    const slice = initialCapital / books.length;
+    const holdings = books.map(book => {
+        const first = book.bars.find(b => b.date >= days[0]);
+        return { book, shares: first && first.open ? slice / first.open : 0, lastClose: first ? first.open : 0 };
+    });
+
+    return days.map(date => {
+        let value = 0;
+        holdings.forEach(h => {
+            const i = h.book.indexByDate.get(date);
+            if (i !== undefined) h.lastClose = h.book.bars[i].close;
+            value += h.shares ? h.shares * h.lastClose : slice;
+        });
+        return { date, equity: round(value) };
+    });
+}
+
+function backtestStats(curve, trades, initialCapital, daysInMarket) {
+    const finalEquity = curve[curve.length - 1].equity;
+    const years = (new Date(curve[curve.length - 1].date) - new Date(curve[0].date)) / (365.25 * 86400000);
+
+    const returns = [];
+    for (let i = 1; i < curve.length; i++) {
+        returns.push(curve[i].equity / curve[i - 1].equity - 1);
+    }
+    const mean = returns.length ? returns.reduce((a, b) => a + b, 0) / returns.length : 0;
+    const std = returns.length > 1
+        ? Math.sqrt(returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1))
+        : 0;
+
+    const wins = trades.filter(t => t.pnl > 0);
+    const losses = trades.filter(t => t.pnl <= 0);
+    const grossWin = wins.reduce((sum, t) => sum + t.pnl, 0);
+    const grossLoss = Math.abs(losses.reduce((sum, t) => sum + t.pnl, 0));
+    const avg = (list, key) => list.length ? list.reduce((sum, t) => sum + t[key], 0) / list.length : 0;
+
+    return {
+        initialCapital,
+        finalEquity,
+        totalReturn: round((finalEquity / initialCapital - 1) * 100),
+        cagr: years > 0 ? round((Math.pow(finalEquity / initialCapital, 1 / years) - 1) * 100) : 0,
+        maxDrawdown: round(Math.min(0, ...curve.map(p => p.drawdown))),
+        volatility: round(std * Math.sqrt(TRADING_DAYS) * 100),
+        sharpe: std > 0 ? round(mean / std * Math.sqrt(TRADING_DAYS)) : 0,
+        trades: trades.length,
+        winRate: trades.length ? round(wins.length / trades.length * 100) : 0,
+        profitFactor: grossLoss > 0 ? round(grossWin / grossLoss) : null,
+        avgWinPercent: round(avg(wins, 'returnPercent')),
+        avgLossPercent: round(avg(losses, 'returnPercent')),
+        avgHoldingDays: round(avg(trades, 'holdingDays'), 1),
+        exposure: round(daysInMarket / curve.length * 100)
+    };
+}
+
+module.exports = {
+    CONDITION_TYPES,
+    OPERATORS,
+    STRATEGY_PRESETS,
+    normalizeRules,
+    normalizeCommission,
+    runBacktest
+};
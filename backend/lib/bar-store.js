@@ -0,0 +1,245 @@
+/**
+ * Bar Store
+ * Persistent daily OHLCV history, topped up from the market data provider
+ *
+ * One JSON file per symbol under STOCKIFY_DATA_DIR/bars. A request is served from
+ * disk and only the missing days are fetched: older history when the window
+ * reaches further back than what is stored, and new sessions past the last bar.
+ *
+ * Each top-up re-fetches the last two stored sessions. If upstream now reports a
+ * different close (split) or adjusted close (dividend) for them, the stored
+ * history is stale, so it is re-fetched in full and the change is logged in
+ * `actions`. When the provider is unreachable, stored bars are served as-is.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { DATA_DIR } = require('./json-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const TOP_UP_INTERVAL_MS = 15 * 60 * 1000;
+const OVERLAP_BARS = 2;
+const PRICE_TOLERANCE = 0.005;
+
+const dayKey = date => new Date(date).toISOString().split('T')[0];
+
+// Stored rows are compact arrays: [time, open, high, low, close, adjClose, volume]
+const toRow = b => [new Date(b.date).getTime(), b.open, b.high, b.low, b.close, b.adjClose ?? b.close, b.volume || 0];
+const toBar = r => ({ date: new Date(r[0]), open: r[1], high: r[2], low: r[3], close: r[4], adjClose: r[5], volume: r[6] });
+
+const differs = (a, b) => Math.abs(a / b - 1) > PRICE_TOLERANCE;
+
+function countWeekdays(fromTime, toTime) {
+    let count = 0;
+    for (let t = fromTime + DAY_MS; t < toTime; t += DAY_MS) {
+        const day = new Date(t).getUTCDay();
+        if (day !== 0 && day !== 6) count++;
+    }
+    return count;
+}
+
+/**
+ * provider: market data provider used for top-ups
+ * dir: where the per-symbol files live (default: STOCKIFY_DATA_DIR/bars)
+ */
+function createBarStore({ provider, dir = path.join(DATA_DIR, 'bars') }) {
+    const series = new Map();
+    const inFlight = new Map();
+
+    function fileFor(symbol) {
+        return path.join(dir, `${symbol.replace(/[^A-Za-z0-9._-]/g, '_')}.json`);
+    }
+
+    function load(symbol) {
+        if (series.has(symbol)) return series.get(symbol);
+        let data = null;
+        try {
+            data = JSON.parse(fs.readFileSync(fileFor(symbol), 'utf8'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error(`[Bars] Could not read ${symbol}:`, e.message);
+        }
+        if (data) series.set(symbol, data);
+        return data;
+    }
+
+    function save(data) {
+        fs.mkdirSync(dir, { recursive: true });
+        const file = fileFor(data.symbol);
+        fs.writeFileSync(`${file}.tmp`, JSON.stringify(data));
+        fs.renameSync(`${file}.tmp`, file);
+        series.set(data.symbol, data);
+    }
+
+    // Merge fetched bars into the stored rows; fetched values win on the same day
+    function merge(rows, fetched) {
+        const byDay = new Map(rows.map(r => [dayKey(r[0]), r]));
+        fetched.filter(b => b.close != null).forEach(b => byDay.set(dayKey(b.date), toRow(b)));
+        return [...byDay.values()].sort((a, b) => a[0] - b[0]);
+    }
+
+    async function fetchRange(symbol, from, to) {
+        return provider.bars(symbol, { period1: new Date(from), period2: new Date(to), interval: '1d' });
+    }
+
+    // Compare re-fetched overlap bars with what is stored
+    function detectAction(rows, fetched) {
+        const stored = new Map(rows.map(r => [dayKey(r[0]), r]));
+        for (const bar of fetched) {
+            const row = stored.get(dayKey(bar.date));
+            if (!row || row === rows[rows.length - 1]) continue; // last session may still be live
+            if (differs(row[4], bar.close)) {
+                return { type: 'split', date: dayKey(bar.date), ratio: Math.round(row[4] / bar.close * 10000) / 10000 };
+            }
+            if (differs(row[5], bar.adjClose ?? bar.close)) {
+                return { type: 'dividend', date: dayKey(bar.date), ratio: Math.round(row[5] / (bar.adjClose ?? bar.close) * 10000) / 10000 };
+            }
+        }
+        return null;
+    }
+
+    async function sync(symbol, from, to) {
+        const now = Date.now();
+        let data = load(symbol);
+
+        if (!data) {
+            const fetched = await fetchRange(symbol, from, to);
+            data = { symbol, coveredFrom: from, checkedAt: now, rows: merge([], fetched), actions: [] };
+            save(data);
+            return data;
+        }
+
+        let rows = data.rows;
+        let changed = false;
+
+        // Older history than stored
+        if (from < data.coveredFrom) {
+            const firstTime = rows.length ? rows[0][0] : data.coveredFrom;
+            rows = merge(rows, await fetchRange(symbol, from, firstTime));
+            data.coveredFrom = from;
+            changed = true;
+        }
+
+        // New sessions past the last stored bar
+        const lastTime = rows.length ? rows[rows.length - 1][0] : data.coveredFrom;
+        if (to > lastTime && now - data.checkedAt > TOP_UP_INTERVAL_MS) {
+            const overlapFrom = rows.length > OVERLAP_BARS ? rows[rows.length - OVERLAP_BARS][0] : data.coveredFrom;
+            const fetched = await fetchRange(symbol, overlapFrom, Math.max(to, now));
+            const action = detectAction(rows, fetched);
+
+            if (action) {
+                console.log(`[Bars] ${symbol}: ${action.type} adjustment detected (${action.ratio}), reloading history`);
+                rows = merge([], await fetchRange(symbol, data.coveredFrom, now));
+                data.actions.push({ ...action, detectedAt: now });
+            } else {
+                rows = merge(rows, fetched);
+            }
+            data.checkedAt = now;
+            changed = true;
+        }
+
+        if (changed) {
+            data.rows = rows;
+            save(data);
+        }
+        return data;
+    }
+
+    // One sync per symbol at a time. A request joining a sync for a narrower
+    // window waits for it, then starts (or joins) the backfill through the same map.
+    async function synced(key, from, to) {
+        for (;;) {
+            if (!inFlight.has(key)) {
+                inFlight.set(key, sync(key, from, to).finally(() => inFlight.delete(key)));
+            }
+            const data = await inFlight.get(key);
+            if (from >= data.coveredFrom) return data;
+        }
+    }
+
+    // Same contract as provider.bars; only daily bars are stored
+    async function bars(symbol, { period1, period2 = new Date(), interval = '1d' } = {}) {
+        if (interval !== '1d') return provider.bars(symbol, { period1, period2, interval });
+
+        const key = symbol.toUpperCase();
+        const from = new Date(period1).getTime();
+        const to = new Date(period2).getTime();
+
+        let data;
+        try {
+            data = await synced(key, from, to);
+        } catch (error) {
+            data = load(key);
+            if (!data || data.rows.length === 0) throw error;
+            console.warn(`[Bars] ${key}: upstream failed (${error.message}), serving stored bars`);
+        }
+
+        return data.rows.filter(r => r[0] >= from && r[0] <= to).map(toBar);
+    }
+
+    // Runs of missing weekdays between stored sessions (single days are usually holidays)
+    function gaps(symbol, { minMissing = 2 } = {}) {
+        const data = load(symbol.toUpperCase());
+        if (!data) return [];
+
+        const result = [];
+        for (let i = 1; i < data.rows.length; i++) {
+            const missing = countWeekdays(data.rows[i - 1][0], data.rows[i][0]);
+            if (missing >= minMissing) {
+                result.push({ after: dayKey(data.rows[i - 1][0]), before: dayKey(data.rows[i][0]), missingWeekdays: missing });
+            }
+        }
+        return result;
+    }
+
+    // Re-fetch the ranges around every gap; returns the gaps that remain
+    async function repair(symbol) {
+        const key = symbol.toUpperCase();
+        const data = load(key);
+        if (!data) return [];
+
+        let rows = data.rows;
+        for (const gap of gaps(key)) {
+            const fetched = await fetchRange(key, new Date(gap.after).getTime(), new Date(gap.before).getTime() + DAY_MS);
+            rows = merge(rows, fetched);
+        }
+        save({ ...data, rows });
+        return gaps(key);
+    }
+
+    function info(symbol) {
+        const data = load(symbol.toUpperCase());
+        if (!data) return null;
+        const { rows } = data;
+        return {
+            symbol: data.symbol,
+            bars: rows.length,
+            first: rows.length ? dayKey(rows[0][0]) : null,
+            last: rows.length ? dayKey(rows[rows.length - 1][0]) : null,
+            checkedAt: data.checkedAt,
+            actions: data.actions
+        };
+    }
+
+    function list() {
+        let files = [];
+        try {
+            files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+        return files
+            .map(f => {
+                try {
+                    return JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8')).symbol;
+                } catch {
+                    return null;
+                }
+            })
+            .filter(Boolean)
+            .map(info);
+    }
+
+    return { bars, gaps, repair, info, list };
+}
+
+module.exports = { createBarStore };
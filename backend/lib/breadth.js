@@ -0,0 +1,234 @@
+/**
+ * Market Breadth
+ * Daily participation statistics across a symbol universe, persisted per universe
+ *
+ * For every session:
+ *
+ *   advancers / decliners / unchanged   close vs previous close
+ *   upVolume / downVolume               volume of advancers / decliners
+ *   pctAboveSma50 / pctAboveSma200      of the members with enough history
+ *   newHighs / newLows                  52-week (252 session) highs and lows
+ *   mcclellan                           EMA19 - EMA39 of ratio-adjusted net advances
+ *   summation                           running total of the oscillator
+ *
+ * Ratio-adjusted net advances ((A - D) / (A + D) * 1000) keep the McClellan
+ * figures comparable between universes of different sizes. Each refresh
+ * recomputes the window the bars cover and merges it into the stored series
+ * field by field. The first ~year of a window has no SMA200 or 52-week
+ * readings yet, so a null never replaces a stored value: days keep the long
+ * indicators an earlier, wider window computed for them.
+ */
+
+const indicators = require('./indicators');
+const { createJsonStore } = require('./json-store');
+
+const HIGH_LOW_PERIOD = 252;
+const REFRESH_MS = 15 * 60 * 1000;
+const HISTORY_DAYS = 730; // SMA200 and 52-week highs need ~a year before the first usable day
+
+const round = (v, digits = 2) => v === null || v === undefined || !isFinite(v) ? null : Math.round(v * 10 ** digits) / 10 ** digits;
+const dayKey = date => new Date(date).toISOString().split('T')[0];
+
+// Per-symbol daily readings keyed by date
+function memberReadings(bars) {
+    const closes = bars.map(b => b.close);
+    const highs = bars.map(b => b.high);
+    const lows = bars.map(b => b.low);
+    const sma50 = indicators.sma(closes, 50);
+    const sma200 = indicators.sma(closes, 200);
+    const highest = indicators.highest(highs, HIGH_LOW_PERIOD);
+    const lowest = indicators.lowest(lows, HIGH_LOW_PERIOD);
+
+    const readings = new Map();
+    bars.forEach((bar, i) => {
+        if (i === 0) return;
+        readings.set(dayKey(bar.date), {
+            change: bar.close - bars[i - 1].close,
+            volume: bar.volume || 0,
+            aboveSma50: sma50[i] === null ? null : bar.close > sma50[i],
+            aboveSma200: sma200[i] === null ? null : bar.close > sma200[i],
+            newHigh: highest[i] === null ? null : bar.high >= highest[i],
+            newLow: lowest[i] === null ? null : bar.low <= lowest[i]
+        });
+    });
+    return readings;
+}
+
+/**
+ * Breadth series from daily bars.
+ * barsBySymbol: { SYMBOL: Bar[] }; benchmarkBars (optional) adds the benchmark close per day.
+ */
+function computeBreadth(barsBySymbol, benchmarkBars = []) {
+    const members = Object.values(barsBySymbol).filter(bars => bars && bars.length > 1).map(memberReadings);
+    const benchmark = new Map(benchmarkBars.map(b => [dayKey(b.date), b.close]));
+    const dates = [...new Set(members.flatMap(m => [...m.keys()]))].sort();
+
+    const days = dates.map(date => {
+        const day = {
+            date,
+            members: 0,
+            advancers: 0,
+            decliners: 0,
+            unchanged: 0,
+            upVolume: 0,
+            downVolume: 0,
+            newHighs: 0,
+            newLows: 0
+        };
+        const sma50 = { above: 0, count: 0 };
+        const sma200 = { above: 0, count: 0 };
+        let ranged = 0;
+
+        members.forEach(readings => {
+            const r = readings.get(date);
+            if (!r) return;
+            day.members++;
+            if (r.change > 0) {
+                day.advancers++;
+                day.upVolume += r.volume;
+            } else if (r.change < 0) {
+                day.decliners++;
+                day.downVolume += r.volume;
+            } else {
+                day.unchanged++;
+            }
+            if (r.aboveSma50 !== null) {
+                sma50.count++;
+                if (r.aboveSma50) sma50.above++;
+            }
+            if (r.aboveSma200 !== null) {
+                sma200.count++;
+                if (r.aboveSma200) sma200.above++;
+            }
+            if (r.newHigh !== null) {
+                ranged++;
+                if (r.newHigh) day.newHighs++;
+                if (r.newLow) day.newLows++;
+            }
+        });
+
+        const decided = day.advancers + day.decliners;
+        return {
+            ...day,
+            netAdvances: day.advancers - day.decliners,
+            ratioAdjusted: decided ? round((day.advancers - day.decliners) / decided * 1000) : 0,
+            pctAboveSma50: sma50.count ? round(sma50.above / sma50.count * 100, 1) : null,
+            pctAboveSma200: sma200.count ? round(sma200.above / sma200.count * 100, 1) : null,
+            newHighs: ranged ? day.newHighs : null,
+            newLows: ranged ? day.newLows : null,
+            netNewHighs: ranged ? day.newHighs - day.newLows : null,
+            benchmark: benchmark.get(date) ?? null
+        };
+    });
+
+    return withMcClellan(days);
+}
+
+// McClellan oscillator (EMA19 - EMA39 of ratio-adjusted net advances) and summation index
+function withMcClellan(days) {
+    const rana = days.map(d => d.ratioAdjusted);
+    const fast = indicators.ema(rana, 19);
+    const slow = indicators.ema(rana, 39);
+    let summation = 0;
+
+    return days.map((day, i) => {
+        const oscillator = fast[i] !== null && slow[i] !== null ? fast[i] - slow[i] : null;
+        if (oscillator !== null) summation += oscillator;
+        return {
+            ...day,
+            mcclellan: round(oscillator),
+            summation: oscillator === null ? null : round(summation)
+        };
+    });
+}
+
+// Recomputed days win, except where they lack a reading the stored day has
+function mergeDays(stored, computed) {
+    const byDate = new Map(stored.map(day => [day.date, day]));
+    computed.forEach(day => {
+        const previous = byDate.get(day.date);
+        if (!previous) {
+            byDate.set(day.date, day);
+            return;
+        }
+        const merged = { ...day };
+        Object.keys(previous).forEach(key => {
+            if (merged[key] === null || merged[key] === undefined) merged[key] = previous[key];
+        });
+        byDate.set(day.date, merged);
+    });
+    return [...byDate.values()].sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * bars: async (symbol, { period1, interval }) -> Bar[]   (the bar store)
+ * benchmark: symbol charted alongside breadth
+ */
+function createBreadthEngine({ bars, benchmark = '^GSPC' }) {
+    const stores = new Map();
+    const refreshing = new Map();
+
+    function storeFor(universeId) {
+        if (!stores.has(universeId)) {
+            stores.set(universeId, createJsonStore(`breadth-${universeId}`, { universe: universeId, updatedAt: 0, symbols: [], members: 0, days: [] }));
+        }
+        return stores.get(universeId);
+    }
+
+    async function refresh(universe) {
+        const period1 = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+        const [benchmarkBars, ...memberBars] = await Promise.all([
+            bars(benchmark, { period1, interval: '1d' }).catch(() => []),
+            ...universe.symbols.map(symbol => bars(symbol, { period1, interval: '1d' }).catch(() => null))
+        ]);
+
+        const barsBySymbol = {};
+        universe.symbols.forEach((symbol, i) => {
+            if (memberBars[i]?.length) barsBySymbol[symbol] = memberBars[i];
+        });
+        const computed = computeBreadth(barsBySymbol, benchmarkBars);
+
+        storeFor(universe.id).update(data => {
+            // The oscillator is re-run over the merged series so it stays continuous
+            data.days = withMcClellan(mergeDays(data.days, computed));
+            data.symbols = [...universe.symbols];
+            data.members = Object.keys(barsBySymbol).length;
+            data.updatedAt = Date.now();
+        });
+    }
+
+    /**
+     * Stored series for a universe ({ id, symbols }), refreshed when older than REFRESH_MS.
+     * options: days (most recent N), force
+     */
+    async function series(universe, { days = 250, force = false } = {}) {
+        const stored = storeFor(universe.id).read();
+        const changed = stored.symbols.length === 0 || universe.symbols.some(s => !stored.symbols.includes(s));
+        if (force || changed || Date.now() - stored.updatedAt > REFRESH_MS) {
+            if (!refreshing.has(universe.id)) {
+                refreshing.set(universe.id, refresh(universe).finally(() => refreshing.delete(universe.id)));
+            }
+            await refreshing.get(universe.id);
+        }
+
+        const data = storeFor(universe.id).read();
+        return {
+            universe: universe.id,
+            benchmark,
+            updatedAt: data.updatedAt,
+            members: data.members,
+            latest: data.days[data.days.length - 1] || null,
+            days: data.days.slice(-days)
+        };
+    }
+
+    // Last stored day without touching upstream (null before the first refresh)
+    function latest(universeId) {
+        const { days, updatedAt } = storeFor(universeId).read();
+        return days.length ? { ...days[days.length - 1], updatedAt } : null;
+    }
+
+    return { series, latest };
+}
+
+module.exports = { createBreadthEngine, computeBreadth };
@@ -0,0 +1,102 @@
+/**
+ * Live Candles
+ * Aggregates streamed quotes into the bar that is currently forming
+ *
+ * Intraday buckets are aligned to the last bar fetched from upstream (seed), so
+ * hourly candles line up with exchange sessions such as 09:30 ET. Candle volume
+ * is the growth of the quote's cumulative day volume. Daily candles are taken
+ * straight from the quote's session open / high / low / volume.
+ */
+
+const INTRADAY_SECONDS = {
+    '1m': 60,
+    '5m': 300,
+    '15m': 900,
+    '30m': 1800,
+    '1h': 3600
+};
+
+const INTERVALS = [...Object.keys(INTRADAY_SECONDS), '1d'];
+
+function createCandleAggregator() {
+    const candles = new Map(); // `${symbol}:${interval}` -> candle
+    const anchors = new Map(); // `${symbol}:${interval}` -> bucket offset (seconds)
+    const lastSeen = new Map(); // symbol -> { time, volume }
+
+    function bucketStart(key, seconds, time) {
+        const anchor = anchors.get(key) || 0;
+        return time - ((time - anchor) % seconds + seconds) % seconds;
+    }
+
+    // Continue from the latest upstream bar ({ timestamp, open, high, low, close, volume })
+    function seed(symbol, interval, bar) {
+        const seconds = INTRADAY_SECONDS[interval];
+        if (!seconds || !bar) return;
+        const key = `${symbol.toUpperCase()}:${interval}`;
+        anchors.set(key, bar.timestamp % seconds);
+        candles.set(key, {
+            symbol: symbol.toUpperCase(),
+            interval,
+            time: bar.timestamp,
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume || 0
+        });
+    }
+
+    // Feed one quote; returns the candles it changed (one per interval)
+    function update(quote) {
+        if (!quote?.symbol || !quote.price) return [];
+
+        const symbol = quote.symbol.toUpperCase();
+        const time = Math.floor(new Date(quote.marketTime || Date.now()).getTime() / 1000);
+        const previous = lastSeen.get(symbol);
+        // No trade since the last quote (market closed): nothing is forming
+        if (previous && previous.time === time && quote.marketTime) return [];
+
+        const dayVolume = quote.volume || 0;
+        const traded = previous && dayVolume >= previous.volume ? dayVolume - previous.volume : 0;
+        lastSeen.set(symbol, { time, volume: dayVolume });
+
+        const changed = Object.entries(INTRADAY_SECONDS).map(([interval, seconds]) => {
+            const key = `${symbol}:${interval}`;
+            const start = bucketStart(key, seconds, time);
+            let candle = candles.get(key);
+
+            if (!candle || candle.time < start) {
+                candle = { symbol, interval, time: start, open: quote.price, high: quote.price, low: quote.price, close: quote.price, volume: 0 };
+                candles.set(key, candle);
+            }
+            candle.high = Math.max(candle.high, quote.price);
+            candle.low = Math.min(candle.low, quote.price);
+            candle.close = quote.price;
+            candle.volume += traded;
+            return { ...candle };
+        });
+
+        const daily = {
+            symbol,
+            interval: '1d',
+            time: new Date(time * 1000).toISOString().split('T')[0],
+            open: quote.open ?? quote.price,
+            high: quote.high ?? quote.price,
+            low: quote.low ?? quote.price,
+            close: quote.price,
+            volume: dayVolume
+        };
+        candles.set(`${symbol}:1d`, daily);
+        changed.push({ ...daily });
+
+        return changed;
+    }
+
+    function current(symbol, interval) {
+        return candles.get(`${symbol.toUpperCase()}:${interval}`) || null;
+    }
+
+    return { seed, update, current };
+}
+
+module.exports = { createCandleAggregator, INTRADAY_SECONDS, INTERVALS };
@@ -0,0 +1,201 @@
+/**
+ * Chat Sessions
+ * Server-side chat threads: message history, titles, prompt context and Markdown export
+ *
+ * Only user and assistant turns are stored (with the tool results shown
+ * beside each reply); the system prompt and tool-call messages are rebuilt
+ * on every turn, so a client cannot inject roles into the prompt.
+ *
+ * Context windowing: the prompt carries the last WINDOW_MESSAGES turns
+ * verbatim plus a running summary of everything older. The summary is only
+ * extended once SUMMARY_BATCH turns have fallen out of the window, so long
+ * threads cost one summarizer call every few turns rather than every turn.
+ */
+
+const HttpError = require('./http-error');
+const { createId } = require('./json-store');
+
+const WINDOW_MESSAGES = 12;
+const SUMMARY_BATCH = 8;
+const MAX_MESSAGE_CHARS = 4000;
+const MAX_PROMPT_MESSAGE_CHARS = 4000; // stored replies are kept whole, the prompt gets them clipped
+const MAX_TITLE_CHARS = 80;
+const AUTO_TITLE_CHARS = 40;
+const MAX_SESSIONS = 200;
+
+const ROLE_LABELS = { user: '👤 ผู้ใช้', assistant: '🤖 Stockify AI' };
+
+function normalizeTitle(input) {
+    const title = String(input ?? '').replace(/\s+/g, ' ').trim();
+    if (!title) throw new HttpError(400, 'title must not be empty');
+    if (title.length > MAX_TITLE_CHARS) throw new HttpError(400, `title must be at most ${MAX_TITLE_CHARS} characters`);
+    return title;
+}
+
+// Title from the first question, cut at a word boundary where possible
+function autoTitle(message) {
+    const text = String(message).replace(/\s+/g, ' ').trim();
+    if (text.length <= AUTO_TITLE_CHARS) return text;
+    const cut = text.slice(0, AUTO_TITLE_CHARS);
+    const space = cut.lastIndexOf(' ');
+    return `${space > AUTO_TITLE_CHARS / 2 ? cut.slice(0, space) : cut}…`;
+}
+
+function clip(text, max) {
+    return text.length > max ? `${text.slice(0, max)}…` : text;
+}
+
+function timestamp(time) {
+    return new Date(time).toISOString().replace('T', ' ').slice(0, 16);
+}
+
+/**
+ * store: json store holding { sessions: [] }
+ * summarize: async (previousSummary, messages[{ role, content }], { signal }) -> string
+ */
+function createChatSessions({ store, summarize }) {
+    function find(id) {
+        const session = store.read().sessions.find(s => s.id === id);
+        if (!session) throw new HttpError(404, `Unknown chat session: ${id}`);
+        return session;
+    }
+
+    // Newest activity first, without the messages. Untitled sessions whose
+    // first turn never completed are left out.
+    function list() {
+        return store.read().sessions
+            .filter(s => s.messages.length || s.title)
+            .map(s => ({
+                id: s.id,
+                title: s.title,
+                createdAt: s.createdAt,
+                updatedAt: s.updatedAt,
+                messageCount: s.messages.length,
+                preview: clip(s.messages[s.messages.length - 1]?.content || '', 80)
+            }))
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    function get(id) {
+        return find(id);
+    }
+
+    function create(input = {}) {
+        const session = {
+            id: createId('chat'),
+            title: input.title !== undefined ? normalizeTitle(input.title) : null,
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+            messages: [],
+            summary: null
+        };
+        store.update(data => {
+            data.sessions.push(session);
+            // Oldest threads go first once the store is full
+            if (data.sessions.length > MAX_SESSIONS) {
+                data.sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+                data.sessions.length = MAX_SESSIONS;
+            }
+        });
+        return session;
+    }
+
+    function rename(id, input = {}) {
+        const session = find(id);
+        const title = normalizeTitle(input.title);
+        store.update(() => {
+            session.title = title;
+            session.updatedAt = Date.now();
+        });
+        return session;
+    }
+
+    function remove(id) {
+        find(id);
+        store.update(data => {
+            data.sessions = data.sessions.filter(s => s.id !== id);
+        });
+    }
+
+    function validateMessage(message) {
+        const text = String(message ?? '').trim();
+        if (!text) throw new HttpError(400, 'Message is required');
+        if (text.length > MAX_MESSAGE_CHARS) throw new HttpError(400, `Message must be at most ${MAX_MESSAGE_CHARS} characters`);
+        return text;
+    }
+
+    /**
+     * Prompt history for the next turn: [summary as a system message?, ...recent turns].
+     * Folds turns that left the window into the stored summary first.
+     */
+    async function context(id, { signal } = {}) {
+        const session = find(id);
+        const folded = session.summary?.through || 0;
+        const pending = session.messages.length - folded;
+
+        if (pending > WINDOW_MESSAGES + SUMMARY_BATCH) {
+            const through = session.messages.length - WINDOW_MESSAGES;
+            const text = await summarize(
+                session.summary?.text || null,
+                session.messages.slice(folded, through).map(m => ({ role: m.role, content: m.content })),
+                { signal }
+            );
+            store.update(() => {
+                session.summary = { text, through, updatedAt: Date.now() };
+            });
+        }
+
+        const start = session.summary?.through || 0;
+        return [
+            ...(session.summary ? [{ role: 'system', content: `สรุปบทสนทนาก่อนหน้านี้:\n${session.summary.text}` }] : []),
+            ...session.messages.slice(start).map(m => ({ role: m.role, content: clip(m.content, MAX_PROMPT_MESSAGE_CHARS) }))
+        ];
+    }
+
+    // Store one completed turn; the first turn also names an untitled session
+    function append(id, { message, reply, toolResults = [], stopped = false }) {
+        const session = find(id);
+        const now = Date.now();
+        store.update(() => {
+            if (!session.title) session.title = autoTitle(message);
+            session.messages.push(
+                { role: 'user', content: message, createdAt: now },
+                {
+                    role: 'assistant',
+                    content: reply,
+                    createdAt: now,
+                    ...(toolResults.length ? { toolResults } : {}),
+                    ...(stopped ? { stopped: true } : {})
+                }
+            );
+            session.updatedAt = now;
+        });
+        return session;
+    }
+
+    function toMarkdown(id) {
+        const session = find(id);
+        const lines = [
+            `# ${session.title || 'แชทใหม่'}`,
+            '',
+            `_เริ่ม ${timestamp(session.createdAt)} UTC · ${session.messages.length} ข้อความ · ส่งออกจาก Stockify AI_`,
+            ''
+        ];
+
+        session.messages.forEach(m => {
+            lines.push(`## ${ROLE_LABELS[m.role]} · ${timestamp(m.createdAt)}`, '', m.content, '');
+            if (m.toolResults?.length) {
+                const sources = m.toolResults.map(t => `\`${t.tool}${t.args?.symbol ? ` ${t.args.symbol}` : ''}\`${t.error ? ' (ล้มเหลว)' : ''}`);
+                lines.push(`> ข้อมูลที่ใช้: ${sources.join(', ')}`, '');
+            }
+            if (m.stopped) lines.push('> ⏹ หยุดการตอบก่อนจบ', '');
+        });
+
+        lines.push('---', '', '⚠️ ข้อมูลนี้ไม่ใช่คำแนะนำการลงทุน');
+        return lines.join('\n');
+    }
+
+    return { list, get, create, rename, remove, validateMessage, context, append, toMarkdown };
+}
+
+module.exports = { createChatSessions };
@@ -0,0 +1,260 @@
+/**
+ * Chat Tools
+ * Function-calling tools for the chat model, each backed by one of Stockify's own API routes
+ *
+ * Tools call the running server over loopback HTTP, so the model sees what
+ * the pages see (same caching, validation and error messages). Each tool
+ * trims its route's response to the fields worth putting in a prompt; the
+ * trimmed result is also what the chat page renders as a data card.
+ */
+
+const indicators = require('./indicators');
+
+const MAX_TOOL_ROUNDS = 4;
+const SYMBOL_PATTERN = /^[\^A-Za-z0-9.=-]{1,15}$/;
+const SCREENER_RESULTS = 15;
+
+const SYMBOL = {
+    type: 'string',
+    description: 'Ticker symbol, e.g. AAPL, BRK-B, ^GSPC; Thai stocks take the .BK suffix (PTT.BK)'
+};
+
+const round = (v, digits = 2) => v === null || v === undefined || !isFinite(v) ? null : Math.round(v * 10 ** digits) / 10 ** digits;
+const path = (symbol, suffix = '') => `/api/${suffix.replace('{symbol}', encodeURIComponent(symbol.toUpperCase()))}`;
+
+// Latest readings from the daily OHLCV rows (/api/ohlcv carries the moving averages and bands)
+function technicals(data) {
+    const rows = data.data || [];
+    if (rows.length === 0) return { symbol: data.symbol, bars: 0 };
+
+    const closes = rows.map(r => r.close);
+    const highs = rows.map(r => r.high);
+    const lows = rows.map(r => r.low);
+    const last = rows[rows.length - 1];
+    const macd = indicators.macdSummary(closes);
+    const change = n => closes.length > n ? round((last.close / closes[closes.length - 1 - n] - 1) * 100) : null;
+
+    return {
+        symbol: data.symbol,
+        date: last.time,
+        close: last.close,
+        rsi14: round(indicators.latest(indicators.rsi(closes, 14))),
+        macd: { line: round(macd.macd, 3), signal: round(macd.signal, 3), histogram: round(macd.histogram, 3), trend: macd.trend },
+        sma20: round(last.sma20),
+        sma50: round(last.sma50),
+        sma200: round(last.sma200),
+        ema21: round(last.ema21),
+        bollinger: { upper: round(last.bb_upper), middle: round(last.bb_middle), lower: round(last.bb_lower) },
+        atr14: round(indicators.latest(indicators.atr(highs, lows, closes, 14))),
+        change5d: change(5),
+        change20d: change(20)
+    };
+}
+
+const TOOLS = [
+    {
+        name: 'get_quote',
+        description: 'Latest price, daily change, day range, volume, market cap and 52-week range of a stock, ETF or index',
+        parameters: { symbol: SYMBOL },
+        required: ['symbol'],
+        path: ({ symbol }) => path(symbol, 'quote/{symbol}'),
+        pick: q => ({
+            symbol: q.symbol,
+            name: q.name,
+            price: q.price,
+            change: q.change,
+            changePercent: q.changePercent,
+            high: q.high,
+            low: q.low,
+            volume: q.volume,
+            marketCap: q.marketCap,
+            fiftyTwoWeekHigh: q.fiftyTwoWeekHigh,
+            fiftyTwoWeekLow: q.fiftyTwoWeekLow,
+            currency: q.currency
+        })
+    },
+    {
+        name: 'analyze_stock',
+        description: "Stockify's AI score (0-100), rating, RSI / MACD / SMA readings, entry and exit levels, risk and the reasons behind the rating",
+        parameters: { symbol: SYMBOL },
+        required: ['symbol'],
+        path: ({ symbol }) => path(symbol, 'analyze-stock/{symbol}'),
+        pick: a => ({
+            symbol: a.symbol,
+            name: a.name,
+            price: a.price,
+            changePercent: a.changePercent,
+            aiScore: a.aiScore,
+            rating: a.rating,
+            recommendation: a.recommendation,
+            indicators: a.indicators,
+            entryPoint: a.entryPoint,
+            exitPoint: a.exitPoint,
+            riskLevel: a.riskLevel,
+            horizon: a.horizonThai,
+            analysis: a.analysis
+        })
+    },
+    {
+        name: 'get_technicals',
+        description: 'Daily technical indicators: RSI(14), MACD, SMA 20/50/200, EMA21, Bollinger Bands, ATR(14) and 5/20-day price change',
+        parameters: {
+            symbol: SYMBOL,
+            period: { type: 'string', enum: ['6mo', '1y', '2y'], description: 'History used for the indicators (default 1y; SMA200 needs 1y+)' }
+        },
+        required: ['symbol'],
+        path: ({ symbol, period = '1y' }) => `${path(symbol, 'ohlcv/{symbol}')}?period=${encodeURIComponent(period)}&interval=1d`,
+        pick: technicals
+    },
+    {
+        name: 'summarize_news',
+        description: 'Key points from the latest news articles on a stock (each with its source), quoted figures such as price targets, EPS and guidance, and overall sentiment (bullish / bearish / neutral)',
+        parameters: { symbol: SYMBOL },
+        required: ['symbol'],
+        path: ({ symbol }) => path(symbol, 'news/summarize/{symbol}'),
+        pick: n => ({
+            symbol: n.symbol,
+            sentiment: n.sentiment,
+            newsCount: n.newsCount,
+            points: n.points.map(p => ({ text: p.text, publisher: p.publisher, link: p.link })),
+            facts: n.facts.map(f => ({ label: f.label, value: f.value, publisher: f.publisher }))
+        })
+    },
+    {
+        name: 'screen_stocks',
+        description: 'Technical screener over a universe of stocks; every filter given must match. Returns up to 15 matches sorted by RSI',
+        parameters: {
+            universe: { type: 'string', description: 'Universe id: us-large (default), sp100, semis, dividend, thai-set50, ...' },
+            rsi: { type: 'string', enum: ['oversold', 'overbought', 'neutral'] },
+            macd: { type: 'string', enum: ['bullish', 'bearish', 'crossover'] },
+            ma: { type: 'string', enum: ['above_sma50', 'above_sma200', 'golden_cross', 'death_cross'] },
+            volume: { type: 'string', enum: ['high', 'increasing'] }
+        },
+        required: [],
+        path: args => {
+            const query = new URLSearchParams();
+            ['universe', 'rsi', 'macd', 'ma', 'volume'].forEach(key => {
+                if (args[key]) query.set(key, args[key]);
+            });
+            return `/api/technical-screener?${query}`;
+        },
+        pick: r => ({
+            count: r.count,
+            results: r.results.slice(0, SCREENER_RESULTS).map(s => ({
+                symbol: s.symbol,
+                name: s.name,
+                price: s.price,
+                changePercent: round(s.changePercent),
+                rsi: round(s.rsi, 1),
+                macd: s.macdSignal,
+                signals: s.signals
+            }))
+        })
+    },
+    {
+        name: 'options_summary',
+        description: 'Options positioning: max pain, open-interest walls, expected move, put/call open interest and ATM implied volatility per expiration',
+        parameters: { symbol: SYMBOL },
+        required: ['symbol'],
+        path: ({ symbol }) => path(symbol, 'options/{symbol}/analytics'),
+        pick: o => {
+            const atmIV = new Map(o.surface.termStructure.map(t => [t.expirationDate, t.atmIV]));
+            return {
+                symbol: o.symbol,
+                underlyingPrice: o.underlyingPrice,
+                walls: o.walls,
+                earnings: o.earnings,
+                expirations: o.expirations.slice(0, 3).map(e => ({
+                    expirationDate: e.expirationDate,
+                    daysToExpiry: e.daysToExpiry,
+                    maxPain: e.maxPain?.strike ?? null,
+                    expectedMovePercent: e.expectedMove?.movePercent ?? null,
+                    expectedRange: e.expectedMove ? [e.expectedMove.low, e.expectedMove.high] : null,
+                    putCallOpenInterest: e.callOpenInterest ? round(e.putOpenInterest / e.callOpenInterest) : null,
+                    atmIV: atmIV.has(e.expirationDate) ? round(atmIV.get(e.expirationDate) * 100, 1) : null
+                }))
+            };
+        }
+    },
+    {
+        name: 'earnings_history',
+        description: 'Next earnings date and estimates, recent EPS / revenue surprises, beat rate, post-earnings price reaction and estimate revisions',
+        parameters: { symbol: SYMBOL },
+        required: ['symbol'],
+        path: ({ symbol }) => path(symbol, 'earnings/{symbol}/history'),
+        pick: e => ({
+            symbol: e.symbol,
+            name: e.name,
+            next: e.next,
+            summary: e.summary,
+            history: e.history.slice(0, 4).map(({ reaction, ...quarter }) => ({
+                ...quarter,
+                reaction: reaction ? { gapPercent: reaction.gapPercent, day1: reaction.day1, day5: reaction.day5 } : null
+            })),
+            revisions: e.revisions
+        })
+    },
+    {
+        name: 'dividend_history',
+        description: 'Dividend frequency, forward yield, payout ratio, growth rates, increase streak and next ex-dividend date',
+        parameters: { symbol: SYMBOL },
+        required: ['symbol'],
+        path: ({ symbol }) => path(symbol, 'dividends/{symbol}/history'),
+        pick: d => ({
+            symbol: d.symbol,
+            name: d.name,
+            price: d.price,
+            frequency: d.frequency,
+            lastPayment: d.lastPayment,
+            forwardAnnual: d.forwardAnnual,
+            forwardYield: d.forwardYield,
+            payoutRatio: d.payoutRatio,
+            growth: d.growth,
+            streaks: d.streaks,
+            nextExDate: d.nextExDate
+        })
+    }
+];
+
+/**
+ * baseUrl: where this server listens (e.g. http://127.0.0.1:3001)
+ * Returns the OpenAI-style tool definitions and run(name, args, { signal }),
+ * which never throws: failures come back as { tool, args, error } for the
+ * model to read.
+ */
+function createChatTools({ baseUrl }) {
+    const byName = new Map(TOOLS.map(t => [t.name, t]));
+
+    const definitions = TOOLS.map(t => ({
+        type: 'function',
+        function: {
+            name: t.name,
+            description: t.description,
+            parameters: { type: 'object', properties: t.parameters, required: t.required }
+        }
+    }));
+
+    async function run(name, args, { signal } = {}) {
+        const tool = byName.get(name);
+        if (!tool) return { tool: name, args, error: `Unknown tool: ${name}` };
+        if (!args || typeof args !== 'object') return { tool: name, args, error: 'Arguments must be a JSON object' };
+        const missing = tool.required.find(key => !args[key]);
+        if (missing) return { tool: name, args, error: `${missing} is required` };
+        if (args.symbol !== undefined && !SYMBOL_PATTERN.test(String(args.symbol))) {
+            return { tool: name, args, error: `Invalid symbol: ${args.symbol}` };
+        }
+
+        try {
+            const response = await fetch(`${baseUrl}${tool.path(args)}`, { signal });
+            const body = await response.json();
+            if (!response.ok) return { tool: name, args, error: body.error || body.message || `HTTP ${response.status}` };
+            return { tool: name, args, result: tool.pick(body) };
+        } catch (error) {
+            return { tool: name, args, error: error.message };
+        }
+    }
+
+    return { definitions, run };
+}
+
+module.exports = { createChatTools, MAX_TOOL_ROUNDS };
@@ -0,0 +1,229 @@
+/**
+ * Dividend Analytics
+ * Payment frequency, growth rates, increase streaks and forward income from
+ * the history of cash dividends ({ date, amount } by ex-date)
+ *
+ * Payments far above their neighbours are flagged special and left out of the
+ * frequency, growth and streak figures. A year counts as a raise when its last
+ * regular payment beats the payment made a year before it, so the current,
+ * unfinished year is judged too and ex-dates drifting across New Year do not
+ * read as a raise or cut.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+const SPECIAL_MULTIPLE = 2;
+const GROWTH_YEARS = [1, 3, 5, 10];
+
+const FREQUENCIES = [
+    { label: 'Monthly', perYear: 12, maxGapDays: 45 },
+    { label: 'Quarterly', perYear: 4, maxGapDays: 120 },
+    { label: 'Semi-Annual', perYear: 2, maxGapDays: 240 },
+    { label: 'Annual', perYear: 1, maxGapDays: Infinity }
+];
+
+const DRIP_SCENARIOS = [
+    { id: 'cash', label: 'Cash (no DRIP)', drip: false, priceGrowth: 0 },
+    { id: 'drip-flat', label: 'DRIP, flat price', drip: true, priceGrowth: 0 },
+    { id: 'drip-up', label: 'DRIP, price +10%/yr', drip: true, priceGrowth: 0.1 },
+    { id: 'drip-down', label: 'DRIP, price -10%/yr', drip: true, priceGrowth: -0.1 }
+];
+
+const round = (v, digits = 4) => v === null || v === undefined || !isFinite(v) ? null : Math.round(v * 10 ** digits) / 10 ** digits;
+const dayKey = date => new Date(date).toISOString().split('T')[0];
+
+function median(values) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Sorted copy with a `special` flag: more than SPECIAL_MULTIPLE x the median of the nearby payments
+function markSpecials(events) {
+    const sorted = events
+        .filter(e => e.amount > 0)
+        .map(e => ({ date: new Date(e.date), amount: e.amount }))
+        .sort((a, b) => a.date - b.date);
+
+    return sorted.map((event, i) => {
+        const neighbours = [...sorted.slice(Math.max(0, i - 4), i), ...sorted.slice(i + 1, i + 5)].map(e => e.amount);
+        const reference = median(neighbours);
+        return { ...event, special: reference !== null && event.amount > reference * SPECIAL_MULTIPLE };
+    });
+}
+
+// Frequency from the median gap between the regular payments of the last three years
+function detectFrequency(regular) {
+    if (regular.length < 2) return regular.length ? FREQUENCIES[FREQUENCIES.length - 1] : null;
+
+    const last = regular[regular.length - 1].date.getTime();
+    const recent = regular.filter(e => e.date.getTime() >= last - 3 * YEAR_MS);
+    const sample = recent.length >= 2 ? recent : regular;
+    const gaps = sample.slice(1).map((e, i) => (e.date - sample[i].date) / DAY_MS);
+    const gap = median(gaps);
+
+    return FREQUENCIES.find(f => gap <= f.maxGapDays);
+}
+
+// Sum of the last `perYear` regular payments on or before `at`
+function trailingTotal(regular, perYear, at) {
+    const paid = regular.filter(e => e.date <= at);
+    if (paid.length < perYear) return null;
+    return paid.slice(-perYear).reduce((sum, e) => sum + e.amount, 0);
+}
+
+// Compound annual growth of the trailing annual dividend over 1 / 3 / 5 / 10 years
+function growthRates(regular, perYear) {
+    const rates = {};
+    if (!regular.length) return rates;
+    const anchor = regular[regular.length - 1].date;
+    const current = trailingTotal(regular, perYear, anchor);
+
+    GROWTH_YEARS.forEach(years => {
+        // A few days of slack so last year's payment of the same quarter still counts
+        const then = new Date(anchor.getTime() - years * YEAR_MS + 15 * DAY_MS);
+        const past = trailingTotal(regular, perYear, then);
+        rates[`${years}y`] = current && past ? round((Math.pow(current / past, 1 / years) - 1) * 100, 2) : null;
+    });
+    return rates;
+}
+
+function byYear(events) {
+    const years = new Map();
+    events.forEach(e => {
+        const year = e.date.getUTCFullYear();
+        if (!years.has(year)) years.set(year, { year, total: 0, regular: 0, special: 0, payments: 0, last: null });
+        const entry = years.get(year);
+        entry.total += e.amount;
+        entry[e.special ? 'special' : 'regular'] += e.amount;
+        entry.payments++;
+        if (!e.special) entry.last = e;
+    });
+    return [...years.values()].sort((a, b) => a.year - b.year);
+}
+
+// Regular payment in effect a year before `date`
+function yearEarlier(regular, date) {
+    const then = date.getTime() - YEAR_MS + 15 * DAY_MS;
+    return regular.filter(e => e.date.getTime() <= then).pop() || null;
+}
+
+// Consecutive calendar years (counting back from the latest) with a raise / without a cut
+function streaks(years, regular) {
+    const rated = years.filter(y => y.last);
+    const count = test => {
+        let n = 0;
+        for (let i = rated.length - 1; i > 0; i--) {
+            const previous = yearEarlier(regular, rated[i].last.date);
+            if (rated[i].year !== rated[i - 1].year + 1 || !previous || !test(rated[i].last.amount, previous.amount)) break;
+            n++;
+        }
+        return n;
+    };
+
+    const increase = count((rate, previous) => rate > previous + 1e-9);
+    const noCut = count((rate, previous) => rate >= previous - 1e-9);
+    const latest = rated[rated.length - 1]?.year ?? null;
+    return {
+        increase,
+        increaseSince: increase ? latest - increase : null,
+        noCut,
+        noCutSince: noCut ? latest - noCut : null
+    };
+}
+
+/**
+ * Everything derivable from the dividend history alone.
+ * options: now (marks the current calendar year as partial)
+ */
+function analyzeDividends(history, { now = Date.now() } = {}) {
+    const events = markSpecials(history);
+    const regular = events.filter(e => !e.special);
+    const frequency = detectFrequency(regular);
+    const perYear = frequency?.perYear || 1;
+    const last = regular[regular.length - 1] || null;
+    const currentYear = new Date(now).getUTCFullYear();
+    const years = byYear(events);
+
+    return {
+        events: events.map(e => ({ date: dayKey(e.date), amount: e.amount, special: e.special })),
+        frequency: frequency?.label || null,
+        paymentsPerYear: frequency ? perYear : null,
+        lastPayment: last ? { date: dayKey(last.date), amount: last.amount } : null,
+        forwardAnnual: last ? round(last.amount * perYear) : null,
+        trailingAnnual: last ? round(trailingTotal(regular, perYear, last.date)) : null,
+        annual: years.map(y => ({
+            year: y.year,
+            total: round(y.total),
+            regular: round(y.regular),
+            special: round(y.special),
+            payments: y.payments,
+            partial: y.year === currentYear
+        })),
+        growth: growthRates(regular, perYear),
+        streaks: streaks(years, regular)
+    };
+}
+
+/**
+ * Expected payments over the next `months` at the current rate.
+ * nextExDate (from the calendar) anchors the schedule when it is in the future;
+ * otherwise payments are stepped on from the last one.
+ */
+function projectPayments(analysis, { shares, nextExDate, months = 12, now = Date.now() }) {
+    if (!analysis.lastPayment || !analysis.paymentsPerYear) return [];
+
+    const step = YEAR_MS / analysis.paymentsPerYear;
+    const end = now + months * YEAR_MS / 12;
+    let time = nextExDate && new Date(nextExDate).getTime() > now
+        ? new Date(nextExDate).getTime()
+        : new Date(analysis.lastPayment.date).getTime() + step;
+    while (time <= now) time += step;
+
+    const payments = [];
+    for (; time <= end; time += step) {
+        payments.push({
+            date: dayKey(time),
+            amount: analysis.lastPayment.amount,
+            income: round(analysis.lastPayment.amount * shares, 2)
+        });
+    }
+    return payments;
+}
+
+/**
+ * Income over `years` for each DRIP scenario. The per-share dividend grows at
+ * `dividendGrowth` (percent a year); reinvested payments buy shares at the
+ * scenario's price path.
+ */
+function dripScenarios(analysis, { shares, price, years = 1, dividendGrowth = 0, nextExDate, now = Date.now() }) {
+    const schedule = projectPayments(analysis, { shares, nextExDate, months: years * 12, now });
+
+    return DRIP_SCENARIOS.map(scenario => {
+        let held = shares;
+        let income = 0;
+        schedule.forEach(payment => {
+            const elapsed = (new Date(payment.date).getTime() - now) / YEAR_MS;
+            const amount = payment.amount * Math.pow(1 + dividendGrowth / 100, Math.floor(elapsed));
+            const cash = held * amount;
+            income += cash;
+            if (scenario.drip && price > 0) held += cash / (price * Math.pow(1 + scenario.priceGrowth, elapsed));
+        });
+
+        const endPrice = price * Math.pow(1 + scenario.priceGrowth, years);
+        return {
+            ...scenario,
+            income: round(income, 2),
+            endShares: round(held),
+            endValue: round(held * endPrice, 2),
+            yieldOnCost: price > 0 && shares > 0 ? round(income / years / (shares * price) * 100, 2) : null
+        };
+    });
+}
+
+module.exports = {
+    analyzeDividends,
+    projectPayments,
+    dripScenarios
+};
@@ -0,0 +1,205 @@
+/**
+ * Earnings Intelligence
+ * Surprise history, estimate-revision trend and the price reaction around each report
+ *
+ * Reactions are measured on daily bars against the close before the report:
+ *
+ *   gap     open of the reaction session
+ *   day1    close of the reaction session
+ *   day5    close five sessions in (day20 likewise) - the post-earnings drift
+ *
+ * The reaction session is the report day for pre-market reports and the next
+ * session for after-close reports. When the report time is unknown the session
+ * with the larger gap is taken; when the report date itself is unknown it is
+ * inferred as the heaviest-volume session in the usual reporting window.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PATH_BEFORE = 5;
+const PATH_AFTER = 20;
+const REPORT_WINDOW_DAYS = [10, 80]; // companies report 2-11 weeks after quarter end
+const VOLUME_LOOKBACK = 20;
+
+const round = (v, digits = 2) => v === null || v === undefined || !isFinite(v) ? null : Math.round(v * 10 ** digits) / 10 ** digits;
+const dayKey = date => new Date(date).toISOString().split('T')[0];
+const percentChange = (value, base) => base ? (value / base - 1) * 100 : null;
+const average = values => {
+    const list = values.filter(v => v !== null && v !== undefined);
+    return list.length ? list.reduce((a, b) => a + b, 0) / list.length : null;
+};
+
+/**
+ * Report session from the announcement timestamp, in exchange time:
+ * 'bmo' before the open, 'amc' after the close, 'dmh' during market hours,
+ * 'unknown' when upstream only gives a date (midnight UTC).
+ */
+function earningsTiming(date) {
+    const d = new Date(date);
+    if (isNaN(d) || (d.getUTCHours() === 0 && d.getUTCMinutes() === 0)) return 'unknown';
+
+    const [hour, minute] = d.toLocaleTimeString('en-GB', { timeZone: 'America/New_York', hour12: false })
+        .split(':').map(Number);
+    const minutes = hour * 60 + minute;
+    if (minutes < 9 * 60 + 30) return 'bmo';
+    if (minutes >= 16 * 60) return 'amc';
+    return 'dmh';
+}
+
+// Session with the largest volume spike (vs the trailing average) in the reporting window after quarter end
+function inferReportDate(bars, quarterEnd) {
+    const start = new Date(quarterEnd).getTime() + REPORT_WINDOW_DAYS[0] * DAY_MS;
+    const end = new Date(quarterEnd).getTime() + REPORT_WINDOW_DAYS[1] * DAY_MS;
+    let best = null;
+
+    bars.forEach((bar, i) => {
+        const time = new Date(bar.date).getTime();
+        if (time < start || time > end || i < VOLUME_LOOKBACK) return;
+        const baseline = average(bars.slice(i - VOLUME_LOOKBACK, i).map(b => b.volume));
+        const ratio = baseline ? bar.volume / baseline : 0;
+        if (!best || ratio > best.ratio) best = { index: i, ratio };
+    });
+
+    // The spike marks the reaction session rather than the announcement itself
+    return best ? dayKey(bars[best.index].date) : null;
+}
+
+function measureAt(bars, index) {
+    const previous = bars[index - 1].close;
+    const closeAfter = n => bars[index + n - 1] ? round(percentChange(bars[index + n - 1].close, previous)) : null;
+    const baseline = average(bars.slice(Math.max(0, index - VOLUME_LOOKBACK), index).map(b => b.volume));
+
+    const path = [];
+    for (let offset = -PATH_BEFORE; offset <= PATH_AFTER; offset++) {
+        const bar = bars[index + offset];
+        if (bar && index + offset >= 0) {
+            path.push({ offset, date: dayKey(bar.date), change: round(percentChange(bar.close, previous)) });
+        }
+    }
+
+    return {
+        reactionDate: dayKey(bars[index].date),
+        previousClose: previous,
+        gapPercent: round(percentChange(bars[index].open, previous)),
+        day1: closeAfter(1),
+        day5: closeAfter(5),
+        day20: closeAfter(20),
+        volumeRatio: baseline ? round(bars[index].volume / baseline) : null,
+        path
+    };
+}
+
+/**
+ * Price reaction to one report. bars: daily bars in date order.
+ * Returns null when the bars do not cover the report.
+ */
+function measureReaction(bars, reportDate, timing = 'unknown') {
+    const day = dayKey(reportDate);
+    const index = bars.findIndex(b => dayKey(b.date) >= day);
+    if (index === -1) return null;
+
+    // A report on a non-trading day reacts on the next session regardless of timing
+    const sameDay = dayKey(bars[index].date) === day;
+    let candidates;
+    if (!sameDay || timing === 'bmo' || timing === 'dmh') candidates = [index];
+    else if (timing === 'amc') candidates = [index + 1];
+    else candidates = [index, index + 1];
+
+    const reactions = candidates
+        .filter(i => i >= 1 && i < bars.length)
+        .map(i => measureAt(bars, i));
+    if (!reactions.length) return null;
+
+    return reactions.reduce((best, r) => Math.abs(r.gapPercent) > Math.abs(best.gapPercent) ? r : best);
+}
+
+/**
+ * History rows from the provider with surprises and, when bars are given, the reaction.
+ * Newest quarter first.
+ */
+function buildHistory(history, bars = []) {
+    return history
+        .map(h => {
+            let reportDate = h.reportDate;
+            let reportDateSource = 'reported';
+            if (!reportDate && bars.length) {
+                reportDate = inferReportDate(bars, h.quarter);
+                reportDateSource = reportDate ? 'inferred' : null;
+            }
+            const timing = h.reportDate ? earningsTiming(h.reportDate) : 'unknown';
+            // An inferred date is already the reaction session
+            const reactionTiming = reportDateSource === 'inferred' ? 'bmo' : timing;
+            const epsSurprise = h.epsActual !== null && h.epsEstimate !== null ? h.epsActual - h.epsEstimate : null;
+
+            return {
+                quarter: dayKey(h.quarter),
+                reportDate: reportDate ? dayKey(reportDate) : null,
+                reportDateSource: reportDate ? reportDateSource : null,
+                timing,
+                epsActual: h.epsActual,
+                epsEstimate: h.epsEstimate,
+                epsSurprise: round(epsSurprise, 4),
+                epsSurprisePercent: epsSurprise !== null && h.epsEstimate ? round(epsSurprise / Math.abs(h.epsEstimate) * 100) : null,
+                revenueActual: h.revenueActual,
+                revenueEstimate: h.revenueEstimate,
+                revenueSurprisePercent: h.revenueActual && h.revenueEstimate
+                    ? round(percentChange(h.revenueActual, h.revenueEstimate))
+                    : null,
+                reaction: reportDate && bars.length ? measureReaction(bars, reportDate, reactionTiming) : null
+            };
+        })
+        .sort((a, b) => b.quarter.localeCompare(a.quarter));
+}
+
+// How consensus EPS moved over the last 7 / 30 / 90 days, per forecast period
+function revisionTrend(trend) {
+    return trend.map(t => {
+        const { current, days7, days30, days90 } = t.epsTrend || {};
+        const change = from => current !== null && current !== undefined && from ? round(percentChange(current, from)) : null;
+        const up = t.revisions?.up30 || 0;
+        const down = t.revisions?.down30 || 0;
+        const change30 = change(days30);
+
+        let direction = 'flat';
+        if (change30 > 0.5 || (change30 === null && up > down)) direction = 'up';
+        else if (change30 < -0.5 || (change30 === null && down > up)) direction = 'down';
+
+        return {
+            period: t.period,
+            endDate: t.endDate ? dayKey(t.endDate) : null,
+            epsEstimate: t.epsEstimate,
+            revenueEstimate: t.revenueEstimate,
+            analysts: t.analysts ?? null,
+            change7: change(days7),
+            change30,
+            change90: change(days90),
+            revisions: t.revisions || null,
+            direction
+        };
+    });
+}
+
+// Beat rate and average surprise / reaction across the history
+function summarize(history) {
+    const withEps = history.filter(h => h.epsSurprise !== null);
+    const reactions = history.map(h => h.reaction).filter(Boolean);
+
+    return {
+        quarters: history.length,
+        beatRate: withEps.length ? round(withEps.filter(h => h.epsSurprise > 0).length / withEps.length * 100, 0) : null,
+        avgEpsSurprisePercent: round(average(history.map(h => h.epsSurprisePercent))),
+        avgRevenueSurprisePercent: round(average(history.map(h => h.revenueSurprisePercent))),
+        avgGapPercent: round(average(reactions.map(r => r.gapPercent))),
+        avgAbsMovePercent: round(average(reactions.map(r => r.day1 === null ? null : Math.abs(r.day1)))),
+        avgDrift5: round(average(reactions.map(r => r.day5))),
+        avgDrift20: round(average(reactions.map(r => r.day20)))
+    };
+}
+
+module.exports = {
+    earningsTiming,
+    inferReportDate,
+    measureReaction,
+    buildHistory,
+    revisionTrend,
+    summarize
+};
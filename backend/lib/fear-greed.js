@@ -0,0 +1,144 @@
+/**
+ * Fear & Greed Index
+ * Composite market sentiment score (0 = extreme fear, 100 = extreme greed)
+ *
+ * Six components, each read daily:
+ *
+ *   volatility  VIX vs its 50-day average (%)
+ *   momentum    S&P 500 vs its 125-day average (%)
+ *   putCall     put / call volume ratio across the options universe
+ *   highsLows   net new 52-week highs, % of the breadth universe
+ *   safeHaven   20-day return of stocks (SPY) minus Treasuries (TLT)
+ *   junkBond    20-day return of high yield (HYG) minus investment grade (LQD)
+ *
+ * A component scores 50 + 25 * z, where z places today's reading among its
+ * own last year of readings (sign flipped where a higher reading means fear),
+ * clamped to 0-100. Until a component has MIN_HISTORY readings it is scored
+ * linearly between its fixed fear and greed levels instead. The composite is
+ * the mean of the components available that day.
+ */
+
+const indicators = require('./indicators');
+
+const HISTORY_WINDOW = 252;
+const MIN_HISTORY = 60;
+const MIN_COMPONENTS = 3;
+const RETURN_PERIOD = 20;
+
+const COMPONENTS = [
+    { id: 'volatility', label: 'Market Volatility', unit: '%', fear: 25, greed: -25 },
+    { id: 'momentum', label: 'Market Momentum', unit: '%', fear: -8, greed: 8 },
+    { id: 'putCall', label: 'Put/Call Options', unit: 'ratio', fear: 1.2, greed: 0.6 },
+    { id: 'highsLows', label: 'Stock Price Strength', unit: '%', fear: -20, greed: 20 },
+    { id: 'safeHaven', label: 'Safe Haven Demand', unit: '%', fear: -6, greed: 6 },
+    { id: 'junkBond', label: 'Junk Bond Demand', unit: '%', fear: -2, greed: 2 }
+];
+
+const LABELS = [
+    { max: 25, label: 'Extreme Fear' },
+    { max: 45, label: 'Fear' },
+    { max: 55, label: 'Neutral' },
+    { max: 75, label: 'Greed' },
+    { max: Infinity, label: 'Extreme Greed' }
+];
+
+const round = (v, digits = 2) => v === null || v === undefined || !isFinite(v) ? null : Math.round(v * 10 ** digits) / 10 ** digits;
+const dayKey = date => new Date(date).toISOString().split('T')[0];
+const clamp = v => Math.max(0, Math.min(100, v));
+
+function labelOf(score) {
+    return score === null ? null : LABELS.find(l => score < l.max).label;
+}
+
+// Close vs its `period`-day SMA, in percent, keyed by date
+function distanceFromAverage(bars, period) {
+    const closes = bars.map(b => b.close);
+    const average = indicators.sma(closes, period);
+    const series = new Map();
+    bars.forEach((bar, i) => {
+        if (average[i]) series.set(dayKey(bar.date), (bar.close / average[i] - 1) * 100);
+    });
+    return series;
+}
+
+// RETURN_PERIOD-day return of `bars` minus that of `otherBars`, on common dates
+function relativeReturn(bars, otherBars) {
+    const returns = list => {
+        const map = new Map();
+        list.forEach((bar, i) => {
+            if (i >= RETURN_PERIOD) map.set(dayKey(bar.date), (bar.close / list[i - RETURN_PERIOD].close - 1) * 100);
+        });
+        return map;
+    };
+    const a = returns(bars);
+    const b = returns(otherBars);
+    const series = new Map();
+    a.forEach((value, date) => {
+        if (b.has(date)) series.set(date, value - b.get(date));
+    });
+    return series;
+}
+
+/**
+ * Raw component readings keyed by date.
+ * inputs: daily bars { vix, sp500, spy, tlt, hyg, lqd }, breadth days (lib/breadth)
+ * and putCall (Map date -> ratio)
+ */
+function readings({ vix = [], sp500 = [], spy = [], tlt = [], hyg = [], lqd = [], breadth = [], putCall = new Map() }) {
+    const highsLows = new Map();
+    breadth.forEach(day => {
+        if (day.netNewHighs !== null && day.members) highsLows.set(day.date, day.netNewHighs / day.members * 100);
+    });
+
+    return {
+        volatility: distanceFromAverage(vix, 50),
+        momentum: distanceFromAverage(sp500, 125),
+        putCall,
+        highsLows,
+        safeHaven: relativeReturn(spy, tlt),
+        junkBond: relativeReturn(hyg, lqd)
+    };
+}
+
+// 0-100 sub-score of `value` given the component's earlier readings
+function subScore(component, value, history) {
+    const direction = component.greed > component.fear ? 1 : -1;
+    if (history.length >= MIN_HISTORY) {
+        const mean = history.reduce((a, b) => a + b, 0) / history.length;
+        const sd = Math.sqrt(history.reduce((sum, v) => sum + (v - mean) ** 2, 0) / history.length);
+        if (sd > 0) return clamp(50 + 25 * direction * (value - mean) / sd);
+    }
+    return clamp((value - component.fear) / (component.greed - component.fear) * 100);
+}
+
+/**
+ * Daily composite from raw readings (see readings()), oldest first.
+ * Days with fewer than MIN_COMPONENTS components are left out.
+ */
+function compose(raw) {
+    const dates = [...new Set(Object.values(raw).flatMap(series => [...series.keys()]))].sort();
+    const seen = Object.fromEntries(COMPONENTS.map(c => [c.id, []]));
+
+    return dates
+        .map(date => {
+            const components = {};
+            COMPONENTS.forEach(component => {
+                const value = raw[component.id]?.get(date);
+                if (value === undefined || value === null) return;
+                const history = seen[component.id];
+                components[component.id] = {
+                    value: round(value),
+                    score: round(subScore(component, value, history.slice(-HISTORY_WINDOW)), 0)
+                };
+                history.push(value);
+            });
+
+            const scores = Object.values(components).map(c => c.score);
+            if (scores.length < MIN_COMPONENTS) return null;
+            const score = round(scores.reduce((a, b) => a + b, 0) / scores.length, 0);
+            return { date, score, label: labelOf(score), components };
+        })
+        .filter(Boolean);
+}
+
+module.exports = { COMPONENTS, readings, compose, labelOf };
@@ -0,0 +1,15 @@
+/**
+ * HttpError
+ * Thrown by backend modules for failures that map to a client-facing status
+ * (bad input, unknown id); route handlers send error.status instead of 500.
+ */
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+module.exports = HttpError;
@@ -0,0 +1,339 @@
+/**
+ * Technical Indicators
+ * One implementation of every indicator, shared by the backend routes and the browser
+ *
+ * Every function takes plain number arrays and returns arrays aligned with its
+ * input: result[i] is the indicator on bar i, null until enough bars exist.
+ * Smoothing follows the usual references (Wilder for RSI / ATR / ADX, SMA-seeded
+ * EMAs), so values match charting platforms rather than shortcuts.
+ *
+ * Node:    const indicators = require('./lib/indicators');
+ * Browser: <script src="js/indicators.js"></script>  → window.Indicators
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Indicators = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const isNum = v => v !== null && v !== undefined && !Number.isNaN(v);
+    const firstIndex = values => values.findIndex(isNum);
+
+    // ===================================
+    // Moving Averages
+    // ===================================
+    function sma(values, period) {
+        const out = new Array(values.length).fill(null);
+        let sum = 0;
+        let valid = 0;
+        for (let i = 0; i < values.length; i++) {
+            if (isNum(values[i])) { sum += values[i]; valid++; }
+            if (i >= period) {
+                const dropped = values[i - period];
+                if (isNum(dropped)) { sum -= dropped; valid--; }
+            }
+            if (i >= period - 1 && valid === period) out[i] = sum / period;
+        }
+        return out;
+    }
+
+    // Seeded with the SMA of the first `period` values; leading nulls are skipped
+    function ema(values, period) {
+        const out = new Array(values.length).fill(null);
+        const start = firstIndex(values);
+        if (start === -1 || values.length - start < period) return out;
+
+        const k = 2 / (period + 1);
+        let value = 0;
+        for (let i = start; i < start + period; i++) value += values[i];
+        value /= period;
+        out[start + period - 1] = value;
+
+        for (let i = start + period; i < values.length; i++) {
+            value = values[i] * k + value * (1 - k);
+            out[i] = value;
+        }
+        return out;
+    }
+
+    // Wilder's smoothing (RMA): alpha = 1 / period, seeded with an SMA
+    function wilder(values, period) {
+        const out = new Array(values.length).fill(null);
+        const start = firstIndex(values);
+        if (start === -1 || values.length - start < period) return out;
+
+        let value = 0;
+        for (let i = start; i < start + period; i++) value += values[i];
+        value /= period;
+        out[start + period - 1] = value;
+
+        for (let i = start + period; i < values.length; i++) {
+            value = (value * (period - 1) + values[i]) / period;
+            out[i] = value;
+        }
+        return out;
+    }
+
+    function highest(values, period) {
+        return values.map((_, i) => i < period - 1 ? null : Math.max(...values.slice(i - period + 1, i + 1)));
+    }
+
+    function lowest(values, period) {
+        return values.map((_, i) => i < period - 1 ? null : Math.min(...values.slice(i - period + 1, i + 1)));
+    }
+
+    // ===================================
+    // Momentum
+    // ===================================
+    function rsi(closes, period = 14) {
+        const gains = closes.map((c, i) => i === 0 ? null : Math.max(c - closes[i - 1], 0));
+        const losses = closes.map((c, i) => i === 0 ? null : Math.max(closes[i - 1] - c, 0));
+        const avgGain = wilder(gains, period);
+        const avgLoss = wilder(losses, period);
+
+        return closes.map((_, i) => {
+            if (avgGain[i] === null) return null;
+            if (avgLoss[i] === 0) return avgGain[i] === 0 ? 50 : 100;
+            return 100 - 100 / (1 + avgGain[i] / avgLoss[i]);
+        });
+    }
+
+    function macd(closes, fast = 12, slow = 26, signalPeriod = 9) {
+        const fastEma = ema(closes, fast);
+        const slowEma = ema(closes, slow);
+        const line = closes.map((_, i) => fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null);
+        const signal = ema(line, signalPeriod);
+        const histogram = line.map((m, i) => m !== null && signal[i] !== null ? m - signal[i] : null);
+        return { macd: line, signal, histogram };
+    }
+
+    // %K over kPeriod (optionally smoothed: slow stochastic uses smooth = 3), %D = SMA(%K, dPeriod)
+    function stochastic(highs, lows, closes, kPeriod = 14, dPeriod = 3, smooth = 1) {
+        const hh = highest(highs, kPeriod);
+        const ll = lowest(lows, kPeriod);
+        const raw = closes.map((c, i) => {
+            if (hh[i] === null) return null;
+            const range = hh[i] - ll[i];
+            return range === 0 ? 50 : (c - ll[i]) / range * 100;
+        });
+        const k = smooth > 1 ? sma(raw, smooth) : raw;
+        return { k, d: sma(k, dPeriod) };
+    }
+
+    // ===================================
+    // Volatility
+    // ===================================
+
+    // Population standard deviation, as in Bollinger's definition
+    function bollinger(closes, period = 20, multiplier = 2) {
+        const middle = sma(closes, period);
+        const upper = [];
+        const lower = [];
+        closes.forEach((_, i) => {
+            if (middle[i] === null) {
+                upper.push(null);
+                lower.push(null);
+                return;
+            }
+            const slice = closes.slice(i - period + 1, i + 1);
+            const variance = slice.reduce((sum, v) => sum + Math.pow(v - middle[i], 2), 0) / period;
+            const std = Math.sqrt(variance);
+            upper.push(middle[i] + multiplier * std);
+            lower.push(middle[i] - multiplier * std);
+        });
+        return { upper, middle, lower };
+    }
+
+    // Bar 0 has no previous close, so its true range is left null
+    function trueRange(highs, lows, closes) {
+        return closes.map((_, i) => i === 0 ? null : Math.max(
+            highs[i] - lows[i],
+            Math.abs(highs[i] - closes[i - 1]),
+            Math.abs(lows[i] - closes[i - 1])
+        ));
+    }
+
+    function atr(highs, lows, closes, period = 14) {
+        return wilder(trueRange(highs, lows, closes), period);
+    }
+
+    function keltner(highs, lows, closes, period = 20, multiplier = 2, atrPeriod = 10) {
+        const middle = ema(closes, period);
+        const range = atr(highs, lows, closes, atrPeriod);
+        return {
+            upper: middle.map((m, i) => m !== null && range[i] !== null ? m + multiplier * range[i] : null),
+            middle,
+            lower: middle.map((m, i) => m !== null && range[i] !== null ? m - multiplier * range[i] : null)
+        };
+    }
+
+    function donchian(highs, lows, period = 20) {
+        const upper = highest(highs, period);
+        const lower = lowest(lows, period);
+        return {
+            upper,
+            middle: upper.map((u, i) => u !== null ? (u + lower[i]) / 2 : null),
+            lower
+        };
+    }
+
+    // ===================================
+    // Trend
+    // ===================================
+
+    // Wilder's ADX with +DI / -DI; first ADX lands on bar 2 * period - 1
+    function adx(highs, lows, closes, period = 14) {
+        const n = closes.length;
+        const plusDI = new Array(n).fill(null);
+        const minusDI = new Array(n).fill(null);
+        const adxLine = new Array(n).fill(null);
+        if (n <= period) return { adx: adxLine, plusDI, minusDI };
+
+        const tr = trueRange(highs, lows, closes);
+        const plusDM = [null];
+        const minusDM = [null];
+        for (let i = 1; i < n; i++) {
+            const up = highs[i] - highs[i - 1];
+            const down = lows[i - 1] - lows[i];
+            plusDM.push(up > down && up > 0 ? up : 0);
+            minusDM.push(down > up && down > 0 ? down : 0);
+        }
+
+        // Wilder sums: seeded with the first `period` values, then S - S/period + x
+        let sTR = 0;
+        let sPlus = 0;
+        let sMinus = 0;
+        const dx = new Array(n).fill(null);
+        for (let i = 1; i < n; i++) {
+            if (i <= period) {
+                sTR += tr[i];
+                sPlus += plusDM[i];
+                sMinus += minusDM[i];
+                if (i < period) continue;
+            } else {
+                sTR = sTR - sTR / period + tr[i];
+                sPlus = sPlus - sPlus / period + plusDM[i];
+                sMinus = sMinus - sMinus / period + minusDM[i];
+            }
+            plusDI[i] = sTR === 0 ? 0 : sPlus / sTR * 100;
+            minusDI[i] = sTR === 0 ? 0 : sMinus / sTR * 100;
+            const total = plusDI[i] + minusDI[i];
+            dx[i] = total === 0 ? 0 : Math.abs(plusDI[i] - minusDI[i]) / total * 100;
+        }
+
+        const smoothed = wilder(dx, period);
+        smoothed.forEach((v, i) => { adxLine[i] = v; });
+        return { adx: adxLine, plusDI, minusDI };
+    }
+
+    /**
+     * Ichimoku Kinko Hyo. spanA / spanB are the values computed on bar i, which a
+     * chart draws `displacement` bars ahead; lagging[i] is the close plotted on bar i
+     * (the close from `displacement` bars later).
+     */
+    function ichimoku(highs, lows, closes, options = {}) {
+        const { conversion = 9, base = 26, spanB = 52, displacement = 26 } = options;
+        const midpoint = period => {
+            const hh = highest(highs, period);
+            const ll = lowest(lows, period);
+            return hh.map((h, i) => h !== null ? (h + ll[i]) / 2 : null);
+        };
+
+        const conversionLine = midpoint(conversion);
+        const baseLine = midpoint(base);
+        return {
+            conversion: conversionLine,
+            base: baseLine,
+            spanA: conversionLine.map((c, i) => c !== null && baseLine[i] !== null ? (c + baseLine[i]) / 2 : null),
+            spanB: midpoint(spanB),
+            lagging: closes.map((_, i) => i + displacement < closes.length ? closes[i + displacement] : null),
+            displacement
+        };
+    }
+
+    // ===================================
+    // Volume
+    // ===================================
+    function obv(closes, volumes) {
+        const out = [];
+        let total = 0;
+        closes.forEach((c, i) => {
+            if (i > 0) {
+                if (c > closes[i - 1]) total += volumes[i] || 0;
+                else if (c < closes[i - 1]) total -= volumes[i] || 0;
+            }
+            out.push(total);
+        });
+        return out;
+    }
+
+    // Cumulative VWAP of the typical price; pass session keys (e.g. trade dates) to reset daily
+    function vwap(highs, lows, closes, volumes, sessions = null) {
+        let pv = 0;
+        let vol = 0;
+        return closes.map((c, i) => {
+            if (sessions && i > 0 && sessions[i] !== sessions[i - 1]) {
+                pv = 0;
+                vol = 0;
+            }
+            const volume = volumes[i] || 0;
+            pv += (highs[i] + lows[i] + c) / 3 * volume;
+            vol += volume;
+            return vol > 0 ? pv / vol : null;
+        });
+    }
+
+    // ===================================
+    // Latest-value helpers
+    // ===================================
+
+    // Last non-null value of a series (fallback when there is none)
+    function latest(series, fallback = null) {
+        for (let i = series.length - 1; i >= 0; i--) {
+            if (isNum(series[i])) return series[i];
+        }
+        return fallback;
+    }
+
+    // Current MACD reading with trend and whether the last bar crossed the signal line
+    function macdSummary(closes, fast = 12, slow = 26, signalPeriod = 9) {
+        const { macd: line, signal, histogram } = macd(closes, fast, slow, signalPeriod);
+        const n = closes.length;
+        const current = histogram[n - 1] ?? null;
+        const previous = histogram[n - 2] ?? null;
+
+        return {
+            macd: line[n - 1] ?? 0,
+            signal: signal[n - 1] ?? 0,
+            histogram: current ?? 0,
+            trend: current !== null && current > 0 ? 'bullish' : 'bearish',
+            crossover: current !== null && previous !== null && (current > 0) !== (previous > 0)
+        };
+    }
+
+    return {
+        sma,
+        ema,
+        wilder,
+        highest,
+        lowest,
+        rsi,
+        macd,
+        stochastic,
+        bollinger,
+        trueRange,
+        atr,
+        keltner,
+        donchian,
+        adx,
+        ichimoku,
+        obv,
+        vwap,
+        latest,
+        macdSummary
+    };
+});
@@ -0,0 +1,66 @@
+/**
+ * JSON File Store
+ * Small persistent document store for server-side state (portfolios, alerts, ...)
+ *
+ * Each store is one JSON file under STOCKIFY_DATA_DIR (default: backend/data).
+ * Reads are served from memory; writes go to a temp file and are renamed into place.
+ * A file that no longer parses is moved aside to <name>.json.corrupt, never overwritten.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DATA_DIR = process.env.STOCKIFY_DATA_DIR || path.join(__dirname, '..', 'data');
+
+function createJsonStore(name, defaults = {}) {
+    const file = path.join(DATA_DIR, `${name}.json`);
+    let data = null;
+
+    function load() {
+        if (data) return data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            // Anything but a missing or unparseable file (permissions, EISDIR, ...)
+            // must not let the next save() replace data we could not read
+            if (e.code !== 'ENOENT' && !(e instanceof SyntaxError)) throw e;
+            if (e instanceof SyntaxError) {
+                // Keep the damaged file for recovery instead of saving over it
+                const corrupt = `${file}.corrupt`;
+                fs.renameSync(file, corrupt);
+                console.error(`[Store] Could not parse ${file}, moved it to ${corrupt}:`, e.message);
+            }
+            data = JSON.parse(JSON.stringify(defaults));
+        }
+        return data;
+    }
+
+    function save() {
+        fs.mkdirSync(DATA_DIR, { recursive: true });
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, file);
+    }
+
+    return {
+        file,
+
+        read() {
+            return load();
+        },
+
+        // Mutate the document in place and persist it; returns fn's result
+        update(fn) {
+            const result = fn(load());
+            save();
+            return result;
+        }
+    };
+}
+
+// Short random ids for stored records
+function createId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+module.exports = { createJsonStore, createId, DATA_DIR };
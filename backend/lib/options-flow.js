@@ -0,0 +1,237 @@
+/**
+ * Options Flow Tape
+ * Turns successive options-chain snapshots into a per-day tape of prints
+ *
+ * Upstream only reports cumulative day volume per contract, so each poll is
+ * diffed against the previous snapshot: the volume added since then becomes
+ * one print, priced at the contract's last trade. Prints are classified
+ *
+ *   sweep    aggressive fill (at / through the ask or bid) worth SWEEP_PREMIUM+
+ *   block    SWEEP_SIZE+ contracts filled between the bid and ask
+ *   regular  everything else
+ *
+ * and tagged opening / closing from open interest: day volume above OI, or OI
+ * growing since the last snapshot, means new positions; shrinking OI means closes.
+ * The first snapshot of a session books the day volume so far as one print.
+ *
+ * Snapshots live in the `options-flow` store; prints in one store per trading
+ * day (`options-flow-YYYY-MM-DD`, New York date). When a new session starts,
+ * day stores older than RETENTION_DAYS are deleted and contracts not seen for
+ * SNAPSHOT_DAYS (expired or dropped from the chain) leave the snapshot.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createJsonStore, createId, DATA_DIR } = require('./json-store');
+
+const MIN_PRINT_SIZE = 10;
+const SWEEP_PREMIUM = 50000;
+const SWEEP_SIZE = 500;
+const UNUSUAL_VOLUME_OI = 0.3; // day volume above 30% of OI marks the contract unusual
+const RETENTION_DAYS = 30; // days of tape the tape / premium routes can page back through
+const SNAPSHOT_DAYS = 5; // covers weekends and holidays between sessions
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DAY_FILE = /^options-flow-(\d{4}-\d{2}-\d{2})\.json$/;
+
+// Trading day of a timestamp in exchange time
+function tradingDay(time = Date.now()) {
+    return new Date(time).toLocaleDateString('en-CA', { timeZone: 'America/New_York' });
+}
+
+function sideOf(contract) {
+    const { lastPrice, bid, ask } = contract;
+    if (ask > 0 && lastPrice >= ask) return 'ask';
+    if (bid > 0 && lastPrice <= bid) return 'bid';
+    return 'mid';
+}
+
+function classify(size, premium, side) {
+    if (side !== 'mid' && premium >= SWEEP_PREMIUM) return 'sweep';
+    if (size >= SWEEP_SIZE) return 'block';
+    return 'regular';
+}
+
+function positionEffect(contract, previous) {
+    if (contract.volume > contract.openInterest) return 'opening';
+    if (previous && contract.openInterest > previous.openInterest) return 'opening';
+    if (previous && contract.openInterest < previous.openInterest) return 'closing';
+    return 'unknown';
+}
+
+// Buying calls / selling puts is bullish, the reverse bearish
+function sentimentOf(type, side) {
+    if (side === 'mid') return 'neutral';
+    const bought = side === 'ask';
+    return (type === 'CALL') === bought ? 'bullish' : 'bearish';
+}
+
+function createFlowTape({ snapshotStore = createJsonStore('options-flow', { contracts: {} }) } = {}) {
+    const dayStores = new Map(); // days recorded since the last prune
+    let prunedDay = null;
+
+    function dayStore(day) {
+        if (!dayStores.has(day)) {
+            dayStores.set(day, createJsonStore(`options-flow-${day}`, { date: day, prints: [] }));
+        }
+        return dayStores.get(day);
+    }
+
+    // Past days are read from disk on request rather than kept in memory
+    function readDay(day) {
+        return (dayStores.get(day) || createJsonStore(`options-flow-${day}`, { date: day, prints: [] })).read();
+    }
+
+    function prune(now) {
+        const today = tradingDay(now);
+        const oldestDay = tradingDay(now - RETENTION_DAYS * DAY_MS);
+
+        snapshotStore.update(({ contracts }) => {
+            Object.keys(contracts)
+                .filter(key => contracts[key].time < now - SNAPSHOT_DAYS * DAY_MS)
+                .forEach(key => delete contracts[key]);
+        });
+        [...dayStores.keys()].filter(day => day !== today).forEach(day => dayStores.delete(day));
+
+        if (!fs.existsSync(DATA_DIR)) return;
+        fs.readdirSync(DATA_DIR).forEach(file => {
+            const match = file.match(DAY_FILE);
+            if (match && match[1] < oldestDay) fs.rmSync(path.join(DATA_DIR, file), { force: true });
+        });
+    }
+
+    /**
+     * Diff one chain snapshot against the last one seen and store the new prints.
+     * Returns the prints recorded by this call.
+     */
+    function record(chain, now = Date.now()) {
+        const day = tradingDay(now);
+        const spot = chain.underlyingPrice || 0;
+        const prints = [];
+        if (day !== prunedDay) {
+            prunedDay = day;
+            prune(now);
+        }
+
+        snapshotStore.update(({ contracts }) => {
+            chain.expirations.forEach(expiration => {
+                [['CALL', expiration.calls], ['PUT', expiration.puts]].forEach(([type, list]) => {
+                    (list || []).forEach(contract => {
+                        const key = contract.contractSymbol || `${chain.symbol}-${type}-${contract.strike}-${expiration.expirationDate}`;
+                        const previous = contracts[key];
+                        // Cumulative volume restarts every session
+                        const baseline = previous && previous.day === day && contract.volume >= previous.volume
+                            ? previous.volume
+                            : 0;
+                        const size = (contract.volume || 0) - baseline;
+
+                        if (size >= MIN_PRINT_SIZE && contract.lastPrice > 0) {
+                            const side = sideOf(contract);
+                            const premium = Math.round(size * contract.lastPrice * 100);
+                            prints.push({
+                                id: createId('print'),
+                                time: now,
+                                symbol: chain.symbol,
+                                contract: key,
+                                type,
+                                strike: contract.strike,
+                                expiration: new Date(expiration.expirationDate).toISOString().split('T')[0],
+                                size,
+                                price: contract.lastPrice,
+                                premium,
+                                side,
+                                classification: classify(size, premium, side),
+                                effect: positionEffect(contract, previous),
+                                sentiment: sentimentOf(type, side),
+                                dayVolume: contract.volume,
+                                openInterest: contract.openInterest || 0,
+                                iv: contract.impliedVolatility || 0,
+                                spot,
+                                unusual: contract.volume > (contract.openInterest || 1) * UNUSUAL_VOLUME_OI
+                            });
+                        }
+
+                        contracts[key] = {
+                            day,
+                            volume: contract.volume || 0,
+                            openInterest: contract.openInterest || 0,
+                            time: now
+                        };
+                    });
+                });
+            });
+        });
+
+        if (prints.length) dayStore(day).update(data => data.prints.push(...prints));
+        return prints;
+    }
+
+    /**
+     * Prints of one day, newest first.
+     * filters: symbol, type (CALL|PUT), classification, before (print id, for paging), limit
+     */
+    function tape({ date = tradingDay(), symbol, type, classification, before, limit = 50 } = {}) {
+        let prints = readDay(date).prints.slice().reverse();
+        if (symbol) prints = prints.filter(p => p.symbol === symbol);
+        if (type) prints = prints.filter(p => p.type === type);
+        if (classification) prints = prints.filter(p => p.classification === classification);
+
+        const total = prints.length;
+        if (before) {
+            const index = prints.findIndex(p => p.id === before);
+            prints = index === -1 ? [] : prints.slice(index + 1);
+        }
+        const page = prints.slice(0, limit);
+
+        return {
+            date,
+            total,
+            prints: page,
+            nextBefore: prints.length > limit ? page[page.length - 1].id : null
+        };
+    }
+
+    // Running call vs put premium through the day, per ticker and overall
+    function premium({ date = tradingDay(), symbol } = {}) {
+        const prints = readDay(date).prints.filter(p => !symbol || p.symbol === symbol);
+
+        const bySymbol = {};
+        const timeline = [];
+        let callPremium = 0;
+        let putPremium = 0;
+        let bullishPremium = 0;
+        let bearishPremium = 0;
+
+        prints.forEach(p => {
+            const entry = bySymbol[p.symbol] || (bySymbol[p.symbol] = { symbol: p.symbol, callPremium: 0, putPremium: 0, prints: 0 });
+            entry[p.type === 'CALL' ? 'callPremium' : 'putPremium'] += p.premium;
+            entry.prints++;
+
+            if (p.type === 'CALL') callPremium += p.premium;
+            else putPremium += p.premium;
+            if (p.sentiment === 'bullish') bullishPremium += p.premium;
+            if (p.sentiment === 'bearish') bearishPremium += p.premium;
+
+            const last = timeline[timeline.length - 1];
+            if (last && last.time === p.time) {
+                last.callPremium = callPremium;
+                last.putPremium = putPremium;
+            } else {
+                timeline.push({ time: p.time, callPremium, putPremium });
+            }
+        });
+
+        return {
+            date,
+            callPremium,
+            putPremium,
+            bullishPremium,
+            bearishPremium,
+            symbols: Object.values(bySymbol).sort((a, b) => (b.callPremium + b.putPremium) - (a.callPremium + a.putPremium)),
+            timeline
+        };
+    }
+
+    return { record, tape, premium, tradingDay };
+}
+
+module.exports = { createFlowTape, tradingDay };
@@ -0,0 +1,234 @@
+/**
+ * Options Analytics
+ * Black-Scholes Greeks, implied-volatility surface, max pain, open-interest walls
+ * and straddle-implied expected moves for a full options chain
+ *
+ * Chains use the provider shape: { underlyingPrice, expirations: [{ expirationDate, calls, puts }] }.
+ * Time to expiry is measured to the 16:00 ET close of the expiration date.
+ */
+
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const EXPIRY_CLOSE_MS = 20 * 60 * 60 * 1000; // 16:00 ET ~ 20:00 UTC on the expiration date
+const MIN_TIME = 1 / (365 * 24); // one hour, keeps Greeks finite on expiration day
+const DEFAULT_RATE = 0.045;
+
+// ===================================
+// Black-Scholes
+// ===================================
+
+// Abramowitz-Stegun approximation of the standard normal CDF (error < 7.5e-8)
+function normCdf(x) {
+    const t = 1 / (1 + 0.2316419 * Math.abs(x));
+    const poly = t * (0.319381530 + t * (-0.356563782 + t * (1.781477937 + t * (-1.821255978 + t * 1.330274429))));
+    const p = 1 - normPdf(x) * poly;
+    return x >= 0 ? p : 1 - p;
+}
+
+function normPdf(x) {
+    return Math.exp(-x * x / 2) / Math.sqrt(2 * Math.PI);
+}
+
+/**
+ * Price and Greeks of a European option.
+ * type 'call' | 'put'; S spot, K strike, T years, r rate, q dividend yield, sigma volatility.
+ * theta is per calendar day, vega and rho per 1 percentage point.
+ */
+function blackScholes({ type, S, K, T, r = DEFAULT_RATE, q = 0, sigma }) {
+    const t = Math.max(T, MIN_TIME);
+    const sqrtT = Math.sqrt(t);
+    const d1 = (Math.log(S / K) + (r - q + sigma * sigma / 2) * t) / (sigma * sqrtT);
+    const d2 = d1 - sigma * sqrtT;
+    const discQ = Math.exp(-q * t);
+    const discR = Math.exp(-r * t);
+    const gamma = discQ * normPdf(d1) / (S * sigma * sqrtT);
+    const vega = S * discQ * normPdf(d1) * sqrtT / 100;
+    const decay = -S * discQ * normPdf(d1) * sigma / (2 * sqrtT);
+
+    if (type === 'call') {
+        return {
+            price: S * discQ * normCdf(d1) - K * discR * normCdf(d2),
+            delta: discQ * normCdf(d1),
+            gamma,
+            theta: (decay - r * K * discR * normCdf(d2) + q * S * discQ * normCdf(d1)) / 365,
+            vega,
+            rho: K * t * discR * normCdf(d2) / 100
+        };
+    }
+    return {
+        price: K * discR * normCdf(-d2) - S * discQ * normCdf(-d1),
+        delta: -discQ * normCdf(-d1),
+        gamma,
+        theta: (decay + r * K * discR * normCdf(-d2) - q * S * discQ * normCdf(-d1)) / 365,
+        vega,
+        rho: -K * t * discR * normCdf(-d2) / 100
+    };
+}
+
+// Volatility that reproduces `price` (bisection; null when the price is outside model bounds)
+function impliedVolatility(price, { type, S, K, T, r = DEFAULT_RATE, q = 0 }) {
+    if (!(price > 0)) return null;
+    let low = 0.001;
+    let high = 5;
+    if (blackScholes({ type, S, K, T, r, q, sigma: low }).price > price) return null;
+    if (blackScholes({ type, S, K, T, r, q, sigma: high }).price < price) return null;
+
+    for (let i = 0; i < 100; i++) {
+        const mid = (low + high) / 2;
+        if (blackScholes({ type, S, K, T, r, q, sigma: mid }).price > price) high = mid;
+        else low = mid;
+        if (high - low < 1e-5) break;
+    }
+    return (low + high) / 2;
+}
+
+// ===================================
+// Chain helpers
+// ===================================
+function yearsToExpiry(expirationDate, now = Date.now()) {
+    return Math.max((new Date(expirationDate).getTime() + EXPIRY_CLOSE_MS - now) / YEAR_MS, 0);
+}
+
+function midPrice(c) {
+    return c.bid > 0 && c.ask > 0 ? (c.bid + c.ask) / 2 : c.lastPrice || 0;
+}
+
+const round = (v, digits = 4) => v === null || v === undefined ? null : Math.round(v * 10 ** digits) / 10 ** digits;
+
+// Contract with Greeks; IV comes from upstream, or is solved from the mid price when missing
+function withGreeks(contract, type, { S, T, r, q }) {
+    const mid = midPrice(contract);
+    const iv = contract.impliedVolatility > 0.001
+        ? contract.impliedVolatility
+        : impliedVolatility(mid, { type, S, K: contract.strike, T, r, q });
+    const greeks = iv ? blackScholes({ type, S, K: contract.strike, T, r, q, sigma: iv }) : null;
+
+    return {
+        ...contract,
+        type,
+        mid: round(mid, 2),
+        impliedVolatility: round(iv),
+        delta: round(greeks?.delta),
+        gamma: round(greeks?.gamma, 6),
+        theta: round(greeks?.theta),
+        vega: round(greeks?.vega),
+        rho: round(greeks?.rho),
+        theoreticalPrice: round(greeks?.price, 2)
+    };
+}
+
+function nearestStrike(contracts, spot) {
+    return contracts.reduce((best, c) => best === null || Math.abs(c.strike - spot) < Math.abs(best - spot) ? c.strike : best, null);
+}
+
+/**
+ * One expiration with Greeks on every contract.
+ * options: spot, now, rate, dividendYield
+ */
+function analyzeExpiration(expiration, { spot, now = Date.now(), rate = DEFAULT_RATE, dividendYield = 0 }) {
+    const T = yearsToExpiry(expiration.expirationDate, now);
+    const params = { S: spot, T, r: rate, q: dividendYield };
+    const calls = (expiration.calls || []).map(c => withGreeks(c, 'call', params));
+    const puts = (expiration.puts || []).map(c => withGreeks(c, 'put', params));
+
+    return {
+        expirationDate: new Date(expiration.expirationDate).toISOString().split('T')[0],
+        daysToExpiry: round(T * 365, 1),
+        calls,
+        puts
+    };
+}
+
+// Strike where option holders' total intrinsic value at expiry is smallest
+function maxPain(calls, puts) {
+    const strikes = [...new Set([...calls, ...puts].map(c => c.strike))].sort((a, b) => a - b);
+    let best = null;
+    strikes.forEach(price => {
+        const payout = calls.reduce((sum, c) => sum + Math.max(price - c.strike, 0) * (c.openInterest || 0), 0)
+            + puts.reduce((sum, p) => sum + Math.max(p.strike - price, 0) * (p.openInterest || 0), 0);
+        if (!best || payout < best.payout) best = { strike: price, payout };
+    });
+    return best && { strike: best.strike, payout: Math.round(best.payout * 100) };
+}
+
+// Largest open-interest strikes: call walls above spot act as resistance, put walls below as support.
+// Open interest is summed per strike, so several expirations can be passed at once.
+function openInterestWalls(calls, puts, spot, count = 3) {
+    const top = (contracts, side) => {
+        const byStrike = new Map();
+        contracts
+            .filter(c => side === 'above' ? c.strike >= spot : c.strike <= spot)
+            .forEach(c => byStrike.set(c.strike, (byStrike.get(c.strike) || 0) + (c.openInterest || 0)));
+        return [...byStrike.entries()]
+            .filter(([, openInterest]) => openInterest > 0)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, count)
+            .map(([strike, openInterest]) => ({ strike, openInterest }));
+    };
+
+    return { resistance: top(calls, 'above'), support: top(puts, 'below') };
+}
+
+// ATM straddle price ~ the market's expected move by expiration
+function expectedMove(analyzed, spot) {
+    const strike = nearestStrike([...analyzed.calls, ...analyzed.puts], spot);
+    const call = analyzed.calls.find(c => c.strike === strike);
+    const put = analyzed.puts.find(p => p.strike === strike);
+    if (!call || !put) return null;
+
+    const straddle = call.mid + put.mid;
+    return {
+        expirationDate: analyzed.expirationDate,
+        daysToExpiry: analyzed.daysToExpiry,
+        strike,
+        straddle: round(straddle, 2),
+        movePercent: round(straddle / spot * 100, 2),
+        low: round(spot - straddle, 2),
+        high: round(spot + straddle, 2)
+    };
+}
+
+// IV by strike per expiration (smile) and ATM IV across expirations (term structure)
+function volatilitySurface(analyzedExpirations, spot) {
+    const smiles = analyzedExpirations.map(exp => {
+        const strikes = [...new Set([...exp.calls, ...exp.puts].map(c => c.strike))].sort((a, b) => a - b);
+        const ivAt = (list, strike) => list.find(c => c.strike === strike)?.impliedVolatility ?? null;
+        return {
+            expirationDate: exp.expirationDate,
+            daysToExpiry: exp.daysToExpiry,
+            points: strikes.map(strike => ({
+                strike,
+                moneyness: round(strike / spot),
+                callIV: ivAt(exp.calls, strike),
+                putIV: ivAt(exp.puts, strike)
+            }))
+        };
+    });
+
+    const termStructure = smiles
+        .map(smile => {
+            const atm = nearestStrike(smile.points, spot);
+            const point = smile.points.find(p => p.strike === atm);
+            const ivs = [point?.callIV, point?.putIV].filter(v => v !== null && v !== undefined);
+            return {
+                expirationDate: smile.expirationDate,
+                daysToExpiry: smile.daysToExpiry,
+                atmIV: ivs.length ? round(ivs.reduce((a, b) => a + b, 0) / ivs.length) : null
+            };
+        })
+        .filter(p => p.atmIV !== null);
+
+    return { smiles, termStructure };
+}
+
+module.exports = {
+    DEFAULT_RATE,
+    normCdf,
+    blackScholes,
+    impliedVolatility,
+    yearsToExpiry,
+    analyzeExpiration,
+    maxPain,
+    openInterestWalls,
+    expectedMove,
+    volatilitySurface
+};
@@ -0,0 +1,358 @@
+/**
+ * Portfolio Ledger
+ * Replays a portfolio's transactions into lots, cost basis and P&L
+ *
+ * Transaction types:
+ *   buy       { symbol, date, quantity, price, fee }
+ *   sell      { symbol, date, quantity, price, fee }
+ *   split     { symbol, date, ratio }              ratio 4 = 4-for-1, 0.1 = 1-for-10
+ *   dividend  { symbol, date, amount | perShare }  perShare is multiplied by shares held
+ *   fee       { date, amount, symbol? }            account/custody fees
+ */
+
+const HttpError = require('./http-error');
+
+const TRANSACTION_TYPES = ['buy', 'sell', 'split', 'dividend', 'fee'];
+const COST_METHODS = ['fifo', 'average'];
+const TRADING_DAYS = 252;
+const EPSILON = 1e-9;
+
+const round = (value, digits = 2) => {
+    const f = Math.pow(10, digits);
+    return Math.round(value * f) / f;
+};
+
+// ===================================
+// Validation
+// ===================================
+function positiveNumber(value, field) {
+    const n = Number(value);
+    if (!Number.isFinite(n) || n <= 0) {
+        throw new HttpError(400, `${field} must be a positive number`);
+    }
+    return n;
+}
+
+function optionalNumber(value, field) {
+    if (value === undefined || value === null || value === '') return 0;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) {
+        throw new HttpError(400, `${field} must be zero or a positive number`);
+    }
+    return n;
+}
+
+function normalizeTransaction(input = {}) {
+    const type = String(input.type || '').toLowerCase();
+    if (!TRANSACTION_TYPES.includes(type)) {
+        throw new HttpError(400, `type must be one of: ${TRANSACTION_TYPES.join(', ')}`);
+    }
+
+    const date = new Date(input.date || Date.now());
+    if (isNaN(date.getTime())) {
+        throw new HttpError(400, 'date is invalid');
+    }
+
+    const symbol = input.symbol ? String(input.symbol).trim().toUpperCase() : null;
+    if (!symbol && type !== 'fee') {
+        throw new HttpError(400, 'symbol is required');
+    }
+
+    const tx = {
+        type,
+        symbol,
+        date: date.toISOString().split('T')[0],
+        note: input.note ? String(input.note) : undefined
+    };
+
+    if (type === 'buy' || type === 'sell') {
+        tx.quantity = positiveNumber(input.quantity, 'quantity');
+        tx.price = positiveNumber(input.price, 'price');
+        tx.fee = optionalNumber(input.fee, 'fee');
+    } else if (type === 'split') {
+        tx.ratio = positiveNumber(input.ratio, 'ratio');
+    } else if (type === 'dividend') {
+        if (input.perShare !== undefined && input.perShare !== null && input.perShare !== '') {
+            tx.perShare = positiveNumber(input.perShare, 'perShare');
+        } else {
+            tx.amount = positiveNumber(input.amount, 'amount');
+        }
+    } else {
+        tx.amount = positiveNumber(input.amount, 'amount');
+    }
+
+    return tx;
+}
+
+function normalizeMethod(method = 'fifo') {
+    const m = String(method).toLowerCase();
+    if (!COST_METHODS.includes(m)) {
+        throw new HttpError(400, `method must be one of: ${COST_METHODS.join(', ')}`);
+    }
+    return m;
+}
+
+// ===================================
+// Replay
+// ===================================
+function sortTransactions(transactions) {
+    return [...transactions].sort((a, b) =>
+        a.date.localeCompare(b.date) || (a.createdAt || 0) - (b.createdAt || 0)
+    );
+}
+
+function createLedger(method) {
+    return { method, positions: new Map(), fees: 0 };
+}
+
+function getPosition(ledger, symbol) {
+    if (!ledger.positions.has(symbol)) {
+        ledger.positions.set(symbol, { symbol, lots: [], realizedPnl: 0, dividends: 0, fees: 0 });
+    }
+    return ledger.positions.get(symbol);
+}
+
+const heldQuantity = position => position.lots.reduce((sum, lot) => sum + lot.quantity, 0);
+const lotsCost = position => position.lots.reduce((sum, lot) => sum + lot.quantity * lot.costPerShare, 0);
+
+function applyTransaction(ledger, tx) {
+    if (tx.type === 'fee') {
+        ledger.fees += tx.amount;
+        if (tx.symbol) getPosition(ledger, tx.symbol).fees += tx.amount;
+        return;
+    }
+
+    const position = getPosition(ledger, tx.symbol);
+
+    switch (tx.type) {
+        case 'buy': {
+            position.lots.push({
+                lotId: tx.id,
+                date: tx.date,
+                quantity: tx.quantity,
+                costPerShare: (tx.quantity * tx.price + tx.fee) / tx.quantity
+            });
+            if (ledger.method === 'average') {
+                const avgCost = lotsCost(position) / heldQuantity(position);
+                position.lots.forEach(lot => { lot.costPerShare = avgCost; });
+            }
+            break;
+        }
+
+        case 'sell': {
+            const held = heldQuantity(position);
+            if (tx.quantity > held + EPSILON) {
+                throw new HttpError(400, `Cannot sell ${tx.quantity} ${tx.symbol} on ${tx.date}: only ${round(held, 6)} held`);
+            }
+
+            // Average-cost lots all carry the same basis, so consuming them
+            // oldest-first gives the same result as a pooled position
+            let remaining = tx.quantity;
+            let basis = 0;
+            while (remaining > EPSILON && position.lots.length > 0) {
+                const lot = position.lots[0];
+                const used = Math.min(lot.quantity, remaining);
+                basis += used * lot.costPerShare;
+                lot.quantity -= used;
+                remaining -= used;
+                if (lot.quantity <= EPSILON) position.lots.shift();
+            }
+
+            position.realizedPnl += tx.quantity * tx.price - tx.fee - basis;
+            break;
+        }
+
+        case 'split':
+            position.lots.forEach(lot => {
+                lot.quantity *= tx.ratio;
+                lot.costPerShare /= tx.ratio;
+            });
+            break;
+
+        case 'dividend':
+            position.dividends += tx.perShare ? tx.perShare * heldQuantity(position) : tx.amount;
+            break;
+    }
+}
+
+function replay(transactions, method) {
+    const ledger = createLedger(method);
+    sortTransactions(transactions).forEach(tx => applyTransaction(ledger, tx));
+    return ledger;
+}
+
+// ===================================
+// Holdings
+// ===================================
+function summarizeHoldings(ledger, prices = {}) {
+    const positions = [];
+    const closed = [];
+
+    ledger.positions.forEach(position => {
+        const quantity = heldQuantity(position);
+        const costBasis = lotsCost(position);
+
+        if (quantity <= EPSILON) {
+            closed.push({
+                symbol: position.symbol,
+                realizedPnl: round(position.realizedPnl),
+                dividends: round(position.dividends),
+                fees: round(position.fees)
+            });
+            return;
+        }
+
+        const price = prices[position.symbol] ?? null;
+        const marketValue = price !== null ? quantity * price : null;
+        const unrealizedPnl = marketValue !== null ? marketValue - costBasis : null;
+
+        positions.push({
+            symbol: position.symbol,
+            quantity: round(quantity, 6),
+            avgCost: round(costBasis / quantity, 4),
+            costBasis: round(costBasis),
+            price,
+            marketValue: marketValue !== null ? round(marketValue) : null,
+            unrealizedPnl: unrealizedPnl !== null ? round(unrealizedPnl) : null,
+            unrealizedPnlPercent: unrealizedPnl !== null && costBasis > 0 ? round(unrealizedPnl / costBasis * 100) : null,
+            realizedPnl: round(position.realizedPnl),
+            dividends: round(position.dividends),
+            fees: round(position.fees),
+            lots: position.lots.map(lot => ({
+                lotId: lot.lotId,
+                date: lot.date,
+                quantity: round(lot.quantity, 6),
+                costPerShare: round(lot.costPerShare, 4)
+            }))
+        });
+    });
+
+    const sum = (list, key) => list.reduce((total, p) => total + (p[key] || 0), 0);
+    const marketValue = sum(positions, 'marketValue');
+    positions.forEach(p => {
+        p.weight = marketValue > 0 && p.marketValue !== null ? round(p.marketValue / marketValue * 100) : null;
+    });
+    positions.sort((a, b) => (b.marketValue || 0) - (a.marketValue || 0));
+
+    const realizedPnl = sum(positions, 'realizedPnl') + sum(closed, 'realizedPnl');
+    const dividends = sum(positions, 'dividends') + sum(closed, 'dividends');
+    const unrealizedPnl = sum(positions, 'unrealizedPnl');
+
+    return {
+        positions,
+        closed,
+        totals: {
+            marketValue: round(marketValue),
+            costBasis: round(sum(positions, 'costBasis')),
+            unrealizedPnl: round(unrealizedPnl),
+            realizedPnl: round(realizedPnl),
+            dividends: round(dividends),
+            fees: round(ledger.fees),
+            totalPnl: round(unrealizedPnl + realizedPnl + dividends - ledger.fees)
+        }
+    };
+}
+
+// ===================================
+// Equity Curve
+// ===================================
+
+/**
+ * Daily portfolio value from the transaction log and daily bars.
+ * barsBySymbol: { SYMBOL: [{ date: 'YYYY-MM-DD', close }] }
+ */
+function buildEquityCurve(transactions, method, barsBySymbol) {
+    const txs = sortTransactions(transactions);
+    if (txs.length === 0) return [];
+
+    const closesBySymbol = {};
+    const days = new Set();
+    Object.entries(barsBySymbol).forEach(([symbol, bars]) => {
+        closesBySymbol[symbol] = new Map(bars.map(b => [b.date, b.close]));
+        bars.forEach(b => { if (b.date >= txs[0].date) days.add(b.date); });
+    });
+
+    const ledger = createLedger(method);
+    const lastClose = {};
+    const curve = [];
+    let next = 0;
+
+    [...days].sort().forEach(day => {
+        while (next < txs.length && txs[next].date <= day) {
+            applyTransaction(ledger, txs[next]);
+            next++;
+        }
+
+        let marketValue = 0;
+        let costBasis = 0;
+        let realizedPnl = 0;
+        let dividends = 0;
+        ledger.positions.forEach(position => {
+            const close = closesBySymbol[position.symbol]?.get(day);
+            if (close !== undefined) lastClose[position.symbol] = close;
+            const quantity = heldQuantity(position);
+            if (quantity > EPSILON && lastClose[position.symbol] !== undefined) {
+                marketValue += quantity * lastClose[position.symbol];
+                costBasis += lotsCost(position);
+            }
+            realizedPnl += position.realizedPnl;
+            dividends += position.dividends;
+        });
+
+        const unrealizedPnl = marketValue - costBasis;
+        curve.push({
+            date: day,
+            marketValue: round(marketValue),
+            costBasis: round(costBasis),
+            unrealizedPnl: round(unrealizedPnl),
+            realizedPnl: round(realizedPnl),
+            dividends: round(dividends),
+            fees: round(ledger.fees),
+            totalPnl: round(unrealizedPnl + realizedPnl + dividends - ledger.fees)
+        });
+    });
+
+    return curve;
+}
+
+// Time-weighted stats: each day's P&L change over the prior day's market value
+function equityStats(curve) {
+    const returns = [];
+    for (let i = 1; i < curve.length; i++) {
+        const base = curve[i - 1].marketValue;
+        if (base > 0) returns.push((curve[i].totalPnl - curve[i - 1].totalPnl) / base);
+    }
+    if (returns.length < 2) return { totalReturn: 0, volatility: 0, sharpe: 0, maxDrawdown: 0 };
+
+    let index = 1;
+    let peak = 1;
+    let maxDrawdown = 0;
+    returns.forEach(r => {
+        index *= 1 + r;
+        peak = Math.max(peak, index);
+        maxDrawdown = Math.min(maxDrawdown, index / peak - 1);
+    });
+
+    const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+    const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+    const std = Math.sqrt(variance);
+
+    return {
+        totalReturn: round((index - 1) * 100),
+        volatility: round(std * Math.sqrt(TRADING_DAYS) * 100),
+        sharpe: std > 0 ? round(mean / std * Math.sqrt(TRADING_DAYS)) : 0,
+        maxDrawdown: round(maxDrawdown * 100)
+    };
+}
+
+module.exports = {
+    TRANSACTION_TYPES,
+    COST_METHODS,
+    normalizeTransaction,
+    normalizeMethod,
+    sortTransactions,
+    replay,
+    summarizeHoldings,
+    buildEquityCurve,
+    equityStats
+};
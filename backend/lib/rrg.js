@@ -0,0 +1,95 @@
+/**
+ * Relative Rotation Graph
+ * JdK-style RS-Ratio / RS-Momentum of each symbol against a benchmark
+ *
+ *   RS           100 * close / benchmark close, on common dates
+ *   RS-Ratio     100 + z-score of RS over the last `window` periods
+ *   RS-Momentum  100 + z-score of the RS-Ratio's one-period rate of change
+ *
+ * Both series are centred on 100 with roughly one point per standard
+ * deviation, so the four quadrants around (100, 100) read as
+ *
+ *   leading    ratio >= 100, momentum >= 100
+ *   weakening  ratio >= 100, momentum <  100
+ *   lagging    ratio <  100, momentum <  100
+ *   improving  ratio <  100, momentum >= 100
+ *
+ * and symbols typically rotate clockwise through them.
+ */
+
+const DEFAULT_WINDOW = { daily: 20, weekly: 10 };
+const DEFAULT_TAIL = 8;
+
+const round = (v, digits = 2) => v === null || !isFinite(v) ? null : Math.round(v * 10 ** digits) / 10 ** digits;
+const dayKey = date => new Date(date).toISOString().split('T')[0];
+
+// Last daily bar of each Monday-based week, dated by that bar
+function toWeekly(bars) {
+    const weeks = new Map();
+    bars.forEach(bar => {
+        const d = new Date(bar.date);
+        const monday = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - ((d.getUTCDay() + 6) % 7)));
+        weeks.set(dayKey(monday), bar);
+    });
+    return [...weeks.values()];
+}
+
+// Value at each index minus the rolling mean, over the rolling standard deviation (null until `window` values)
+function rollingZ(values, window) {
+    return values.map((value, i) => {
+        if (value === null || i < window - 1) return null;
+        const slice = values.slice(i - window + 1, i + 1);
+        if (slice.some(v => v === null)) return null;
+        const mean = slice.reduce((a, b) => a + b, 0) / window;
+        const sd = Math.sqrt(slice.reduce((sum, v) => sum + (v - mean) ** 2, 0) / window);
+        return sd > 0 ? (value - mean) / sd : 0;
+    });
+}
+
+function quadrantOf(rsRatio, rsMomentum) {
+    if (rsRatio >= 100) return rsMomentum >= 100 ? 'leading' : 'weakening';
+    return rsMomentum >= 100 ? 'improving' : 'lagging';
+}
+
+/**
+ * RS-Ratio / RS-Momentum series of one symbol.
+ * bars / benchmarkBars: daily bars in date order.
+ * options: timeframe 'daily' | 'weekly', window, tail (points returned)
+ */
+function rotation(bars, benchmarkBars, { timeframe = 'weekly', window = DEFAULT_WINDOW[timeframe], tail = DEFAULT_TAIL } = {}) {
+    const series = timeframe === 'weekly' ? toWeekly(bars) : bars;
+    const benchmark = new Map((timeframe === 'weekly' ? toWeekly(benchmarkBars) : benchmarkBars)
+        .map(b => [dayKey(b.date), b.close]));
+
+    const aligned = series
+        .map(b => ({ date: dayKey(b.date), close: b.close, benchmark: benchmark.get(dayKey(b.date)) }))
+        .filter(p => p.benchmark > 0 && p.close > 0);
+
+    const rs = aligned.map(p => 100 * p.close / p.benchmark);
+    const ratio = rollingZ(rs, window).map(z => z === null ? null : 100 + z);
+    const change = ratio.map((r, i) => r === null || i === 0 || ratio[i - 1] === null ? null : (r / ratio[i - 1] - 1) * 100);
+    const momentum = rollingZ(change, window).map(z => z === null ? null : 100 + z);
+
+    const points = aligned
+        .map((p, i) => ({ date: p.date, rsRatio: round(ratio[i]), rsMomentum: round(momentum[i]) }))
+        .filter(p => p.rsRatio !== null && p.rsMomentum !== null)
+        .slice(-tail);
+    if (points.length === 0) return null;
+
+    const last = points[points.length - 1];
+    const previous = points[points.length - 2] || last;
+    const dx = last.rsRatio - previous.rsRatio;
+    const dy = last.rsMomentum - previous.rsMomentum;
+
+    return {
+        quadrant: quadrantOf(last.rsRatio, last.rsMomentum),
+        rsRatio: last.rsRatio,
+        rsMomentum: last.rsMomentum,
+        // Direction of travel in degrees (0 = right / rising ratio, 90 = up / rising momentum)
+        heading: round(Math.atan2(dy, dx) * 180 / Math.PI, 0),
+        distance: round(Math.hypot(last.rsRatio - 100, last.rsMomentum - 100)),
+        tail: points
+    };
+}
+
+module.exports = { rotation, toWeekly, quadrantOf, DEFAULT_WINDOW, DEFAULT_TAIL };
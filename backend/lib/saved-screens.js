@@ -0,0 +1,341 @@
+/**
+ * Saved Screens
+ * Named screener settings that run on demand or on a schedule, keeping each run's result set
+ *
+ * A screen is either
+ *   technical   { filters: { rsi, macd, ma, volume } }  the Technical Screener checkboxes
+ *   expression  { expression }                          a screen expression (see screen-expr.js)
+ * plus a universe and a sort ({ key, order }: a result field or expression column).
+ *
+ * Schedule slots are exchange times (America/New_York) on weekdays: 'open'
+ * (09:35, once the opening prints settle), 'close' (16:05) or any 'HH:MM'.
+ * tick() runs every screen whose slot has passed today and has not run yet;
+ * a slot missed by more than SLOT_GRACE_MINUTES (server down) is skipped.
+ *
+ * Every run stores its symbols and the diff against the previous run:
+ * entered (new to the list) and left (dropped off). The first run of a
+ * screen is its baseline and reports no entrants.
+ */
+
+const HttpError = require('./http-error');
+const { createId } = require('./json-store');
+const { compileScreen } = require('./screener');
+
+const KINDS = ['technical', 'expression'];
+const TECHNICAL_FILTERS = {
+    rsi: ['oversold', 'neutral', 'overbought'],
+    macd: ['bullish', 'bearish', 'crossover'],
+    ma: ['above_sma50', 'above_sma200', 'golden_cross', 'death_cross'],
+    volume: ['high', 'increasing']
+};
+const SLOT_TIMES = { open: '09:35', close: '16:05' };
+const SLOT_GRACE_MINUTES = 60;
+const MAX_SLOTS = 6;
+const MAX_SCREENS = 100;
+const MAX_RUNS_PER_SCREEN = 60;
+const MAX_NAME_CHARS = 60;
+const TIME_ZONE = 'America/New_York';
+
+// ===================================
+// Validation
+// ===================================
+function normalizeName(input) {
+    const name = String(input ?? '').replace(/\s+/g, ' ').trim();
+    if (!name) throw new HttpError(400, 'name must not be empty');
+    if (name.length > MAX_NAME_CHARS) throw new HttpError(400, `name must be at most ${MAX_NAME_CHARS} characters`);
+    return name;
+}
+
+function normalizeFilters(input = {}) {
+    const filters = {};
+    Object.entries(TECHNICAL_FILTERS).forEach(([group, allowed]) => {
+        const list = Array.isArray(input[group]) ? input[group] : String(input[group] || '').split(',');
+        const values = [...new Set(list.map(v => String(v).trim().toLowerCase()).filter(Boolean))];
+        const unknown = values.find(v => !allowed.includes(v));
+        if (unknown) throw new HttpError(400, `filters.${group} must be among: ${allowed.join(', ')} (got "${unknown}")`);
+        filters[group] = values;
+    });
+    if (!Object.values(filters).some(values => values.length)) {
+        throw new HttpError(400, 'filters must select at least one condition');
+    }
+    return filters;
+}
+
+// 'open' | 'close' | 'HH:MM' -> canonical slot
+function normalizeSlot(input) {
+    const slot = String(input).trim().toLowerCase();
+    if (SLOT_TIMES[slot]) return slot;
+    const m = slot.match(/^(\d{1,2}):(\d{2})$/);
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) {
+        throw new HttpError(400, `schedule entries must be open, close or HH:MM (got "${input}")`);
+    }
+    return `${m[1].padStart(2, '0')}:${m[2]}`;
+}
+
+function normalizeSchedule(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(',').filter(s => s.trim());
+    const slots = [...new Set(list.map(normalizeSlot))];
+    if (slots.length > MAX_SLOTS) throw new HttpError(400, `schedule can hold at most ${MAX_SLOTS} times`);
+    return slots.sort((a, b) => slotTime(a).localeCompare(slotTime(b)));
+}
+
+function normalizeSort(input = {}) {
+    const key = String(input.key || '').trim();
+    const order = String(input.order || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(order)) throw new HttpError(400, 'sort.order must be asc or desc');
+    return { key: key || null, order };
+}
+
+function slotTime(slot) {
+    return SLOT_TIMES[slot] || slot;
+}
+
+// Exchange-time calendar of a timestamp: { day: 'YYYY-MM-DD', weekday: 0-6, minutes since midnight }
+function exchangeClock(time) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone: TIME_ZONE, year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', weekday: 'short', hourCycle: 'h23'
+    }).formatToParts(new Date(time)).map(p => [p.type, p.value]));
+    return {
+        day: `${parts.year}-${parts.month}-${parts.day}`,
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday),
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+}
+
+function toMinutes(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+// ===================================
+// Registry
+// ===================================
+
+/**
+ * store: json store holding { screens: [], runs: [] }
+ * universes: universe registry (ids are checked on save)
+ * run: async (screen) -> rows [{ symbol, name, price, changePercent, ... }] matching the screen
+ * onRun: (screen, run) called after every stored run (notifications)
+ */
+function createSavedScreens({ store, universes, run, onRun = () => {} }) {
+    const running = new Map();
+    let ticking = null;
+
+    function find(id) {
+        const screen = store.read().screens.find(s => s.id === id);
+        if (!screen) throw new HttpError(404, `Unknown screen: ${id}`);
+        return screen;
+    }
+
+    function latestRun(id) {
+        return store.read().runs.find(r => r.screenId === id) || null;
+    }
+
+    function summary(screen) {
+        const last = latestRun(screen.id);
+        return {
+            ...screen,
+            lastRun: last && {
+                id: last.id,
+                ranAt: last.ranAt,
+                trigger: last.trigger,
+                count: last.count,
+                entered: last.entered,
+                left: last.left,
+                error: last.error
+            }
+        };
+    }
+
+    // Full definition from input, falling back to the current screen for edits
+    function normalize(input, current = {}) {
+        const kind = String(input.kind ?? current.kind ?? '').toLowerCase();
+        if (!KINDS.includes(kind)) throw new HttpError(400, `kind must be one of: ${KINDS.join(', ')}`);
+
+        const universe = String(input.universe ?? current.universe ?? (kind === 'technical' ? 'us-large' : 'screener')).toLowerCase();
+        universes.get(universe);
+
+        const definition = {
+            name: normalizeName(input.name ?? current.name),
+            kind,
+            universe,
+            sort: normalizeSort(input.sort ?? current.sort),
+            schedule: normalizeSchedule(input.schedule ?? current.schedule ?? [])
+        };
+        if (kind === 'technical') {
+            definition.filters = normalizeFilters(input.filters ?? current.filters);
+        } else {
+            definition.expression = compileScreen(input.expression ?? current.expression).expression;
+        }
+        return definition;
+    }
+
+    function list() {
+        return store.read().screens.map(summary).sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    function get(id) {
+        return summary(find(id));
+    }
+
+    function create(input = {}) {
+        if (store.read().screens.length >= MAX_SCREENS) {
+            throw new HttpError(409, `At most ${MAX_SCREENS} screens can be saved`);
+        }
+        const screen = {
+            id: createId('scr'),
+            ...normalize(input),
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+            lastSlot: null
+        };
+        store.update(data => data.screens.push(screen));
+        return summary(screen);
+    }
+
+    // Changing what a screen selects starts a new baseline: old runs are dropped
+    function update(id, input = {}) {
+        const screen = find(id);
+        const definition = normalize(input, screen);
+        const changed = definition.kind !== screen.kind
+            || definition.universe !== screen.universe
+            || JSON.stringify(definition.filters) !== JSON.stringify(screen.filters)
+            || definition.expression !== screen.expression;
+
+        store.update(data => {
+            delete screen.filters;
+            delete screen.expression;
+            Object.assign(screen, definition, { updatedAt: Date.now() });
+            if (changed) data.runs = data.runs.filter(r => r.screenId !== id);
+        });
+        return summary(screen);
+    }
+
+    function remove(id) {
+        find(id);
+        store.update(data => {
+            data.screens = data.screens.filter(s => s.id !== id);
+            data.runs = data.runs.filter(r => r.screenId !== id);
+        });
+    }
+
+    function sortRows(rows, { key, order }) {
+        if (!key) return rows;
+        const valueOf = row => (row.values && key in row.values ? row.values[key] : row[key]);
+        return [...rows].sort((a, b) => {
+            const x = valueOf(a);
+            const y = valueOf(b);
+            if (x == null || y == null) return (x == null) - (y == null);
+            const diff = typeof x === 'string' ? x.localeCompare(y) : x - y;
+            return order === 'asc' ? diff : -diff;
+        });
+    }
+
+    async function execute(screen, trigger) {
+        // Entrants are measured against the last run that succeeded
+        const previous = store.read().runs.find(r => r.screenId === screen.id && !r.error) || null;
+        let rows = [];
+        let error = null;
+        try {
+            rows = sortRows(await run(screen), screen.sort);
+        } catch (e) {
+            console.error(`[Screens] ${screen.name} failed:`, e.message);
+            error = e.message;
+        }
+
+        const symbols = rows.map(r => r.symbol);
+        const before = new Set(previous ? previous.symbols : []);
+        const now = new Set(symbols);
+        const baseline = !previous;
+        const record = {
+            id: createId('run'),
+            screenId: screen.id,
+            ranAt: Date.now(),
+            trigger,
+            count: symbols.length,
+            symbols,
+            rows,
+            entered: baseline || error ? [] : symbols.filter(s => !before.has(s)),
+            left: baseline || error ? [] : previous.symbols.filter(s => !now.has(s)),
+            baseline,
+            error
+        };
+
+        store.update(data => {
+            data.runs.unshift(record);
+            const own = data.runs.filter(r => r.screenId === screen.id);
+            if (own.length > MAX_RUNS_PER_SCREEN) {
+                const dropped = new Set(own.slice(MAX_RUNS_PER_SCREEN).map(r => r.id));
+                data.runs = data.runs.filter(r => !dropped.has(r.id));
+            }
+        });
+        onRun(screen, record);
+        return record;
+    }
+
+    // One run per screen at a time; a second request shares the first
+    function runNow(id, trigger = 'manual') {
+        const screen = find(id);
+        if (!running.has(id)) {
+            running.set(id, execute(screen, trigger).finally(() => running.delete(id)));
+        }
+        return running.get(id);
+    }
+
+    // Runs newest first, without the rows
+    function runs(id, { limit = 20 } = {}) {
+        find(id);
+        return store.read().runs
+            .filter(r => r.screenId === id)
+            .slice(0, limit)
+            .map(({ rows, ...r }) => r);
+    }
+
+    function getRun(id, runId) {
+        find(id);
+        const record = store.read().runs.find(r => r.screenId === id && r.id === runId);
+        if (!record) throw new HttpError(404, `Unknown run: ${runId}`);
+        return record;
+    }
+
+    // Slot due now for a screen ('YYYY-MM-DD HH:MM' exchange time) or null
+    function dueSlot(screen, clock) {
+        if (clock.weekday === 0 || clock.weekday === 6) return null;
+        const due = screen.schedule
+            .map(slotTime)
+            .filter(time => clock.minutes >= toMinutes(time) && clock.minutes < toMinutes(time) + SLOT_GRACE_MINUTES)
+            .map(time => `${clock.day} ${time}`)
+            .filter(key => !screen.lastSlot || key > screen.lastSlot)
+            .pop();
+        return due || null;
+    }
+
+    async function runDue(now) {
+        const clock = exchangeClock(now);
+        const due = store.read().screens
+            .map(screen => ({ screen, slot: dueSlot(screen, clock) }))
+            .filter(d => d.slot);
+
+        // Claim every slot before the first scan so a slow pass cannot see them due again
+        store.update(() => due.forEach(({ screen, slot }) => { screen.lastSlot = slot; }));
+
+        // One at a time: scheduled scans share the provider's rate limit with live pages
+        for (const { screen } of due) {
+            if (!store.read().screens.includes(screen)) continue; // deleted meanwhile
+            console.log(`[Screens] Scheduled run of "${screen.name}" (${screen.lastSlot} ET)`);
+            await runNow(screen.id, 'schedule');
+        }
+    }
+
+    // Runs every screen with a slot due; call about once a minute.
+    // A tick while the previous one is still scanning is skipped.
+    function tick(now = Date.now()) {
+        if (!ticking) ticking = runDue(now).finally(() => { ticking = null; });
+        return ticking;
+    }
+
+    return { list, get, create, update, remove, run: runNow, runs, getRun, tick };
+}
+
+module.exports = { createSavedScreens, TECHNICAL_FILTERS, SLOT_TIMES };
@@ -0,0 +1,472 @@
+/**
+ * Screen Expressions
+ * Parser for the screener's filter language, shared by the backend and the browser editor
+ *
+ *   rsi(14) < 30 and close > sma(200) and volume > 2 * avg_volume(30) and pe < 25
+ *
+ * Grammar (lowest precedence first):
+ *   expr     := or
+ *   or       := and ("or" and)*
+ *   and      := not ("and" not)*
+ *   not      := "not" not | compare
+ *   compare  := sum (("<" | "<=" | ">" | ">=" | "==" | "!=") sum)?
+ *   sum      := product (("+" | "-") product)*
+ *   product  := unary (("*" | "/") unary)*
+ *   unary    := "-" unary | primary
+ *   primary  := number | field | name "(" args? ")" | "(" expr ")"
+ *
+ * Numbers take K / M / B / T suffixes (market_cap > 100B). Function periods
+ * must be literal numbers, so every screen has a known lookback. Parsing is a
+ * hand-written recursive descent into a plain AST; nothing is ever eval'd.
+ * Errors carry the offending character range (start, end) for the editor.
+ *
+ * Node:    const screenExpr = require('./lib/screen-expr');
+ * Browser: <script src="js/screen-expr.js"></script>  → window.ScreenExpr
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ScreenExpr = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    'use strict';
+
+    const MAX_PERIOD = 252;
+    const WARMUP_BARS = 100; // extra history so EMA / Wilder smoothing settles
+    const MAX_LENGTH = 500;
+    const MAX_COLUMNS = 8;
+    const SUFFIXES = { k: 1e3, m: 1e6, b: 1e9, t: 1e12 };
+
+    // ===================================
+    // Catalog
+    // ===================================
+
+    // source: bars (a value per day), quote or fundamentals (today's value)
+    const FIELDS = {
+        open: { source: 'bars', description: 'ราคาเปิด' },
+        high: { source: 'bars', description: 'ราคาสูงสุดของวัน' },
+        low: { source: 'bars', description: 'ราคาต่ำสุดของวัน' },
+        close: { source: 'bars', description: 'ราคาปิด' },
+        volume: { source: 'bars', description: 'ปริมาณการซื้อขาย' },
+        price: { source: 'quote', description: 'ราคาล่าสุด' },
+        change_pct: { source: 'quote', description: 'เปลี่ยนแปลงวันนี้ (%)' },
+        market_cap: { source: 'quote', description: 'มูลค่าตลาด ($)' },
+        high_52w: { source: 'quote', description: 'ราคาสูงสุด 52 สัปดาห์' },
+        low_52w: { source: 'quote', description: 'ราคาต่ำสุด 52 สัปดาห์' },
+        pe: { source: 'fundamentals', description: 'P/E ย้อนหลัง' },
+        forward_pe: { source: 'fundamentals', description: 'P/E คาดการณ์' },
+        pb: { source: 'fundamentals', description: 'P/BV' },
+        eps: { source: 'fundamentals', description: 'EPS ย้อนหลัง 12 เดือน' },
+        beta: { source: 'fundamentals', description: 'Beta' },
+        dividend_yield: { source: 'fundamentals', description: 'อัตราปันผล (%)' },
+        payout_ratio: { source: 'fundamentals', description: 'อัตราการจ่ายปันผล (%)' },
+        profit_margin: { source: 'fundamentals', description: 'อัตรากำไรสุทธิ (%)' },
+        revenue_growth: { source: 'fundamentals', description: 'การเติบโตของรายได้ (%)' },
+        earnings_growth: { source: 'fundamentals', description: 'การเติบโตของกำไร (%)' },
+        debt_to_equity: { source: 'fundamentals', description: 'หนี้สินต่อทุน (%)' }
+    };
+
+    // params: literal numbers (period / multiplier); args: expressions
+    const FUNCTIONS = {
+        sma: { params: [{ name: 'period', required: true }], description: 'ค่าเฉลี่ยเคลื่อนที่ของราคาปิด' },
+        ema: { params: [{ name: 'period', required: true }], description: 'ค่าเฉลี่ยเคลื่อนที่แบบ exponential' },
+        rsi: { params: [{ name: 'period', default: 14 }], description: 'RSI' },
+        avg_volume: { params: [{ name: 'period', default: 30 }], description: 'ปริมาณซื้อขายเฉลี่ย' },
+        atr: { params: [{ name: 'period', default: 14 }], description: 'Average True Range' },
+        adx: { params: [{ name: 'period', default: 14 }], description: 'ADX ความแรงของแนวโน้ม' },
+        highest: { params: [{ name: 'period', default: 252 }], description: 'ราคาสูงสุดในช่วง' },
+        lowest: { params: [{ name: 'period', default: 252 }], description: 'ราคาต่ำสุดในช่วง' },
+        change: { params: [{ name: 'period', default: 1 }], description: 'ผลตอบแทน (%) ย้อนหลัง n วัน' },
+        macd: { params: [], description: 'เส้น MACD (12, 26)' },
+        macd_signal: { params: [], description: 'เส้น signal ของ MACD (9)' },
+        macd_hist: { params: [], description: 'MACD histogram' },
+        bb_upper: { params: [{ name: 'period', default: 20 }, { name: 'mult', default: 2, integer: false }], description: 'Bollinger Band บน' },
+        bb_lower: { params: [{ name: 'period', default: 20 }, { name: 'mult', default: 2, integer: false }], description: 'Bollinger Band ล่าง' },
+        stoch_k: { params: [{ name: 'period', default: 14 }], description: 'Stochastic %K' },
+        prev: { args: ['value'], params: [{ name: 'bars', default: 1 }], description: 'ค่าเมื่อ n วันก่อน' },
+        abs: { args: ['value'], params: [], description: 'ค่าสัมบูรณ์' },
+        min: { args: ['a', 'b'], params: [], description: 'ค่าที่น้อยกว่า' },
+        max: { args: ['a', 'b'], params: [], description: 'ค่าที่มากกว่า' },
+        crosses_above: { args: ['a', 'b'], params: [], returns: 'boolean', description: 'a ตัดขึ้นเหนือ b วันนี้' },
+        crosses_below: { args: ['a', 'b'], params: [], returns: 'boolean', description: 'a ตัดลงใต้ b วันนี้' }
+    };
+
+    // Catalog entry by name; own keys only, so "constructor" or "__proto__" is just an unknown name
+    function lookup(table, name) {
+        return Object.prototype.hasOwnProperty.call(table, name) ? table[name] : null;
+    }
+
+    const KEYWORDS = ['and', 'or', 'not'];
+    const COMPARATORS = ['<', '<=', '>', '>=', '==', '!='];
+
+    class ScreenExprError extends Error {
+        constructor(message, start, end = start + 1) {
+            super(message);
+            this.name = 'ScreenExprError';
+            this.status = 400;
+            this.start = start;
+            this.end = end;
+        }
+    }
+
+    // ===================================
+    // Tokenizer
+    // ===================================
+    function tokenize(source) {
+        const tokens = [];
+        const pattern = /\s+|(\d+(?:\.\d+)?|\.\d+)([kmbt](?![a-z0-9_]))?|([a-z_][a-z0-9_]*)|(<=|>=|==|!=|[<>+\-*/(),])/iy;
+        let pos = 0;
+
+        while (pos < source.length) {
+            pattern.lastIndex = pos;
+            const m = pattern.exec(source);
+            if (!m) {
+                throw new ScreenExprError(`Unexpected character "${source[pos]}" at position ${pos + 1}`, pos);
+            }
+            const end = pos + m[0].length;
+            if (m[1] !== undefined) {
+                tokens.push({ type: 'number', value: Number(m[1]) * (m[2] ? SUFFIXES[m[2].toLowerCase()] : 1), text: m[0], start: pos, end });
+            } else if (m[3] !== undefined) {
+                const word = m[3].toLowerCase();
+                tokens.push({ type: KEYWORDS.includes(word) ? word : 'name', value: word, text: m[0], start: pos, end });
+            } else if (m[4] !== undefined) {
+                tokens.push({ type: m[4], value: m[4], text: m[0], start: pos, end });
+            }
+            pos = end;
+        }
+        tokens.push({ type: 'end', text: '', start: source.length, end: source.length });
+        return tokens;
+    }
+
+    // ===================================
+    // Parser
+    // ===================================
+    function describe(token) {
+        return token.type === 'end' ? 'end of expression' : `"${token.text}"`;
+    }
+
+    /**
+     * Parses and type-checks an expression; throws ScreenExprError.
+     * Returns the AST: { type: 'number' | 'field' | 'call' | 'arith' | 'negate' | 'compare' | 'logic' | 'not', ... }
+     * where every node has start / end offsets and a kind ('number' | 'boolean').
+     */
+    function parse(source) {
+        source = String(source ?? '');
+        if (!source.trim()) throw new ScreenExprError('Expression is empty', 0, 0);
+        if (source.length > MAX_LENGTH) throw new ScreenExprError(`Expression must be at most ${MAX_LENGTH} characters`, MAX_LENGTH, source.length);
+
+        const tokens = tokenize(source);
+        let index = 0;
+        const peek = () => tokens[index];
+        const next = () => tokens[index++];
+        const accept = type => (peek().type === type ? next() : null);
+        const expect = (type, what) => {
+            const token = peek();
+            if (token.type !== type) throw new ScreenExprError(`Expected ${what} but found ${describe(token)}`, token.start, Math.max(token.end, token.start + 1));
+            return next();
+        };
+
+        const requireKind = (node, kind, context) => {
+            if (node.kind !== kind) {
+                const wanted = kind === 'boolean' ? 'a condition (e.g. rsi(14) < 30)' : 'a number';
+                throw new ScreenExprError(`${context} needs ${wanted}: "${source.slice(node.start, node.end)}"`, node.start, node.end);
+            }
+            return node;
+        };
+
+        function parseOr() {
+            let left = parseAnd();
+            while (accept('or')) {
+                const right = parseAnd();
+                left = { type: 'logic', op: 'or', left: requireKind(left, 'boolean', '"or"'), right: requireKind(right, 'boolean', '"or"'), kind: 'boolean', start: left.start, end: right.end };
+            }
+            return left;
+        }
+
+        function parseAnd() {
+            let left = parseNot();
+            while (accept('and')) {
+                const right = parseNot();
+                left = { type: 'logic', op: 'and', left: requireKind(left, 'boolean', '"and"'), right: requireKind(right, 'boolean', '"and"'), kind: 'boolean', start: left.start, end: right.end };
+            }
+            return left;
+        }
+
+        function parseNot() {
+            const token = accept('not');
+            if (token) {
+                const operand = requireKind(parseNot(), 'boolean', '"not"');
+                return { type: 'not', operand, kind: 'boolean', start: token.start, end: operand.end };
+            }
+            return parseCompare();
+        }
+
+        function parseCompare() {
+            const left = parseSum();
+            if (!COMPARATORS.includes(peek().type)) return left;
+            const op = next().type;
+            const right = parseSum();
+            requireKind(left, 'number', `"${op}"`);
+            requireKind(right, 'number', `"${op}"`);
+            if (COMPARATORS.includes(peek().type)) {
+                const token = peek();
+                throw new ScreenExprError('Comparisons cannot be chained; join them with "and"', token.start, token.end);
+            }
+            return { type: 'compare', op, left, right, kind: 'boolean', start: left.start, end: right.end };
+        }
+
+        function parseSum() {
+            let left = parseProduct();
+            while (peek().type === '+' || peek().type === '-') {
+                const op = next().type;
+                const right = parseProduct();
+                left = { type: 'arith', op, left: requireKind(left, 'number', `"${op}"`), right: requireKind(right, 'number', `"${op}"`), kind: 'number', start: left.start, end: right.end };
+            }
+            return left;
+        }
+
+        function parseProduct() {
+            let left = parseUnary();
+            while (peek().type === '*' || peek().type === '/') {
+                const op = next().type;
+                const right = parseUnary();
+                left = { type: 'arith', op, left: requireKind(left, 'number', `"${op}"`), right: requireKind(right, 'number', `"${op}"`), kind: 'number', start: left.start, end: right.end };
+            }
+            return left;
+        }
+
+        function parseUnary() {
+            const token = accept('-');
+            if (token) {
+                const operand = requireKind(parseUnary(), 'number', '"-"');
+                if (operand.type === 'number') return { ...operand, value: -operand.value, text: `-${operand.text}`, start: token.start };
+                return { type: 'negate', operand, kind: 'number', start: token.start, end: operand.end };
+            }
+            return parsePrimary();
+        }
+
+        function parsePrimary() {
+            const token = peek();
+
+            if (accept('number')) {
+                return { type: 'number', value: token.value, text: token.text.toUpperCase(), kind: 'number', start: token.start, end: token.end };
+            }
+
+            if (accept('(')) {
+                const inner = parseOr();
+                const close = expect(')', '")"');
+                return { ...inner, start: token.start, end: close.end, parenthesized: true };
+            }
+
+            if (accept('name')) {
+                if (peek().type === '(') return parseCall(token);
+                if (lookup(FIELDS, token.value)) {
+                    return { type: 'field', name: token.value, kind: 'number', start: token.start, end: token.end };
+                }
+                if (lookup(FUNCTIONS, token.value)) {
+                    throw new ScreenExprError(`${token.value} is a function; write ${signature(token.value)}`, token.start, token.end);
+                }
+                throw new ScreenExprError(`Unknown field "${token.text}"${suggestion(token.value)}`, token.start, token.end);
+            }
+
+            throw new ScreenExprError(`Expected a number, field or function but found ${describe(token)}`, token.start, Math.max(token.end, token.start + 1));
+        }
+
+        function parseCall(nameToken) {
+            const spec = lookup(FUNCTIONS, nameToken.value);
+            if (!spec) {
+                throw new ScreenExprError(`Unknown function "${nameToken.text}"${suggestion(nameToken.value)}`, nameToken.start, nameToken.end);
+            }
+            next(); // (
+
+            const given = [];
+            if (peek().type !== ')') {
+                do {
+                    given.push(parseOr());
+                } while (accept(','));
+            }
+            const close = expect(')', `"," or ")" in ${nameToken.value}(...)`);
+            const end = close.end;
+
+            const argNames = spec.args || [];
+            const maxCount = argNames.length + spec.params.length;
+            const minCount = argNames.length + spec.params.filter(p => p.required).length;
+            if (given.length < minCount || given.length > maxCount) {
+                throw new ScreenExprError(`${nameToken.value} takes ${minCount === maxCount ? minCount : `${minCount}-${maxCount}`} argument${maxCount === 1 ? '' : 's'}: ${signature(nameToken.value)}`, nameToken.start, end);
+            }
+
+            const args = given.slice(0, argNames.length).map(arg => requireKind(arg, 'number', `${nameToken.value}()`));
+            const params = spec.params.map((param, i) => {
+                const node = given[argNames.length + i];
+                if (!node) return param.default;
+                if (node.type !== 'number') {
+                    throw new ScreenExprError(`${param.name} of ${nameToken.value}() must be a literal number`, node.start, node.end);
+                }
+                const integer = param.integer !== false;
+                if (node.value <= 0 || node.value > MAX_PERIOD || (integer && !Number.isInteger(node.value))) {
+                    throw new ScreenExprError(`${param.name} of ${nameToken.value}() must be ${integer ? 'a whole number' : 'a number'} between 1 and ${MAX_PERIOD}`, node.start, node.end);
+                }
+                return node.value;
+            });
+
+            return { type: 'call', name: nameToken.value, args, params, kind: spec.returns || 'number', start: nameToken.start, end };
+        }
+
+        const ast = parseOr();
+        if (peek().type !== 'end') {
+            const token = peek();
+            throw new ScreenExprError(`Unexpected ${describe(token)}; join conditions with "and" / "or"`, token.start, token.end);
+        }
+        if (ast.kind !== 'boolean') {
+            throw new ScreenExprError('The expression must be a condition, e.g. rsi(14) < 30', ast.start, ast.end);
+        }
+        return ast;
+    }
+
+    // ===================================
+    // Helpers
+    // ===================================
+    function signature(name) {
+        const spec = lookup(FUNCTIONS, name);
+        const parts = [
+            ...(spec.args || []),
+            ...spec.params.map(p => (p.required ? p.name : `${p.name}=${p.default}`))
+        ];
+        return `${name}(${parts.join(', ')})`;
+    }
+
+    // Closest known name within two edits
+    function suggestion(word) {
+        const names = [...Object.keys(FIELDS), ...Object.keys(FUNCTIONS)];
+        let best = null;
+        let bestDistance = Math.min(3, Math.ceil(word.length / 2) + 1);
+        names.forEach(name => {
+            const d = distance(word, name);
+            if (d < bestDistance) {
+                best = name;
+                bestDistance = d;
+            }
+        });
+        return best ? `; did you mean "${best}"?` : '';
+    }
+
+    function distance(a, b) {
+        const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+            let diagonal = row[0];
+            row[0] = i;
+            for (let j = 1; j <= b.length; j++) {
+                const above = row[j];
+                row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+                diagonal = above;
+            }
+        }
+        return row[b.length];
+    }
+
+    const PRECEDENCE = { or: 1, and: 2, not: 3, compare: 4, '+': 5, '-': 5, '*': 6, '/': 6, negate: 7 };
+
+    // Canonical text of a node (lowercase, default params filled in): column keys and labels
+    function format(node, parent = 0) {
+        let text;
+        let level = 8;
+        switch (node.type) {
+            case 'number': text = node.text ?? String(node.value); break;
+            case 'field': text = node.name; break;
+            case 'call': text = `${node.name}(${[...node.args.map(a => format(a)), ...node.params].join(', ')})`; break;
+            case 'negate': level = PRECEDENCE.negate; text = `-${format(node.operand, level)}`; break;
+            case 'not': level = PRECEDENCE.not; text = `not ${format(node.operand, level)}`; break;
+            case 'arith': level = PRECEDENCE[node.op]; text = `${format(node.left, level)} ${node.op} ${format(node.right, level + 1)}`; break;
+            case 'compare': level = PRECEDENCE.compare; text = `${format(node.left, level)} ${node.op} ${format(node.right, level)}`; break;
+            case 'logic': level = PRECEDENCE[node.op]; text = `${format(node.left, level)} ${node.op} ${format(node.right, level)}`; break;
+        }
+        return level < parent ? `(${text})` : text;
+    }
+
+    function walk(node, visit) {
+        visit(node);
+        ['left', 'right', 'operand'].forEach(key => node[key] && walk(node[key], visit));
+        (node.args || []).forEach(arg => walk(arg, visit));
+    }
+
+    /**
+     * Output columns: the non-literal sides of every comparison and the
+     * arguments of crossover tests, in order of appearance, deduplicated.
+     * Returns [{ key, node }]
+     */
+    function columns(ast) {
+        const found = new Map();
+        walk(ast, node => {
+            const operands = node.type === 'compare' ? [node.left, node.right]
+                : node.type === 'call' && lookup(FUNCTIONS, node.name).returns === 'boolean' ? node.args : [];
+            operands
+                .filter(operand => operand.type !== 'number')
+                .forEach(operand => {
+                    const key = format(operand);
+                    if (!found.has(key)) found.set(key, { key, node: operand });
+                });
+        });
+        return [...found.values()].slice(0, MAX_COLUMNS);
+    }
+
+    // Bars a node needs before its value on the last bar exists. Windows nest:
+    // prev(sma(200), 252) needs 252 + 200. Only period params count (not bb mult).
+    function barsNeeded(node) {
+        const children = [node.left, node.right, node.operand, ...(node.args || [])].filter(Boolean);
+        const inner = Math.max(0, ...children.map(barsNeeded));
+        if (node.type !== 'call') return inner;
+
+        const spec = lookup(FUNCTIONS, node.name);
+        const own = node.name.startsWith('macd')
+            ? 35
+            : spec.params.reduce((sum, param, i) => (param.integer === false ? sum : sum + node.params[i]), 0);
+        // Crossovers compare with the bar before
+        return own + inner + (spec.returns === 'boolean' ? 1 : 0);
+    }
+
+    // Data an expression reads: { sources: Set('bars' | 'quote' | 'fundamentals'), lookback (bars) }
+    function requirements(ast) {
+        const sources = new Set(['quote']);
+        walk(ast, node => {
+            if (node.type === 'field') sources.add(lookup(FIELDS, node.name).source);
+            if (node.type === 'call') sources.add('bars');
+        });
+        return { sources, lookback: Math.max(2, barsNeeded(ast) + 1) + WARMUP_BARS };
+    }
+
+    /**
+     * Autocomplete candidates for the word ending at `cursor`.
+     * Returns { from, to, items[{ label, insert, detail, kind: 'field' | 'function' | 'keyword' }] }
+     */
+    function complete(source, cursor = source.length) {
+        const before = source.slice(0, cursor);
+        const word = (before.match(/[a-z_][a-z0-9_]*$/i) || [''])[0].toLowerCase();
+        const from = cursor - word.length;
+        if (!word) return { from, to: cursor, items: [] };
+
+        const items = [
+            ...Object.entries(FIELDS).map(([name, f]) => ({ label: name, insert: name, detail: f.description, kind: 'field' })),
+            ...Object.entries(FUNCTIONS).map(([name, f]) => ({ label: signature(name), insert: `${name}(`, detail: f.description, kind: 'function' })),
+            ...KEYWORDS.map(k => ({ label: k, insert: `${k} `, detail: '', kind: 'keyword' }))
+        ].filter(item => item.insert.startsWith(word) && item.insert.trim() !== word);
+
+        return { from, to: cursor, items: items.slice(0, 12) };
+    }
+
+    return {
+        FIELDS,
+        FUNCTIONS,
+        MAX_PERIOD,
+        lookup,
+        ScreenExprError,
+        tokenize,
+        parse,
+        format,
+        columns,
+        requirements,
+        signature,
+        complete
+    };
+});
@@ -0,0 +1,194 @@
+/**
+ * Expression Screener
+ * Evaluates a parsed screen expression (see screen-expr.js) against one stock
+ *
+ * Every numeric node becomes a series aligned with the daily bars, computed
+ * with the shared indicator math; quote and fundamentals fields are today's
+ * value on every bar. A stock matches when the expression is true on the
+ * last bar. Missing data (a null indicator, no P/E) makes a comparison
+ * unknown rather than false: "and" is false if either side is false,
+ * "or" true if either side is true, and an unknown result never matches.
+ */
+
+const indicators = require('./indicators');
+const screenExpr = require('./screen-expr');
+
+const PERCENT = value => (value == null ? null : value * 100);
+
+// Quote / fundamentals field readers; percentages are stored as fractions upstream
+const SCALARS = {
+    price: ({ quote }) => quote?.price,
+    change_pct: ({ quote }) => quote?.changePercent,
+    market_cap: ({ quote }) => quote?.marketCap,
+    high_52w: ({ quote }) => quote?.fiftyTwoWeekHigh,
+    low_52w: ({ quote }) => quote?.fiftyTwoWeekLow,
+    pe: ({ quote, fundamentals }) => quote?.pe ?? fundamentals?.trailingPE,
+    forward_pe: ({ fundamentals }) => fundamentals?.forwardPE,
+    pb: ({ fundamentals }) => fundamentals?.priceToBook,
+    eps: ({ fundamentals }) => fundamentals?.trailingEps,
+    beta: ({ fundamentals }) => fundamentals?.beta,
+    dividend_yield: ({ fundamentals }) => PERCENT(fundamentals?.dividendYield),
+    payout_ratio: ({ fundamentals }) => PERCENT(fundamentals?.payoutRatio),
+    profit_margin: ({ fundamentals }) => PERCENT(fundamentals?.profitMargin),
+    revenue_growth: ({ fundamentals }) => PERCENT(fundamentals?.revenueGrowth),
+    earnings_growth: ({ fundamentals }) => PERCENT(fundamentals?.earningsGrowth),
+    debt_to_equity: ({ fundamentals }) => fundamentals?.debtToEquity
+};
+
+const isNum = v => typeof v === 'number' && Number.isFinite(v);
+
+function zip(a, b, fn) {
+    return a.map((x, i) => (isNum(x) && isNum(b[i]) ? fn(x, b[i]) : null));
+}
+
+function shift(series, bars) {
+    return series.map((_, i) => (i >= bars ? series[i - bars] : null));
+}
+
+// Indicator functions by name: (context, params, args) -> series
+const CALLS = {
+    sma: (c, [p]) => indicators.sma(c.close, p),
+    ema: (c, [p]) => indicators.ema(c.close, p),
+    rsi: (c, [p]) => indicators.rsi(c.close, p),
+    avg_volume: (c, [p]) => indicators.sma(c.volume, p),
+    atr: (c, [p]) => indicators.atr(c.high, c.low, c.close, p),
+    adx: (c, [p]) => indicators.adx(c.high, c.low, c.close, p).adx,
+    highest: (c, [p]) => indicators.highest(c.high, p),
+    lowest: (c, [p]) => indicators.lowest(c.low, p),
+    change: (c, [p]) => zip(c.close, shift(c.close, p), (now, then) => (then ? (now / then - 1) * 100 : null)),
+    macd: c => indicators.macd(c.close).macd,
+    macd_signal: c => indicators.macd(c.close).signal,
+    macd_hist: c => indicators.macd(c.close).histogram,
+    bb_upper: (c, [p, mult]) => indicators.bollinger(c.close, p, mult).upper,
+    bb_lower: (c, [p, mult]) => indicators.bollinger(c.close, p, mult).lower,
+    stoch_k: (c, [p]) => indicators.stochastic(c.high, c.low, c.close, p).k,
+    prev: (c, [bars], [value]) => shift(value, bars),
+    abs: (c, params, [value]) => value.map(v => (isNum(v) ? Math.abs(v) : null)),
+    min: (c, params, [a, b]) => zip(a, b, Math.min),
+    max: (c, params, [a, b]) => zip(a, b, Math.max),
+    crosses_above: (c, params, [a, b]) => a.map((_, i) => crossed(a, b, i, 1)),
+    crosses_below: (c, params, [a, b]) => a.map((_, i) => crossed(a, b, i, -1))
+};
+
+const missing = Object.keys(screenExpr.FUNCTIONS).filter(name => !screenExpr.lookup(CALLS, name))
+    .concat(Object.keys(screenExpr.FIELDS).filter(name => screenExpr.FIELDS[name].source !== 'bars' && !screenExpr.lookup(SCALARS, name)));
+if (missing.length) throw new Error(`Screener has no implementation for: ${missing.join(', ')}`);
+
+// direction 1: a moved from at-or-below b to above it on bar i (-1: the reverse)
+function crossed(a, b, i, direction) {
+    if (i === 0 || ![a[i], b[i], a[i - 1], b[i - 1]].every(isNum)) return null;
+    const before = (a[i - 1] - b[i - 1]) * direction;
+    const now = (a[i] - b[i]) * direction;
+    return before <= 0 && now > 0;
+}
+
+const COMPARE = {
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '==': (a, b) => Math.abs(a - b) < 1e-9,
+    '!=': (a, b) => Math.abs(a - b) >= 1e-9
+};
+
+const ARITH = {
+    '+': (a, b) => a + b,
+    '-': (a, b) => a - b,
+    '*': (a, b) => a * b,
+    '/': (a, b) => (b === 0 ? null : a / b)
+};
+
+function evaluateNode(node, context, memo) {
+    const key = screenExpr.format(node);
+    if (memo.has(key)) return memo.get(key);
+
+    const { length } = context;
+    let series;
+    switch (node.type) {
+        case 'number':
+            series = new Array(length).fill(node.value);
+            break;
+        case 'field':
+            series = screenExpr.lookup(screenExpr.FIELDS, node.name).source === 'bars'
+                ? context[node.name]
+                : new Array(length).fill(screenExpr.lookup(SCALARS, node.name)(context) ?? null);
+            break;
+        case 'call':
+            series = screenExpr.lookup(CALLS, node.name)(context, node.params, node.args.map(arg => evaluateNode(arg, context, memo)));
+            break;
+        case 'negate':
+            series = evaluateNode(node.operand, context, memo).map(v => (isNum(v) ? -v : null));
+            break;
+        case 'arith':
+            series = zip(evaluateNode(node.left, context, memo), evaluateNode(node.right, context, memo), ARITH[node.op]);
+            break;
+        case 'compare':
+            series = zip(evaluateNode(node.left, context, memo), evaluateNode(node.right, context, memo), COMPARE[node.op]);
+            break;
+        case 'not':
+            series = evaluateNode(node.operand, context, memo).map(v => (v === null ? null : !v));
+            break;
+        case 'logic': {
+            const left = evaluateNode(node.left, context, memo);
+            const right = evaluateNode(node.right, context, memo);
+            const decisive = node.op === 'and' ? false : true;
+            series = left.map((l, i) => {
+                const r = right[i];
+                if (l === decisive || r === decisive) return decisive;
+                return l === null || r === null ? null : !decisive;
+            });
+            break;
+        }
+    }
+    series = series.map(v => (v === undefined || Number.isNaN(v) ? null : v));
+    memo.set(key, series);
+    return series;
+}
+
+/**
+ * Parses an expression for screening; throws ScreenExprError (status 400).
+ * Returns { ast, expression (canonical text), columns[{ key, label }], requirements }
+ */
+function compileScreen(source) {
+    const ast = screenExpr.parse(source);
+    return {
+        ast,
+        expression: screenExpr.format(ast),
+        columns: screenExpr.columns(ast).map(({ key }) => ({ key, label: key })),
+        requirements: screenExpr.requirements(ast)
+    };
+}
+
+/**
+ * Runs a compiled screen on one stock.
+ * data: { bars: Bar[] (oldest first, may be empty), quote, fundamentals }
+ * Returns { match: boolean, values: { [column key]: number | null } }
+ */
+function evaluateScreen(screen, { bars = [], quote = null, fundamentals = null }) {
+    const series = field => bars.map(bar => (isNum(bar[field]) ? bar[field] : null));
+    const context = {
+        length: Math.max(1, bars.length),
+        open: series('open'),
+        high: series('high'),
+        low: series('low'),
+        close: series('close'),
+        volume: series('volume'),
+        quote,
+        fundamentals
+    };
+    if (!bars.length) ['open', 'high', 'low', 'close', 'volume'].forEach(field => { context[field] = [null]; });
+
+    const memo = new Map();
+    const last = context.length - 1;
+    const result = evaluateNode(screen.ast, context, memo)[last];
+
+    const values = {};
+    screenExpr.columns(screen.ast).forEach(({ key, node }) => {
+        const value = evaluateNode(node, context, memo)[last];
+        values[key] = typeof value === 'boolean' ? value : isNum(value) ? Math.round(value * 10000) / 10000 : null;
+    });
+
+    return { match: result === true, values };
+}
+
+module.exports = { compileScreen, evaluateScreen };
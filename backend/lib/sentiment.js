@@ -0,0 +1,207 @@
+/**
+ * Headline Sentiment
+ * Lexicon-based scorer for English and Thai financial headlines
+ *
+ * English text is split into word tokens; Thai runs (written without spaces)
+ * are segmented by longest match against the Thai lexicon, and unmatched Thai
+ * text becomes one filler token. Multi-word phrases are matched before single
+ * words, so "record low" or "profit warning" are not read as "record" / "profit".
+ *
+ * Each sentiment term carries a weight in -3..+3, adjusted by:
+ *   negation     a negator within NEGATION_WINDOW tokens before flips and damps it
+ *   intensifier  an adjacent booster / dampener scales it ("falls sharply", "ร่วงหนัก")
+ *   question     headlines ending in "?" are hedged and count half
+ *
+ * The sum is squashed into -1..1 (score / sqrt(score² + ALPHA)); beyond
+ * ±LABEL_THRESHOLD it is labelled positive / negative. Confidence (0-1) grows
+ * with the score's size and with how one-sided the matched terms are.
+ */
+
+const ALPHA = 15;
+const LABEL_THRESHOLD = 0.1;
+const NEGATION_WINDOW = 3;
+const NEGATION_SCALAR = -0.74;
+const QUESTION_SCALAR = 0.5;
+const AGGREGATE_FULL_SAMPLE = 5; // headlines needed before an aggregate reaches full confidence
+
+// "weight: word forms" lines; a form may be a space-separated phrase. Weight-0
+// entries only shield their words from shorter matches ("up to", "ลงทุน").
+const ENGLISH = `
+3: all time high | all-time high | record high | strong buy
+2.5: surge | surges | surged | surging | soar | soars | soared | soaring | skyrocket | skyrockets | raises guidance | raised guidance | boosts guidance
+2: rally | rallies | rallied | rallying | jump | jumps | jumped | beat | beats | upgrade | upgrades | upgraded | bullish | breakthrough | top pick | better than expected | stronger than expected | tops estimates
+1.5: gain | gains | gained | rise | rises | rose | rising | climb | climbs | climbed | rebound | rebounds | rebounded | strong | stronger | strength | outperform | outperforms | boost | boosts | boosted | optimism | optimistic | exceed | exceeds | exceeded | record profit | buy rating | short squeeze | approval | approved | 52 week high | 52-week high | raise | raises | raised | lift | lifts | lifted | hike | hikes
+1: up | higher | growth | grow | grows | profit | profits | profitable | recover | recovers | recovery | upside | win | wins | positive | expand | expands | expansion | rate cut | rate cuts | rate-cut | buyback | dividend increase | narrower loss | loss narrows | losses narrow
+0.5: demand | steady | resilient
+-0.5: volatile | volatility | mixed
+-1: down | lower | low | cut | cuts | slip | slips | slipped | delay | delays | delayed | risk | risks | uncertainty | uncertain | pressure | scrutiny | downside | negative | caution | cautious | sell | slowdown | slows
+-1.5: fall | falls | fell | falling | drop | drops | dropped | decline | declines | declined | slide | slides | slid | weak | weaker | weakness | loss | losses | concern | concerns | worry | worries | worried | fear | fears | warn | warns | warned | warning | underperform | lawsuit | sued | probe | investigation | fined | recall | layoffs | lays off | halt | halts | halted | under pressure | sell rating | 52 week low | 52-week low | beaten down | profit taking | shut down
+-2: miss | misses | missed | downgrade | downgrades | downgraded | bearish | sink | sinks | sank | selloff | sell-off | sell off | slashes | slashed | worse than expected | weaker than expected | price target cut | default | defaults
+-2.5: plunge | plunges | plunged | tumble | tumbles | tumbled | slump | slumps | slumped | sinking | record low | profit warning | cuts guidance | guidance cut | lowers guidance
+-3: crash | crashes | crashed | collapse | collapses | collapsed | bankruptcy | bankrupt | fraud
+0: up to | step up | steps up | stepped up | sets up | set up
+`;
+
+const THAI = `
+3: สูงสุดเป็นประวัติการณ์ | ทำนิวไฮ | นิวไฮ
+2.5: พุ่งแรง | ทะยาน | กำไรพุ่ง
+2: พุ่ง | พุ่งขึ้น | ดีกว่าคาด | แนะนำซื้อ | อัปเกรด | ปรับเพิ่มเป้า | ปรับขึ้นเป้า | กำไรเพิ่ม | กำไรโต
+1.5: ปรับขึ้น | เพิ่มขึ้น | ฟื้นตัว | แข็งแกร่ง | ปิดบวก | รีบาวด์ | ซื้อสุทธิ | เติบโต | สดใส | เชิงบวก | ขาดทุนลดลง
+1: บวก | ขยายตัว | กำไร | ขึ้น | ฟื้น | หนุน
+-1: ลง | ชะลอ | ผันผวน | เสี่ยง | ความเสี่ยง | กดดัน | ตรวจสอบ
+-1.5: ลดลง | ปรับลง | ปิดลบ | ชะลอตัว | หดตัว | กังวล | ขายสุทธิ | เทขาย | ขาดทุน | กำไรลด | เชิงลบ | ลบ | ร่วง | ถูกฟ้อง
+-2: ต่ำกว่าคาด | แย่กว่าคาด | ดาวน์เกรด | แนะนำขาย | ปรับลดเป้า | ลดเป้า | ทรุด | ดิ่ง | ผิดนัดชำระ
+-2.5: ร่วงหนัก | ดิ่งหนัก | ต่ำสุดในรอบ | วิกฤต
+-3: ล้มละลาย | ฉ้อโกง
+0: ลงทุน | นักลงทุน | ลงนาม | ขึ้นทะเบียน | ขึ้นอยู่กับ | ลบล้าง
+`;
+
+const NEGATORS = new Set([
+    'not', 'no', 'never', 'without', 'neither', 'nor', 'lack', 'lacks', 'fails', 'failed', 'hardly', 'barely',
+    'ไม่', 'ไม่ได้', 'ยังไม่', 'ไม่มี', 'ไม่ค่อย', 'ไร้'
+]);
+
+const INTENSIFIERS = {
+    sharply: 1.5, significantly: 1.5, strongly: 1.4, steeply: 1.5, very: 1.3, massive: 1.5, huge: 1.4, big: 1.2, biggest: 1.5, deeply: 1.4,
+    slightly: 0.5, modestly: 0.6, marginally: 0.5, somewhat: 0.6, little: 0.6, mildly: 0.6,
+    'อย่างมาก': 1.5, 'มาก': 1.3, 'แรง': 1.4, 'หนัก': 1.5, 'เล็กน้อย': 0.5
+};
+
+function parseLexicon(table) {
+    const lexicon = new Map();
+    table.trim().split('\n').forEach(line => {
+        const [weight, forms] = line.split(':');
+        forms.split('|').map(f => f.trim()).filter(Boolean).forEach(form => lexicon.set(form, Number(weight)));
+    });
+    return lexicon;
+}
+
+const ENGLISH_LEXICON = parseLexicon(ENGLISH);
+const THAI_LEXICON = parseLexicon(THAI);
+
+// English phrases by first word, longest first
+const PHRASES = new Map();
+[...ENGLISH_LEXICON.keys()].filter(k => k.includes(' ')).forEach(phrase => {
+    const words = phrase.split(' ');
+    if (!PHRASES.has(words[0])) PHRASES.set(words[0], []);
+    PHRASES.get(words[0]).push(words);
+});
+PHRASES.forEach(list => list.sort((a, b) => b.length - a.length));
+
+// Every Thai term the segmenter can match, longest first
+const THAI_TERMS = [...new Set([...THAI_LEXICON.keys(), ...NEGATORS, ...Object.keys(INTENSIFIERS)])]
+    .filter(term => /[฀-๿]/.test(term))
+    .sort((a, b) => b.length - a.length);
+
+function segmentThai(run) {
+    const tokens = [];
+    let filler = '';
+    for (let i = 0; i < run.length;) {
+        const term = THAI_TERMS.find(t => run.startsWith(t, i));
+        if (term) {
+            if (filler) tokens.push({ text: filler, filler: true });
+            filler = '';
+            tokens.push({ text: term });
+            i += term.length;
+        } else {
+            filler += run[i++];
+        }
+    }
+    if (filler) tokens.push({ text: filler, filler: true });
+    return tokens;
+}
+
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /([฀-๿]+)|([a-z0-9][a-z0-9'’-]*)/gi;
+    for (const m of String(text || '').toLowerCase().matchAll(pattern)) {
+        if (m[1]) tokens.push(...segmentThai(m[1]));
+        else tokens.push({ text: m[2].replace(/’/g, "'").replace(/'s$/, '') });
+    }
+    return tokens;
+}
+
+const isNegator = token => NEGATORS.has(token.text) || /n't$/.test(token.text);
+
+/**
+ * Sentiment of one headline.
+ * Returns { label: 'positive' | 'neutral' | 'negative', score (-1..1), confidence (0..1), terms[{ term, weight }] }
+ */
+function analyze(text) {
+    const tokens = tokenize(text);
+    const terms = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (token.filler) continue;
+
+        // Longest English phrase starting here, else the word itself
+        let term = null;
+        let length = 1;
+        const phrase = (PHRASES.get(token.text) || []).find(words => words.every((w, k) => tokens[i + k]?.text === w));
+        if (phrase) {
+            term = phrase.join(' ');
+            length = phrase.length;
+        } else if (ENGLISH_LEXICON.has(token.text) || THAI_LEXICON.has(token.text)) {
+            term = token.text;
+        }
+        if (term === null) continue;
+
+        let weight = ENGLISH_LEXICON.get(term) ?? THAI_LEXICON.get(term);
+        if (weight !== 0) {
+            const before = tokens[i - 1]?.text;
+            const after = tokens[i + length]?.text;
+            weight *= INTENSIFIERS[before] || INTENSIFIERS[after] || 1;
+            if (tokens.slice(Math.max(0, i - NEGATION_WINDOW), i).some(isNegator)) weight *= NEGATION_SCALAR;
+            terms.push({ term, weight: Math.round(weight * 100) / 100 });
+        }
+        i += length - 1;
+    }
+
+    let sum = terms.reduce((s, t) => s + t.weight, 0);
+    if (/\?\s*$/.test(String(text || ''))) sum *= QUESTION_SCALAR;
+
+    const score = sum === 0 ? 0 : sum / Math.sqrt(sum * sum + ALPHA);
+    const magnitude = terms.reduce((s, t) => s + Math.abs(t.weight), 0);
+    const agreement = magnitude ? Math.abs(terms.reduce((s, t) => s + t.weight, 0)) / magnitude : 0;
+
+    return {
+        label: labelOf(score),
+        score: Math.round(score * 1000) / 1000,
+        confidence: Math.round(Math.min(1, Math.abs(score) * 1.5) * agreement * 100) / 100,
+        terms
+    };
+}
+
+function labelOf(score) {
+    if (score > LABEL_THRESHOLD) return 'positive';
+    if (score < -LABEL_THRESHOLD) return 'negative';
+    return 'neutral';
+}
+
+/**
+ * Overall sentiment of several analyzed headlines.
+ * Returns { label, score (mean), confidence, positive, neutral, negative, count }
+ */
+function aggregate(results) {
+    const count = results.length;
+    const counts = { positive: 0, neutral: 0, negative: 0 };
+    results.forEach(r => { counts[r.label]++; });
+    if (!count) return { label: 'neutral', score: 0, confidence: 0, ...counts, count };
+
+    const score = results.reduce((s, r) => s + r.score, 0) / count;
+    const magnitude = results.reduce((s, r) => s + Math.abs(r.score), 0);
+    const agreement = magnitude ? Math.abs(score * count) / magnitude : 0;
+    const coverage = results.filter(r => r.terms.length).length / count;
+    const sample = Math.min(1, count / AGGREGATE_FULL_SAMPLE);
+
+    return {
+        label: labelOf(score),
+        score: Math.round(score * 1000) / 1000,
+        confidence: Math.round(agreement * coverage * sample * 100) / 100,
+        ...counts,
+        count
+    };
+}
+
+module.exports = { analyze, aggregate, tokenize, labelOf };
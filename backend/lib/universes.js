@@ -0,0 +1,118 @@
+/**
+ * Symbol Universes
+ * Named symbol lists the scanning routes iterate over (?universe=sp100)
+ *
+ * Built-in universes come from config/universes.json and are read-only;
+ * user-defined ones live in the JSON store and can be created, edited and deleted.
+ * A user universe may not reuse a built-in id.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const HttpError = require('./http-error');
+
+const BUILTIN_FILE = path.join(__dirname, '..', 'config', 'universes.json');
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+const MAX_SYMBOLS = 200;
+
+function loadBuiltins(file) {
+    try {
+        const { universes = [] } = JSON.parse(fs.readFileSync(file, 'utf8'));
+        return new Map(universes.map(u => [u.id, { ...u, builtin: true }]));
+    } catch (e) {
+        console.error(`[Universes] Could not read ${file}:`, e.message);
+        return new Map();
+    }
+}
+
+function normalizeSymbols(input) {
+    const list = Array.isArray(input) ? input : String(input || '').split(',');
+    const symbols = [...new Set(list.map(s => String(s).trim().toUpperCase()).filter(Boolean))];
+    if (symbols.length === 0) throw new HttpError(400, 'symbols must list at least one symbol');
+    if (symbols.length > MAX_SYMBOLS) throw new HttpError(400, `A universe can hold at most ${MAX_SYMBOLS} symbols`);
+    return symbols;
+}
+
+/**
+ * store: json store holding { universes: [] }
+ */
+function createUniverseRegistry({ store, builtinFile = BUILTIN_FILE }) {
+    const builtins = loadBuiltins(builtinFile);
+
+    function custom(id) {
+        return store.read().universes.find(u => u.id === id);
+    }
+
+    function list() {
+        return [...builtins.values(), ...store.read().universes].map(u => ({
+            id: u.id,
+            name: u.name,
+            description: u.description,
+            builtin: Boolean(u.builtin),
+            count: u.symbols.length
+        }));
+    }
+
+    function get(id) {
+        const universe = builtins.get(id) || custom(id);
+        if (!universe) throw new HttpError(404, `Unknown universe: ${id}`);
+        return universe;
+    }
+
+    function create(input = {}) {
+        const id = String(input.id || '').trim().toLowerCase();
+        if (!ID_PATTERN.test(id)) {
+            throw new HttpError(400, 'id must be 1-40 lowercase letters, digits, "-" or "_"');
+        }
+        if (builtins.has(id) || custom(id)) throw new HttpError(409, `Universe ${id} already exists`);
+
+        const universe = {
+            id,
+            name: input.name ? String(input.name).trim() : id,
+            description: input.description ? String(input.description) : '',
+            symbols: normalizeSymbols(input.symbols),
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+        store.update(data => data.universes.push(universe));
+        return universe;
+    }
+
+    function editable(id) {
+        if (builtins.has(id)) throw new HttpError(403, `Universe ${id} is built in and cannot be changed`);
+        const universe = custom(id);
+        if (!universe) throw new HttpError(404, `Unknown universe: ${id}`);
+        return universe;
+    }
+
+    // symbols replaces the list; add / remove edit it in place
+    function update(id, input = {}) {
+        const universe = editable(id);
+
+        let symbols = input.symbols !== undefined ? normalizeSymbols(input.symbols) : universe.symbols;
+        if (input.add) symbols = normalizeSymbols([...symbols, ...normalizeSymbols(input.add)]);
+        if (input.remove) {
+            const removed = new Set(normalizeSymbols(input.remove));
+            symbols = normalizeSymbols(symbols.filter(s => !removed.has(s)));
+        }
+
+        store.update(() => {
+            if (input.name !== undefined) universe.name = String(input.name).trim();
+            if (input.description !== undefined) universe.description = String(input.description);
+            universe.symbols = symbols;
+            universe.updatedAt = Date.now();
+        });
+        return universe;
+    }
+
+    function remove(id) {
+        editable(id);
+        store.update(data => {
+            data.universes = data.universes.filter(u => u.id !== id);
+        });
+    }
+
+    return { list, get, create, update, remove };
+}
+
+module.exports = { createUniverseRegistry };
@@ -0,0 +1,56 @@
+/**
+ * Chat Model Providers
+ * Every chat-model call in the backend goes through one of these
+ *
+ * Provider interface:
+ *   name, model
+ *   chat({ messages, tools, signal, onToken }) -> { message, usage }
+ *     messages  OpenAI-style chat messages (system / user / assistant / tool)
+ *     tools     OpenAI-style function definitions (optional)
+ *     signal    AbortSignal; aborting rejects with an AbortError
+ *     onToken   called with each piece of reply text as it streams in
+ *     message   { role: 'assistant', content, tool_calls? }
+ *     usage     { prompt_tokens, completion_tokens, total_tokens } (null when not reported)
+ *
+ * Environment:
+ *   LLM_PROVIDER     openai | mock (default: openai when an API key or base URL is set, else mock)
+ *   LLM_BASE_URL     OpenAI-compatible API root (default https://api.openai.com/v1;
+ *                    e.g. http://localhost:11434/v1 for Ollama, http://localhost:8080/v1 for llama.cpp)
+ *   LLM_MODEL        model name (default gpt-4o-mini)
+ *   LLM_API_KEY      API key (falls back to OPENAI_API_KEY; local servers need none)
+ *   LLM_TEMPERATURE  sampling temperature (default 0.7)
+ *   LLM_MAX_TOKENS   reply length limit per call (default 1000)
+ *   LLM_MOCK_DELAY_MS  pause between streamed words of the mock provider (default 20)
+ */
+
+const createOpenAIProvider = require('./openai');
+const createMockProvider = require('./mock');
+
+const PROVIDERS = {
+    openai: createOpenAIProvider,
+    mock: createMockProvider
+};
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+function createLlm(name = process.env.LLM_PROVIDER) {
+    const apiKey = process.env.LLM_API_KEY || process.env.OPENAI_API_KEY || '';
+    if (!name) name = apiKey || process.env.LLM_BASE_URL ? 'openai' : 'mock';
+
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown chat model provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    return factory({
+        baseUrl: (process.env.LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, ''),
+        model: process.env.LLM_MODEL || (name === 'mock' ? 'mock' : DEFAULT_MODEL),
+        apiKey,
+        temperature: process.env.LLM_TEMPERATURE !== undefined ? Number(process.env.LLM_TEMPERATURE) : 0.7,
+        maxTokens: Number(process.env.LLM_MAX_TOKENS) || 1000,
+        delayMs: process.env.LLM_MOCK_DELAY_MS !== undefined ? Number(process.env.LLM_MOCK_DELAY_MS) : 20
+    });
+}
+
+module.exports = { createLlm, PROVIDERS };
@@ -0,0 +1,170 @@
+/**
+ * Mock Chat Provider
+ * Deterministic stand-in for a chat model, used when no model is configured
+ *
+ * The same conversation always gets the same reply, so the chat page, the
+ * tool loop and streaming can be exercised offline (pair it with the
+ * fixture market-data provider):
+ *
+ *   - a user message naming a ticker (AAPL, PTT.BK) calls the tool its
+ *     keywords point to (ข่าว / news -> summarize_news, ปันผล -> dividend_history, ...)
+ *   - a screening question without a ticker calls screen_stocks
+ *   - after tool results, the reply lists the headline figures of each result
+ *   - a request without tools (e.g. the chat-session summarizer) gets its
+ *     input lines back, shortened
+ *   - anything else gets a fixed help reply
+ *
+ * Replies stream word by word, delayMs apart (LLM_MOCK_DELAY_MS).
+ */
+
+const SYMBOL_PATTERN = /(?<![A-Za-z0-9^.])(\^[A-Z]{2,5}|[A-Z]{1,5}(?:\.BK)?)(?![A-Za-z0-9])/g;
+const NOT_SYMBOLS = new Set(['I', 'A', 'AI', 'RSI', 'MACD', 'SMA', 'EMA', 'ATR', 'ETF', 'EPS', 'PE', 'IV', 'USD', 'THB', 'OK', 'VS', 'DCA']);
+
+// First matching rule picks the tool for a message naming a symbol
+const TOOL_RULES = [
+    { tool: 'summarize_news', pattern: /ข่าว|news/i },
+    { tool: 'options_summary', pattern: /ออปชั่น|option|max pain|put\/call/i },
+    { tool: 'earnings_history', pattern: /ประกาศงบ|งบการเงิน|งบไตรมาส|earning|กำไร/i },
+    { tool: 'dividend_history', pattern: /ปันผล|dividend|yield/i },
+    { tool: 'get_technicals', pattern: /เทคนิค|technical|rsi|macd|แนวรับ|แนวต้าน/i },
+    { tool: 'analyze_stock', pattern: /วิเคราะห์|analy|ซื้อ|ขาย|น่าสนใจ|buy|sell/i }
+];
+const CONDENSE_LINES = 10;
+const CONDENSE_CHARS = 100;
+const SCREEN_PATTERN = /สแกน|คัด|screen|oversold|overbought|ขายมากเกิน|ซื้อมากเกิน/i;
+
+const HELP_REPLY = `🤖 **Stockify AI (โหมดทดสอบ)**
+
+ตอนนี้ยังไม่ได้ตั้งค่าโมเดล AI จึงตอบด้วยโหมดทดสอบที่ให้ผลเหมือนเดิมทุกครั้ง
+
+💡 ลองถามโดยระบุชื่อหุ้น เช่น
+- ราคา AAPL ตอนนี้
+- วิเคราะห์ NVDA
+- ข่าวล่าสุดของ TSLA
+- สแกนหุ้น oversold
+
+⚠️ ตั้งค่า LLM_API_KEY หรือ LLM_BASE_URL เพื่อใช้โมเดลจริง`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const countTokens = text => (String(text || '').match(/\S+/g) || []).length;
+
+function abortError() {
+    const error = new Error('The operation was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+function symbolsIn(text) {
+    return [...new Set([...text.matchAll(SYMBOL_PATTERN)].map(m => m[1]).filter(s => !NOT_SYMBOLS.has(s)))];
+}
+
+// Tool calls for the latest user message (none when the model should just answer)
+function planToolCalls(text, toolNames) {
+    const symbols = symbolsIn(text).slice(0, 3);
+    if (symbols.length) {
+        const rule = TOOL_RULES.find(r => r.pattern.test(text));
+        const tool = rule?.tool || 'get_quote';
+        if (!toolNames.has(tool)) return [];
+        return symbols.map(symbol => ({ name: tool, arguments: { symbol } }));
+    }
+    if (SCREEN_PATTERN.test(text) && toolNames.has('screen_stocks')) {
+        const rsi = /overbought|ซื้อมากเกิน/i.test(text) ? 'overbought' : 'oversold';
+        return [{ name: 'screen_stocks', arguments: { rsi } }];
+    }
+    return [];
+}
+
+function formatValue(value) {
+    if (typeof value === 'number') return Number.isInteger(value) ? value.toLocaleString('en-US') : value.toFixed(2);
+    return String(value);
+}
+
+// Up to six top-level scalar fields of a tool result
+function headline(result) {
+    return Object.entries(result)
+        .filter(([, value]) => value !== null && ['string', 'number', 'boolean'].includes(typeof value))
+        .slice(0, 6)
+        .map(([key, value]) => `- ${key}: ${formatValue(value)}`)
+        .join('\n');
+}
+
+function summarizeToolResults(messages) {
+    const calls = new Map();
+    messages.forEach(m => (m.tool_calls || []).forEach(call => calls.set(call.id, call)));
+
+    // Tool messages since the last user turn
+    const lastUser = messages.map(m => m.role).lastIndexOf('user');
+    const sections = messages.slice(lastUser + 1)
+        .filter(m => m.role === 'tool')
+        .map(m => {
+            const call = calls.get(m.tool_call_id);
+            const args = call ? JSON.parse(call.function.arguments || '{}') : {};
+            const title = `📊 **${call?.function.name || 'tool'}${args.symbol ? ` ${args.symbol}` : ''}**`;
+            const result = JSON.parse(m.content);
+            if (result.error) return `${title}\n⚠️ ดึงข้อมูลไม่ได้: ${result.error}`;
+            if (Array.isArray(result.results)) {
+                const rows = result.results.slice(0, 5).map(r => `- ${r.symbol}: ${formatValue(r.price)} (RSI ${formatValue(r.rsi)})`);
+                return `${title}\nพบ ${result.count} ตัว\n${rows.join('\n')}`;
+            }
+            return `${title}\n${headline(result)}`;
+        });
+
+    return `🤖 **Stockify AI (โหมดทดสอบ)**\n\n${sections.join('\n\n')}\n\n⚠️ ข้อมูลนี้ไม่ใช่คำแนะนำการลงทุน`;
+}
+
+// Last CONDENSE_LINES non-empty lines, each cut to CONDENSE_CHARS
+function condense(text) {
+    return String(text || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean)
+        .slice(-CONDENSE_LINES)
+        .map(line => `- ${line.length > CONDENSE_CHARS ? `${line.slice(0, CONDENSE_CHARS)}…` : line}`)
+        .join('\n');
+}
+
+function createMockProvider({ model = 'mock', delayMs = 20 } = {}) {
+    async function chat({ messages, tools = [], signal, onToken }) {
+        if (signal?.aborted) throw abortError();
+
+        const last = messages[messages.length - 1];
+        const toolNames = new Set(tools.map(t => t.function.name));
+        const promptTokens = messages.reduce((sum, m) => sum + countTokens(m.content), 0);
+
+        if (last?.role === 'user') {
+            const planned = planToolCalls(String(last.content || ''), toolNames);
+            if (planned.length) {
+                const round = messages.filter(m => m.role === 'assistant').length;
+                const toolCalls = planned.map((call, i) => ({
+                    id: `call_${round}_${i}`,
+                    type: 'function',
+                    function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                }));
+                const completionTokens = countTokens(toolCalls.map(c => c.function.arguments).join(' '));
+                return {
+                    message: { role: 'assistant', content: null, tool_calls: toolCalls },
+                    usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+                };
+            }
+        }
+
+        let reply = HELP_REPLY;
+        if (last?.role === 'tool') reply = summarizeToolResults(messages);
+        else if (tools.length === 0) reply = condense(last?.content);
+        for (const piece of reply.match(/\S+\s*|\s+/g)) {
+            if (signal?.aborted) throw abortError();
+            if (onToken) onToken(piece);
+            if (delayMs) await sleep(delayMs);
+        }
+
+        const completionTokens = countTokens(reply);
+        return {
+            message: { role: 'assistant', content: reply },
+            usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens, total_tokens: promptTokens + completionTokens }
+        };
+    }
+
+    return { name: 'mock', model, chat };
+}
+
+module.exports = createMockProvider;
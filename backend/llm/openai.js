@@ -0,0 +1,86 @@
+/**
+ * OpenAI-Compatible Chat Provider
+ * Streams /chat/completions from OpenAI or any server speaking the same API
+ * (Ollama, llama.cpp, vLLM, LM Studio, ...)
+ *
+ * The reply is read as server-sent events; content deltas go to onToken and
+ * tool-call deltas (which arrive split across chunks) are stitched back
+ * together by their index.
+ */
+
+function createOpenAIProvider({ baseUrl, model, apiKey, temperature, maxTokens }) {
+    async function chat({ messages, tools, signal, onToken }) {
+        const response = await fetch(`${baseUrl}/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model,
+                messages,
+                ...(tools?.length ? { tools } : {}),
+                temperature,
+                max_tokens: maxTokens,
+                stream: true,
+                stream_options: { include_usage: true }
+            }),
+            signal
+        });
+
+        if (!response.ok) {
+            const body = await response.text();
+            let message;
+            try {
+                message = JSON.parse(body).error?.message;
+            } catch (e) {
+                message = body.slice(0, 200);
+            }
+            console.error('[LLM] Upstream error:', response.status, message);
+            throw new Error(message || `Chat model error (HTTP ${response.status})`);
+        }
+
+        let content = '';
+        let usage = null;
+        const toolCalls = [];
+
+        const handle = chunk => {
+            if (chunk.usage) usage = chunk.usage;
+            const delta = chunk.choices?.[0]?.delta;
+            if (!delta) return;
+            if (delta.content) {
+                content += delta.content;
+                if (onToken) onToken(delta.content);
+            }
+            (delta.tool_calls || []).forEach(call => {
+                const index = call.index ?? toolCalls.length;
+                const target = toolCalls[index] || (toolCalls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } });
+                if (call.id) target.id = call.id;
+                if (call.function?.name) target.function.name += call.function.name;
+                if (call.function?.arguments) target.function.arguments += call.function.arguments;
+            });
+        };
+
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for await (const bytes of response.body) {
+            buffer += decoder.decode(bytes, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(line => {
+                const data = line.startsWith('data:') ? line.slice(5).trim() : null;
+                if (data && data !== '[DONE]') handle(JSON.parse(data));
+            });
+        }
+
+        const calls = toolCalls.filter(Boolean);
+        return {
+            message: { role: 'assistant', content: content || null, ...(calls.length ? { tool_calls: calls } : {}) },
+            usage
+        };
+    }
+
+    return { name: 'openai', model, chat };
+}
+
+module.exports = createOpenAIProvider;
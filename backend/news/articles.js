@@ -0,0 +1,126 @@
+/**
+ * Article Fetcher
+ * Body text of a news article, for summarization
+ *
+ * Fetchers:
+ *   http     downloads the page and keeps the paragraphs of its <article>
+ *            (or main story container, or whole <body>)
+ *   fixture  reads a recorded page from fixtures/_articles, named after the
+ *            link's host and path ("example.com/news/aapl-1" ->
+ *            example-com-news-aapl-1.html); a missing file means "no body"
+ *
+ * Fetcher interface:
+ *   name
+ *   fetch(link) -> body text (paragraphs joined by blank lines) | null
+ *
+ * Environment:
+ *   NEWS_ARTICLE_FETCHER   http | fixture (default: fixture when
+ *                          MARKET_DATA_PROVIDER=fixture, otherwise http)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { decodeEntities } = require('./rss');
+
+const FETCH_TIMEOUT_MS = 10000;
+const MAX_HTML_BYTES = 2 * 1024 * 1024;
+const MIN_PARAGRAPH_CHARS = 40;
+const CACHE_SIZE = 200;
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', '_articles');
+
+// Paragraph text of a page, boilerplate (scripts, navigation, short fragments) left out
+function extractText(html) {
+    const cleaned = String(html || '').replace(/<(script|style|noscript|nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi, ' ');
+    const container = cleaned.match(/<article\b[^>]*>([\s\S]*?)<\/article>/i)?.[1]
+        || cleaned.match(/<div\b[^>]*class="[^"]*(?:article|story)[-_]?(?:body|content|text)[^"]*"[^>]*>([\s\S]*?)<\/div>/i)?.[1]
+        || cleaned.match(/<body\b[^>]*>([\s\S]*?)<\/body>/i)?.[1]
+        || cleaned;
+
+    const paragraphs = (container.match(/<p\b[^>]*>[\s\S]*?<\/p>/gi) || [])
+        .map(p => decodeEntities(p.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim())
+        .filter(p => p.length >= MIN_PARAGRAPH_CHARS);
+    return paragraphs.length ? paragraphs.join('\n\n') : null;
+}
+
+function fixtureName(link) {
+    const url = new URL(link);
+    return `${url.host}${url.pathname}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+// Body text up to maxBytes; the rest of the page is never downloaded
+async function readLimited(response, maxBytes) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let text = '';
+    let bytes = 0;
+    try {
+        while (bytes < maxBytes) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            const chunk = value.subarray(0, maxBytes - bytes);
+            bytes += chunk.length;
+            text += decoder.decode(chunk, { stream: true });
+        }
+    } finally {
+        reader.cancel().catch(() => {});
+    }
+    return text + decoder.decode();
+}
+
+function createHttpFetcher() {
+    return {
+        name: 'http',
+        async fetch(link) {
+            const response = await fetch(link, {
+                headers: { 'User-Agent': 'Mozilla/5.0 (compatible; Stockify/1.0)', 'Accept': 'text/html' },
+                signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            if (!/html/i.test(response.headers.get('content-type') || '')) return null;
+            return extractText(await readLimited(response, MAX_HTML_BYTES));
+        }
+    };
+}
+
+function createFixtureFetcher({ dir = FIXTURE_DIR } = {}) {
+    return {
+        name: 'fixture',
+        async fetch(link) {
+            const file = path.join(dir, `${fixtureName(link)}.html`);
+            return fs.existsSync(file) ? extractText(fs.readFileSync(file, 'utf8')) : null;
+        }
+    };
+}
+
+const FETCHERS = { http: createHttpFetcher, fixture: createFixtureFetcher };
+
+/**
+ * Fetcher named by NEWS_ARTICLE_FETCHER, with bodies cached per link.
+ * Failures resolve to null so one dead link does not sink a summary.
+ */
+function createArticleFetcher(name = process.env.NEWS_ARTICLE_FETCHER || (process.env.MARKET_DATA_PROVIDER === 'fixture' ? 'fixture' : 'http')) {
+    const factory = FETCHERS[name];
+    if (!factory) {
+        throw new Error(`Unknown article fetcher "${name}" (available: ${Object.keys(FETCHERS).join(', ')})`);
+    }
+    const fetcher = factory();
+    const cache = new Map();
+
+    return {
+        name: fetcher.name,
+        fetch(link) {
+            if (!link || !/^https?:\/\//i.test(link)) return Promise.resolve(null);
+            if (!cache.has(link)) {
+                if (cache.size >= CACHE_SIZE) cache.delete(cache.keys().next().value);
+                cache.set(link, fetcher.fetch(link).catch(error => {
+                    console.error(`[News] Article fetch failed for ${link}:`, error.message);
+                    cache.delete(link);
+                    return null;
+                }));
+            }
+            return cache.get(link);
+        }
+    };
+}
+
+module.exports = { createArticleFetcher, extractText };
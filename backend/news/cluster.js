@@ -0,0 +1,202 @@
+/**
+ * News Deduplication, Story Clustering and Ticker Tagging
+ *
+ * Headlines are compared as sets of content tokens (lowercased words minus
+ * stopwords; Thai runs, which have no spaces, become character trigrams):
+ *
+ *   duplicate  same canonical link, same normalized title, or token
+ *              similarity >= DUPLICATE_SIMILARITY within DUPLICATE_WINDOW_HOURS
+ *              -> merged into one article listing every source
+ *   story      similarity >= STORY_SIMILARITY with at least STORY_MIN_SHARED
+ *              shared tokens and a shared ticker (or >= STORY_SIMILARITY_UNTAGGED
+ *              without one) within STORY_WINDOW_HOURS -> same story
+ *
+ * Stories are single-link clusters: an article joins every story it is
+ * similar to, so a thread of follow-ups stays together as it drifts.
+ */
+
+const DUPLICATE_SIMILARITY = 0.8;
+const DUPLICATE_WINDOW_HOURS = 48;
+const STORY_SIMILARITY = 0.25;
+const STORY_SIMILARITY_UNTAGGED = 0.45;
+const STORY_MIN_SHARED = 2;
+const STORY_WINDOW_HOURS = 72;
+
+const STOPWORDS = new Set(('a an and are as at be but by for from has have he her his in into is it its of on or ' +
+    'says said than that the their them they this to was were will with after ahead amid as over new more its ' +
+    'stock stocks shares share inc corp co ltd plc company').split(' '));
+
+// Uppercase words that are tickers but far more often ordinary words or acronyms
+const AMBIGUOUS_TICKERS = new Set(['A', 'AI', 'ALL', 'ARE', 'BE', 'CEO', 'EV', 'FOR', 'IT', 'NOW', 'ON', 'ONE', 'OR', 'SO', 'T', 'TV', 'UK', 'US', 'V', 'C', 'F', 'K', 'O', 'D', 'GDP', 'IPO', 'ETF', 'CPI', 'FED', 'SEC', 'EU']);
+
+const HOUR = 60 * 60 * 1000;
+const THAI = /[฀-๿]/;
+
+function normalizeTitle(title) {
+    return String(title || '')
+        // Trailing " - Publisher Name" / " | Publisher" added by aggregators
+        .replace(/\s+[-|–—]\s+(?:[A-Z][\w.&']*\s?){1,4}$/, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function tokenize(title) {
+    const tokens = new Set();
+    normalizeTitle(title).split(' ').forEach(word => {
+        if (!word || STOPWORDS.has(word)) return;
+        if (THAI.test(word)) {
+            for (let i = 0; i + 3 <= word.length; i++) tokens.add(word.slice(i, i + 3));
+            if (word.length < 3) tokens.add(word);
+        } else if (word.length > 1 || /\d/.test(word)) {
+            tokens.add(word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word);
+        }
+    });
+    return tokens;
+}
+
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return { score: 0, shared: 0 };
+    let shared = 0;
+    a.forEach(token => { if (b.has(token)) shared++; });
+    return { score: shared / (a.size + b.size - shared), shared };
+}
+
+// Link without tracking parameters, fragment or trailing slash
+function canonicalLink(link) {
+    if (!link) return null;
+    try {
+        const url = new URL(link);
+        [...url.searchParams.keys()]
+            .filter(key => /^(utm_|guccounter|guce_|ncid|cmpid|src$|ref$)/i.test(key))
+            .forEach(key => url.searchParams.delete(key));
+        url.hash = '';
+        return `${url.host.replace(/^www\./, '')}${url.pathname.replace(/\/+$/, '')}${url.search}`.toLowerCase();
+    } catch (e) {
+        return link.toLowerCase();
+    }
+}
+
+/**
+ * Tickers an article mentions.
+ * known: Set of symbols to look for; aliases: { SYMBOL: ['Apple', ...] }
+ */
+function tagTickers({ title, summary, relatedTickers = [] }, { known, aliases = {} }) {
+    const tickers = new Set(relatedTickers.map(t => String(t).toUpperCase()));
+    const body = `${title || ''} ${summary || ''}`;
+
+    // $AAPL cashtags and "(NASDAQ: AAPL)" exchange prefixes are explicit
+    for (const m of body.matchAll(/\$([A-Z]{1,5}(?:[.-][A-Z]{1,2})?)\b/g)) tickers.add(m[1]);
+    for (const m of body.matchAll(/\b(?:NASDAQ|NYSE|AMEX|SET)\s*:\s*([A-Z]{1,6}(?:[.-][A-Z]{1,2})?)\b/g)) tickers.add(m[1]);
+
+    // Bare uppercase symbols in the headline, when known and not ordinary words
+    for (const m of String(title || '').matchAll(/\b([A-Z]{2,5}(?:\.BK)?)\b/g)) {
+        if (known.has(m[1]) && !AMBIGUOUS_TICKERS.has(m[1])) tickers.add(m[1]);
+    }
+
+    Object.entries(aliases).forEach(([symbol, names]) => {
+        if (names.some(name => new RegExp(`(^|[^\\p{L}])${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}])`, 'iu').test(body))) {
+            tickers.add(symbol);
+        }
+    });
+
+    return [...tickers].sort();
+}
+
+/**
+ * Merges duplicates into the first-seen copy.
+ * articles: [{ id, title, link, publishedAt (ms), source, publisher, tickers, sources?, ... }]
+ * Returns merged articles, each with sources[{ source, publisher, link }]
+ */
+function dedupe(articles) {
+    const byLink = new Map();
+    const byTitle = new Map();
+    const merged = [];
+
+    [...articles].sort((a, b) => a.publishedAt - b.publishedAt).forEach(article => {
+        const link = canonicalLink(article.link);
+        const title = normalizeTitle(article.title);
+        const tokens = tokenize(article.title);
+
+        let target = (link && byLink.get(link)) || byTitle.get(title);
+        if (!target) {
+            // Near-identical wording from another outlet / wire rewrite
+            for (let i = merged.length - 1; i >= 0; i--) {
+                const candidate = merged[i];
+                if (article.publishedAt - candidate.publishedAt > DUPLICATE_WINDOW_HOURS * HOUR) break;
+                if (similarity(tokens, candidate.tokens).score >= DUPLICATE_SIMILARITY) {
+                    target = candidate;
+                    break;
+                }
+            }
+        }
+
+        // Already-merged articles bring their own source list
+        const sources = article.sources || [{ source: article.source, publisher: article.publisher, link: article.link }];
+        if (target) {
+            sources.forEach(source => {
+                if (!target.sources.some(s => s.source === source.source && s.publisher === source.publisher)) target.sources.push(source);
+            });
+            target.tickers = [...new Set([...target.tickers, ...article.tickers])].sort();
+            target.summary = target.summary || article.summary;
+            target.thumbnail = target.thumbnail || article.thumbnail;
+        } else {
+            target = { ...article, sources: [...sources], tokens };
+            merged.push(target);
+        }
+        if (link) byLink.set(link, target);
+        byTitle.set(title, target);
+    });
+
+    return merged.map(({ tokens, ...article }) => article);
+}
+
+/**
+ * Groups deduplicated articles into stories.
+ * Returns [{ id, headline, tickers, sources, firstPublishedAt, lastPublishedAt, articleIds }],
+ * newest activity first; the story id is its earliest article's id.
+ */
+function cluster(articles) {
+    const sorted = [...articles].sort((a, b) => a.publishedAt - b.publishedAt);
+    const tokens = sorted.map(a => tokenize(a.title));
+    const parent = sorted.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+    for (let i = 0; i < sorted.length; i++) {
+        for (let j = i - 1; j >= 0; j--) {
+            if (sorted[i].publishedAt - sorted[j].publishedAt > STORY_WINDOW_HOURS * HOUR) break;
+            const { score, shared } = similarity(tokens[i], tokens[j]);
+            if (shared < STORY_MIN_SHARED) continue;
+            const sharesTicker = sorted[i].tickers.some(t => sorted[j].tickers.includes(t));
+            if (score >= STORY_SIMILARITY_UNTAGGED || (sharesTicker && score >= STORY_SIMILARITY)) {
+                parent[find(i)] = find(j);
+            }
+        }
+    }
+
+    const groups = new Map();
+    sorted.forEach((article, i) => {
+        const root = find(i);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(article);
+    });
+
+    return [...groups.values()]
+        .map(group => {
+            // Headline: the most widely carried article, earliest on ties
+            const lead = group.reduce((best, a) => a.sources.length > best.sources.length ? a : best, group[0]);
+            return {
+                id: group[0].id,
+                headline: lead.title,
+                tickers: [...new Set(group.flatMap(a => a.tickers))].sort(),
+                sources: [...new Set(group.flatMap(a => a.sources.map(s => s.publisher || s.source)))],
+                firstPublishedAt: group[0].publishedAt,
+                lastPublishedAt: group[group.length - 1].publishedAt,
+                articleIds: group.map(a => a.id).reverse()
+            };
+        })
+        .sort((a, b) => b.lastPublishedAt - a.lastPublishedAt);
+}
+
+module.exports = { normalizeTitle, tokenize, similarity, canonicalLink, tagTickers, dedupe, cluster };
@@ -0,0 +1,90 @@
+/**
+ * News Feeds
+ * Sources the aggregator pulls headlines from
+ *
+ * Feed interface:
+ *   id, name, kind ('yahoo' | 'rss' | 'fixture'), url?
+ *   fetch() -> RawItem[] { id, title, link, publisher, publishedAt, summary, thumbnail, relatedTickers }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseFeed } = require('./rss');
+
+const FETCH_TIMEOUT_MS = 10000;
+const YAHOO_COUNT = 10;
+
+function fromParsed(parsed) {
+    return parsed.items
+        .filter(item => item.title)
+        .map(item => ({
+            id: item.id || item.link,
+            title: item.title,
+            link: item.link,
+            publisher: item.publisher || parsed.title,
+            publishedAt: item.publishedAt,
+            summary: item.summary,
+            thumbnail: null,
+            relatedTickers: []
+        }));
+}
+
+/**
+ * Yahoo Finance headlines through the market-data provider.
+ * news: provider.news; symbols: () -> market-wide watch list
+ */
+function createYahooFeed({ news, symbols }) {
+    async function forSymbol(symbol) {
+        const items = await news(symbol, { count: YAHOO_COUNT });
+        return items.map(item => ({
+            ...item,
+            summary: null,
+            // A search hit without related tickers is still about the symbol searched
+            relatedTickers: item.relatedTickers?.length ? item.relatedTickers : [symbol]
+        }));
+    }
+
+    return {
+        id: 'yahoo',
+        name: 'Yahoo Finance',
+        kind: 'yahoo',
+        forSymbol,
+        async fetch() {
+            const results = await Promise.all(symbols().map(symbol => forSymbol(symbol).catch(() => [])));
+            return results.flat();
+        }
+    };
+}
+
+// Any RSS 2.0 / Atom URL
+function createRssFeed({ id, name, url }) {
+    return {
+        id,
+        name,
+        kind: 'rss',
+        url,
+        async fetch() {
+            const response = await fetch(url, {
+                headers: { 'User-Agent': 'Stockify/1.0 (+news aggregator)', 'Accept': 'application/rss+xml, application/atom+xml, application/xml, text/xml' },
+                signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            return fromParsed(parseFeed(await response.text()));
+        }
+    };
+}
+
+// A recorded RSS / Atom file, for offline runs
+function createFixtureFeed({ file }) {
+    const id = path.basename(file).replace(/\.(rss|atom)?\.?xml$/i, '');
+    return {
+        id,
+        name: parseFeed(fs.readFileSync(file, 'utf8')).title || id,
+        kind: 'fixture',
+        async fetch() {
+            return fromParsed(parseFeed(fs.readFileSync(file, 'utf8')));
+        }
+    };
+}
+
+module.exports = { createYahooFeed, createRssFeed, createFixtureFeed };
@@ -0,0 +1,226 @@
+/**
+ * News Aggregator
+ * Merges headline feeds into one deduplicated, ticker-tagged, story-clustered archive
+ *
+ * Feeds (see feeds.js): Yahoo Finance headlines for a watch list, any RSS /
+ * Atom URLs, and recorded feed files for offline runs. Every refresh pulls
+ * all feeds, merges the new items into the stored archive (see cluster.js
+ * for the duplicate / story rules) and re-clusters. Per-symbol requests also
+ * pull that symbol's Yahoo headlines, so symbols outside the watch list get
+ * a full feed too.
+ *
+ * Environment:
+ *   NEWS_FEEDS             comma-separated RSS / Atom URLs, each optionally "Name|url"
+ *   NEWS_FIXTURE_FEEDS     directory of recorded .xml feeds (default: fixtures/_feeds
+ *                          when MARKET_DATA_PROVIDER=fixture)
+ *   NEWS_REFRESH_MINUTES   how long fetched feeds stay fresh (default 5)
+ *
+ * Article bodies for summaries come from articles.js (NEWS_ARTICLE_FETCHER).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createYahooFeed, createRssFeed, createFixtureFeed } = require('./feeds');
+const { tagTickers, dedupe, cluster } = require('./cluster');
+
+const MAX_ARTICLES = 2000;
+const MAX_AGE_DAYS = 14;
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', '_feeds');
+const DAY = 24 * 60 * 60 * 1000;
+
+function slug(text) {
+    return String(text).toLowerCase().replace(/^https?:\/\//, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 40);
+}
+
+// http(s) URLs only: feed links end up in href / src attributes
+function webUrl(value) {
+    if (!value) return null;
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol) ? String(value) : null;
+    } catch {
+        return null;
+    }
+}
+
+function configuredFeeds() {
+    const feeds = String(process.env.NEWS_FEEDS || '')
+        .split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .flatMap(entry => {
+            const [name, url] = entry.includes('|') ? entry.split('|').map(s => s.trim()) : [null, entry];
+            let host;
+            try {
+                const parsed = new URL(url);
+                if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error('only http(s) feeds are supported');
+                host = parsed.host;
+            } catch (error) {
+                // A bad entry costs only that feed, not the server start
+                console.error(`[News] Skipping NEWS_FEEDS entry "${entry}":`, error.message);
+                return [];
+            }
+            return [createRssFeed({ id: slug(name || host), name: name || host, url })];
+        });
+
+    const fixtureDir = process.env.NEWS_FIXTURE_FEEDS || (process.env.MARKET_DATA_PROVIDER === 'fixture' ? DEFAULT_FIXTURE_DIR : null);
+    if (fixtureDir && fs.existsSync(fixtureDir)) {
+        fs.readdirSync(fixtureDir)
+            .filter(file => file.endsWith('.xml'))
+            .sort()
+            .forEach(file => feeds.push(createFixtureFeed({ file: path.join(fixtureDir, file) })));
+    }
+    return feeds;
+}
+
+/**
+ * store: json store holding { updatedAt, articles: [], stories: [], feeds: {}, symbols: {} }
+ * news: provider.news (Yahoo headlines); symbols: () -> market-wide watch list
+ * known: () -> Set of symbols the tagger recognizes in headlines; aliases: { SYMBOL: [company names] }
+ */
+function createNewsAggregator({ store, news, symbols, known = () => new Set(), aliases = {} }) {
+    const yahoo = createYahooFeed({ news, symbols });
+    const feeds = [yahoo, ...configuredFeeds()];
+    const refreshMs = (Number(process.env.NEWS_REFRESH_MINUTES) || 5) * 60 * 1000;
+    let refreshing = null;
+    const symbolRefreshes = new Map();
+
+    function normalize(item, source, tagging) {
+        const publishedAt = item.publishedAt ? new Date(item.publishedAt).getTime() : Date.now();
+        const key = item.link || item.id || item.title;
+        return {
+            id: `${source}-${crypto.createHash('sha1').update(String(key)).digest('hex').slice(0, 12)}`,
+            title: item.title,
+            link: webUrl(item.link),
+            publisher: item.publisher || null,
+            source,
+            publishedAt: Number.isFinite(publishedAt) ? publishedAt : Date.now(),
+            summary: item.summary || null,
+            thumbnail: webUrl(item.thumbnail),
+            tickers: tagTickers(item, tagging)
+        };
+    }
+
+    // Merge normalized items into the archive, prune it and re-cluster
+    function ingest(items) {
+        store.update(data => {
+            let articles = dedupe([...data.articles, ...items]);
+
+            // Age is measured from the newest article rather than now, so a
+            // recorded archive stays readable offline
+            const newest = Math.max(0, ...articles.map(a => a.publishedAt));
+            articles = articles
+                .filter(a => a.publishedAt >= newest - MAX_AGE_DAYS * DAY)
+                .sort((a, b) => b.publishedAt - a.publishedAt)
+                .slice(0, MAX_ARTICLES);
+
+            const stories = cluster(articles);
+            const storyOf = new Map();
+            stories.forEach(story => story.articleIds.forEach(id => storyOf.set(id, story.id)));
+            articles.forEach(a => { a.storyId = storyOf.get(a.id); });
+
+            data.articles = articles;
+            data.stories = stories;
+        });
+    }
+
+    async function refreshAll() {
+        const tagging = { known: known(), aliases };
+        const results = await Promise.all(feeds.map(async feed => {
+            try {
+                const items = (await feed.fetch()).filter(item => item.title).map(item => normalize(item, feed.id, tagging));
+                return { feed, items, error: null };
+            } catch (error) {
+                console.error(`[News] Feed ${feed.id} failed:`, error.message);
+                return { feed, items: [], error: error.message };
+            }
+        }));
+
+        ingest(results.flatMap(r => r.items));
+        store.update(data => {
+            results.forEach(({ feed, items, error }) => {
+                data.feeds[feed.id] = { fetchedAt: Date.now(), count: items.length, error };
+            });
+            data.updatedAt = Date.now();
+        });
+        console.log(`[News] Refreshed ${feeds.length} feeds, ${store.read().articles.length} articles in ${store.read().stories.length} stories`);
+    }
+
+    async function refresh({ force = false } = {}) {
+        if (!force && Date.now() - store.read().updatedAt < refreshMs) return;
+        if (!refreshing) refreshing = refreshAll().finally(() => { refreshing = null; });
+        await refreshing;
+    }
+
+    async function refreshSymbol(symbol) {
+        if (Date.now() - (store.read().symbols[symbol] || 0) < refreshMs) return;
+        if (!symbolRefreshes.has(symbol)) {
+            symbolRefreshes.set(symbol, (async () => {
+                try {
+                    const items = await yahoo.forSymbol(symbol);
+                    const tagging = { known: known(), aliases };
+                    ingest(items.filter(item => item.title).map(item => normalize(item, yahoo.id, tagging)));
+                } catch (error) {
+                    console.error(`[News] Yahoo headlines for ${symbol} failed:`, error.message);
+                }
+                store.update(data => { data.symbols[symbol] = Date.now(); });
+            })().finally(() => symbolRefreshes.delete(symbol)));
+        }
+        await symbolRefreshes.get(symbol);
+    }
+
+    function matches(article, { symbol, source, since, until }) {
+        if (symbol && !article.tickers.includes(symbol)) return false;
+        if (source && !article.sources.some(s => s.source === source)) return false;
+        if (since && article.publishedAt < since) return false;
+        if (until && article.publishedAt > until) return false;
+        return true;
+    }
+
+    function paginate(list, page, limit) {
+        const pages = Math.max(1, Math.ceil(list.length / limit));
+        return { items: list.slice((page - 1) * limit, page * limit), total: list.length, page, pages, limit };
+    }
+
+    /**
+     * Articles (or stories, group: 'stories') matching the filters, newest first.
+     * filters: symbol, source (feed id), since / until (ms), page (1-based), limit
+     */
+    async function query({ symbol, source, since, until, page = 1, limit = 20, group = 'articles', force = false } = {}) {
+        await refresh({ force });
+        if (symbol) await refreshSymbol(symbol);
+
+        const { articles, stories, updatedAt } = store.read();
+        const filters = { symbol, source, since, until };
+        const matching = articles.filter(a => matches(a, filters));
+
+        if (group !== 'stories') return { ...paginate(matching, page, limit), updatedAt };
+
+        // A story is listed when any of its articles matches; it carries only the matching ones
+        const byStory = new Map();
+        matching.forEach(a => {
+            if (!byStory.has(a.storyId)) byStory.set(a.storyId, []);
+            byStory.get(a.storyId).push(a);
+        });
+        const listed = stories
+            .filter(story => byStory.has(story.id))
+            .map(({ articleIds, ...story }) => ({ ...story, articleCount: articleIds.length, articles: byStory.get(story.id) }));
+        return { ...paginate(listed, page, limit), updatedAt };
+    }
+
+    // Configured feeds with their last fetch
+    function sources() {
+        const status = store.read().feeds;
+        return feeds.map(feed => ({
+            id: feed.id,
+            name: feed.name,
+            kind: feed.kind,
+            url: feed.url || null,
+            ...(status[feed.id] || { fetchedAt: null, count: 0, error: null })
+        }));
+    }
+
+    return { query, sources, refresh };
+}
+
+module.exports = { createNewsAggregator };
@@ -0,0 +1,97 @@
+/**
+ * RSS / Atom Parser
+ * Reads the items of an RSS 2.0 or Atom document into plain objects
+ *
+ * Only the handful of elements a headline feed needs are read (title, link,
+ * date, summary, id, source), so a small tag matcher is enough; CDATA,
+ * entities and HTML inside summaries are unwrapped.
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+        if (code[0] === '#') {
+            const point = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+            return Number.isFinite(point) ? String.fromCodePoint(point) : match;
+        }
+        return ENTITIES[code.toLowerCase()] ?? match;
+    });
+}
+
+// Text content of an element: CDATA unwrapped, tags stripped, entities decoded, whitespace collapsed
+function text(raw) {
+    if (raw === null || raw === undefined) return null;
+    const unwrapped = raw.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1');
+    const decoded = decodeEntities(unwrapped.replace(/<[^>]+>/g, ' '));
+    // Escaped HTML inside the element comes out of decoding as tags
+    return decodeEntities(decoded.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim() || null;
+}
+
+// Inner XML of the first <name> element (namespace prefix allowed in the pattern)
+function element(xml, name) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    return match ? match[1] : null;
+}
+
+function attribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+    return match ? decodeEntities(match[2] ?? match[3]) : null;
+}
+
+function blocks(xml, name) {
+    return xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>[\\s\\S]*?</${name}>`, 'gi')) || [];
+}
+
+function parseDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+}
+
+// Atom links: the rel="alternate" (or rel-less) href
+function atomLink(entry) {
+    const links = entry.match(/<link\b[^>]*>/gi) || [];
+    const preferred = links.find(l => !attribute(l, 'rel') || attribute(l, 'rel') === 'alternate') || links[0];
+    return preferred ? attribute(preferred, 'href') : null;
+}
+
+/**
+ * Items of an RSS or Atom document, in document order.
+ * Returns { title, items[{ id, title, link, publishedAt, summary, publisher }] }
+ */
+function parseFeed(xml) {
+    const isAtom = /<feed[\s>]/i.test(xml) && !/<rss[\s>]/i.test(xml);
+
+    if (isAtom) {
+        const head = xml.split(/<entry[\s>]/i)[0];
+        const feedTitle = text(element(head, 'title'));
+        return {
+            title: feedTitle,
+            items: blocks(xml, 'entry').map(entry => ({
+                id: text(element(entry, 'id')),
+                title: text(element(entry, 'title')),
+                link: atomLink(entry),
+                publishedAt: parseDate(text(element(entry, 'published')) || text(element(entry, 'updated'))),
+                summary: text(element(entry, 'summary') || element(entry, 'content')),
+                publisher: text(element(element(entry, 'source') || '', 'title')) || text(element(element(entry, 'author') || '', 'name')) || feedTitle
+            }))
+        };
+    }
+
+    const channel = element(xml, 'channel') || xml;
+    const feedTitle = text(element(channel.split(/<item[\s>]/i)[0], 'title'));
+    return {
+        title: feedTitle,
+        items: blocks(channel, 'item').map(item => ({
+            id: text(element(item, 'guid')),
+            title: text(element(item, 'title')),
+            link: text(element(item, 'link')),
+            publishedAt: parseDate(text(element(item, 'pubDate')) || text(element(item, 'dc:date'))),
+            summary: text(element(item, 'description') || element(item, 'content:encoded')),
+            publisher: text(element(item, 'source')) || feedTitle
+        }))
+    };
+}
+
+module.exports = { parseFeed, decodeEntities };
@@ -0,0 +1,244 @@
+/**
+ * Extractive News Summary
+ * Ranks the sentences of several articles and pulls out the figures they quote
+ *
+ * Ranking is TextRank over every sentence of every article at once: sentences
+ * are nodes, edges weigh shared content words (overlap / (log|a| + log|b|)),
+ * and PageRank with DAMPING finds the sentences the rest of the coverage
+ * agrees with. A small lead bonus favours each article's opening sentences.
+ * Only the first MAX_SENTENCES_PER_ARTICLE of an article are ranked: the graph
+ * is dense (n² edges), and long pages otherwise stall the event loop.
+ * Bullets are then picked best-first, skipping any sentence too similar to
+ * one already picked and taking at most MAX_PER_ARTICLE from one article.
+ *
+ * Facts are regex reads of the sentences: price targets, EPS, revenue,
+ * guidance and percentage moves, each kept with the sentence it came from
+ * (at most MAX_FACTS_PER_TYPE of a kind, so moves do not crowd out targets).
+ */
+
+const { tokenize, similarity, tagTickers } = require('./cluster');
+
+const DAMPING = 0.85;
+const ITERATIONS = 50;
+const CONVERGENCE = 1e-6;
+const LEAD_BONUS = 0.15;
+const REDUNDANT_SIMILARITY = 0.4;
+const MAX_PER_ARTICLE = 2;
+const MAX_SENTENCES_PER_ARTICLE = 40;
+const MAX_FACTS_PER_TYPE = 3;
+const MIN_WORDS = 6;
+const MAX_WORDS = 60;
+
+// Abbreviations whose period does not end a sentence
+const ABBREVIATIONS = /\b(?:Mr|Mrs|Ms|Dr|Inc|Corp|Co|Ltd|Jr|Sr|St|vs|No|U\.S|U\.K|e\.g|i\.e|Jan|Feb|Mar|Apr|Jun|Jul|Aug|Sep|Sept|Oct|Nov|Dec)\.$/;
+
+// Capitalized words that start sentences or name months rather than entities
+const NOT_ENTITIES = new Set(['The', 'A', 'An', 'In', 'On', 'At', 'For', 'And', 'But', 'Its', 'It', 'This', 'That', 'Separately', 'Shares', 'Analysts', 'Analyst', 'Friday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Saturday', 'Sunday', 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December', 'Wall Street']);
+
+const MONEY = String.raw`\$\s?(\d[\d,]*(?:\.\d+)?)(?:\s?(billion|million|trillion|bn|mn|b|m)\b)?`;
+
+const FACTS = [
+    {
+        type: 'price_target',
+        label: 'ราคาเป้าหมาย',
+        pattern: new RegExp(String.raw`(?:price\s+)?target[^.$]{0,60}?to\s+${MONEY}(?:\s+from\s+${MONEY})?`, 'i'),
+        value: m => m[3] ? `$${m[3]} → $${m[1]}` : `$${m[1]}`
+    },
+    {
+        type: 'price_target',
+        label: 'ราคาเป้าหมาย',
+        pattern: new RegExp(String.raw`target[^.$]{0,40}?(?:of|at)\s+${MONEY}`, 'i'),
+        value: m => `$${m[1]}`
+    },
+    {
+        type: 'eps',
+        label: 'EPS',
+        pattern: new RegExp(String.raw`(?:\bEPS\b|earnings per share)[^.$]{0,40}?${MONEY}|${MONEY}\s+(?:a|per)\s+share`, 'i'),
+        value: m => `$${m[1] || m[3]}`
+    },
+    {
+        type: 'revenue',
+        label: 'รายได้',
+        pattern: new RegExp(String.raw`revenue[^.$]{0,40}?${MONEY}|${MONEY}\s+(?:of|in)\s+(?:\w+\s+)?revenue`, 'i'),
+        value: m => money(m[1] || m[3], m[2] || m[4])
+    },
+    {
+        type: 'guidance',
+        label: 'แนวโน้ม/Guidance',
+        pattern: /\b(?:guid(?:e|ance)|outlook|forecasts?)\b[^.]*?(\$\s?\d[\d,.]*\s?(?:billion|million)?|\d+(?:\.\d+)?%(?:\s+to\s+\d+(?:\.\d+)?%)?)/i,
+        value: m => m[1].replace(/\s+/g, ' ')
+    },
+    {
+        type: 'move',
+        label: 'การเคลื่อนไหว',
+        pattern: /\b(rose|rises|gained|gains|jumped|jumps|climbed|up|fell|falls|dropped|drops|slid|slides|down|lost|lower|higher)\s+(?:about\s+|roughly\s+)?(\d+(?:\.\d+)?)%/i,
+        value: m => `${/^(fell|falls|dropped|drops|slid|slides|down|lost|lower)$/i.test(m[1]) ? '-' : '+'}${m[2]}%`
+    }
+];
+
+function money(amount, unit) {
+    const units = { b: 'B', bn: 'B', billion: 'B', m: 'M', mn: 'M', million: 'M', trillion: 'T' };
+    return `$${amount}${unit ? units[unit.toLowerCase()] || '' : ''}`;
+}
+
+function splitSentences(text) {
+    const sentences = [];
+    String(text || '').split(/\n+/).forEach(paragraph => {
+        let current = '';
+        paragraph.split(/(?<=[.!?]["”’)]?)\s+(?=["“(]?[A-Z0-9$฀-๿])/).forEach(piece => {
+            current = current ? `${current} ${piece}` : piece;
+            if (!ABBREVIATIONS.test(current)) {
+                sentences.push(current.trim());
+                current = '';
+            }
+        });
+        if (current.trim()) sentences.push(current.trim());
+    });
+    return sentences.filter(Boolean);
+}
+
+function wordCount(sentence) {
+    return sentence.split(/\s+/).length;
+}
+
+// TextRank edge weight
+function overlap(a, b) {
+    const { shared } = similarity(a, b);
+    if (!shared) return 0;
+    return shared / (Math.log(a.size + 1) + Math.log(b.size + 1));
+}
+
+function pageRank(weights) {
+    const n = weights.length;
+    const outSum = weights.map(row => row.reduce((s, w) => s + w, 0));
+    let scores = new Array(n).fill(1 / n);
+
+    for (let iteration = 0; iteration < ITERATIONS; iteration++) {
+        const next = scores.map((_, i) => {
+            let sum = 0;
+            for (let j = 0; j < n; j++) {
+                if (weights[j][i] && outSum[j]) sum += (weights[j][i] / outSum[j]) * scores[j];
+            }
+            return (1 - DAMPING) / n + DAMPING * sum;
+        });
+        const delta = next.reduce((s, v, i) => s + Math.abs(v - scores[i]), 0);
+        scores = next;
+        if (delta < CONVERGENCE) break;
+    }
+    return scores;
+}
+
+/**
+ * Sentences of the articles ranked by TextRank.
+ * articles: [{ id, text }]; returns [{ text, articleId, index, tokens, score }] best first
+ */
+function rankSentences(articles) {
+    const nodes = articles.flatMap(article => splitSentences(article.text)
+        .slice(0, MAX_SENTENCES_PER_ARTICLE)
+        .map((text, index) => ({
+            text,
+            articleId: article.id,
+            index,
+            tokens: tokenize(text)
+        })));
+    if (!nodes.length) return [];
+
+    const weights = nodes.map((a, i) => nodes.map((b, j) => (i === j ? 0 : overlap(a.tokens, b.tokens))));
+    const ranks = pageRank(weights);
+    const top = Math.max(...ranks);
+
+    return nodes
+        .map((node, i) => ({ ...node, score: (ranks[i] / top) * (1 + LEAD_BONUS / (node.index + 1)) }))
+        .sort((a, b) => b.score - a.score);
+}
+
+function extractFacts(sentence) {
+    const facts = [];
+    const seen = new Set();
+    FACTS.forEach(({ type, label, pattern, value }) => {
+        const m = sentence.match(pattern);
+        if (!m || seen.has(type)) return;
+        seen.add(type);
+        facts.push({ type, label, value: value(m) });
+    });
+    return facts;
+}
+
+// Multi-word proper names ("Morgan Stanley", "App Store") by how often they appear
+function extractNames(text) {
+    const counts = new Map();
+    for (const m of text.matchAll(/\b([A-Z][a-zA-Z]+(?:\s+(?:&\s+)?[A-Z][a-zA-Z]+)+)\b/g)) {
+        const words = m[1].split(/\s+/);
+        while (words.length && NOT_ENTITIES.has(words[0])) words.shift();
+        const name = words.join(' ');
+        if (words.length < 2 || NOT_ENTITIES.has(name)) continue;
+        counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    return counts;
+}
+
+/**
+ * Summary of several articles.
+ * articles: [{ id, title, link, publisher, text }]
+ * tagging: { known, aliases } for ticker entities (see cluster.tagTickers)
+ * Returns {
+ *   points: [{ text, score, articleId, title, link, publisher }],
+ *   facts: [{ type, label, value, text, link, publisher }],
+ *   entities: [{ name, kind: 'ticker' | 'name', count }]
+ * }
+ */
+function summarizeArticles(articles, { maxPoints = 5, maxFacts = 8, tagging = { known: new Set() } } = {}) {
+    const byId = new Map(articles.map(a => [a.id, a]));
+    const ranked = rankSentences(articles);
+    const source = id => {
+        const { title, link, publisher } = byId.get(id);
+        return { articleId: id, title, link, publisher };
+    };
+
+    const points = [];
+    const perArticle = new Map();
+    for (const sentence of ranked) {
+        if (points.length >= maxPoints) break;
+        const words = wordCount(sentence.text);
+        if (words < MIN_WORDS || words > MAX_WORDS) continue;
+        if ((perArticle.get(sentence.articleId) || 0) >= MAX_PER_ARTICLE) continue;
+        if (points.some(p => similarity(p.tokens, sentence.tokens).score >= REDUNDANT_SIMILARITY)) continue;
+        perArticle.set(sentence.articleId, (perArticle.get(sentence.articleId) || 0) + 1);
+        points.push(sentence);
+    }
+
+    // Facts grouped by type (FACTS order), best-ranked sentence first within a type
+    const typeOrder = [...new Set(FACTS.map(f => f.type))];
+    const seenFacts = new Set();
+    const found = [];
+    ranked.forEach(sentence => {
+        extractFacts(sentence.text).forEach(fact => {
+            const key = `${fact.type}:${fact.value}`;
+            if (seenFacts.has(key)) return;
+            seenFacts.add(key);
+            const { link, publisher } = source(sentence.articleId);
+            found.push({ ...fact, text: sentence.text, link, publisher });
+        });
+    });
+    const facts = typeOrder
+        .flatMap(type => found.filter(f => f.type === type).slice(0, MAX_FACTS_PER_TYPE))
+        .slice(0, maxFacts);
+
+    const tickerCounts = new Map();
+    articles.forEach(article => {
+        tagTickers({ title: article.title, summary: article.text }, tagging).forEach(t => tickerCounts.set(t, (tickerCounts.get(t) || 0) + 1));
+    });
+    const names = extractNames(articles.map(a => a.text).join('\n'));
+    const entities = [
+        ...[...tickerCounts].map(([name, count]) => ({ name, kind: 'ticker', count })),
+        ...[...names].map(([name, count]) => ({ name, kind: 'name', count }))
+    ].sort((a, b) => b.count - a.count).slice(0, 10);
+
+    return {
+        points: points.map(p => ({ text: p.text, score: Math.round(p.score * 1000) / 1000, ...source(p.articleId) })),
+        facts,
+        entities
+    };
+}
+
+module.exports = { summarizeArticles, rankSentences, splitSentences, extractFacts };
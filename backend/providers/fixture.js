@@ -0,0 +1,186 @@
+/**
+ * Fixture Market Data Provider
+ * Serves recorded provider responses from JSON files for offline runs
+ *
+ * Layout: <dir>/<SYMBOL>/<kind>.json where kind is one of
+ * quote, bars-<interval>, options, fundamentals, calendar, earnings, dividends, news
+ *
+ * Bar files hold one bar per line. An interval that was never recorded is
+ * served from the next coarser recording (5m from 1h or 1d), and weekly /
+ * monthly bars are rolled up from daily ones, so every chart timeframe works offline.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const BAR_INTERVALS = ['1m', '5m', '15m', '30m', '1h', '1d']; // finest first
+const ROLLUPS = {
+    '1wk': date => {
+        const monday = new Date(date);
+        monday.setUTCDate(monday.getUTCDate() - (monday.getUTCDay() + 6) % 7);
+        return monday.toISOString().split('T')[0];
+    },
+    '1mo': date => date.toISOString().slice(0, 7)
+};
+
+// ===================================
+// File Helpers
+// ===================================
+function symbolDir(dir, symbol) {
+    return path.join(dir, String(symbol).toUpperCase().replace(/[^A-Z0-9.\-^=]/g, '_'));
+}
+
+function fixturePath(dir, symbol, kind) {
+    return path.join(symbolDir(dir, symbol), `${kind}.json`);
+}
+
+function readFixture(dir, symbol, kind) {
+    const file = fixturePath(dir, symbol, kind);
+    if (!fs.existsSync(file)) {
+        throw new Error(`No fixture for ${symbol} (${kind})`);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'), (key, value) =>
+        typeof value === 'string' && ISO_DATE.test(value) ? new Date(value) : value
+    );
+}
+
+function hasFixture(dir, symbol, kind) {
+    return fs.existsSync(fixturePath(dir, symbol, kind));
+}
+
+function writeFixture(dir, symbol, kind, data) {
+    const text = kind.startsWith('bars-') && Array.isArray(data)
+        ? `[\n${data.map(bar => `  ${JSON.stringify(bar)}`).join(',\n')}\n]`
+        : JSON.stringify(data, null, 2);
+    fs.mkdirSync(symbolDir(dir, symbol), { recursive: true });
+    fs.writeFileSync(fixturePath(dir, symbol, kind), text);
+}
+
+// Daily bars merged into one bar per week (starting Monday) or calendar month
+function rollUp(bars, interval) {
+    const groups = new Map();
+    bars.forEach(bar => {
+        const key = ROLLUPS[interval](bar.date);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(bar);
+    });
+    return [...groups.values()].map(group => {
+        const last = group[group.length - 1];
+        return {
+            date: group[0].date,
+            open: group[0].open,
+            high: Math.max(...group.map(b => b.high)),
+            low: Math.min(...group.map(b => b.low)),
+            close: last.close,
+            adjClose: last.adjClose,
+            volume: group.reduce((sum, b) => sum + (b.volume || 0), 0)
+        };
+    });
+}
+
+// ===================================
+// Provider
+// ===================================
+function createFixtureProvider({ dir }) {
+    const substituted = new Set();
+
+    // Bars recorded for an interval, or the closest stand-in described above
+    function recordedBars(symbol, interval) {
+        const kind = `bars-${interval}`;
+        if (hasFixture(dir, symbol, kind)) return readFixture(dir, symbol, kind);
+        if (ROLLUPS[interval]) return rollUp(recordedBars(symbol, '1d'), interval);
+
+        const coarser = BAR_INTERVALS.slice(BAR_INTERVALS.indexOf(interval) + 1)
+            .find(i => hasFixture(dir, symbol, `bars-${i}`));
+        if (!BAR_INTERVALS.includes(interval) || !coarser) return readFixture(dir, symbol, kind);
+
+        const key = `${symbol}:${interval}`;
+        if (!substituted.has(key)) {
+            substituted.add(key);
+            console.warn(`[Fixtures] No ${interval} bars recorded for ${symbol}; serving ${coarser} bars`);
+        }
+        return readFixture(dir, symbol, `bars-${coarser}`);
+    }
+
+    async function quote(symbol) {
+        return readFixture(dir, symbol, 'quote');
+    }
+
+    async function quotes(symbols) {
+        return symbols
+            .map(symbol => {
+                try {
+                    return readFixture(dir, symbol, 'quote');
+                } catch {
+                    return null;
+                }
+            })
+            .filter(q => q);
+    }
+
+    // Recorded bars end on the day they were captured, so the requested
+    // window is anchored to the last recorded bar instead of today
+    async function bars(symbol, { period1, period2 = new Date(), interval = '1d' } = {}) {
+        const all = recordedBars(symbol, interval);
+        if (all.length === 0) return all;
+
+        const lastTime = all[all.length - 1].date.getTime();
+        const end = Math.min(new Date(period2).getTime(), lastTime);
+        const start = end - (new Date(period2).getTime() - new Date(period1).getTime());
+
+        return all.filter(b => b.date.getTime() >= start && b.date.getTime() <= end);
+    }
+
+    async function optionsChain(symbol, { date } = {}) {
+        const chain = readFixture(dir, symbol, 'options');
+        const expirations = date
+            ? chain.expirations.filter(e => e.expirationDate.getTime() === new Date(date).getTime())
+            : chain.expirations.slice(0, 1);
+
+        return { ...chain, expirations };
+    }
+
+    async function fundamentals(symbol) {
+        return readFixture(dir, symbol, 'fundamentals');
+    }
+
+    async function calendar(symbol) {
+        return readFixture(dir, symbol, 'calendar');
+    }
+
+    async function earnings(symbol) {
+        return readFixture(dir, symbol, 'earnings');
+    }
+
+    async function dividends(symbol, { period1, period2 = new Date() } = {}) {
+        const from = period1 ? new Date(period1) : new Date(0);
+        return readFixture(dir, symbol, 'dividends')
+            .filter(d => d.date >= from && d.date <= new Date(period2));
+    }
+
+    async function news(query, { count = 10 } = {}) {
+        return readFixture(dir, query, 'news').slice(0, count);
+    }
+
+    async function search(query, { count = 10 } = {}) {
+        const q = query.toUpperCase();
+        const symbols = fs.existsSync(dir) ? fs.readdirSync(dir) : [];
+
+        return (await quotes(symbols))
+            .filter(r => r.symbol.toUpperCase().startsWith(q) || r.name.toUpperCase().includes(q))
+            .slice(0, count)
+            .map(r => ({
+                symbol: r.symbol,
+                name: r.name,
+                exchange: r.exchange,
+                type: r.symbol.startsWith('^') ? 'INDEX' : 'EQUITY'
+            }));
+    }
+
+    return { name: 'fixture', quote, quotes, bars, optionsChain, fundamentals, calendar, earnings, dividends, news, search };
+}
+
+module.exports = createFixtureProvider;
+module.exports.readFixture = readFixture;
+module.exports.writeFixture = writeFixture;
@@ -0,0 +1,60 @@
+/**
+ * Market Data Providers
+ * Every upstream market-data call in the backend goes through one of these
+ *
+ * Provider interface (all methods async):
+ *   quote(symbol)                              -> Quote
+ *   quotes(symbols)                            -> Quote[] (unknown symbols are dropped)
+ *   bars(symbol, { period1, period2, interval }) -> Bar[] { date, open, high, low, close, adjClose, volume }
+ *   optionsChain(symbol, { date })             -> { symbol, underlyingPrice, expirationDates, expirations[] }
+ *   fundamentals(symbol)                       -> valuation, dividend and margin figures
+ *   calendar(symbol)                           -> { earningsDates, epsEstimate, revenueEstimate, exDividendDate, dividendDate }
+ *   earnings(symbol)                           -> { history[] { quarter, reportDate, epsActual, epsEstimate, revenueActual, revenueEstimate },
+ *                                                   trend[] { period, endDate, epsEstimate, revenueEstimate, epsTrend, revisions } }
+ *   dividends(symbol, { period1, period2 })    -> { date, amount }[] cash dividends by ex-date, oldest first
+ *   news(query, { count })                     -> NewsItem[] { id, title, link, publisher, publishedAt, thumbnail, relatedTickers }
+ *   search(query, { count })                   -> { symbol, name, exchange, type }[]
+ *
+ * Environment:
+ *   MARKET_DATA_PROVIDER  yahoo (default) | fixture
+ *   MARKET_DATA_FIXTURES  fixture directory (default: backend/fixtures)
+ *   MARKET_DATA_RECORD    1 to save live responses into the fixture directory
+ *   MARKET_DATA_CONCURRENCY  max upstream calls in flight (default 4)
+ *   MARKET_DATA_RATE         max upstream calls per second (default 10, 0 = unlimited)
+ *
+ * The returned provider is wrapped by the fetch scheduler (see scheduler.js),
+ * which adds metrics() alongside the interface above.
+ */
+
+const path = require('path');
+const createYahooProvider = require('./yahoo');
+const createFixtureProvider = require('./fixture');
+const withRecording = require('./recorder');
+const withScheduler = require('./scheduler');
+
+const PROVIDERS = {
+    yahoo: createYahooProvider,
+    fixture: createFixtureProvider
+};
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', 'fixtures');
+
+function createProvider(name = process.env.MARKET_DATA_PROVIDER || 'yahoo') {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown market data provider "${name}" (available: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    const dir = process.env.MARKET_DATA_FIXTURES || DEFAULT_FIXTURE_DIR;
+    let provider = factory({ dir });
+
+    if (process.env.MARKET_DATA_RECORD === '1' && name !== 'fixture') {
+        provider = withRecording(provider, { dir });
+    }
+    return withScheduler(provider, {
+        concurrency: Number(process.env.MARKET_DATA_CONCURRENCY) || 4,
+        rate: process.env.MARKET_DATA_RATE !== undefined ? Number(process.env.MARKET_DATA_RATE) : 10
+    });
+}
+
+module.exports = { createProvider, PROVIDERS };
@@ -0,0 +1,97 @@
+/**
+ * Fixture Recorder
+ * Wraps a live provider and saves its responses in the fixture layout
+ */
+
+const { readFixture, writeFixture } = require('./fixture');
+
+function tryRead(dir, symbol, kind) {
+    try {
+        return readFixture(dir, symbol, kind);
+    } catch {
+        return null;
+    }
+}
+
+function withRecording(provider, { dir }) {
+    const save = (symbol, kind, data) => {
+        try {
+            writeFixture(dir, symbol, kind, data);
+        } catch (e) {
+            console.error(`[Fixtures] Could not record ${symbol} (${kind}):`, e.message);
+        }
+    };
+
+    return {
+        ...provider,
+        name: `${provider.name}+recording`,
+
+        async quote(symbol) {
+            const result = await provider.quote(symbol);
+            save(result.symbol || symbol, 'quote', result);
+            return result;
+        },
+
+        async quotes(symbols) {
+            const result = await provider.quotes(symbols);
+            result.forEach(q => save(q.symbol, 'quote', q));
+            return result;
+        },
+
+        async bars(symbol, options = {}) {
+            const result = await provider.bars(symbol, options);
+            const kind = `bars-${options.interval || '1d'}`;
+            const existing = tryRead(dir, symbol, kind);
+            // Keep the longest recording so short windows don't clobber long ones
+            if (!existing || existing.length <= result.length) {
+                save(symbol, kind, result);
+            }
+            return result;
+        },
+
+        async optionsChain(symbol, options = {}) {
+            const result = await provider.optionsChain(symbol, options);
+            const existing = tryRead(dir, symbol, 'options');
+            const byDate = new Map();
+            [...(existing?.expirations || []), ...result.expirations]
+                .forEach(e => byDate.set(new Date(e.expirationDate).getTime(), e));
+            save(symbol, 'options', {
+                ...result,
+                expirations: [...byDate.values()].sort((a, b) => new Date(a.expirationDate) - new Date(b.expirationDate))
+            });
+            return result;
+        },
+
+        async fundamentals(symbol) {
+            const result = await provider.fundamentals(symbol);
+            save(symbol, 'fundamentals', result);
+            return result;
+        },
+
+        async calendar(symbol) {
+            const result = await provider.calendar(symbol);
+            save(symbol, 'calendar', result);
+            return result;
+        },
+
+        async earnings(symbol) {
+            const result = await provider.earnings(symbol);
+            save(symbol, 'earnings', result);
+            return result;
+        },
+
+        async dividends(symbol, options) {
+            const result = await provider.dividends(symbol, options);
+            save(symbol, 'dividends', result);
+            return result;
+        },
+
+        async news(query, options) {
+            const result = await provider.news(query, options);
+            save(query, 'news', result);
+            return result;
+        }
+    };
+}
+
+module.exports = withRecording;
@@ -0,0 +1,237 @@
+/**
+ * Fetch Scheduler
+ * Wraps a provider so every upstream call shares one concurrency / rate budget
+ *
+ * - quote() / quotes() calls landing within BATCH_WINDOW_MS are merged into
+ *   multi-symbol quotes() calls of up to BATCH_SIZE symbols
+ * - identical in-flight calls (same method and arguments, dates rounded to the
+ *   bar size) share one request
+ * - a 429 pauses the whole queue with exponential backoff, then retries
+ */
+
+const BATCH_WINDOW_MS = 10;
+const BATCH_SIZE = 50;
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 1000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function isRateLimited(error) {
+    const status = error?.status || error?.statusCode || error?.response?.status;
+    return status === 429 || /too many requests|429/i.test(error?.message || '');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * In-flight key for a call. Dates are rounded to the bar size (a day unless the
+ * options ask for an intraday interval, then a minute), so "last N days up to
+ * now" requests built a few milliseconds apart still share one upstream call.
+ */
+function requestKey(method, args) {
+    const interval = args.find(arg => arg && typeof arg === 'object' && arg.interval)?.interval;
+    const step = !interval || /d|wk|mo/.test(interval) ? DAY_MS : MINUTE_MS;
+    return `${method}:${JSON.stringify(args, function (key, value) {
+        const raw = this[key];
+        return raw instanceof Date ? Math.floor(raw.getTime() / step) : value;
+    })}`;
+}
+
+/**
+ * options:
+ *   concurrency  max upstream calls in flight (default 4)
+ *   rate         max upstream calls started per second (default 10, 0 = unlimited)
+ */
+function withScheduler(provider, { concurrency = 4, rate = 10 } = {}) {
+    const queue = [];
+    const inFlight = new Map();
+    let active = 0;
+    let tokens = rate;
+    let lastRefill = Date.now();
+    let pausedUntil = 0;
+    let timer = null;
+
+    const stats = {
+        calls: {},
+        upstreamCalls: 0,
+        batches: 0,
+        batchedSymbols: 0,
+        coalesced: 0,
+        retries: 0,
+        rateLimited: 0,
+        errors: 0,
+        totalLatencyMs: 0
+    };
+
+    // ===================================
+    // Limiter
+    // ===================================
+    function refill() {
+        if (!rate) return;
+        const now = Date.now();
+        tokens = Math.min(rate, tokens + (now - lastRefill) / 1000 * rate);
+        lastRefill = now;
+    }
+
+    function schedule(delay) {
+        if (timer) return;
+        timer = setTimeout(() => {
+            timer = null;
+            drain();
+        }, Math.max(delay, 1));
+    }
+
+    function drain() {
+        while (queue.length > 0 && active < concurrency) {
+            const wait = pausedUntil - Date.now();
+            if (wait > 0) return schedule(wait);
+
+            refill();
+            if (rate && tokens < 1) return schedule((1 - tokens) / rate * 1000);
+            if (rate) tokens -= 1;
+
+            start(queue.shift());
+        }
+    }
+
+    async function start(job) {
+        active++;
+        stats.upstreamCalls++;
+        const started = Date.now();
+        try {
+            job.resolve(await job.task());
+        } catch (error) {
+            if (isRateLimited(error) && job.attempt < MAX_RETRIES) {
+                stats.rateLimited++;
+                stats.retries++;
+                job.attempt++;
+                pausedUntil = Math.max(pausedUntil, Date.now() + BACKOFF_BASE_MS * 2 ** (job.attempt - 1));
+                queue.unshift(job);
+            } else {
+                if (isRateLimited(error)) stats.rateLimited++;
+                stats.errors++;
+                job.reject(error);
+            }
+        } finally {
+            stats.totalLatencyMs += Date.now() - started;
+            active--;
+            drain();
+        }
+    }
+
+    function enqueue(task) {
+        return new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject, attempt: 0 });
+            drain();
+        });
+    }
+
+    // Share one upstream request between identical concurrent calls
+    function coalesced(method, args) {
+        stats.calls[method] = (stats.calls[method] || 0) + 1;
+        const key = requestKey(method, args);
+        if (inFlight.has(key)) {
+            stats.coalesced++;
+            return inFlight.get(key);
+        }
+        const promise = enqueue(() => provider[method](...args))
+            .finally(() => inFlight.delete(key));
+        inFlight.set(key, promise);
+        return promise;
+    }
+
+    // ===================================
+    // Quote batching
+    // ===================================
+    let pending = new Map(); // symbol -> [{ resolve, reject }]
+    let batchTimer = null;
+
+    function flushBatch() {
+        clearTimeout(batchTimer);
+        batchTimer = null;
+        const waiting = pending;
+        pending = new Map();
+
+        const symbols = [...waiting.keys()];
+        for (let i = 0; i < symbols.length; i += BATCH_SIZE) {
+            const chunk = symbols.slice(i, i + BATCH_SIZE);
+            stats.batches++;
+            stats.batchedSymbols += chunk.length;
+
+            enqueue(() => provider.quotes(chunk))
+                .then(results => {
+                    const bySymbol = new Map(results.map(q => [q.symbol, q]));
+                    chunk.forEach(symbol => {
+                        const result = bySymbol.get(symbol) || null;
+                        waiting.get(symbol).forEach(w => w.resolve(result));
+                    });
+                })
+                .catch(error => chunk.forEach(symbol => waiting.get(symbol).forEach(w => w.reject(error))));
+        }
+    }
+
+    // Resolves with the quote, or null when upstream does not know the symbol
+    function requestQuote(symbol) {
+        return new Promise((resolve, reject) => {
+            const key = String(symbol).toUpperCase();
+            if (pending.has(key)) {
+                stats.coalesced++;
+                pending.get(key).push({ resolve, reject });
+            } else {
+                pending.set(key, [{ resolve, reject }]);
+            }
+
+            if (pending.size >= BATCH_SIZE) flushBatch();
+            else if (!batchTimer) batchTimer = setTimeout(flushBatch, BATCH_WINDOW_MS);
+        });
+    }
+
+    async function quote(symbol) {
+        stats.calls.quote = (stats.calls.quote || 0) + 1;
+        const result = await requestQuote(symbol);
+        if (!result) throw new Error(`Quote not found for symbol: ${symbol}`);
+        return result;
+    }
+
+    async function quotes(symbols) {
+        stats.calls.quotes = (stats.calls.quotes || 0) + 1;
+        const results = await Promise.all(symbols.map(requestQuote));
+        return results.filter(q => q);
+    }
+
+    function metrics() {
+        return {
+            provider: provider.name,
+            concurrency,
+            rate,
+            calls: { ...stats.calls },
+            upstreamCalls: stats.upstreamCalls,
+            batches: stats.batches,
+            batchedSymbols: stats.batchedSymbols,
+            coalesced: stats.coalesced,
+            retries: stats.retries,
+            rateLimited: stats.rateLimited,
+            errors: stats.errors,
+            avgLatencyMs: stats.upstreamCalls ? Math.round(stats.totalLatencyMs / stats.upstreamCalls) : 0,
+            queued: queue.length,
+            active,
+            pausedMs: Math.max(0, pausedUntil - Date.now())
+        };
+    }
+
+    const wrapped = {
+        ...provider,
+        name: `${provider.name}+scheduled`,
+        quote,
+        quotes,
+        metrics
+    };
+    ['bars', 'optionsChain', 'fundamentals', 'calendar', 'earnings', 'dividends', 'news', 'search']
+        .filter(method => typeof provider[method] === 'function')
+        .forEach(method => {
+            wrapped[method] = (...args) => coalesced(method, args);
+        });
+    return wrapped;
+}
+
+module.exports = withScheduler;
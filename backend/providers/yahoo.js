@@ -0,0 +1,221 @@
+/**
+ * Yahoo Finance Market Data Provider
+ * Adapts yahoo-finance2 responses to the provider interface (see ./index.js)
+ */
+
+const yahooFinance = require('yahoo-finance2').default;
+
+// ===================================
+// Normalizers
+// ===================================
+function normalizeQuote(q) {
+    return {
+        symbol: q.symbol,
+        name: q.longName || q.shortName || q.symbol,
+        shortName: q.shortName || q.longName || q.symbol,
+        price: q.regularMarketPrice,
+        change: q.regularMarketChange,
+        changePercent: q.regularMarketChangePercent,
+        open: q.regularMarketOpen,
+        high: q.regularMarketDayHigh,
+        low: q.regularMarketDayLow,
+        prevClose: q.regularMarketPreviousClose,
+        volume: q.regularMarketVolume,
+        marketTime: q.regularMarketTime,
+        avgVolume: q.averageDailyVolume3Month || q.averageVolume || null,
+        marketCap: q.marketCap,
+        pe: q.trailingPE,
+        fiftyTwoWeekHigh: q.fiftyTwoWeekHigh,
+        fiftyTwoWeekLow: q.fiftyTwoWeekLow,
+        ytdReturn: q.ytdReturn,
+        exchange: q.exchange,
+        currency: q.currency
+    };
+}
+
+function normalizeContract(c) {
+    return {
+        contractSymbol: c.contractSymbol,
+        strike: c.strike,
+        lastPrice: c.lastPrice || 0,
+        bid: c.bid || 0,
+        ask: c.ask || 0,
+        change: c.change || 0,
+        volume: c.volume || 0,
+        openInterest: c.openInterest || 0,
+        impliedVolatility: c.impliedVolatility || 0,
+        inTheMoney: c.inTheMoney,
+        expiration: c.expiration,
+        lastTradeDate: c.lastTradeDate
+    };
+}
+
+// ===================================
+// Provider
+// ===================================
+function createYahooProvider() {
+    async function quote(symbol) {
+        return normalizeQuote(await yahooFinance.quote(symbol));
+    }
+
+    async function quotes(symbols) {
+        const result = await yahooFinance.quote(symbols);
+        return (Array.isArray(result) ? result : [result]).filter(q => q).map(normalizeQuote);
+    }
+
+    async function bars(symbol, { period1, period2 = new Date(), interval = '1d' } = {}) {
+        const chart = await yahooFinance.chart(symbol, { period1, period2, interval });
+        return (chart.quotes || [])
+            .filter(b => b.close != null)
+            .map(b => ({
+                date: b.date,
+                open: b.open,
+                high: b.high,
+                low: b.low,
+                close: b.close,
+                adjClose: b.adjclose ?? b.close,
+                volume: b.volume || 0
+            }));
+    }
+
+    async function optionsChain(symbol, { date } = {}) {
+        const result = await yahooFinance.options(symbol, date ? { date } : {});
+        return {
+            symbol,
+            underlyingPrice: result.quote?.regularMarketPrice || 0,
+            expirationDates: result.expirationDates || [],
+            expirations: (result.options || []).map(o => ({
+                expirationDate: o.expirationDate,
+                calls: (o.calls || []).map(normalizeContract),
+                puts: (o.puts || []).map(normalizeContract)
+            }))
+        };
+    }
+
+    async function fundamentals(symbol) {
+        const summary = await yahooFinance.quoteSummary(symbol, {
+            modules: ['price', 'summaryDetail', 'defaultKeyStatistics', 'financialData']
+        });
+        const price = summary.price || {};
+        const detail = summary.summaryDetail || {};
+        const stats = summary.defaultKeyStatistics || {};
+        const financial = summary.financialData || {};
+
+        return {
+            symbol,
+            name: price.shortName || price.longName || symbol,
+            price: price.regularMarketPrice || 0,
+            marketCap: price.marketCap || detail.marketCap || null,
+            trailingPE: detail.trailingPE ?? null,
+            forwardPE: detail.forwardPE ?? stats.forwardPE ?? null,
+            priceToBook: stats.priceToBook ?? null,
+            beta: detail.beta ?? stats.beta ?? null,
+            trailingEps: stats.trailingEps ?? null,
+            dividendRate: detail.dividendRate || 0,
+            dividendYield: detail.dividendYield || 0,
+            payoutRatio: detail.payoutRatio ?? null,
+            profitMargin: financial.profitMargins ?? null,
+            revenueGrowth: financial.revenueGrowth ?? null,
+            earningsGrowth: financial.earningsGrowth ?? null,
+            debtToEquity: financial.debtToEquity ?? null
+        };
+    }
+
+    async function calendar(symbol) {
+        const summary = await yahooFinance.quoteSummary(symbol, {
+            modules: ['calendarEvents', 'earnings', 'price']
+        });
+        const events = summary.calendarEvents || {};
+        const earnings = events.earnings || {};
+
+        return {
+            symbol,
+            name: summary.price?.shortName || symbol,
+            earningsDates: earnings.earningsDate || [],
+            epsEstimate: summary.earnings?.earningsChart?.currentQuarterEstimate ?? earnings.earningsAverage ?? null,
+            revenueEstimate: earnings.revenueAverage ?? null,
+            exDividendDate: events.exDividendDate || null,
+            dividendDate: events.dividendDate || null
+        };
+    }
+
+    async function dividends(symbol, { period1, period2 = new Date() } = {}) {
+        const chart = await yahooFinance.chart(symbol, { period1, period2, interval: '1mo', events: 'div' });
+        return (chart.events?.dividends || [])
+            .map(d => ({ date: d.date, amount: d.amount }))
+            .sort((a, b) => a.date - b.date);
+    }
+
+    // Yahoo has no historical revenue estimates or report dates, so those stay null
+    async function earnings(symbol) {
+        const summary = await yahooFinance.quoteSummary(symbol, {
+            modules: ['earningsHistory', 'earningsTrend', 'earnings']
+        });
+        // Both lists run oldest to newest and end on the last reported quarter,
+        // so revenues line up with the reported quarters from the newest back
+        const history = (summary.earningsHistory?.history || []).filter(h => h.quarter);
+        const revenues = summary.earnings?.financialsChart?.quarterly || [];
+        const offset = revenues.length - history.length;
+
+        return {
+            symbol,
+            history: history.map((h, i) => ({
+                quarter: h.quarter,
+                reportDate: null,
+                epsActual: h.epsActual ?? null,
+                epsEstimate: h.epsEstimate ?? null,
+                revenueActual: revenues[i + offset]?.revenue ?? null,
+                revenueEstimate: null
+            })),
+            trend: (summary.earningsTrend?.trend || []).map(t => ({
+                period: t.period,
+                endDate: t.endDate || null,
+                epsEstimate: t.earningsEstimate?.avg ?? null,
+                revenueEstimate: t.revenueEstimate?.avg ?? null,
+                analysts: t.earningsEstimate?.numberOfAnalysts ?? null,
+                epsTrend: {
+                    current: t.epsTrend?.current ?? null,
+                    days7: t.epsTrend?.['7daysAgo'] ?? null,
+                    days30: t.epsTrend?.['30daysAgo'] ?? null,
+                    days60: t.epsTrend?.['60daysAgo'] ?? null,
+                    days90: t.epsTrend?.['90daysAgo'] ?? null
+                },
+                revisions: {
+                    up7: t.epsRevisions?.upLast7days ?? 0,
+                    up30: t.epsRevisions?.upLast30days ?? 0,
+                    down7: t.epsRevisions?.downLast7Days ?? t.epsRevisions?.downLast7days ?? 0,
+                    down30: t.epsRevisions?.downLast30days ?? 0
+                }
+            }))
+        };
+    }
+
+    async function news(query, { count = 10 } = {}) {
+        const result = await yahooFinance.search(query, { quotesCount: 0, newsCount: count });
+        return (result.news || []).map(item => ({
+            id: item.uuid,
+            title: item.title,
+            link: item.link,
+            publisher: item.publisher,
+            publishedAt: item.providerPublishTime,
+            thumbnail: item.thumbnail?.resolutions?.[0]?.url || null,
+            relatedTickers: item.relatedTickers || []
+        }));
+    }
+
+    async function search(query, { count = 10 } = {}) {
+        const result = await yahooFinance.search(query, { quotesCount: count, newsCount: 0 });
+        return (result.quotes || [])
+            .filter(r => r.symbol)
+            .map(r => ({
+                symbol: r.symbol,
+                name: r.longname || r.shortname || r.symbol,
+                exchange: r.exchange,
+                type: r.quoteType
+            }));
+    }
+
+    return { name: 'yahoo', quote, quotes, bars, optionsChain, fundamentals, calendar, earnings, dividends, news, search };
+}
+
+module.exports = createYahooProvider;
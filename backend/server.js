@@ -5,7 +5,32 @@
 
 const express = require('express');
 const cors = require('cors');
-const yahooFinance = require('yahoo-finance2').default;
+const { createProvider } = require('./providers');
+const { createJsonStore, createId } = require('./lib/json-store');
+const HttpError = require('./lib/http-error');
+const indicators = require('./lib/indicators');
+const portfolioLedger = require('./lib/portfolio');
+const { createAlertEngine } = require('./lib/alerts');
+const { createUniverseRegistry } = require('./lib/universes');
+const backtester = require('./lib/backtest');
+const { createBarStore } = require('./lib/bar-store');
+const { createCandleAggregator, INTRADAY_SECONDS, INTERVALS } = require('./lib/candles');
+const optionsAnalytics = require('./lib/options');
+const { createFlowTape, tradingDay } = require('./lib/options-flow');
+const earningsAnalytics = require('./lib/earnings');
+const dividendAnalytics = require('./lib/dividends');
+const rrg = require('./lib/rrg');
+const { createBreadthEngine } = require('./lib/breadth');
+const fearGreed = require('./lib/fear-greed');
+const { createChatTools, MAX_TOOL_ROUNDS } = require('./lib/chat-tools');
+const { createLlm } = require('./llm');
+const { createChatSessions } = require('./lib/chat-sessions');
+const { createNewsAggregator } = require('./news');
+const { createArticleFetcher } = require('./news/articles');
+const { summarizeArticles } = require('./news/summarize');
+const sentimentModel = require('./lib/sentiment');
+const { compileScreen, evaluateScreen } = require('./lib/screener');
+const { createSavedScreens } = require('./lib/saved-screens');
 const WebSocket = require('ws');
 const http = require('http');
 const path = require('path');
@@ -13,6 +38,12 @@ const path = require('path');
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Market data source (MARKET_DATA_PROVIDER=yahoo|fixture); daily bars are
+// served from the persistent bar store and topped up from the provider
+const upstream = createProvider();
+const barStore = createBarStore({ provider: upstream });
+const marketData = { ...upstream, bars: barStore.bars };
+
 // Middleware
 app.use(cors());
 app.use(express.json());
@@ -20,6 +51,16 @@ app.use(express.json());
 // Serve static files from parent directory
 app.use(express.static(path.join(__dirname, '..')));
 
+// Shared indicator library for the browser (window.Indicators)
+app.get('/js/indicators.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'indicators.js'));
+});
+
+// Screen expression parser for the screener editor (window.ScreenExpr)
+app.get('/js/screen-expr.js', (req, res) => {
+    res.sendFile(path.join(__dirname, 'lib', 'screen-expr.js'));
+});
+
 // ===================================
 // Cache for rate limiting
 // ===================================
@@ -38,6 +79,87 @@ function setCache(key, data) {
     cache.set(key, { data, timestamp: Date.now() });
 }
 
+// Display names for a list of symbols (falls back to the symbol itself)
+async function fetchShortNames(symbols) {
+    try {
+        const quotes = await marketData.quotes(symbols);
+        return new Map(quotes.map(q => [q.symbol, q.shortName]));
+    } catch (e) {
+        console.error('[API] Could not fetch names:', e.message);
+        return new Map();
+    }
+}
+
+// ===================================
+// Symbol Universes
+// ===================================
+const universes = createUniverseRegistry({
+    store: createJsonStore('universes', { universes: [] })
+});
+
+// Resolves ?universe= (or the route's default); answers 404 itself for unknown ids
+function requestUniverse(req, res, fallbackId) {
+    const id = String(req.query.universe || fallbackId).toLowerCase();
+    try {
+        return { id, symbols: universes.get(id).symbols };
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+        return null;
+    }
+}
+
+// Scan results are cached per universe (key@id); drop them when its symbols change
+function clearUniverseCache(id) {
+    [...cache.keys()].filter(key => key.endsWith(`@${id}`)).forEach(key => cache.delete(key));
+}
+
+app.get('/api/universes', (req, res) => {
+    res.json({ universes: universes.list() });
+});
+
+app.get('/api/universes/:id', (req, res) => {
+    try {
+        res.json(universes.get(req.params.id.toLowerCase()));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.post('/api/universes', (req, res) => {
+    try {
+        const universe = universes.create(req.body);
+        console.log(`[Universes] Created ${universe.id} (${universe.symbols.length} symbols)`);
+        res.status(201).json(universe);
+    } catch (error) {
+        console.error('[API] Create universe error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Body: { name?, description?, symbols? (replace), add?, remove? }
+app.patch('/api/universes/:id', (req, res) => {
+    try {
+        const universe = universes.update(req.params.id.toLowerCase(), req.body);
+        clearUniverseCache(universe.id);
+        res.json(universe);
+    } catch (error) {
+        console.error('[API] Update universe error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/universes/:id', (req, res) => {
+    try {
+        const id = req.params.id.toLowerCase();
+        universes.remove(id);
+        clearUniverseCache(id);
+        res.json({ deleted: id });
+    } catch (error) {
+        console.error('[API] Delete universe error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
 // ===================================
 // API Routes
 // ===================================
@@ -56,19 +178,19 @@ app.get('/api/quote/:symbol', async (req, res) => {
 
         console.log(`[API] Fetching quote for ${symbol}`);
 
-        const quote = await yahooFinance.quote(symbol);
+        const quote = await marketData.quote(symbol);
 
         const result = {
             symbol: quote.symbol,
-            name: quote.longName || quote.shortName || symbol,
-            price: quote.regularMarketPrice,
-            change: quote.regularMarketChange,
-            changePercent: quote.regularMarketChangePercent,
-            high: quote.regularMarketDayHigh,
-            low: quote.regularMarketDayLow,
-            open: quote.regularMarketOpen,
-            prevClose: quote.regularMarketPreviousClose,
-            volume: quote.regularMarketVolume,
+            name: quote.name,
+            price: quote.price,
+            change: quote.change,
+            changePercent: quote.changePercent,
+            high: quote.high,
+            low: quote.low,
+            open: quote.open,
+            prevClose: quote.prevClose,
+            volume: quote.volume,
             marketCap: quote.marketCap,
             fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh,
             fiftyTwoWeekLow: quote.fiftyTwoWeekLow,
@@ -117,7 +239,7 @@ app.get('/api/history/:symbol', async (req, res) => {
             default: startDate.setFullYear(startDate.getFullYear() - 1);
         }
 
-        const result = await yahooFinance.historical(symbol, {
+        const result = await marketData.bars(symbol, {
             period1: startDate,
             period2: endDate,
             interval: interval
@@ -152,19 +274,9 @@ app.get('/api/search', async (req, res) => {
 
         console.log(`[API] Searching for: ${q}`);
 
-        const results = await yahooFinance.search(q, {
-            quotesCount: 10,
-            newsCount: 0
-        });
+        const results = await marketData.search(q, { count: 10 });
 
-        const formatted = (results.quotes || [])
-            .filter(r => r.quoteType === 'EQUITY')
-            .map(r => ({
-                symbol: r.symbol,
-                name: r.longname || r.shortname || r.symbol,
-                exchange: r.exchange,
-                type: r.quoteType
-            }));
+        const formatted = results.filter(r => r.type === 'EQUITY');
 
         res.json({ results: formatted });
 
@@ -190,8 +302,8 @@ app.get('/api/analysis/:symbol', async (req, res) => {
 
         // Fetch quote and history in parallel
         const [quote, history] = await Promise.all([
-            yahooFinance.quote(symbol),
-            yahooFinance.historical(symbol, {
+            marketData.quote(symbol),
+            marketData.bars(symbol, {
                 period1: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000),
                 period2: new Date(),
                 interval: '1d'
@@ -200,16 +312,16 @@ app.get('/api/analysis/:symbol', async (req, res) => {
 
         const result = {
             symbol: quote.symbol,
-            name: quote.longName || quote.shortName || symbol,
+            name: quote.name,
             quote: {
-                price: quote.regularMarketPrice,
-                change: quote.regularMarketChange,
-                changePercent: quote.regularMarketChangePercent,
-                high: quote.regularMarketDayHigh,
-                low: quote.regularMarketDayLow,
-                open: quote.regularMarketOpen,
-                prevClose: quote.regularMarketPreviousClose,
-                volume: quote.regularMarketVolume,
+                price: quote.price,
+                change: quote.change,
+                changePercent: quote.changePercent,
+                high: quote.high,
+                low: quote.low,
+                open: quote.open,
+                prevClose: quote.prevClose,
+                volume: quote.volume,
                 marketCap: quote.marketCap,
             },
             historical: history.map(bar => ({
@@ -237,18 +349,40 @@ app.get('/api/analysis/:symbol', async (req, res) => {
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
+        provider: marketData.name,
+        chatModel: { provider: llm.name, model: llm.model },
         timestamp: Date.now(),
         uptime: process.uptime()
     });
 });
 
+// Upstream fetch scheduler metrics (batching, coalescing, rate limiting)
+app.get('/api/metrics', (req, res) => {
+    res.json({
+        marketData: marketData.metrics(),
+        cacheEntries: cache.size,
+        timestamp: Date.now()
+    });
+});
+
 // ===================================
 // OHLCV Data with Technical Indicators
 // ===================================
+// Forming candles built from the streamed quotes (see broadcastPrices)
+const candleAggregator = createCandleAggregator();
+
+// How far back upstream serves each intraday interval (days)
+const INTRADAY_LOOKBACK_DAYS = { '1m': 7, '5m': 60, '15m': 60, '30m': 60, '1h': 730 };
+const OHLCV_INTERVALS = [...INTERVALS, '1wk', '1mo'];
+
 app.get('/api/ohlcv/:symbol', async (req, res) => {
     try {
-        const { symbol } = req.params;
+        const symbol = req.params.symbol.toUpperCase();
         const { period = '1y', interval = '1d' } = req.query;
+        if (!OHLCV_INTERVALS.includes(interval)) {
+            throw new HttpError(400, `interval must be one of ${OHLCV_INTERVALS.join(', ')}`);
+        }
+        const intraday = Boolean(INTRADAY_SECONDS[interval]);
         const cacheKey = `ohlcv_${symbol}_${period}_${interval}`;
 
         // Check cache
@@ -274,16 +408,20 @@ app.get('/api/ohlcv/:symbol', async (req, res) => {
             case '5y': startDate.setFullYear(startDate.getFullYear() - 5); break;
             default: startDate.setFullYear(startDate.getFullYear() - 1);
         }
+        if (intraday) {
+            const earliest = Date.now() - INTRADAY_LOOKBACK_DAYS[interval] * 24 * 60 * 60 * 1000;
+            if (startDate.getTime() < earliest) startDate.setTime(earliest);
+        }
 
-        const history = await yahooFinance.historical(symbol, {
+        const history = await marketData.bars(symbol, {
             period1: startDate,
             period2: endDate,
             interval: interval
         });
 
-        // Format OHLCV data
+        // Format OHLCV data (intraday bars are keyed by UTC timestamp, daily by date)
         const ohlcv = history.map(bar => ({
-            time: bar.date.toISOString().split('T')[0],
+            time: intraday ? Math.floor(bar.date.getTime() / 1000) : bar.date.toISOString().split('T')[0],
             timestamp: Math.floor(bar.date.getTime() / 1000),
             open: bar.open,
             high: bar.high,
@@ -292,21 +430,23 @@ app.get('/api/ohlcv/:symbol', async (req, res) => {
             volume: bar.volume
         }));
 
-        // Calculate indicators
+        // Calculate indicators (rounded to cents for the chart)
         const closes = history.map(h => h.close);
+        const cents = series => series.map(v => v === null ? null : Math.round(v * 100) / 100);
 
         // SMA calculations
-        const sma20 = calculateSMAArray(closes, 20);
-        const sma50 = calculateSMAArray(closes, 50);
-        const sma200 = calculateSMAArray(closes, 200);
+        const sma20 = cents(indicators.sma(closes, 20));
+        const sma50 = cents(indicators.sma(closes, 50));
+        const sma200 = cents(indicators.sma(closes, 200));
 
         // EMA calculations
-        const ema9 = calculateEMAArray(closes, 9);
-        const ema21 = calculateEMAArray(closes, 21);
-        const ema50 = calculateEMAArray(closes, 50);
+        const ema9 = cents(indicators.ema(closes, 9));
+        const ema21 = cents(indicators.ema(closes, 21));
+        const ema50 = cents(indicators.ema(closes, 50));
 
         // Bollinger Bands (20, 2)
-        const bollingerBands = calculateBollingerBands(closes, 20, 2);
+        const bb = indicators.bollinger(closes, 20, 2);
+        const bollingerBands = { upper: cents(bb.upper), middle: cents(bb.middle), lower: cents(bb.lower) };
 
         // Attach indicators to data
         const dataWithIndicators = ohlcv.map((bar, i) => ({
@@ -331,121 +471,31 @@ app.get('/api/ohlcv/:symbol', async (req, res) => {
             updated: Date.now()
         };
 
+        // Live candles continue from the last upstream bar
+        if (intraday) candleAggregator.seed(symbol, interval, ohlcv[ohlcv.length - 1]);
+
         setCache(cacheKey, result);
         res.json(result);
 
     } catch (error) {
         console.error(`[API] OHLCV error:`, error.message);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// Helper: Calculate SMA array
-function calculateSMAArray(prices, period) {
-    const result = [];
-    for (let i = 0; i < prices.length; i++) {
-        if (i < period - 1) {
-            result.push(null);
-        } else {
-            const sum = prices.slice(i - period + 1, i + 1).reduce((a, b) => a + b, 0);
-            result.push(Math.round((sum / period) * 100) / 100);
-        }
-    }
-    return result;
-}
-
-// Helper: Calculate EMA array
-function calculateEMAArray(prices, period) {
-    const result = [];
-    const k = 2 / (period + 1);
-
-    for (let i = 0; i < prices.length; i++) {
-        if (i < period - 1) {
-            result.push(null);
-        } else if (i === period - 1) {
-            const sma = prices.slice(0, period).reduce((a, b) => a + b, 0) / period;
-            result.push(Math.round(sma * 100) / 100);
-        } else {
-            const ema = prices[i] * k + result[i - 1] * (1 - k);
-            result.push(Math.round(ema * 100) / 100);
-        }
-    }
-    return result;
-}
-
-// Helper: Calculate Bollinger Bands
-function calculateBollingerBands(prices, period = 20, stdDev = 2) {
-    const upper = [];
-    const middle = [];
-    const lower = [];
-
-    for (let i = 0; i < prices.length; i++) {
-        if (i < period - 1) {
-            upper.push(null);
-            middle.push(null);
-            lower.push(null);
-        } else {
-            const slice = prices.slice(i - period + 1, i + 1);
-            const sma = slice.reduce((a, b) => a + b, 0) / period;
-            const variance = slice.reduce((sum, val) => sum + Math.pow(val - sma, 2), 0) / period;
-            const std = Math.sqrt(variance);
-
-            middle.push(Math.round(sma * 100) / 100);
-            upper.push(Math.round((sma + stdDev * std) * 100) / 100);
-            lower.push(Math.round((sma - stdDev * std) * 100) / 100);
-        }
-    }
-
-    return { upper, middle, lower };
-}
-
 // ===================================
 // Technical Analysis Helpers
 // ===================================
-function calculateRSI(prices, period = 14) {
-    if (prices.length < period + 1) return 50;
-
-    let gains = 0;
-    let losses = 0;
-
-    for (let i = prices.length - period; i < prices.length; i++) {
-        const change = prices[i] - prices[i - 1];
-        if (change > 0) gains += change;
-        else losses -= change;
-    }
-
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-
-    if (avgLoss === 0) return 100;
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
-}
-
-function calculateSMA(prices, period) {
-    if (prices.length < period) return prices[prices.length - 1] || 0;
-    const slice = prices.slice(-period);
-    return slice.reduce((a, b) => a + b, 0) / period;
-}
-
-function calculateMACD(prices) {
-    if (prices.length < 26) return { macd: 0, signal: 0, histogram: 0 };
-
-    // EMA calculation helper
-    const calcEMA = (data, period) => {
-        const k = 2 / (period + 1);
-        let ema = data.slice(0, period).reduce((a, b) => a + b, 0) / period;
-        for (let i = period; i < data.length; i++) {
-            ema = data[i] * k + ema * (1 - k);
-        }
-        return ema;
+// Latest RSI / MACD / SMA readings used by the scoring routes (series math lives in lib/indicators)
+function technicalSnapshot(closes) {
+    const last = closes[closes.length - 1];
+    return {
+        rsi: indicators.latest(indicators.rsi(closes, 14), 50),
+        macd: indicators.macdSummary(closes),
+        sma20: indicators.latest(indicators.sma(closes, 20), last),
+        sma50: indicators.latest(indicators.sma(closes, 50), last),
+        sma200: indicators.latest(indicators.sma(closes, 200), last)
     };
-
-    const ema12 = calcEMA(prices, 12);
-    const ema26 = calcEMA(prices, 26);
-    const macd = ema12 - ema26;
-
-    return { macd, signal: macd * 0.9, histogram: macd * 0.1 };
 }
 
 function calculateAIScore(rsi, macd, priceVsSMA50, priceVsSMA200, volumeTrend) {
@@ -487,11 +537,12 @@ function getRating(score) {
 // ===================================
 // Stock Recommendations API
 // ===================================
-const TOP_STOCKS = ['NVDA', 'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'TSLA', 'AMD', 'NFLX', 'AVGO'];
-
 app.get('/api/recommendations', async (req, res) => {
+    const universe = requestUniverse(req, res, 'top');
+    if (!universe) return;
+
     try {
-        const cacheKey = 'recommendations';
+        const cacheKey = `recommendations@${universe.id}`;
         const cached = getCached(cacheKey);
         if (cached) {
             return res.json({ ...cached, fromCache: true });
@@ -500,12 +551,12 @@ app.get('/api/recommendations', async (req, res) => {
         console.log('[API] Fetching stock recommendations...');
 
         const recommendations = await Promise.all(
-            TOP_STOCKS.map(async (symbol) => {
+            universe.symbols.map(async (symbol) => {
                 try {
                     // Fetch quote and history
                     const [quote, history] = await Promise.all([
-                        yahooFinance.quote(symbol),
-                        yahooFinance.historical(symbol, {
+                        marketData.quote(symbol),
+                        marketData.bars(symbol, {
                             period1: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000),
                             period2: new Date(),
                             interval: '1d'
@@ -516,16 +567,12 @@ app.get('/api/recommendations', async (req, res) => {
                     const volumes = history.map(h => h.volume);
 
                     // Calculate indicators
-                    const rsi = calculateRSI(closes);
-                    const macd = calculateMACD(closes);
-                    const sma20 = calculateSMA(closes, 20);
-                    const sma50 = calculateSMA(closes, 50);
-                    const sma200 = calculateSMA(closes, 200);
+                    const { rsi, macd, sma20, sma50, sma200 } = technicalSnapshot(closes);
                     const avgVolume = volumes.slice(-20).reduce((a, b) => a + b, 0) / 20;
-                    const volumeTrend = quote.regularMarketVolume / avgVolume;
+                    const volumeTrend = quote.volume / avgVolume;
 
                     // Calculate AI Score
-                    const currentPrice = quote.regularMarketPrice;
+                    const currentPrice = quote.price;
                     const aiScore = calculateAIScore(
                         rsi,
                         macd,
@@ -537,11 +584,11 @@ app.get('/api/recommendations', async (req, res) => {
 
                     return {
                         symbol: quote.symbol,
-                        name: quote.longName || quote.shortName || symbol,
+                        name: quote.name,
                         price: currentPrice,
-                        change: quote.regularMarketChange,
-                        changePercent: quote.regularMarketChangePercent,
-                        volume: quote.regularMarketVolume,
+                        change: quote.change,
+                        changePercent: quote.changePercent,
+                        volume: quote.volume,
                         marketCap: quote.marketCap,
                         indicators: {
                             rsi: Math.round(rsi * 10) / 10,
@@ -585,29 +632,20 @@ app.get('/api/recommendations', async (req, res) => {
 // ===================================
 // Enhanced AI Stock Picks API
 // ===================================
-const EXPANDED_STOCKS = [
-    // Tech Giants
-    'NVDA', 'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'TSLA', 'AMD', 'NFLX', 'AVGO',
-    // More Tech
-    'CRM', 'ORCL', 'ADBE', 'INTC', 'QCOM', 'MU', 'AMAT', 'LRCX', 'ASML', 'SNPS',
-    // Finance & Others
-    'JPM', 'V', 'MA', 'BAC', 'GS'
-];
-
-// Fetch and analyze all stocks helper
-async function analyzeAllStocks() {
-    const cacheKey = 'analyzed_stocks';
+// Fetch and analyze all stocks helper (universe defaults to "picks")
+async function analyzeAllStocks(universe) {
+    const cacheKey = `analyzed_stocks@${universe.id}`;
     const cached = getCached(cacheKey);
     if (cached) return cached;
 
     console.log('[API] Analyzing all stocks...');
 
     const analyzed = await Promise.all(
-        EXPANDED_STOCKS.map(async (symbol) => {
+        universe.symbols.map(async (symbol) => {
             try {
                 const [quote, history] = await Promise.all([
-                    yahooFinance.quote(symbol),
-                    yahooFinance.historical(symbol, {
+                    marketData.quote(symbol),
+                    marketData.bars(symbol, {
                         period1: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000),
                         period2: new Date(),
                         interval: '1d'
@@ -620,11 +658,7 @@ async function analyzeAllStocks() {
                 const lows = history.map(h => h.low);
 
                 // Calculate indicators
-                const rsi = calculateRSI(closes);
-                const macd = calculateMACD(closes);
-                const sma20 = calculateSMA(closes, 20);
-                const sma50 = calculateSMA(closes, 50);
-                const sma200 = calculateSMA(closes, 200);
+                const { rsi, macd, sma20, sma50, sma200 } = technicalSnapshot(closes);
                 const avgVolume = volumes.slice(-20).reduce((a, b) => a + b, 0) / 20;
                 const currentVolume = volumes[volumes.length - 1] || avgVolume;
                 const volumeRatio = currentVolume / avgVolume;
@@ -636,7 +670,7 @@ async function analyzeAllStocks() {
                 // 52-week high proximity
                 const high52w = quote.fiftyTwoWeekHigh || Math.max(...highs);
                 const low52w = quote.fiftyTwoWeekLow || Math.min(...lows);
-                const currentPrice = quote.regularMarketPrice;
+                const currentPrice = quote.price;
                 const nearHigh = ((high52w - currentPrice) / high52w) * 100;
                 const nearLow = ((currentPrice - low52w) / low52w) * 100;
 
@@ -768,10 +802,10 @@ async function analyzeAllStocks() {
 
                 return {
                     symbol,
-                    name: quote.shortName || quote.longName || symbol,
+                    name: quote.shortName,
                     price: currentPrice,
-                    change: quote.regularMarketChange,
-                    changePercent: quote.regularMarketChangePercent,
+                    change: quote.change,
+                    changePercent: quote.changePercent,
                     marketCap: quote.marketCap,
                     volume: currentVolume,
                     avgVolume,
@@ -822,8 +856,8 @@ app.get('/api/analyze-stock/:symbol', async (req, res) => {
 
         // Fetch data
         const [quote, history] = await Promise.all([
-            yahooFinance.quote(symbol),
-            yahooFinance.historical(symbol, {
+            marketData.quote(symbol),
+            marketData.bars(symbol, {
                 period1: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000),
                 period2: new Date(),
                 interval: '1d'
@@ -840,11 +874,7 @@ app.get('/api/analyze-stock/:symbol', async (req, res) => {
         const lows = history.map(h => h.low);
 
         // Calculate indicators
-        const rsi = calculateRSI(closes);
-        const macd = calculateMACD(closes);
-        const sma20 = calculateSMA(closes, 20);
-        const sma50 = calculateSMA(closes, 50);
-        const sma200 = calculateSMA(closes, 200);
+        const { rsi, macd, sma20, sma50, sma200 } = technicalSnapshot(closes);
         const avgVolume = volumes.slice(-20).reduce((a, b) => a + b, 0) / 20;
         const currentVolume = volumes[volumes.length - 1] || avgVolume;
         const volumeRatio = currentVolume / avgVolume;
@@ -854,7 +884,7 @@ app.get('/api/analyze-stock/:symbol', async (req, res) => {
 
         const high52w = quote.fiftyTwoWeekHigh || Math.max(...highs);
         const low52w = quote.fiftyTwoWeekLow || Math.min(...lows);
-        const currentPrice = quote.regularMarketPrice;
+        const currentPrice = quote.price;
         const nearHigh = ((high52w - currentPrice) / high52w) * 100;
         const nearLow = ((currentPrice - low52w) / low52w) * 100;
 
@@ -968,10 +998,10 @@ app.get('/api/analyze-stock/:symbol', async (req, res) => {
 
         res.json({
             symbol,
-            name: quote.shortName || quote.longName || symbol,
+            name: quote.shortName,
             price: currentPrice,
-            change: quote.regularMarketChange,
-            changePercent: quote.regularMarketChangePercent,
+            change: quote.change,
+            changePercent: quote.changePercent,
             marketCap: quote.marketCap,
             volume: currentVolume,
             avgVolume,
@@ -1008,8 +1038,11 @@ app.get('/api/analyze-stock/:symbol', async (req, res) => {
 
 // Daily Picks - Top AI-recommended stocks
 app.get('/api/daily-picks', async (req, res) => {
+    const universe = requestUniverse(req, res, 'picks');
+    if (!universe) return;
+
     try {
-        const allStocks = await analyzeAllStocks();
+        const allStocks = await analyzeAllStocks(universe);
 
         // Get stocks with high AI scores or marked as 'daily'
         const dailyPicks = allStocks
@@ -1031,8 +1064,11 @@ app.get('/api/daily-picks', async (req, res) => {
 
 // Momentum Stocks - หุ้นซิ่ง
 app.get('/api/momentum-stocks', async (req, res) => {
+    const universe = requestUniverse(req, res, 'picks');
+    if (!universe) return;
+
     try {
-        const allStocks = await analyzeAllStocks();
+        const allStocks = await analyzeAllStocks(universe);
 
         // Get stocks with high momentum
         const momentum = allStocks
@@ -1054,8 +1090,11 @@ app.get('/api/momentum-stocks', async (req, res) => {
 
 // Value Picks - หุ้น Oversold / PE ต่ำ
 app.get('/api/value-picks', async (req, res) => {
+    const universe = requestUniverse(req, res, 'picks');
+    if (!universe) return;
+
     try {
-        const allStocks = await analyzeAllStocks();
+        const allStocks = await analyzeAllStocks(universe);
 
         // Get oversold or undervalued stocks
         const valuePicks = allStocks
@@ -1077,8 +1116,11 @@ app.get('/api/value-picks', async (req, res) => {
 
 // Watchout - หุ้นควรระวัง
 app.get('/api/watchout', async (req, res) => {
+    const universe = requestUniverse(req, res, 'picks');
+    if (!universe) return;
+
     try {
-        const allStocks = await analyzeAllStocks();
+        const allStocks = await analyzeAllStocks(universe);
 
         // Get overbought or risky stocks
         const watchout = allStocks
@@ -1100,8 +1142,11 @@ app.get('/api/watchout', async (req, res) => {
 
 // All Categories Combined
 app.get('/api/stock-picks', async (req, res) => {
+    const universe = requestUniverse(req, res, 'picks');
+    if (!universe) return;
+
     try {
-        const allStocks = await analyzeAllStocks();
+        const allStocks = await analyzeAllStocks(universe);
 
         const dailyPicks = allStocks.filter(s => s.category === 'daily' || s.aiScore >= 65).sort((a, b) => b.aiScore - a.aiScore).slice(0, 5);
         const momentum = allStocks.filter(s => s.category === 'momentum' || (s.volumeRatio > 1.3 && s.indicators.priceChange5d > 2)).sort((a, b) => b.volumeRatio - a.volumeRatio).slice(0, 5);
@@ -1153,6 +1198,7 @@ const INDICES = [
     { symbol: '^N225', id: 'nky', name: 'Nikkei 225' },
     { symbol: '^STOXX50E', id: 'stoxx', name: 'Euro Stoxx 50' },
     { symbol: '^SET.BK', id: 'set', name: 'SET Index' },
+    { symbol: 'XIN9.FGI', id: 'cna50', name: 'China A50' },
     { symbol: '^VIX', id: 'vix', name: 'VIX' }
 ];
 
@@ -1169,17 +1215,17 @@ app.get('/api/indices', async (req, res) => {
         const indices = await Promise.all(
             INDICES.map(async (idx) => {
                 try {
-                    const quote = await yahooFinance.quote(idx.symbol);
+                    const quote = await marketData.quote(idx.symbol);
                     return {
                         id: idx.id,
                         symbol: idx.symbol,
                         name: idx.name,
-                        price: quote.regularMarketPrice,
-                        change: quote.regularMarketChange,
-                        changePercent: quote.regularMarketChangePercent,
-                        high: quote.regularMarketDayHigh,
-                        low: quote.regularMarketDayLow,
-                        prevClose: quote.regularMarketPreviousClose,
+                        price: quote.price,
+                        change: quote.change,
+                        changePercent: quote.changePercent,
+                        high: quote.high,
+                        low: quote.low,
+                        prevClose: quote.prevClose,
                         timestamp: Date.now()
                     };
                 } catch (e) {
@@ -1215,24 +1261,35 @@ const subscriptions = new Map();
 wss.on('connection', (ws) => {
     console.log('[WS] Client connected');
     const clientId = Date.now().toString();
-    subscriptions.set(clientId, { ws, symbols: new Set() });
+    subscriptions.set(clientId, { ws, symbols: new Set(), candles: new Set() });
 
     ws.on('message', (message) => {
         try {
             const data = JSON.parse(message);
 
+            // { action: 'subscribe', symbol, interval? } - interval adds live candles
             if (data.action === 'subscribe') {
                 const sub = subscriptions.get(clientId);
                 if (sub) {
-                    sub.symbols.add(data.symbol.toUpperCase());
-                    console.log(`[WS] ${clientId} subscribed to ${data.symbol}`);
+                    const symbol = data.symbol.toUpperCase();
+                    sub.symbols.add(symbol);
+                    if (INTERVALS.includes(data.interval)) {
+                        sub.candles.add(`${symbol}:${data.interval}`);
+                    }
+                    console.log(`[WS] ${clientId} subscribed to ${data.symbol}${data.interval ? ` (${data.interval})` : ''}`);
                 }
             }
 
             if (data.action === 'unsubscribe') {
                 const sub = subscriptions.get(clientId);
                 if (sub) {
-                    sub.symbols.delete(data.symbol.toUpperCase());
+                    const symbol = data.symbol.toUpperCase();
+                    if (data.interval) {
+                        sub.candles.delete(`${symbol}:${data.interval}`);
+                    } else {
+                        sub.symbols.delete(symbol);
+                        sub.candles.forEach(key => key.startsWith(`${symbol}:`) && sub.candles.delete(key));
+                    }
                 }
             }
         } catch (e) {
@@ -1251,7 +1308,7 @@ wss.on('connection', (ws) => {
 
 // Broadcast price updates every 10 seconds
 async function broadcastPrices() {
-    const allSymbols = new Set();
+    const allSymbols = new Set(alertEngine.symbols());
 
     subscriptions.forEach((sub) => {
         sub.symbols.forEach(s => allSymbols.add(s));
@@ -1266,15 +1323,18 @@ async function broadcastPrices() {
         const quotes = await Promise.all(
             symbols.map(async (symbol) => {
                 try {
-                    const quote = await yahooFinance.quote(symbol);
+                    const quote = await marketData.quote(symbol);
                     return {
                         symbol: quote.symbol,
-                        price: quote.regularMarketPrice,
-                        change: quote.regularMarketChange,
-                        changePercent: quote.regularMarketChangePercent,
-                        high: quote.regularMarketDayHigh,
-                        low: quote.regularMarketDayLow,
-                        volume: quote.regularMarketVolume,
+                        price: quote.price,
+                        change: quote.change,
+                        changePercent: quote.changePercent,
+                        open: quote.open,
+                        high: quote.high,
+                        low: quote.low,
+                        volume: quote.volume,
+                        avgVolume: quote.avgVolume,
+                        marketTime: quote.marketTime,
                         timestamp: Date.now()
                     };
                 } catch (e) {
@@ -1285,6 +1345,7 @@ async function broadcastPrices() {
         );
 
         const validQuotes = quotes.filter(q => q !== null);
+        const candles = validQuotes.flatMap(q => candleAggregator.update(q));
 
         subscriptions.forEach((sub) => {
             if (sub.ws.readyState === WebSocket.OPEN) {
@@ -1295,18 +1356,118 @@ async function broadcastPrices() {
                         data: clientQuotes
                     }));
                 }
+                candles
+                    .filter(c => sub.candles.has(`${c.symbol}:${c.interval}`))
+                    .forEach(candle => sub.ws.send(JSON.stringify({ type: 'candle', data: candle })));
             }
         });
 
+        // Evaluate price alerts against the same quotes
+        const events = await alertEngine.evaluate(validQuotes);
+        events.forEach(event => {
+            console.log(`[Alerts] Triggered: ${event.description}`);
+            broadcastAll({ type: 'alert', data: event });
+        });
+
     } catch (error) {
         console.error('[WS] Broadcast error:', error.message);
     }
 }
 
+// Send a message to every connected client
+function broadcastAll(message) {
+    const payload = JSON.stringify(message);
+    subscriptions.forEach((sub) => {
+        if (sub.ws.readyState === WebSocket.OPEN) {
+            sub.ws.send(payload);
+        }
+    });
+}
+
+// ===================================
+// Price Alerts API
+// ===================================
+const ALERT_INDICATOR_CACHE = 5 * 60 * 1000; // daily bars only change once a day
+
+// RSI, MACD crossover and prior 52-week range from daily bars plus the live price
+async function getAlertIndicators(symbol, quote) {
+    const cacheKey = `alert_bars_${symbol}`;
+    const cached = cache.get(cacheKey);
+    let history = cached && Date.now() - cached.timestamp < ALERT_INDICATOR_CACHE ? cached.data : null;
+
+    if (!history) {
+        history = await marketData.bars(symbol, {
+            period1: new Date(Date.now() - 400 * 24 * 60 * 60 * 1000),
+            period2: new Date(),
+            interval: '1d'
+        });
+        cache.set(cacheKey, { data: history, timestamp: Date.now() });
+    }
+
+    // Drop today's (still forming) bar and use the live price as the latest close
+    const today = new Date().toISOString().split('T')[0];
+    const prior = history.filter(bar => bar.date.toISOString().split('T')[0] < today);
+    const closes = [...prior.map(bar => bar.close), quote.price];
+    const lastYear = prior.slice(-252);
+
+    const macd = indicators.macdSummary(closes);
+
+    return {
+        rsi: indicators.latest(indicators.rsi(closes, 14)),
+        macd: macd.macd,
+        macdCross: macd.crossover ? macd.trend : null,
+        priorHigh52w: lastYear.length ? Math.max(...lastYear.map(bar => bar.high)) : null,
+        priorLow52w: lastYear.length ? Math.min(...lastYear.map(bar => bar.low)) : null
+    };
+}
+
+const alertEngine = createAlertEngine({
+    store: createJsonStore('alerts', { alerts: [], history: [] }),
+    getIndicators: getAlertIndicators
+});
+
+app.get('/api/alerts', (req, res) => {
+    res.json({ alerts: alertEngine.list({ symbol: req.query.symbol }) });
+});
+
+// Fired alerts, newest first
+app.get('/api/alerts/history', (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    res.json({ events: alertEngine.history({ symbol: req.query.symbol, limit }) });
+});
+
+app.post('/api/alerts', (req, res) => {
+    try {
+        const alert = alertEngine.create(req.body);
+        console.log(`[Alerts] Created: ${alert.description}`);
+        res.status(201).json(alert);
+
+    } catch (error) {
+        console.error('[API] Create alert error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.patch('/api/alerts/:id', (req, res) => {
+    try {
+        res.json(alertEngine.update(req.params.id, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/alerts/:id', (req, res) => {
+    try {
+        alertEngine.remove(req.params.id);
+        res.json({ deleted: req.params.id });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
 // ===================================
 // Real-time Options Flow API
 // ===================================
-const OPTIONS_SYMBOLS = ['AAPL', 'NVDA', 'TSLA', 'AMD', 'META', 'AMZN', 'GOOGL', 'MSFT', 'SPY', 'QQQ'];
 
 // Get options chain for a single symbol
 app.get('/api/options/:symbol', async (req, res) => {
@@ -1321,16 +1482,16 @@ app.get('/api/options/:symbol', async (req, res) => {
 
         console.log(`[API] Fetching options for ${symbol}`);
 
-        // Get options chain from Yahoo Finance
-        const options = await yahooFinance.options(symbol);
+        // Get options chain from the market data provider
+        const chain = await marketData.optionsChain(symbol);
 
-        if (!options || !options.options || options.options.length === 0) {
+        if (!chain || chain.expirations.length === 0) {
             return res.status(404).json({ error: 'ไม่พบข้อมูล Options' });
         }
 
-        const currentPrice = options.quote?.regularMarketPrice || 0;
-        const expirationDates = options.expirationDates || [];
-        const optionsData = options.options[0]; // First expiration
+        const currentPrice = chain.underlyingPrice || 0;
+        const expirationDates = chain.expirationDates || [];
+        const optionsData = chain.expirations[0]; // First expiration
 
         // Process calls and puts
         const processContracts = (contracts, type) => {
@@ -1345,7 +1506,7 @@ app.get('/api/options/:symbol', async (req, res) => {
                 impliedVolatility: c.impliedVolatility || 0,
                 inTheMoney: c.inTheMoney,
                 expiry: optionsData.expirationDate ?
-                    new Date(optionsData.expirationDate * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '-',
+                    new Date(optionsData.expirationDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '-',
                 // Unusual activity: volume > open interest * 0.5
                 unusual: c.volume > (c.openInterest || 1) * 0.5 && c.volume > 1000
             }));
@@ -1377,10 +1538,175 @@ app.get('/api/options/:symbol', async (req, res) => {
     }
 });
 
+// ===================================
+// Options Analytics API
+// ===================================
+const dayOf = date => new Date(date).toISOString().split('T')[0];
+
+// Every expiration of a chain (one upstream call per expiration date), or just `expiration`
+async function getFullChain(symbol, expiration = null) {
+    const cacheKey = `options_chain_${symbol}_${expiration || 'all'}`;
+    const cached = getCached(cacheKey);
+    if (cached) return cached;
+
+    const first = await marketData.optionsChain(symbol);
+    if (!first || first.expirations.length === 0) throw new HttpError(404, `No options listed for ${symbol}`);
+
+    const byDay = new Map(first.expirations.map(e => [dayOf(e.expirationDate), e]));
+    const dates = (first.expirationDates || [])
+        .filter(date => expiration ? dayOf(date) === expiration : !byDay.has(dayOf(date)));
+    if (expiration && dates.length === 0 && !byDay.has(expiration)) {
+        throw new HttpError(404, `${symbol} has no ${expiration} expiration`);
+    }
+
+    const chains = await Promise.all(dates.map(date =>
+        marketData.optionsChain(symbol, { date }).catch(e => {
+            console.log(`[Options] Skip ${symbol} ${dayOf(date)}:`, e.message);
+            return null;
+        })
+    ));
+    chains.filter(Boolean).forEach(c => c.expirations.forEach(e => byDay.set(dayOf(e.expirationDate), e)));
+
+    const expirations = [...byDay.values()]
+        .filter(e => !expiration || dayOf(e.expirationDate) === expiration)
+        .sort((a, b) => new Date(a.expirationDate) - new Date(b.expirationDate));
+
+    const result = {
+        symbol,
+        underlyingPrice: first.underlyingPrice,
+        expirationDates: (first.expirationDates || []).map(dayOf),
+        expirations
+    };
+    setCache(cacheKey, result);
+    return result;
+}
+
+async function dividendYieldOf(symbol) {
+    try {
+        return (await marketData.fundamentals(symbol)).dividendYield || 0;
+    } catch {
+        return 0;
+    }
+}
+
+// Full chain with Black-Scholes Greeks on every contract (?expiration=YYYY-MM-DD for one)
+app.get('/api/options/:symbol/chain', async (req, res) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const [chain, dividendYield] = await Promise.all([
+            getFullChain(symbol, req.query.expiration || null),
+            dividendYieldOf(symbol)
+        ]);
+        const context = { spot: chain.underlyingPrice, rate: optionsAnalytics.DEFAULT_RATE, dividendYield };
+
+        res.json({
+            symbol,
+            underlyingPrice: chain.underlyingPrice,
+            rate: context.rate,
+            dividendYield,
+            expirationDates: chain.expirationDates,
+            expirations: chain.expirations.map(e => optionsAnalytics.analyzeExpiration(e, context)),
+            timestamp: Date.now()
+        });
+    } catch (error) {
+        console.error('[API] Options chain error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// IV surface, max pain, open-interest walls and expected moves across the chain
+app.get('/api/options/:symbol/analytics', async (req, res) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const [chain, dividendYield, calendar] = await Promise.all([
+            getFullChain(symbol),
+            dividendYieldOf(symbol),
+            marketData.calendar(symbol).catch(() => null)
+        ]);
+        const spot = chain.underlyingPrice;
+        const analyzed = chain.expirations.map(e =>
+            optionsAnalytics.analyzeExpiration(e, { spot, rate: optionsAnalytics.DEFAULT_RATE, dividendYield }));
+
+        const allCalls = analyzed.flatMap(e => e.calls);
+        const allPuts = analyzed.flatMap(e => e.puts);
+
+        // The first expiration after the next earnings date prices in the earnings move
+        const earningsDate = calendar?.earningsDates?.[0] ? dayOf(calendar.earningsDates[0]) : null;
+        const earningsExpiration = earningsDate ? analyzed.find(e => e.expirationDate >= earningsDate) : null;
+
+        res.json({
+            symbol,
+            underlyingPrice: spot,
+            expirations: analyzed.map(e => ({
+                expirationDate: e.expirationDate,
+                daysToExpiry: e.daysToExpiry,
+                maxPain: optionsAnalytics.maxPain(e.calls, e.puts),
+                walls: optionsAnalytics.openInterestWalls(e.calls, e.puts, spot),
+                expectedMove: optionsAnalytics.expectedMove(e, spot),
+                callOpenInterest: e.calls.reduce((sum, c) => sum + (c.openInterest || 0), 0),
+                putOpenInterest: e.puts.reduce((sum, p) => sum + (p.openInterest || 0), 0)
+            })),
+            walls: optionsAnalytics.openInterestWalls(allCalls, allPuts, spot),
+            surface: optionsAnalytics.volatilitySurface(analyzed, spot),
+            earnings: earningsDate ? {
+                date: earningsDate,
+                expectedMove: earningsExpiration ? optionsAnalytics.expectedMove(earningsExpiration, spot) : null
+            } : null,
+            timestamp: Date.now()
+        });
+    } catch (error) {
+        console.error('[API] Options analytics error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// Options Flow Tape
+// ===================================
+const flowTape = createFlowTape();
+const OPTIONS_FLOW_POLL_MS = 60000;
+
+// Snapshot the nearest expiration of every symbol and book the new prints
+async function pollOptionsFlow(universe) {
+    const results = await Promise.all(universe.symbols.map(async (symbol) => {
+        try {
+            const chain = await marketData.optionsChain(symbol);
+            if (!chain || chain.expirations.length === 0) return null;
+
+            flowTape.record(chain);
+            const nearest = chain.expirations[0];
+            return {
+                symbol,
+                callVolume: (nearest.calls || []).reduce((sum, c) => sum + (c.volume || 0), 0),
+                putVolume: (nearest.puts || []).reduce((sum, c) => sum + (c.volume || 0), 0)
+            };
+        } catch {
+            return null;
+        }
+    }));
+    return results.filter(r => r !== null);
+}
+
+// Tape print in the shape of the watchlist's unusual-activity rows
+function formatPrint(p) {
+    return {
+        ...p,
+        expiry: new Date(`${p.expiration}T00:00:00Z`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' }),
+        volume: p.size,
+        premium: (p.premium / 1000000).toFixed(2), // in millions
+        iv: (p.iv * 100).toFixed(1) + '%',
+        signal: p.sentiment,
+        currentPrice: p.spot
+    };
+}
+
 // Get aggregated options flow from multiple symbols
 app.get('/api/options-flow', async (req, res) => {
+    const universe = requestUniverse(req, res, 'options');
+    if (!universe) return;
+
     try {
-        const cacheKey = 'options_flow_all';
+        const cacheKey = `options_flow_all@${universe.id}`;
         const cached = getCached(cacheKey);
         if (cached) {
             return res.json(cached);
@@ -1388,75 +1714,31 @@ app.get('/api/options-flow', async (req, res) => {
 
         console.log('[API] Fetching real-time options flow...');
 
-        // Fetch options for all symbols
-        const optionsPromises = OPTIONS_SYMBOLS.map(async (symbol) => {
-            try {
-                const options = await yahooFinance.options(symbol);
-                if (!options || !options.options || options.options.length === 0) return null;
-
-                const optionsData = options.options[0];
-                const currentPrice = options.quote?.regularMarketPrice || 0;
-
-                const processUnusual = (contracts, type) => {
-                    return (contracts || [])
-                        .filter(c => c.volume > (c.openInterest || 1) * 0.3 && c.volume > 500)
-                        .map(c => ({
-                            symbol,
-                            type,
-                            strike: c.strike,
-                            expiry: optionsData.expirationDate ?
-                                new Date(optionsData.expirationDate * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '-',
-                            volume: c.volume || 0,
-                            openInterest: c.openInterest || 0,
-                            premium: ((c.lastPrice || 0) * (c.volume || 0) * 100 / 1000000).toFixed(2), // in millions
-                            iv: (c.impliedVolatility * 100).toFixed(1) + '%',
-                            signal: type === 'CALL' && c.volume > 5000 ? 'bullish' :
-                                type === 'PUT' && c.volume > 5000 ? 'bearish' : 'neutral',
-                            currentPrice
-                        }));
-                };
-
-                const unusualCalls = processUnusual(optionsData.calls, 'CALL');
-                const unusualPuts = processUnusual(optionsData.puts, 'PUT');
-
-                return {
-                    symbol,
-                    callVolume: (optionsData.calls || []).reduce((sum, c) => sum + (c.volume || 0), 0),
-                    putVolume: (optionsData.puts || []).reduce((sum, c) => sum + (c.volume || 0), 0),
-                    unusual: [...unusualCalls, ...unusualPuts]
-                };
-            } catch {
-                return null;
-            }
-        });
-
-        const results = await Promise.all(optionsPromises);
-        const validResults = results.filter(r => r !== null);
-
-        // Aggregate data
-        let totalCallVolume = 0;
-        let totalPutVolume = 0;
-        let allUnusual = [];
-
-        validResults.forEach(r => {
-            totalCallVolume += r.callVolume;
-            totalPutVolume += r.putVolume;
-            allUnusual = allUnusual.concat(r.unusual);
-        });
+        const volumes = await pollOptionsFlow(universe);
+        const totalCallVolume = volumes.reduce((sum, r) => sum + r.callVolume, 0);
+        const totalPutVolume = volumes.reduce((sum, r) => sum + r.putVolume, 0);
 
-        // Sort unusual by volume and take top 15
-        allUnusual = allUnusual.sort((a, b) => b.volume - a.volume).slice(0, 15);
+        // Today's prints for the universe: sweeps, blocks and unusual contracts
+        const symbols = new Set(universe.symbols);
+        const notable = flowTape.tape({ limit: Infinity }).prints
+            .filter(p => symbols.has(p.symbol) && (p.unusual || p.classification !== 'regular'));
+        const premium = flowTape.premium();
+        const flowOf = key => premium.symbols
+            .filter(s => symbols.has(s.symbol))
+            .reduce((sum, s) => sum + s[key], 0);
 
         const putCallRatio = totalCallVolume > 0 ? (totalPutVolume / totalCallVolume).toFixed(2) : 0;
         const mood = putCallRatio < 0.7 ? 'Bullish 🐂' : putCallRatio > 1.0 ? 'Bearish 🐻' : 'Neutral 😐';
 
         const result = {
-            bullishFlow: Math.round(totalCallVolume * 0.01), // Estimate in millions
-            bearishFlow: Math.round(totalPutVolume * 0.01),
+            bullishFlow: Math.round(flowOf('callPremium') / 10000) / 100, // call premium, in millions
+            bearishFlow: Math.round(flowOf('putPremium') / 10000) / 100,
             putCallRatio,
             mood,
-            unusualActivity: allUnusual,
-            symbolsAnalyzed: OPTIONS_SYMBOLS,
+            unusualActivity: notable.slice(0, 15).map(formatPrint),
+            tapeSize: notable.length,
+            date: premium.date,
+            symbolsAnalyzed: universe.symbols,
             timestamp: Date.now()
         };
 
@@ -1469,63 +1751,91 @@ app.get('/api/options-flow', async (req, res) => {
     }
 });
 
+// Stored prints for a day, newest first (?symbol, type, classification, date, before, limit)
+app.get('/api/options-flow/tape', (req, res) => {
+    const { symbol, type, classification, date, before } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    const result = flowTape.tape({
+        date: date || undefined,
+        symbol: symbol ? symbol.toUpperCase() : undefined,
+        type: type ? type.toUpperCase() : undefined,
+        classification,
+        before,
+        limit
+    });
+    res.json({ ...result, prints: result.prints.map(formatPrint) });
+});
+
+// Cumulative call vs put premium for a day (?symbol, date)
+app.get('/api/options-flow/premium', (req, res) => {
+    const { symbol, date } = req.query;
+    if (date && !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    res.json(flowTape.premium({ date: date || undefined, symbol: symbol ? symbol.toUpperCase() : undefined }));
+});
+
 // ===================================
 // Stock Screener API
 // ===================================
-const SCREENER_SYMBOLS = [
-    'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'META', 'TSLA', 'BRK-B', 'JPM', 'V',
-    'JNJ', 'WMT', 'MA', 'PG', 'UNH', 'HD', 'DIS', 'NFLX', 'AMD', 'CRM',
-    'INTC', 'CSCO', 'VZ', 'KO', 'PEP', 'XOM', 'CVX', 'BA', 'NKE', 'MCD'
-];
-
 app.get('/api/screener', async (req, res) => {
+    const universe = requestUniverse(req, res, 'screener');
+    if (!universe) return;
+
     try {
-        console.log('[API] Fetching screener data...');
+        console.log(`[API] Fetching screener data (${universe.id})...`);
 
-        const cacheKey = 'screener_data';
+        const cacheKey = `screener_data@${universe.id}`;
         const cached = getCached(cacheKey);
         if (cached) {
             return res.json({ stocks: cached, source: 'cache' });
         }
 
-        const stocks = [];
-
-        for (const symbol of SCREENER_SYMBOLS) {
+        const results = await Promise.all(universe.symbols.map(async (symbol) => {
             try {
-                const quote = await yahooFinance.quote(symbol);
+                const [quote, history] = await Promise.all([
+                    marketData.quote(symbol),
+                    marketData.bars(symbol, {
+                        period1: new Date(Date.now() - 100 * 24 * 60 * 60 * 1000),
+                        period2: new Date(),
+                        interval: '1d'
+                    })
+                ]);
 
-                // Calculate RSI (simplified)
-                let rsi = 50;
-                const changePercent = quote.regularMarketChangePercent || 0;
-                if (changePercent > 0) {
-                    rsi = Math.min(70 + changePercent * 2, 95);
-                } else {
-                    rsi = Math.max(30 + changePercent * 2, 5);
-                }
+                // RSI (14) from daily closes
+                const rsiValue = indicators.latest(indicators.rsi(history.map(h => h.close), 14), 50);
+                const rsi = Math.round(rsiValue * 10) / 10;
+                const changePercent = quote.changePercent || 0;
 
                 // Calculate AI Score
                 const momentum = changePercent > 0 ? 15 : -10;
                 const rsiScore = rsi < 30 ? 20 : rsi > 70 ? -15 : 5;
-                const volumeScore = quote.regularMarketVolume > 50000000 ? 10 : 0;
+                const volumeScore = quote.volume > 50000000 ? 10 : 0;
                 const aiScore = Math.min(100, Math.max(0, 50 + momentum + rsiScore + volumeScore));
 
-                stocks.push({
+                return {
                     symbol: quote.symbol,
-                    name: quote.shortName || quote.longName || symbol,
-                    price: quote.regularMarketPrice,
-                    change: quote.regularMarketChange,
-                    changePercent: quote.regularMarketChangePercent,
-                    volume: quote.regularMarketVolume,
+                    name: quote.shortName,
+                    price: quote.price,
+                    change: quote.change,
+                    changePercent: quote.changePercent,
+                    volume: quote.volume,
                     marketCap: quote.marketCap,
-                    pe: quote.trailingPE,
+                    pe: quote.pe,
                     rsi: rsi,
                     aiScore: Math.round(aiScore)
-                });
+                };
             } catch (e) {
                 console.log(`[Screener] Skip ${symbol}:`, e.message);
+                return null;
             }
-        }
+        }));
 
+        const stocks = results.filter(Boolean);
         setCache(cacheKey, stocks);
         res.json({ stocks, source: 'api' });
 
@@ -1535,42 +1845,140 @@ app.get('/api/screener', async (req, res) => {
     }
 });
 
-// ===================================
-// Earnings Calendar API
-// ===================================
-app.get('/api/earnings', async (req, res) => {
-    try {
-        console.log('[API] Fetching earnings calendar...');
+const SCREEN_DEFAULT_LIMIT = 50;
+const SCREEN_MAX_LIMIT = 200;
+
+// Quote, bars and fundamentals a compiled screen needs, fetched per symbol
+async function screenData(symbol, { sources, lookback }) {
+    const days = Math.ceil(lookback * 7 / 5) + 10; // trading bars -> calendar days
+    const [quote, bars, fundamentals] = await Promise.all([
+        marketData.quote(symbol),
+        sources.has('bars')
+            ? marketData.bars(symbol, {
+                period1: new Date(Date.now() - days * 24 * 60 * 60 * 1000),
+                period2: new Date(),
+                interval: '1d'
+            })
+            : [],
+        sources.has('fundamentals') ? marketData.fundamentals(symbol).catch(() => null) : null
+    ]);
+    return { quote, bars, fundamentals };
+}
 
-        const cacheKey = 'earnings_data';
-        const cached = getCached(cacheKey);
-        if (cached) {
-            return res.json({ earnings: cached, source: 'cache' });
-        }
+// Stocks matching a compiled screen, each with its column values
+async function runExpressionScreen(screen, symbols) {
+    const results = await Promise.all(symbols.map(async (symbol) => {
+        try {
+            const data = await screenData(symbol, screen.requirements);
+            const { match, values } = evaluateScreen(screen, data);
+            if (!match) return null;
+            return {
+                symbol,
+                name: data.quote.shortName || symbol,
+                price: data.quote.price,
+                changePercent: data.quote.changePercent,
+                values
+            };
+        } catch (e) {
+            console.log(`[Screener] Skip ${symbol}:`, e.message);
+            return null;
+        }
+    }));
+    return results.filter(Boolean);
+}
+
+// Stocks matching a screen expression (?expr, universe, sort: symbol | price | changePercent | column key, order, limit)
+app.get('/api/screener/query', async (req, res) => {
+    const universe = requestUniverse(req, res, 'screener');
+    if (!universe) return;
+
+    let screen;
+    try {
+        screen = compileScreen(req.query.expr);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message, start: error.start, end: error.end });
+    }
+
+    try {
+        const limit = Math.min(SCREEN_MAX_LIMIT, Math.max(1, parseInt(req.query.limit, 10) || SCREEN_DEFAULT_LIMIT));
+        const order = req.query.order === 'asc' ? 'asc' : 'desc';
+        const sort = req.query.sort || screen.columns[0]?.key || 'symbol';
+        if (!['symbol', 'price', 'changePercent'].includes(sort) && !screen.columns.some(c => c.key === sort)) {
+            return res.status(400).json({ error: `Unknown sort column "${sort}"` });
+        }
+
+        const cacheKey = `screen_${screen.expression}@${universe.id}`;
+        let matches = getCached(cacheKey);
+        const fromCache = Boolean(matches);
+
+        if (!matches) {
+            console.log(`[API] Running screen "${screen.expression}" on ${universe.id}...`);
+            matches = await runExpressionScreen(screen, universe.symbols);
+            setCache(cacheKey, matches);
+        }
+
+        const valueOf = row => (sort in row.values ? row.values[sort] : row[sort]);
+        const sorted = [...matches].sort((a, b) => {
+            const x = valueOf(a);
+            const y = valueOf(b);
+            if (x == null || y == null) return (x == null) - (y == null);
+            const diff = typeof x === 'string' ? x.localeCompare(y) : x - y;
+            return order === 'asc' ? diff : -diff;
+        });
+
+        res.json({
+            expression: screen.expression,
+            columns: screen.columns,
+            results: sorted.slice(0, limit),
+            count: matches.length,
+            scanned: universe.symbols.length,
+            universe: universe.id,
+            sort,
+            order,
+            fromCache
+        });
+    } catch (error) {
+        console.error('[API] Screen query error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// Earnings Calendar API
+// ===================================
+const EARNINGS_TIME_LABELS = { bmo: 'Before', amc: 'After', dmh: 'During', unknown: 'TBD' };
+const EARNINGS_HISTORY_DAYS = 800; // two years of reports plus room for the volume baseline
+
+app.get('/api/earnings', async (req, res) => {
+    const universe = requestUniverse(req, res, 'earnings');
+    if (!universe) return;
+
+    try {
+        console.log(`[API] Fetching earnings calendar (${universe.id})...`);
+
+        const cacheKey = `earnings_data@${universe.id}`;
+        const cached = getCached(cacheKey);
+        if (cached) {
+            return res.json({ earnings: cached, source: 'cache' });
+        }
 
         const earningsData = [];
         const now = new Date();
 
-        for (const symbol of SCREENER_SYMBOLS.slice(0, 15)) {
+        for (const symbol of universe.symbols) {
             try {
-                const quoteSummary = await yahooFinance.quoteSummary(symbol, {
-                    modules: ['calendarEvents', 'earnings', 'price']
-                });
+                const calendar = await marketData.calendar(symbol);
 
-                const calendar = quoteSummary.calendarEvents;
-                const earnings = quoteSummary.earnings;
-                const price = quoteSummary.price;
-
-                if (calendar?.earnings?.earningsDate?.[0]) {
-                    const earningsDate = new Date(calendar.earnings.earningsDate[0]);
+                if (calendar.earningsDates[0]) {
+                    const earningsDate = new Date(calendar.earningsDates[0]);
 
                     earningsData.push({
                         symbol: symbol,
-                        name: price?.shortName || symbol,
+                        name: calendar.name || symbol,
                         date: earningsDate.toISOString().split('T')[0],
-                        time: calendar.earnings.earningsDateEnd ? 'Before' : 'After',
-                        epsEstimate: earnings?.earningsChart?.currentQuarterEstimate || null,
-                        revenue: calendar.earnings.revenue?.avg || null,
+                        time: EARNINGS_TIME_LABELS[earningsAnalytics.earningsTiming(calendar.earningsDates[0])],
+                        epsEstimate: calendar.epsEstimate || null,
+                        revenue: calendar.revenueEstimate || null,
                         daysUntil: Math.ceil((earningsDate - now) / (1000 * 60 * 60 * 24))
                     });
                 }
@@ -1591,63 +1999,166 @@ app.get('/api/earnings', async (req, res) => {
     }
 });
 
+// Surprise history, estimate revisions and the price reaction to each report
+app.get('/api/earnings/:symbol/history', async (req, res) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const cacheKey = `earnings_history_${symbol}`;
+        const cached = getCached(cacheKey);
+        if (cached) return res.json({ ...cached, source: 'cache' });
+
+        const [earnings, bars, calendar] = await Promise.all([
+            marketData.earnings(symbol).catch(() => {
+                throw new HttpError(404, `No earnings history for ${symbol}`);
+            }),
+            marketData.bars(symbol, {
+                period1: new Date(Date.now() - EARNINGS_HISTORY_DAYS * 24 * 60 * 60 * 1000),
+                interval: '1d'
+            }).catch(() => []),
+            marketData.calendar(symbol).catch(() => null)
+        ]);
+
+        const history = earningsAnalytics.buildHistory(earnings.history || [], bars);
+        const nextDate = calendar?.earningsDates?.[0];
+        const result = {
+            symbol,
+            name: calendar?.name || symbol,
+            next: nextDate ? {
+                date: dayOf(nextDate),
+                time: EARNINGS_TIME_LABELS[earningsAnalytics.earningsTiming(nextDate)],
+                epsEstimate: calendar.epsEstimate ?? null,
+                revenueEstimate: calendar.revenueEstimate ?? null
+            } : null,
+            summary: earningsAnalytics.summarize(history),
+            history,
+            revisions: earningsAnalytics.revisionTrend(earnings.trend || [])
+        };
+
+        setCache(cacheKey, result);
+        res.json({ ...result, source: 'api' });
+    } catch (error) {
+        console.error('[API] Earnings history error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
 // ===================================
-// News Feed API
+// News Feed API (see news/ for feeds, dedup and story clustering)
 // ===================================
-app.get('/api/news/:symbol?', async (req, res) => {
-    try {
-        const symbol = req.params.symbol || 'AAPL';
-        console.log(`[API] Fetching news for ${symbol}...`);
+const newsAliases = require('./config/news-aliases.json');
 
-        const cacheKey = `news_${symbol}`;
-        const cached = getCached(cacheKey);
-        if (cached) {
-            return res.json({ news: cached, source: 'cache' });
-        }
+// Every universe member is a symbol worth spotting in a headline
+function newsSymbols() {
+    return new Set(universes.list().flatMap(u => universes.get(u.id).symbols));
+}
 
-        const searchResult = await yahooFinance.search(symbol, {
-            newsCount: 10
-        });
+const newsAggregator = createNewsAggregator({
+    store: createJsonStore('news', { updatedAt: 0, articles: [], stories: [], feeds: {}, symbols: {} }),
+    news: marketData.news,
+    symbols: () => universes.get('top').symbols,
+    known: newsSymbols,
+    aliases: newsAliases
+});
+const articleFetcher = createArticleFetcher();
 
-        const news = (searchResult.news || []).map(item => {
-            // Simple sentiment analysis based on title keywords
-            let sentiment = 'neutral';
-            const title = (item.title || '').toLowerCase();
+// Lexicon sentiment of the headline plus its feed summary (see lib/sentiment.js)
+function articleSentiment(article) {
+    return sentimentModel.analyze(article.summary ? `${article.title}. ${article.summary}` : article.title);
+}
 
-            const bullishWords = ['surge', 'soar', 'jump', 'gain', 'rise', 'up', 'bull', 'beat', 'strong', 'growth', 'profit'];
-            const bearishWords = ['fall', 'drop', 'crash', 'decline', 'down', 'bear', 'miss', 'weak', 'loss', 'concern'];
+function newsArticle(article) {
+    const analysis = articleSentiment(article);
+    return {
+        id: article.id,
+        title: article.title,
+        link: article.link,
+        publisher: article.publisher,
+        source: article.source,
+        sources: article.sources,
+        publishedAt: new Date(article.publishedAt).toISOString(),
+        summary: article.summary,
+        thumbnail: article.thumbnail,
+        tickers: article.tickers,
+        storyId: article.storyId,
+        sentiment: analysis.label,
+        sentimentScore: analysis.score,
+        sentimentConfidence: analysis.confidence
+    };
+}
 
-            const bullishCount = bullishWords.filter(w => title.includes(w)).length;
-            const bearishCount = bearishWords.filter(w => title.includes(w)).length;
+// ?since= / ?until= as epoch milliseconds or an ISO date
+function newsTime(value, name) {
+    if (value === undefined || value === '') return undefined;
+    const time = /^\d+$/.test(value) ? Number(value) : new Date(value).getTime();
+    if (!Number.isFinite(time)) throw new HttpError(400, `${name} must be epoch milliseconds or an ISO date`);
+    return time;
+}
 
-            if (bullishCount > bearishCount) sentiment = 'positive';
-            else if (bearishCount > bullishCount) sentiment = 'negative';
+app.get('/api/news/sources', (req, res) => {
+    res.json({ sources: newsAggregator.sources() });
+});
 
-            return {
-                title: item.title,
-                link: item.link,
-                publisher: item.publisher,
-                publishedAt: item.providerPublishTime,
-                thumbnail: item.thumbnail?.resolutions?.[0]?.url || null,
-                sentiment: sentiment
-            };
+// Market-wide feed without a symbol, the symbol's feed with one.
+// ?source= feed id, ?since= / ?until=, ?page= / ?limit=, ?group=stories, ?refresh=1
+app.get('/api/news/:symbol?', async (req, res) => {
+    try {
+        const symbol = req.params.symbol ? req.params.symbol.toUpperCase() : undefined;
+        const group = req.query.group === 'stories' ? 'stories' : 'articles';
+        const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const source = req.query.source || undefined;
+        if (source && !newsAggregator.sources().some(s => s.id === source)) {
+            throw new HttpError(400, `Unknown news source: ${source}`);
+        }
+        console.log(`[API] Fetching ${group} for ${symbol || 'market'}...`);
+
+        const result = await newsAggregator.query({
+            symbol,
+            source,
+            since: newsTime(req.query.since, 'since'),
+            until: newsTime(req.query.until, 'until'),
+            page,
+            limit,
+            group,
+            force: req.query.refresh === '1'
         });
 
-        setCache(cacheKey, news);
-        res.json({ news, symbol, source: 'api' });
+        const pageArticles = group === 'stories' ? result.items.flatMap(story => story.articles) : result.items;
+        const items = group === 'stories'
+            ? result.items.map(story => ({
+                ...story,
+                firstPublishedAt: new Date(story.firstPublishedAt).toISOString(),
+                lastPublishedAt: new Date(story.lastPublishedAt).toISOString(),
+                articles: story.articles.map(newsArticle)
+            }))
+            : result.items.map(newsArticle);
+
+        res.json({
+            [group === 'stories' ? 'stories' : 'news']: items,
+            symbol: symbol || null,
+            total: result.total,
+            page: result.page,
+            pages: result.pages,
+            limit: result.limit,
+            updatedAt: result.updatedAt,
+            // Overall sentiment of the articles on this page
+            sentiment: sentimentModel.aggregate(pageArticles.map(articleSentiment))
+        });
 
     } catch (error) {
         console.error('[API] News error:', error.message);
-        res.status(500).json({ error: 'Failed to fetch news' });
+        res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch news' });
     }
 });
 
 // ===================================
-// AI News Summary API
+// AI News Summary API (extractive; see news/summarize.js)
 // ===================================
+const SUMMARY_ARTICLES = 8;
+
 app.get('/api/news/summarize/:symbol', async (req, res) => {
     try {
-        const symbol = req.params.symbol || 'AAPL';
+        const symbol = (req.params.symbol || 'AAPL').toUpperCase();
         console.log(`[API] Generating AI summary for ${symbol}...`);
 
         const cacheKey = `news_summary_${symbol}`;
@@ -1656,87 +2167,48 @@ app.get('/api/news/summarize/:symbol', async (req, res) => {
             return res.json({ ...cached, fromCache: true });
         }
 
-        // Fetch news first
-        const searchResult = await yahooFinance.search(symbol, {
-            newsCount: 10
-        });
-
-        const news = searchResult.news || [];
+        // Latest headlines from the aggregated feed
+        const { items: news } = await newsAggregator.query({ symbol, limit: SUMMARY_ARTICLES });
 
         if (news.length === 0) {
             return res.json({
-                points: ['ไม่พบข่าวสำหรับหุ้นนี้'],
+                points: [],
+                facts: [],
+                entities: [],
                 sentiment: 'neutral',
+                newsCount: 0,
                 symbol
             });
         }
 
-        // Analyze headlines for key themes and sentiment
-        const headlines = news.map(n => n.title || '').filter(t => t);
-
-        // Keyword analysis
-        const bullishWords = ['surge', 'soar', 'jump', 'gain', 'rise', 'rally', 'beat', 'strong', 'growth', 'profit', 'upgrade', 'buy', 'bullish', 'record', 'high'];
-        const bearishWords = ['fall', 'drop', 'crash', 'decline', 'down', 'miss', 'weak', 'loss', 'concern', 'warning', 'downgrade', 'sell', 'bearish', 'low', 'cut'];
-
-        let bullishScore = 0;
-        let bearishScore = 0;
-
-        headlines.forEach(title => {
-            const lower = title.toLowerCase();
-            bullishWords.forEach(w => { if (lower.includes(w)) bullishScore++; });
-            bearishWords.forEach(w => { if (lower.includes(w)) bearishScore++; });
-        });
-
-        // Determine overall sentiment
-        let sentiment = 'neutral';
-        if (bullishScore > bearishScore + 2) sentiment = 'bullish';
-        else if (bearishScore > bullishScore + 2) sentiment = 'bearish';
-
-        // Generate summary points from headlines
-        const points = [];
-
-        // Add key themes based on headlines
-        const themes = {
-            earnings: headlines.filter(h => h.toLowerCase().match(/earning|revenue|profit|quarter|report/)).length,
-            price: headlines.filter(h => h.toLowerCase().match(/price|target|upgrade|downgrade|rating/)).length,
-            product: headlines.filter(h => h.toLowerCase().match(/launch|product|innovation|ai|chip/)).length,
-            market: headlines.filter(h => h.toLowerCase().match(/market|stock|investor|trading|shares/)).length
-        };
-
-        if (themes.earnings > 0) {
-            points.push(`มีข่าวเกี่ยวกับผลประกอบการ/รายได้ ${themes.earnings} ข่าว`);
-        }
-        if (themes.price > 0) {
-            points.push(`มีข่าวเกี่ยวกับราคาเป้าหมาย/การปรับเรทติ้ง ${themes.price} ข่าว`);
-        }
-        if (themes.product > 0) {
-            points.push(`มีข่าวเกี่ยวกับผลิตภัณฑ์/นวัตกรรม ${themes.product} ข่าว`);
-        }
-        if (themes.market > 0) {
-            points.push(`มีข่าวเกี่ยวกับภาพรวมตลาด ${themes.market} ข่าว`);
-        }
+        // Article bodies where the fetcher has them; the headline and feed summary otherwise
+        const bodies = await Promise.all(news.map(article => articleFetcher.fetch(article.link)));
+        const documents = news.map((article, i) => ({
+            id: article.id,
+            title: article.title,
+            link: article.link,
+            publisher: article.publisher || article.source,
+            text: bodies[i] || [article.title, article.summary].filter(Boolean).join('. ')
+        }));
 
-        // Add sentiment summary
-        if (sentiment === 'bullish') {
-            points.push('📈 กระแสข่าวโดยรวมเป็นบวก มีแนวโน้มที่ดี');
-        } else if (sentiment === 'bearish') {
-            points.push('📉 กระแสข่าวโดยรวมเป็นลบ ควรระมัดระวัง');
-        } else {
-            points.push('➖ กระแสข่าวโดยรวมเป็นกลาง ไม่มีสัญญาณชัดเจน');
-        }
+        const summary = summarizeArticles(documents, { tagging: { known: newsSymbols(), aliases: newsAliases } });
 
-        // Add latest headline
-        if (headlines.length > 0) {
-            points.push(`📰 ข่าวล่าสุด: ${headlines[0].substring(0, 80)}...`);
-        }
+        // Overall sentiment from the lexicon scores of each headline
+        const overall = sentimentModel.aggregate(news.map(articleSentiment));
+        const sentiment = { positive: 'bullish', negative: 'bearish' }[overall.label] || 'neutral';
 
         const result = {
             symbol,
-            points,
+            points: summary.points,
+            facts: summary.facts,
+            entities: summary.entities,
             sentiment,
+            sentimentScore: overall.score,
+            confidence: overall.confidence,
             newsCount: news.length,
-            bullishScore,
-            bearishScore,
+            articlesFetched: bodies.filter(Boolean).length,
+            bullishScore: overall.positive,
+            bearishScore: overall.negative,
             timestamp: Date.now()
         };
 
@@ -1750,50 +2222,11 @@ app.get('/api/news/summarize/:symbol', async (req, res) => {
 });
 
 // ===================================
-// AI Chatbot with OpenAI GPT
+// AI Chatbot (see llm/ for the model providers)
 // ===================================
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || '';
-
-// Chat endpoint
-app.post('/api/chat', async (req, res) => {
-    try {
-        const { message, stockContext } = req.body;
-
-        if (!message) {
-            return res.status(400).json({ error: 'Message is required' });
-        }
-
-        console.log('[Chat] User:', message);
+const llm = createLlm();
 
-        // Fetch stock data if a symbol is mentioned
-        let stockData = null;
-        const symbolMatch = message.match(/\b([A-Z]{1,5})\b/);
-        if (symbolMatch) {
-            const symbol = symbolMatch[1];
-            if (['AAPL', 'MSFT', 'GOOGL', 'NVDA', 'TSLA', 'META', 'AMZN', 'AMD', 'JPM', 'V', 'SPY', 'QQQ'].includes(symbol)) {
-                try {
-                    const quote = await yahooFinance.quote(symbol);
-                    stockData = {
-                        symbol: quote.symbol,
-                        price: quote.regularMarketPrice,
-                        change: quote.regularMarketChange,
-                        changePercent: quote.regularMarketChangePercent,
-                        high: quote.regularMarketDayHigh,
-                        low: quote.regularMarketDayLow,
-                        volume: quote.regularMarketVolume,
-                        marketCap: quote.marketCap,
-                        pe: quote.trailingPE,
-                        fiftyTwoWeekHigh: quote.fiftyTwoWeekHigh,
-                        fiftyTwoWeekLow: quote.fiftyTwoWeekLow
-                    };
-                } catch (e) {
-                    console.log('[Chat] Could not fetch stock data for:', symbol);
-                }
-            }
-        }
-
-        // System prompt for stock AI assistant
-        const systemPrompt = `คุณคือ "Stockify AI" ผู้ช่วยวิเคราะห์หุ้นและการลงทุนขั้นสูง
+const CHAT_SYSTEM_PROMPT = `คุณคือ "Stockify AI" ผู้ช่วยวิเคราะห์หุ้นและการลงทุนขั้นสูง
 
 บทบาทของคุณ:
 - ตอบคำถามเกี่ยวกับหุ้น การลงทุน Technical Analysis
@@ -1802,116 +2235,295 @@ app.post('/api/chat', async (req, res) => {
 - ให้คำแนะนำการลงทุนเบื้องต้น (พร้อมเตือนความเสี่ยง)
 - ตอบเป็นภาษาไทย ใช้ภาษาเข้าใจง่าย
 
+การใช้ข้อมูล:
+- ใช้ tools ที่มีให้ดึงราคา ตัวชี้วัด ข่าว Options งบการเงิน และปันผลจริงของ Stockify ทุกครั้งที่ต้องอ้างอิงตัวเลข
+- ห้ามเดาตัวเลข ถ้า tool ดึงข้อมูลไม่ได้ให้บอกผู้ใช้ตรง ๆ
+- หุ้นไทยใช้ symbol ลงท้ายด้วย .BK (เช่น PTT.BK)
+
 รูปแบบการตอบ:
 - ใช้ emoji เพื่อให้อ่านง่าย (📈 📉 🎯 ⚠️ 💡)
 - แบ่งหัวข้อชัดเจน
 - ให้ข้อมูลเชิงลึก แต่กระชับ
-- เตือนเสมอว่าไม่ใช่คำแนะนำทางการเงินอย่างเป็นทางการ
-
-${stockData ? `
-ข้อมูลหุ้นล่าสุด ${stockData.symbol}:
-- ราคา: $${stockData.price?.toFixed(2)}
-- เปลี่ยนแปลง: ${stockData.changePercent?.toFixed(2)}%
-- High/Low วันนี้: $${stockData.high?.toFixed(2)} / $${stockData.low?.toFixed(2)}
-- Volume: ${(stockData.volume / 1000000)?.toFixed(2)}M
-- Market Cap: $${(stockData.marketCap / 1e9)?.toFixed(1)}B
-- P/E Ratio: ${stockData.pe?.toFixed(2)}
-- 52-Week High/Low: $${stockData.fiftyTwoWeekHigh?.toFixed(2)} / $${stockData.fiftyTwoWeekLow?.toFixed(2)}
-` : ''}`;
-
-        // Call OpenAI API
-        const response = await fetch('https://api.openai.com/v1/chat/completions', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${OPENAI_API_KEY}`
-            },
-            body: JSON.stringify({
-                model: 'gpt-4o-mini',
-                messages: [
-                    { role: 'system', content: systemPrompt },
-                    ...(stockContext || []),
-                    { role: 'user', content: message }
-                ],
-                temperature: 0.7,
-                max_tokens: 1000
-            })
-        });
+- เตือนเสมอว่าไม่ใช่คำแนะนำทางการเงินอย่างเป็นทางการ`;
 
-        if (!response.ok) {
-            const error = await response.json();
-            console.error('[Chat] OpenAI error:', error);
-            throw new Error(error.error?.message || 'OpenAI API error');
+/**
+ * One chat turn: the model may call Stockify tools for up to MAX_TOOL_ROUNDS
+ * rounds before it has to answer. Reply text streams through onToken; tool
+ * calls and their results are reported as they happen.
+ */
+async function runChat({ message, history, baseUrl, signal, onToken, onToolCall = () => {}, onToolResult = () => {} }) {
+    const tools = createChatTools({ baseUrl });
+    const messages = [
+        { role: 'system', content: CHAT_SYSTEM_PROMPT },
+        ...history,
+        { role: 'user', content: message }
+    ];
+    const toolResults = [];
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    let reply = null;
+
+    for (let round = 0; reply === null; round++) {
+        const lastRound = round >= MAX_TOOL_ROUNDS;
+        // The last round has no tools so the model has to answer with what it has
+        const response = await llm.chat({ messages, tools: lastRound ? undefined : tools.definitions, signal, onToken });
+        Object.keys(usage).forEach(key => { usage[key] += response.usage?.[key] || 0; });
+
+        const choice = response.message;
+        if (!choice.tool_calls?.length || lastRound) {
+            reply = choice.content || 'ขออภัย ไม่สามารถตอบได้ในขณะนี้';
+            continue;
         }
 
-        const data = await response.json();
-        const reply = data.choices[0]?.message?.content || 'ขออภัย ไม่สามารถตอบได้ในขณะนี้';
+        messages.push(choice);
+        const results = await Promise.all(choice.tool_calls.map(call => {
+            let args;
+            try {
+                args = JSON.parse(call.function.arguments || '{}');
+            } catch (e) {
+                return { tool: call.function.name, args: null, error: 'Arguments are not valid JSON' };
+            }
+            onToolCall({ tool: call.function.name, args });
+            return tools.run(call.function.name, args, { signal });
+        }));
+
+        choice.tool_calls.forEach((call, i) => {
+            const { result, error } = results[i];
+            console.log(`[Chat] Tool ${call.function.name}(${call.function.arguments})${error ? ` failed: ${error}` : ''}`);
+            messages.push({ role: 'tool', tool_call_id: call.id, content: JSON.stringify(error ? { error } : result) });
+            onToolResult(results[i]);
+        });
+        toolResults.push(...results);
+    }
+
+    return { reply, toolResults, usage };
+}
+
+const CHAT_SUMMARY_PROMPT = `สรุปบทสนทนาระหว่างผู้ใช้กับ Stockify AI เป็นภาษาไทยไม่เกิน 10 บรรทัด
+- เก็บชื่อหุ้น ตัวเลขสำคัญ ข้อสรุป และสิ่งที่ผู้ใช้สนใจหรือถามค้างไว้
+- ถ้ามีสรุปเดิม ให้รวมเข้ากับบทสนทนาใหม่เป็นสรุปเดียว
+- ตอบเฉพาะตัวสรุป ไม่ต้องมีคำนำ`;
+
+// Folds turns that left the context window into the session's running summary
+async function summarizeChat(previous, messages, { signal } = {}) {
+    const transcript = messages.map(m => `${m.role === 'user' ? 'ผู้ใช้' : 'AI'}: ${m.content}`).join('\n');
+    const { message } = await llm.chat({
+        messages: [
+            { role: 'system', content: CHAT_SUMMARY_PROMPT },
+            { role: 'user', content: `${previous ? `สรุปเดิม:\n${previous}\n\n` : ''}บทสนทนาใหม่:\n${transcript}` }
+        ],
+        signal
+    });
+    console.log(`[Chat] Summarized ${messages.length} messages`);
+    return message.content || previous || '';
+}
+
+const chatSessions = createChatSessions({
+    store: createJsonStore('chat-sessions', { sessions: [] }),
+    summarize: summarizeChat
+});
+
+// Resolves { sessionId?, message } to a session (new when no id) and the checked message
+function chatTurn(body = {}) {
+    const message = chatSessions.validateMessage(body.message);
+    const session = body.sessionId ? chatSessions.get(String(body.sessionId)) : chatSessions.create();
+    return { session, message };
+}
+
+app.get('/api/chat/sessions', (req, res) => {
+    res.json({ sessions: chatSessions.list() });
+});
+
+app.post('/api/chat/sessions', (req, res) => {
+    try {
+        res.status(201).json(chatSessions.create(req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/chat/sessions/:id', (req, res) => {
+    try {
+        res.json(chatSessions.get(req.params.id));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Body: { title }
+app.patch('/api/chat/sessions/:id', (req, res) => {
+    try {
+        res.json(chatSessions.rename(req.params.id, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/chat/sessions/:id', (req, res) => {
+    try {
+        chatSessions.remove(req.params.id);
+        res.json({ deleted: req.params.id });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.get('/api/chat/sessions/:id/export', (req, res) => {
+    try {
+        const markdown = chatSessions.toMarkdown(req.params.id);
+        res.type('text/markdown; charset=utf-8')
+            .attachment(`stockify-chat-${req.params.id}.md`)
+            .send(markdown);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Chat endpoint (whole reply at once). Body: { sessionId?, message }
+app.post('/api/chat', async (req, res) => {
+    try {
+        const { session, message } = chatTurn(req.body);
+
+        console.log(`[Chat] User (${session.id}):`, message);
+
+        const { reply, toolResults, usage } = await runChat({
+            message,
+            history: await chatSessions.context(session.id),
+            baseUrl: `http://127.0.0.1:${req.socket.localPort}`
+        });
+        chatSessions.append(session.id, { message, reply, toolResults });
 
         console.log('[Chat] AI:', reply.substring(0, 100) + '...');
 
         res.json({
+            sessionId: session.id,
+            title: session.title,
             reply,
-            stockData,
-            usage: data.usage
+            toolResults,
+            usage,
+            model: llm.model
         });
 
     } catch (error) {
         console.error('[Chat] Error:', error.message);
-        res.status(500).json({
-            error: 'Chat failed',
-            message: error.message
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Streaming chat endpoint (server-sent events over the POST response).
+// Body: { sessionId?, message }; events:
+//   start      { provider, model, sessionId, title }
+//   tool_call  { tool, args }             before a tool runs
+//   tool       { tool, args, result | error }
+//   token      { text }                   reply text as it is generated
+//   done       { sessionId, title, reply, toolResults, usage }
+//   error      { message }
+// Closing the connection cancels the model call and any running tools; the
+// part of the reply generated so far is kept in the session.
+app.post('/api/chat/stream', async (req, res) => {
+    let turn;
+    try {
+        turn = chatTurn(req.body);
+    } catch (error) {
+        return res.status(error.status || 500).json({ error: error.message });
+    }
+    const { session, message } = turn;
+
+    console.log(`[Chat] User (${session.id}, stream):`, message);
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+
+    send('start', { provider: llm.name, model: llm.model, sessionId: session.id, title: session.title });
+
+    let partial = '';
+    const toolResults = [];
+    try {
+        const result = await runChat({
+            message,
+            history: await chatSessions.context(session.id, { signal: controller.signal }),
+            baseUrl: `http://127.0.0.1:${req.socket.localPort}`,
+            signal: controller.signal,
+            onToken: text => {
+                partial += text;
+                send('token', { text });
+            },
+            onToolCall: call => send('tool_call', call),
+            onToolResult: toolResult => {
+                toolResults.push(toolResult);
+                send('tool', toolResult);
+            }
         });
+        chatSessions.append(session.id, { message, reply: result.reply, toolResults: result.toolResults });
+
+        console.log('[Chat] AI:', result.reply.substring(0, 100) + '...');
+        send('done', { sessionId: session.id, title: session.title, ...result });
+    } catch (error) {
+        if (controller.signal.aborted) {
+            if (partial) chatSessions.append(session.id, { message, reply: partial, toolResults, stopped: true });
+            console.log('[Chat] Cancelled by client');
+            return;
+        }
+        console.error('[Chat] Error:', error.message);
+        send('error', { message: error.message });
     }
+    res.end();
 });
 
 // ===================================
 // Dividend Calendar API
 // ===================================
-const DIVIDEND_STOCKS = [
-    'AAPL', 'MSFT', 'JNJ', 'PG', 'KO', 'PEP', 'VZ', 'T', 'XOM', 'CVX',
-    'JPM', 'BAC', 'WFC', 'O', 'ABBV', 'MRK', 'PFE', 'IBM', 'MCD', 'MMM'
-];
-
 app.get('/api/dividends', async (req, res) => {
+    const universe = requestUniverse(req, res, 'dividend');
+    if (!universe) return;
+
     try {
-        console.log('[API] Fetching dividend calendar...');
-        const cacheKey = 'dividends_data';
+        console.log(`[API] Fetching dividend calendar (${universe.id})...`);
+        const cacheKey = `dividends_data@${universe.id}`;
         const cached = getCached(cacheKey);
         if (cached) {
             return res.json({ dividends: cached, source: 'cache' });
         }
 
         const dividends = [];
-        for (const symbol of DIVIDEND_STOCKS) {
+        await Promise.all(universe.symbols.map(async (symbol) => {
             try {
-                const quoteSummary = await yahooFinance.quoteSummary(symbol, {
-                    modules: ['summaryDetail', 'price', 'calendarEvents']
-                });
-
-                const summary = quoteSummary.summaryDetail || {};
-                const calendar = quoteSummary.calendarEvents || {};
-                const price = quoteSummary.price || {};
+                const summary = await marketData.fundamentals(symbol);
 
                 if (summary.dividendRate && summary.dividendRate > 0) {
+                    const [calendar, history] = await Promise.all([
+                        marketData.calendar(symbol),
+                        dividendHistory(symbol).catch(() => null)
+                    ]);
                     const exDate = calendar.exDividendDate || null;
                     const payDate = calendar.dividendDate || null;
 
                     dividends.push({
                         symbol,
-                        name: price.shortName || price.longName || symbol,
-                        price: price.regularMarketPrice || 0,
+                        name: summary.name || symbol,
+                        price: summary.price || 0,
                         dividendRate: summary.dividendRate || 0,
                         dividendYield: (summary.dividendYield || 0) * 100,
                         exDividendDate: exDate ? new Date(exDate).toISOString().split('T')[0] : null,
                         paymentDate: payDate ? new Date(payDate).toISOString().split('T')[0] : null,
-                        frequency: summary.dividendYield > 0.04 ? 'Quarterly' : 'Annual',
+                        frequency: history?.frequency || null,
+                        growth5y: history?.growth['5y'] ?? null,
+                        increaseStreak: history?.streaks.increase ?? null,
                         daysUntilEx: exDate ? Math.ceil((new Date(exDate) - new Date()) / (1000 * 60 * 60 * 24)) : null
                     });
                 }
             } catch (e) {
                 // Skip if error
             }
-        }
+        }));
 
         dividends.sort((a, b) => {
             if (!a.exDividendDate) return 1;
@@ -1928,6 +2540,78 @@ app.get('/api/dividends', async (req, res) => {
     }
 });
 
+const DIVIDEND_HISTORY_YEARS = 12; // ten-year growth needs one more year of payments
+
+// Dividend history analysis, cached per symbol (income projections depend on the request)
+async function dividendHistory(symbol) {
+    const cacheKey = `dividend_history_${symbol}`;
+    const cached = getCached(cacheKey);
+    if (cached) return cached;
+
+    const events = await marketData.dividends(symbol, {
+        period1: new Date(Date.now() - DIVIDEND_HISTORY_YEARS * 365 * 24 * 60 * 60 * 1000)
+    });
+    const analysis = dividendAnalytics.analyzeDividends(events);
+    setCache(cacheKey, analysis);
+    return analysis;
+}
+
+// Payment history, growth, streaks, payout and forward income for `shares` shares
+app.get('/api/dividends/:symbol/history', async (req, res) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        const shares = req.query.shares === undefined ? 100 : Number(req.query.shares);
+        const years = req.query.years === undefined ? 1 : Number(req.query.years);
+        if (!(shares >= 0)) throw new HttpError(400, 'shares must be a non-negative number');
+        if (!Number.isInteger(years) || years < 1 || years > 30) throw new HttpError(400, 'years must be an integer between 1 and 30');
+
+        const [history, summary, calendar] = await Promise.all([
+            dividendHistory(symbol).catch(() => {
+                throw new HttpError(404, `No dividend history for ${symbol}`);
+            }),
+            marketData.fundamentals(symbol).catch(() => null),
+            marketData.calendar(symbol).catch(() => null)
+        ]);
+        if (history.events.length === 0) throw new HttpError(404, `No dividend history for ${symbol}`);
+
+        const price = summary?.price || (await marketData.quote(symbol).catch(() => null))?.price || 0;
+        const nextExDate = calendar?.exDividendDate || null;
+        const payments = dividendAnalytics.projectPayments(history, { shares, nextExDate });
+        const payoutRatio = summary?.payoutRatio
+            ? summary.payoutRatio * 100
+            : summary?.trailingEps > 0 && history.trailingAnnual ? history.trailingAnnual / summary.trailingEps * 100 : null;
+
+        res.json({
+            symbol,
+            name: summary?.name || calendar?.name || symbol,
+            price,
+            ...history,
+            forwardYield: price && history.forwardAnnual ? Math.round(history.forwardAnnual / price * 10000) / 100 : null,
+            payoutRatio: payoutRatio === null ? null : Math.round(payoutRatio * 10) / 10,
+            nextExDate: nextExDate ? dayOf(nextExDate) : null,
+            projection: {
+                shares,
+                payments,
+                income: Math.round(payments.reduce((sum, p) => sum + p.income, 0) * 100) / 100
+            },
+            scenarios: {
+                years,
+                dividendGrowth: history.growth['5y'] ?? 0,
+                results: dividendAnalytics.dripScenarios(history, {
+                    shares,
+                    price,
+                    years,
+                    dividendGrowth: history.growth['5y'] ?? 0,
+                    nextExDate
+                })
+            }
+        });
+    } catch (error) {
+        console.error('[API] Dividend history error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
 // ===================================
 // Sector ETF Flows API
 // ===================================
@@ -1955,25 +2639,29 @@ app.get('/api/sector-flows', async (req, res) => {
         }
 
         const sectors = [];
+        const quotes = await marketData.quotes(SECTOR_ETFS.map(etf => etf.symbol));
+        const quoteBySymbol = new Map(quotes.map(q => [q.symbol, q]));
+
         for (const etf of SECTOR_ETFS) {
             try {
-                const quote = await yahooFinance.quote(etf.symbol);
+                const quote = quoteBySymbol.get(etf.symbol);
+                if (!quote) continue;
 
-                const avgVolume = quote.averageDailyVolume3Month || quote.averageVolume || 1;
-                const currentVolume = quote.regularMarketVolume || 0;
+                const avgVolume = quote.avgVolume || 1;
+                const currentVolume = quote.volume || 0;
                 const volumeRatio = currentVolume / avgVolume;
 
                 let flowSignal = 'neutral';
-                if (volumeRatio > 1.5 && quote.regularMarketChangePercent > 0) flowSignal = 'inflow';
-                else if (volumeRatio > 1.5 && quote.regularMarketChangePercent < 0) flowSignal = 'outflow';
+                if (volumeRatio > 1.5 && quote.changePercent > 0) flowSignal = 'inflow';
+                else if (volumeRatio > 1.5 && quote.changePercent < 0) flowSignal = 'outflow';
 
                 sectors.push({
                     symbol: etf.symbol,
                     name: etf.name,
                     icon: etf.icon,
-                    price: quote.regularMarketPrice || 0,
-                    change: quote.regularMarketChange || 0,
-                    changePercent: quote.regularMarketChangePercent || 0,
+                    price: quote.price || 0,
+                    change: quote.change || 0,
+                    changePercent: quote.changePercent || 0,
                     volume: currentVolume,
                     avgVolume: avgVolume,
                     volumeRatio: Math.round(volumeRatio * 100),
@@ -1997,46 +2685,148 @@ app.get('/api/sector-flows', async (req, res) => {
     }
 });
 
-// ===================================
-// Top Movers API
-// ===================================
-app.get('/api/top-movers', async (req, res) => {
-    try {
-        const cacheKey = 'top_movers';
+// Relative Rotation Graph of the sector ETFs against SPY
+const RRG_BENCHMARK = 'SPY';
+const RRG_HISTORY_DAYS = { daily: 180, weekly: 730 };
 
-        // Check cache
+app.get('/api/sector-rotation', async (req, res) => {
+    try {
+        const timeframe = req.query.timeframe || 'weekly';
+        if (!RRG_HISTORY_DAYS[timeframe]) throw new HttpError(400, 'timeframe must be daily or weekly');
+        const tail = req.query.tail === undefined ? rrg.DEFAULT_TAIL : Number(req.query.tail);
+        const window = req.query.window === undefined ? rrg.DEFAULT_WINDOW[timeframe] : Number(req.query.window);
+        if (!Number.isInteger(tail) || tail < 1 || tail > 52) throw new HttpError(400, 'tail must be an integer between 1 and 52');
+        if (!Number.isInteger(window) || window < 5 || window > 52) throw new HttpError(400, 'window must be an integer between 5 and 52');
+
+        const cacheKey = `sector_rotation_${timeframe}_${tail}_${window}`;
         const cached = getCached(cacheKey);
-        if (cached) {
-            return res.json({ ...cached, fromCache: true });
-        }
+        if (cached) return res.json({ ...cached, source: 'cache' });
 
-        console.log('[API] Fetching top movers...');
+        const period1 = new Date(Date.now() - RRG_HISTORY_DAYS[timeframe] * 24 * 60 * 60 * 1000);
+        const [benchmarkBars, ...sectorBars] = await Promise.all([
+            marketData.bars(RRG_BENCHMARK, { period1, interval: '1d' }),
+            ...SECTOR_ETFS.map(etf => marketData.bars(etf.symbol, { period1, interval: '1d' }).catch(() => null))
+        ]);
 
-        // Popular US stocks to scan
-        const symbols = [
-            'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'NVDA', 'TSLA', 'JPM',
-            'V', 'WMT', 'JNJ', 'PG', 'XOM', 'HD', 'MA', 'BAC', 'DIS', 'NFLX',
-            'ADBE', 'CRM', 'PYPL', 'INTC', 'AMD', 'CSCO', 'PEP', 'KO', 'MCD',
-            'NKE', 'COST', 'ABBV', 'TMO', 'AVGO', 'TXN', 'QCOM', 'UNH',
-            'SPY', 'QQQ', 'IWM', 'DIA', 'VTI', 'VOO'
-        ];
+        const sectors = SECTOR_ETFS
+            .map((etf, i) => {
+                const result = sectorBars[i] ? rrg.rotation(sectorBars[i], benchmarkBars, { timeframe, window, tail }) : null;
+                return result ? { symbol: etf.symbol, name: etf.name, icon: etf.icon, ...result } : null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.rsRatio - a.rsRatio);
 
-        // Fetch all quotes
-        const quotes = await yahooFinance.quote(symbols);
+        const result = {
+            benchmark: RRG_BENCHMARK,
+            timeframe,
+            window,
+            tail,
+            asOf: sectors[0]?.tail[sectors[0].tail.length - 1].date || null,
+            sectors
+        };
+        setCache(cacheKey, result);
+        res.json({ ...result, source: 'api' });
+    } catch (error) {
+        console.error('[API] Sector rotation error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-        // Process quotes
-        const stocks = (Array.isArray(quotes) ? quotes : [quotes]).filter(q => q).map(q => ({
-            symbol: q.symbol,
-            name: q.shortName || q.longName || q.symbol,
-            price: q.regularMarketPrice,
-            change: q.regularMarketChange,
-            changePercent: q.regularMarketChangePercent,
-            volume: q.regularMarketVolume,
-            avgVolume: q.averageDailyVolume3Month
-        }));
+// ===================================
+// Dashboard Snapshot API
+// ===================================
+// Ticker tape symbols; `code` is the short label shown on the strip
+const DASHBOARD_TICKER = [
+    { symbol: '^GSPC', code: 'SPX', name: 'S&P 500' },
+    { symbol: '^NDX', code: 'NDX', name: 'Nasdaq 100' },
+    { symbol: '^DJI', code: 'DJI', name: 'Dow Jones' },
+    { symbol: '^RUT', code: 'RUT', name: 'Russell 2000' },
+    { symbol: 'GC=F', code: 'GOLD', name: 'Gold' },
+    { symbol: 'CL=F', code: 'OIL', name: 'Crude Oil' },
+    { symbol: 'TLT', code: 'TLT', name: '20Y Treasury' },
+    { symbol: 'DX-Y.NYB', code: 'DXY', name: 'Dollar Index' },
+    { symbol: 'BTC-USD', code: 'BTC', name: 'Bitcoin' },
+    { symbol: 'ETH-USD', code: 'ETH', name: 'Ethereum' }
+];
 
-        // Sort for top gainers (highest % change)
-        const gainers = [...stocks]
+function dashboardQuote(quote) {
+    return {
+        symbol: quote.symbol,
+        price: quote.price,
+        change: quote.change,
+        changePercent: quote.changePercent,
+        high: quote.high,
+        low: quote.low,
+        prevClose: quote.prevClose,
+        marketTime: quote.marketTime || null
+    };
+}
+
+// Every quote on the home dashboard in one call: index cards, ticker tape and
+// sector tiles. Symbols missing upstream come back with `quote: null`; the page
+// keeps them current by subscribing to the same symbols on /ws.
+app.get('/api/dashboard', async (req, res) => {
+    try {
+        const cached = getCached('dashboard');
+        if (cached) return res.json({ ...cached, fromCache: true });
+
+        const symbols = [...new Set([
+            ...INDICES.map(i => i.symbol),
+            ...DASHBOARD_TICKER.map(t => t.symbol),
+            ...SECTOR_ETFS.map(e => e.symbol)
+        ])];
+        const quotes = await marketData.quotes(symbols);
+        const bySymbol = new Map(quotes.map(q => [q.symbol, dashboardQuote(q)]));
+        const quoteOf = symbol => bySymbol.get(symbol) || null;
+
+        const result = {
+            indices: INDICES.map(idx => ({ id: idx.id, symbol: idx.symbol, name: idx.name, quote: quoteOf(idx.symbol) })),
+            ticker: DASHBOARD_TICKER.map(t => ({ ...t, quote: quoteOf(t.symbol) })),
+            sectors: SECTOR_ETFS.map(etf => ({ symbol: etf.symbol, name: etf.name, quote: quoteOf(etf.symbol) })),
+            updated: Date.now()
+        };
+        setCache('dashboard', result);
+        res.json(result);
+    } catch (error) {
+        console.error('[API] Dashboard error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// Top Movers API
+// ===================================
+app.get('/api/top-movers', async (req, res) => {
+    const universe = requestUniverse(req, res, 'movers');
+    if (!universe) return;
+
+    try {
+        const cacheKey = `top_movers@${universe.id}`;
+
+        // Check cache
+        const cached = getCached(cacheKey);
+        if (cached) {
+            return res.json({ ...cached, fromCache: true });
+        }
+
+        console.log('[API] Fetching top movers...');
+
+        // Fetch all quotes
+        const quotes = await marketData.quotes(universe.symbols);
+
+        // Process quotes
+        const stocks = quotes.map(q => ({
+            symbol: q.symbol,
+            name: q.shortName,
+            price: q.price,
+            change: q.change,
+            changePercent: q.changePercent,
+            volume: q.volume,
+            avgVolume: q.avgVolume
+        }));
+
+        // Sort for top gainers (highest % change)
+        const gainers = [...stocks]
             .filter(s => s.changePercent > 0)
             .sort((a, b) => b.changePercent - a.changePercent)
             .slice(0, 10);
@@ -2072,8 +2862,11 @@ app.get('/api/top-movers', async (req, res) => {
 // AI Stock Recommendations API
 // ===================================
 app.get('/api/ai-recommendations', async (req, res) => {
+    const universe = requestUniverse(req, res, 'us-large');
+    if (!universe) return;
+
     try {
-        const cacheKey = 'ai_recommendations';
+        const cacheKey = `ai_recommendations@${universe.id}`;
 
         // Check cache
         const cached = getCached(cacheKey);
@@ -2083,14 +2876,10 @@ app.get('/api/ai-recommendations', async (req, res) => {
 
         console.log('[API] Generating AI recommendations...');
 
-        // Stocks to analyze
-        const symbols = [
-            'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'NVDA', 'TSLA', 'JPM',
-            'V', 'WMT', 'JNJ', 'PG', 'XOM', 'HD', 'MA', 'BAC', 'DIS', 'NFLX',
-            'ADBE', 'CRM', 'PYPL', 'INTC', 'AMD', 'CSCO', 'PEP', 'KO'
-        ];
+        const { symbols } = universe;
 
         const picks = [];
+        const names = await fetchShortNames(symbols);
 
         for (const symbol of symbols) {
             try {
@@ -2101,21 +2890,17 @@ app.get('/api/ai-recommendations', async (req, res) => {
                     interval: '1d'
                 };
 
-                const chart = await yahooFinance.chart(symbol, queryOptions);
+                const quotes = await marketData.bars(symbol, queryOptions);
 
-                if (!chart || !chart.quotes || chart.quotes.length < 200) continue;
+                if (!quotes || quotes.length < 200) continue;
 
-                const quotes = chart.quotes;
                 const closes = quotes.map(q => q.close).filter(c => c != null);
                 const volumes = quotes.map(q => q.volume).filter(v => v != null);
 
                 if (closes.length < 200) continue;
 
                 // Calculate indicators
-                const rsi = calculateRSI(closes, 14);
-                const macdData = calculateMACD(closes);
-                const sma50 = calculateSMA(closes, 50);
-                const sma200 = calculateSMA(closes, 200);
+                const { rsi, macd: macdData, sma50, sma200 } = technicalSnapshot(closes);
 
                 const avgVolume = volumes.slice(-30).reduce((a, b) => a + b, 0) / 30;
                 const currentVolume = volumes[volumes.length - 1];
@@ -2140,7 +2925,7 @@ app.get('/api/ai-recommendations', async (req, res) => {
                 }
 
                 // MACD scoring
-                if (macdData.signal === 'bullish') {
+                if (macdData.trend === 'bullish') {
                     confidence += 15;
                     reasons.push('MACD Bullish - สัญญาณซื้อ');
                 }
@@ -2173,12 +2958,12 @@ app.get('/api/ai-recommendations', async (req, res) => {
                 if (confidence >= 60) {
                     picks.push({
                         symbol,
-                        name: chart.meta?.shortName || symbol,
+                        name: names.get(symbol) || symbol,
                         price: currentPrice,
                         change,
                         changePercent,
                         rsi,
-                        macdSignal: macdData.signal,
+                        macdSignal: macdData.trend,
                         sma50,
                         sma200,
                         volumeRatio,
@@ -2227,11 +3012,11 @@ app.get('/api/market-summary', async (req, res) => {
 
         // Fetch major indices
         const indices = ['^GSPC', '^DJI', '^IXIC', '^RUT', '^VIX'];
-        const quotes = await yahooFinance.quote(indices);
+        const quotes = await marketData.quotes(indices);
 
         const indexData = {};
-        (Array.isArray(quotes) ? quotes : [quotes]).forEach(q => {
-            if (q) indexData[q.symbol] = q;
+        quotes.forEach(q => {
+            indexData[q.symbol] = q;
         });
 
         const sp500 = indexData['^GSPC'];
@@ -2244,7 +3029,7 @@ app.get('/api/market-summary', async (req, res) => {
         let sentiment = 'neutral';
         let positiveCount = 0;
         [sp500, dow, nasdaq, russell].forEach(idx => {
-            if (idx?.regularMarketChangePercent > 0) positiveCount++;
+            if (idx?.changePercent > 0) positiveCount++;
         });
 
         if (positiveCount >= 3) sentiment = 'bullish';
@@ -2254,19 +3039,19 @@ app.get('/api/market-summary', async (req, res) => {
         const points = [];
 
         if (sp500) {
-            const sp500Change = sp500.regularMarketChangePercent > 0 ? 'ขึ้น' : 'ลง';
-            points.push(`S&P 500 ${sp500Change} ${Math.abs(sp500.regularMarketChangePercent).toFixed(2)}%`);
+            const sp500Change = sp500.changePercent > 0 ? 'ขึ้น' : 'ลง';
+            points.push(`S&P 500 ${sp500Change} ${Math.abs(sp500.changePercent).toFixed(2)}%`);
         }
 
         if (nasdaq) {
-            const nasdaqChange = nasdaq.regularMarketChangePercent > 0 ? 'ขึ้น' : 'ลง';
-            points.push(`NASDAQ ${nasdaqChange} ${Math.abs(nasdaq.regularMarketChangePercent).toFixed(2)}%`);
+            const nasdaqChange = nasdaq.changePercent > 0 ? 'ขึ้น' : 'ลง';
+            points.push(`NASDAQ ${nasdaqChange} ${Math.abs(nasdaq.changePercent).toFixed(2)}%`);
         }
 
         if (vix) {
-            if (vix.regularMarketPrice > 25) {
+            if (vix.price > 25) {
                 points.push('⚠️ VIX สูง - ตลาดมีความผันผวน');
-            } else if (vix.regularMarketPrice < 15) {
+            } else if (vix.price < 15) {
                 points.push('✅ VIX ต่ำ - ตลาดสงบ');
             }
         }
@@ -2280,14 +3065,21 @@ app.get('/api/market-summary', async (req, res) => {
             points.push('➖ ตลาดเคลื่อนไหวแบบ Mixed');
         }
 
+        // Last stored breadth reading; the summary never waits on a breadth refresh
+        const latestBreadth = breadth.latest(BREADTH_UNIVERSE);
+        if (latestBreadth?.pctAboveSma50 !== null && latestBreadth?.pctAboveSma50 !== undefined) {
+            points.push(`หุ้นใน S&P 100 เหนือ SMA50 ${latestBreadth.pctAboveSma50}% (ขึ้น ${latestBreadth.advancers} / ลง ${latestBreadth.decliners})`);
+        }
+
         const result = {
             indices: {
-                sp500: sp500 ? { price: sp500.regularMarketPrice, change: sp500.regularMarketChangePercent } : null,
-                dow: dow ? { price: dow.regularMarketPrice, change: dow.regularMarketChangePercent } : null,
-                nasdaq: nasdaq ? { price: nasdaq.regularMarketPrice, change: nasdaq.regularMarketChangePercent } : null,
-                vix: vix ? { price: vix.regularMarketPrice, change: vix.regularMarketChangePercent } : null
+                sp500: sp500 ? { price: sp500.price, change: sp500.changePercent } : null,
+                dow: dow ? { price: dow.price, change: dow.changePercent } : null,
+                nasdaq: nasdaq ? { price: nasdaq.price, change: nasdaq.changePercent } : null,
+                vix: vix ? { price: vix.price, change: vix.changePercent } : null
             },
             sentiment,
+            breadth: latestBreadth,
             points,
             timestamp: Date.now()
         };
@@ -2302,20 +3094,114 @@ app.get('/api/market-summary', async (req, res) => {
 });
 
 // ===================================
-// 52-Week High/Low API
+// Market Breadth API
 // ===================================
-const TRACKED_STOCKS = [
-    'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'NVDA', 'META', 'TSLA', 'AMD', 'NFLX', 'INTC',
-    'ORCL', 'CRM', 'ADBE', 'CSCO', 'AVGO', 'QCOM', 'TXN', 'MU', 'AMAT', 'LRCX',
-    'JPM', 'BAC', 'WFC', 'GS', 'MS', 'V', 'MA', 'PYPL', 'AXP', 'BLK',
-    'JNJ', 'UNH', 'PFE', 'ABBV', 'MRK', 'LLY', 'TMO', 'ABT', 'DHR', 'BMY',
-    'XOM', 'CVX', 'COP', 'EOG', 'SLB', 'PXD', 'VLO', 'MPC', 'PSX', 'OXY'
-];
+const breadth = createBreadthEngine({ bars: marketData.bars, benchmark: '^GSPC' });
+const BREADTH_UNIVERSE = 'sp100';
+
+// Daily breadth series of a universe (?universe=sp100, days=120) charted against the S&P 500
+app.get('/api/breadth', async (req, res) => {
+    const universe = requestUniverse(req, res, BREADTH_UNIVERSE);
+    if (!universe) return;
 
+    try {
+        const days = req.query.days === undefined ? 120 : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > 2000) throw new HttpError(400, 'days must be an integer between 1 and 2000');
+
+        res.json(await breadth.series(universe, { days, force: req.query.refresh === '1' }));
+    } catch (error) {
+        console.error('[API] Breadth error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// Fear & Greed Index API
+// ===================================
+// Put/call ratios by session; the other components are rebuilt from daily bars
+const fearGreedStore = createJsonStore('fear-greed', { putCall: {} });
+const FEAR_GREED_SYMBOLS = { vix: '^VIX', sp500: '^GSPC', spy: 'SPY', tlt: 'TLT', hyg: 'HYG', lqd: 'LQD' };
+const FEAR_GREED_HISTORY_DAYS = 730; // a year of readings behind the first scored day
+const FEAR_GREED_CACHE_MS = 15 * 60 * 1000; // daily components; put/call is sampled every minute
+let fearGreedCache = null;
+
+// Called from the options-flow poll, so each session gets its put/call reading
+// whether or not anyone opens the dashboard. Weekend polls repeat Friday's volume.
+function recordPutCall(volumes) {
+    const now = Date.now();
+    const weekday = new Date(now).toLocaleDateString('en-US', { weekday: 'short', timeZone: 'America/New_York' });
+    if (weekday === 'Sat' || weekday === 'Sun') return;
+
+    const callVolume = volumes.reduce((sum, r) => sum + r.callVolume, 0);
+    const putVolume = volumes.reduce((sum, r) => sum + r.putVolume, 0);
+    if (callVolume <= 0) return;
+    fearGreedStore.update(data => {
+        data.putCall[tradingDay(now)] = Math.round(putVolume / callVolume * 1000) / 1000;
+    });
+}
+
+async function computeFearGreed() {
+    const period1 = new Date(Date.now() - FEAR_GREED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const keys = Object.keys(FEAR_GREED_SYMBOLS);
+    const [barLists, breadthSeries] = await Promise.all([
+        Promise.all(keys.map(key => marketData.bars(FEAR_GREED_SYMBOLS[key], { period1, interval: '1d' }).catch(() => []))),
+        breadth.series(universes.get(BREADTH_UNIVERSE), { days: 2000 }).catch(() => null)
+    ]);
+    const bars = Object.fromEntries(keys.map((key, i) => [key, barLists[i]]));
+
+    const raw = fearGreed.readings({
+        ...bars,
+        breadth: breadthSeries?.days || [],
+        putCall: new Map(Object.entries(fearGreedStore.read().putCall))
+    });
+    return fearGreed.compose(raw);
+}
+
+// Composite score, component sub-scores and daily history (?days=30)
+app.get('/api/fear-greed', async (req, res) => {
+    try {
+        const days = req.query.days === undefined ? 30 : Number(req.query.days);
+        if (!Number.isInteger(days) || days < 1 || days > 365) throw new HttpError(400, 'days must be an integer between 1 and 365');
+
+        if (!fearGreedCache || Date.now() - fearGreedCache.timestamp >= FEAR_GREED_CACHE_MS) {
+            fearGreedCache = { history: await computeFearGreed(), timestamp: Date.now() };
+        }
+        const { history } = fearGreedCache;
+        if (history.length === 0) throw new HttpError(503, 'Not enough market data for the Fear & Greed Index');
+
+        const latest = history[history.length - 1];
+        const ago = sessions => history[history.length - 1 - sessions]?.score ?? null;
+        res.json({
+            date: latest.date,
+            score: latest.score,
+            label: latest.label,
+            components: fearGreed.COMPONENTS.map(c => ({
+                id: c.id,
+                label: c.label,
+                unit: c.unit,
+                value: latest.components[c.id]?.value ?? null,
+                score: latest.components[c.id]?.score ?? null,
+                rating: fearGreed.labelOf(latest.components[c.id]?.score ?? null)
+            })),
+            previous: { close: ago(1), week: ago(5), month: ago(21), year: ago(252) },
+            history: history.slice(-days).map(d => ({ date: d.date, score: d.score, label: d.label }))
+        });
+    } catch (error) {
+        console.error('[API] Fear & Greed error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// 52-Week High/Low API
+// ===================================
 app.get('/api/52week', async (req, res) => {
+    const universe = requestUniverse(req, res, 'tracked');
+    if (!universe) return;
+
     try {
-        console.log('[API] Fetching 52-week high/low data...');
-        const cacheKey = '52week_data';
+        console.log(`[API] Fetching 52-week high/low data (${universe.id})...`);
+        const cacheKey = `52week_data@${universe.id}`;
         const cached = getCached(cacheKey);
         if (cached) {
             return res.json(cached);
@@ -2326,11 +3212,12 @@ app.get('/api/52week', async (req, res) => {
         const newHighs = [];
         const newLows = [];
 
-        for (const symbol of TRACKED_STOCKS) {
-            try {
-                const quote = await yahooFinance.quote(symbol);
+        const quotes = await marketData.quotes(universe.symbols);
 
-                const price = quote.regularMarketPrice || 0;
+        for (const quote of quotes) {
+            try {
+                const symbol = quote.symbol;
+                const price = quote.price || 0;
                 const high52 = quote.fiftyTwoWeekHigh || 0;
                 const low52 = quote.fiftyTwoWeekLow || 0;
 
@@ -2341,16 +3228,16 @@ app.get('/api/52week', async (req, res) => {
 
                 const stockData = {
                     symbol,
-                    name: quote.shortName || quote.longName || symbol,
+                    name: quote.shortName,
                     price,
-                    change: quote.regularMarketChange || 0,
-                    changePercent: quote.regularMarketChangePercent || 0,
+                    change: quote.change || 0,
+                    changePercent: quote.changePercent || 0,
                     high52,
                     low52,
                     distFromHigh: distFromHigh.toFixed(2),
                     distFromLow: distFromLow.toFixed(2),
-                    volume: quote.regularMarketVolume || 0,
-                    avgVolume: quote.averageDailyVolume3Month || 0
+                    volume: quote.volume || 0,
+                    avgVolume: quote.avgVolume || 0
                 };
 
                 // New 52-week high (within 1%)
@@ -2406,171 +3293,166 @@ app.get('/api/52week', async (req, res) => {
 // ===================================
 // Technical Screener API
 // ===================================
-app.get('/api/technical-screener', async (req, res) => {
-    try {
-        const { rsi, macd, ma, volume } = req.query;
-        const cacheKey = `technical_${rsi}_${macd}_${ma}_${volume}`;
+// Stocks passing the technical filters (comma-separated option lists), lowest RSI first
+async function runTechnicalScreen({ rsi, macd, ma, volume }, symbols) {
+    const results = [];
+    const names = await fetchShortNames(symbols);
 
-        // Check cache
-        const cached = getCached(cacheKey);
-        if (cached) {
-            return res.json({ ...cached, fromCache: true });
-        }
-
-        console.log('[API] Running technical screener...');
-
-        // Common US stocks to scan
-        const symbols = [
-            'AAPL', 'MSFT', 'GOOGL', 'AMZN', 'META', 'NVDA', 'TSLA', 'JPM',
-            'V', 'WMT', 'JNJ', 'PG', 'XOM', 'HD', 'MA', 'BAC', 'DIS', 'NFLX',
-            'ADBE', 'CRM', 'PYPL', 'INTC', 'AMD', 'CSCO', 'PEP', 'KO', 'MCD',
-            'NKE', 'COST', 'ABBV', 'TMO', 'AVGO', 'TXN', 'QCOM', 'UNH'
-        ];
-
-        const results = [];
-
-        // Fetch data for each symbol
-        for (const symbol of symbols) {
-            try {
-                // Get historical data for calculations
-                const queryOptions = {
-                    period1: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000), // 1 year ago
-                    period2: new Date(),
-                    interval: '1d'
-                };
+    // Fetch data for each symbol
+    for (const symbol of symbols) {
+        try {
+            // Get historical data for calculations
+            const queryOptions = {
+                period1: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000), // 1 year ago
+                period2: new Date(),
+                interval: '1d'
+            };
 
-                const chart = await yahooFinance.chart(symbol, queryOptions);
+            const quotes = await marketData.bars(symbol, queryOptions);
 
-                if (!chart || !chart.quotes || chart.quotes.length < 200) continue;
+            if (!quotes || quotes.length < 200) continue;
 
-                const quotes = chart.quotes;
-                const closes = quotes.map(q => q.close).filter(c => c != null);
-                const volumes = quotes.map(q => q.volume).filter(v => v != null);
+            const closes = quotes.map(q => q.close).filter(c => c != null);
+            const volumes = quotes.map(q => q.volume).filter(v => v != null);
 
-                if (closes.length < 200) continue;
+            if (closes.length < 200) continue;
 
-                // Calculate RSI (14 periods)
-                const rsiValue = calculateRSI(closes, 14);
+            // RSI (14), MACD (12, 26, 9) and SMAs
+            const { rsi: rsiValue, macd: macdData, sma50, sma200 } = technicalSnapshot(closes);
 
-                // Calculate MACD
-                const macdData = calculateMACD(closes);
+            // Calculate average volume
+            const avgVolume = volumes.slice(-30).reduce((a, b) => a + b, 0) / 30;
+            const currentVolume = volumes[volumes.length - 1];
+            const volumeRatio = currentVolume / avgVolume;
 
-                // Calculate SMAs
-                const sma50 = calculateSMA(closes, 50);
-                const sma200 = calculateSMA(closes, 200);
+            const currentPrice = closes[closes.length - 1];
+            const prevPrice = closes[closes.length - 2];
+            const change = currentPrice - prevPrice;
+            const changePercent = (change / prevPrice) * 100;
 
-                // Calculate average volume
-                const avgVolume = volumes.slice(-30).reduce((a, b) => a + b, 0) / 30;
-                const currentVolume = volumes[volumes.length - 1];
-                const volumeRatio = currentVolume / avgVolume;
+            // Apply filters
+            let passesFilter = true;
+            const signals = [];
 
-                const currentPrice = closes[closes.length - 1];
-                const prevPrice = closes[closes.length - 2];
-                const change = currentPrice - prevPrice;
-                const changePercent = (change / prevPrice) * 100;
-
-                // Apply filters
-                let passesFilter = true;
-                const signals = [];
-
-                // RSI filter
-                if (rsi) {
-                    const rsiFilters = rsi.split(',');
-                    let rsiPass = false;
-                    if (rsiFilters.includes('oversold') && rsiValue < 30) {
-                        rsiPass = true;
-                        signals.push('RSI Oversold');
-                    }
-                    if (rsiFilters.includes('overbought') && rsiValue > 70) {
-                        rsiPass = true;
-                        signals.push('RSI Overbought');
-                    }
-                    if (rsiFilters.includes('neutral') && rsiValue >= 30 && rsiValue <= 70) {
-                        rsiPass = true;
-                    }
-                    if (!rsiPass && rsiFilters.length > 0) passesFilter = false;
+            // RSI filter
+            if (rsi) {
+                const rsiFilters = rsi.split(',');
+                let rsiPass = false;
+                if (rsiFilters.includes('oversold') && rsiValue < 30) {
+                    rsiPass = true;
+                    signals.push('RSI Oversold');
                 }
-
-                // MACD filter
-                if (macd && passesFilter) {
-                    const macdFilters = macd.split(',');
-                    let macdPass = false;
-                    if (macdFilters.includes('bullish') && macdData.signal === 'bullish') {
-                        macdPass = true;
-                        signals.push('MACD Bullish');
-                    }
-                    if (macdFilters.includes('bearish') && macdData.signal === 'bearish') {
-                        macdPass = true;
-                        signals.push('MACD Bearish');
-                    }
-                    if (macdFilters.includes('crossover') && macdData.crossover) {
-                        macdPass = true;
-                        signals.push('MACD Crossover');
-                    }
-                    if (!macdPass && macdFilters.length > 0) passesFilter = false;
+                if (rsiFilters.includes('overbought') && rsiValue > 70) {
+                    rsiPass = true;
+                    signals.push('RSI Overbought');
+                }
+                if (rsiFilters.includes('neutral') && rsiValue >= 30 && rsiValue <= 70) {
+                    rsiPass = true;
                 }
+                if (!rsiPass && rsiFilters.length > 0) passesFilter = false;
+            }
 
-                // MA filter
-                if (ma && passesFilter) {
-                    const maFilters = ma.split(',');
-                    let maPass = false;
-                    if (maFilters.includes('above_sma50') && currentPrice > sma50) {
-                        maPass = true;
-                        signals.push('Above SMA50');
-                    }
-                    if (maFilters.includes('above_sma200') && currentPrice > sma200) {
-                        maPass = true;
-                        signals.push('Above SMA200');
-                    }
-                    if (maFilters.includes('golden_cross') && sma50 > sma200) {
-                        maPass = true;
-                        signals.push('Golden Cross');
-                    }
-                    if (maFilters.includes('death_cross') && sma50 < sma200) {
-                        maPass = true;
-                        signals.push('Death Cross');
-                    }
-                    if (!maPass && maFilters.length > 0) passesFilter = false;
+            // MACD filter
+            if (macd && passesFilter) {
+                const macdFilters = macd.split(',');
+                let macdPass = false;
+                if (macdFilters.includes('bullish') && macdData.trend === 'bullish') {
+                    macdPass = true;
+                    signals.push('MACD Bullish');
+                }
+                if (macdFilters.includes('bearish') && macdData.trend === 'bearish') {
+                    macdPass = true;
+                    signals.push('MACD Bearish');
+                }
+                if (macdFilters.includes('crossover') && macdData.crossover) {
+                    macdPass = true;
+                    signals.push('MACD Crossover');
                 }
+                if (!macdPass && macdFilters.length > 0) passesFilter = false;
+            }
 
-                // Volume filter
-                if (volume && passesFilter) {
-                    const volFilters = volume.split(',');
-                    let volPass = false;
-                    if (volFilters.includes('high') && volumeRatio > 2) {
-                        volPass = true;
-                        signals.push('High Volume');
-                    }
-                    if (volFilters.includes('increasing') && currentVolume > volumes[volumes.length - 2]) {
-                        volPass = true;
-                        signals.push('Volume Up');
-                    }
-                    if (!volPass && volFilters.length > 0) passesFilter = false;
+            // MA filter
+            if (ma && passesFilter) {
+                const maFilters = ma.split(',');
+                let maPass = false;
+                if (maFilters.includes('above_sma50') && currentPrice > sma50) {
+                    maPass = true;
+                    signals.push('Above SMA50');
                 }
+                if (maFilters.includes('above_sma200') && currentPrice > sma200) {
+                    maPass = true;
+                    signals.push('Above SMA200');
+                }
+                if (maFilters.includes('golden_cross') && sma50 > sma200) {
+                    maPass = true;
+                    signals.push('Golden Cross');
+                }
+                if (maFilters.includes('death_cross') && sma50 < sma200) {
+                    maPass = true;
+                    signals.push('Death Cross');
+                }
+                if (!maPass && maFilters.length > 0) passesFilter = false;
+            }
 
-                if (passesFilter) {
-                    results.push({
-                        symbol,
-                        name: chart.meta?.shortName || symbol,
-                        price: currentPrice,
-                        change,
-                        changePercent,
-                        rsi: rsiValue,
-                        macdSignal: macdData.signal,
-                        sma50,
-                        sma200,
-                        volumeRatio,
-                        signals
-                    });
+            // Volume filter
+            if (volume && passesFilter) {
+                const volFilters = volume.split(',');
+                let volPass = false;
+                if (volFilters.includes('high') && volumeRatio > 2) {
+                    volPass = true;
+                    signals.push('High Volume');
+                }
+                if (volFilters.includes('increasing') && currentVolume > volumes[volumes.length - 2]) {
+                    volPass = true;
+                    signals.push('Volume Up');
                 }
+                if (!volPass && volFilters.length > 0) passesFilter = false;
+            }
 
-            } catch (err) {
-                console.log(`[Technical] Error for ${symbol}:`, err.message);
+            if (passesFilter) {
+                results.push({
+                    symbol,
+                    name: names.get(symbol) || symbol,
+                    price: currentPrice,
+                    change,
+                    changePercent,
+                    rsi: rsiValue,
+                    macdSignal: macdData.trend,
+                    sma50,
+                    sma200,
+                    volumeRatio,
+                    signals
+                });
             }
+
+        } catch (err) {
+            console.log(`[Technical] Error for ${symbol}:`, err.message);
+        }
+    }
+
+    // Sort by RSI
+    results.sort((a, b) => a.rsi - b.rsi);
+
+    return results;
+}
+
+app.get('/api/technical-screener', async (req, res) => {
+    const universe = requestUniverse(req, res, 'us-large');
+    if (!universe) return;
+
+    try {
+        const { rsi, macd, ma, volume } = req.query;
+        const cacheKey = `technical_${rsi}_${macd}_${ma}_${volume}@${universe.id}`;
+
+        // Check cache
+        const cached = getCached(cacheKey);
+        if (cached) {
+            return res.json({ ...cached, fromCache: true });
         }
 
-        // Sort by RSI
-        results.sort((a, b) => a.rsi - b.rsi);
+        console.log('[API] Running technical screener...');
+
+        const results = await runTechnicalScreen({ rsi, macd, ma, volume }, universe.symbols);
 
         const result = {
             results,
@@ -2587,75 +3469,109 @@ app.get('/api/technical-screener', async (req, res) => {
     }
 });
 
-// Calculate RSI
-function calculateRSI(prices, period = 14) {
-    if (prices.length < period + 1) return 50;
-
-    let gains = 0;
-    let losses = 0;
-
-    for (let i = prices.length - period; i < prices.length; i++) {
-        const change = prices[i] - prices[i - 1];
-        if (change > 0) gains += change;
-        else losses -= change;
+// ===================================
+// Saved Screens
+// ===================================
+const SCREEN_TICK_MS = 60 * 1000;
+
+const savedScreens = createSavedScreens({
+    store: createJsonStore('screens', { screens: [], runs: [] }),
+    universes,
+    run: async (screen) => {
+        const { symbols } = universes.get(screen.universe);
+        if (screen.kind === 'technical') {
+            const filters = Object.fromEntries(Object.entries(screen.filters).map(([group, values]) => [group, values.join(',')]));
+            return runTechnicalScreen(filters, symbols);
+        }
+        return runExpressionScreen(compileScreen(screen.expression), symbols);
+    },
+    // New entrants are pushed to every client as { type: 'screen' }
+    onRun: (screen, run) => {
+        console.log(`[Screens] "${screen.name}" (${run.trigger}): ${run.count} stocks, +${run.entered.length} / -${run.left.length}`);
+        if (!run.entered.length) return;
+        broadcastAll({
+            type: 'screen',
+            data: {
+                screenId: screen.id,
+                name: screen.name,
+                runId: run.id,
+                ranAt: run.ranAt,
+                trigger: run.trigger,
+                count: run.count,
+                entered: run.entered,
+                left: run.left
+            }
+        });
     }
+});
 
-    const avgGain = gains / period;
-    const avgLoss = losses / period;
-
-    if (avgLoss === 0) return 100;
-    const rs = avgGain / avgLoss;
-    return 100 - (100 / (1 + rs));
-}
-
-// Calculate MACD
-function calculateMACD(prices) {
-    const ema12 = calculateEMA(prices, 12);
-    const ema26 = calculateEMA(prices, 26);
-    const macd = ema12 - ema26;
+app.get('/api/screens', (req, res) => {
+    res.json({ screens: savedScreens.list() });
+});
 
-    // Calculate signal line (9-day EMA of MACD)
-    const macdValues = [];
-    for (let i = 26; i <= prices.length; i++) {
-        const e12 = calculateEMA(prices.slice(0, i), 12);
-        const e26 = calculateEMA(prices.slice(0, i), 26);
-        macdValues.push(e12 - e26);
+// Body: { name, kind: technical | expression, filters | expression, universe, sort: { key, order }, schedule: ['open', 'close', 'HH:MM'] }
+app.post('/api/screens', (req, res) => {
+    try {
+        const screen = savedScreens.create(req.body);
+        console.log(`[Screens] Saved "${screen.name}" (${screen.kind})`);
+        res.status(201).json(screen);
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message, start: error.start, end: error.end });
     }
+});
 
-    const signal = macdValues.length >= 9 ?
-        calculateEMA(macdValues.slice(-20), 9) : macd;
-
-    // Check for crossover
-    const prevMacd = macdValues.length > 1 ? macdValues[macdValues.length - 2] : macd;
-    const crossover = (prevMacd < signal && macd > signal) || (prevMacd > signal && macd < signal);
-
-    return {
-        macd,
-        signal: macd > signal ? 'bullish' : 'bearish',
-        crossover
-    };
-}
+app.get('/api/screens/:id', (req, res) => {
+    try {
+        res.json(savedScreens.get(req.params.id));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-// Calculate EMA
-function calculateEMA(prices, period) {
-    if (prices.length < period) return prices[prices.length - 1];
+app.patch('/api/screens/:id', (req, res) => {
+    try {
+        res.json(savedScreens.update(req.params.id, req.body));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-    const multiplier = 2 / (period + 1);
-    let ema = prices.slice(0, period).reduce((a, b) => a + b, 0) / period;
+app.delete('/api/screens/:id', (req, res) => {
+    try {
+        savedScreens.remove(req.params.id);
+        res.json({ deleted: req.params.id });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-    for (let i = period; i < prices.length; i++) {
-        ema = (prices[i] - ema) * multiplier + ema;
+// Run a screen now; responds with the stored run (rows, entered, left)
+app.post('/api/screens/:id/run', async (req, res) => {
+    try {
+        res.json(await savedScreens.run(req.params.id));
+    } catch (error) {
+        console.error('[API] Screen run error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
     }
+});
 
-    return ema;
-}
+// Run history, newest first (?limit, default 20)
+app.get('/api/screens/:id/runs', (req, res) => {
+    try {
+        const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+        res.json({ runs: savedScreens.runs(req.params.id, { limit }) });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
-// Calculate SMA
-function calculateSMA(prices, period) {
-    if (prices.length < period) return prices[prices.length - 1];
-    const slice = prices.slice(-period);
-    return slice.reduce((a, b) => a + b, 0) / period;
-}
+app.get('/api/screens/:id/runs/:runId', (req, res) => {
+    try {
+        res.json(savedScreens.getRun(req.params.id, req.params.runId));
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
 
 // ===================================
 // Global Markets API
@@ -2703,14 +3619,12 @@ app.get('/api/global-markets', async (req, res) => {
             ...indices.asia.map(i => i.symbol)
         ];
 
-        const quotes = await yahooFinance.quote(allSymbols);
+        const quotes = await marketData.quotes(allSymbols);
         const quotesMap = {};
 
-        if (Array.isArray(quotes)) {
-            quotes.forEach(q => {
-                if (q) quotesMap[q.symbol] = q;
-            });
-        }
+        quotes.forEach(q => {
+            quotesMap[q.symbol] = q;
+        });
 
         // Process each region
         const processRegion = (regionIndices) => {
@@ -2721,10 +3635,10 @@ app.get('/api/global-markets', async (req, res) => {
                     name: index.name,
                     flag: index.flag,
                     country: index.country,
-                    price: quote?.regularMarketPrice || 0,
-                    change: quote?.regularMarketChange || 0,
-                    changePercent: quote?.regularMarketChangePercent || 0,
-                    volume: quote?.regularMarketVolume || 0
+                    price: quote?.price || 0,
+                    change: quote?.change || 0,
+                    changePercent: quote?.changePercent || 0,
+                    volume: quote?.volume || 0
                 };
             });
         };
@@ -2745,9 +3659,386 @@ app.get('/api/global-markets', async (req, res) => {
     }
 });
 
+// ===================================
+// Portfolio Ledger API
+// ===================================
+const portfolioStore = createJsonStore('portfolios', { portfolios: [] });
+
+function findPortfolio(id) {
+    const portfolio = portfolioStore.read().portfolios.find(p => p.id === id);
+    if (!portfolio) throw new HttpError(404, 'Portfolio not found');
+    return portfolio;
+}
+
+function portfolioSummary(portfolio) {
+    return {
+        id: portfolio.id,
+        name: portfolio.name,
+        method: portfolio.method,
+        createdAt: portfolio.createdAt,
+        transactionCount: portfolio.transactions.length,
+        symbols: [...new Set(portfolio.transactions.map(t => t.symbol).filter(Boolean))]
+    };
+}
+
+// List portfolios
+app.get('/api/portfolios', (req, res) => {
+    res.json({ portfolios: portfolioStore.read().portfolios.map(portfolioSummary) });
+});
+
+// Create portfolio
+app.post('/api/portfolios', (req, res) => {
+    try {
+        const { name, method } = req.body || {};
+        if (!name || !String(name).trim()) {
+            return res.status(400).json({ error: 'name is required' });
+        }
+
+        const portfolio = {
+            id: createId('pf'),
+            name: String(name).trim(),
+            method: portfolioLedger.normalizeMethod(method),
+            createdAt: Date.now(),
+            transactions: []
+        };
+
+        portfolioStore.update(data => data.portfolios.push(portfolio));
+        res.status(201).json(portfolioSummary(portfolio));
+
+    } catch (error) {
+        console.error('[API] Create portfolio error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Holdings with live prices, cost basis and P&L
+app.get('/api/portfolios/:id', async (req, res) => {
+    try {
+        const portfolio = findPortfolio(req.params.id);
+        const ledger = portfolioLedger.replay(portfolio.transactions, portfolio.method);
+
+        const openSymbols = [...ledger.positions.values()]
+            .filter(p => p.lots.length > 0)
+            .map(p => p.symbol);
+
+        const prices = {};
+        if (openSymbols.length > 0) {
+            const quotes = await marketData.quotes(openSymbols);
+            quotes.forEach(q => { prices[q.symbol] = q.price; });
+        }
+
+        res.json({
+            ...portfolioSummary(portfolio),
+            ...portfolioLedger.summarizeHoldings(ledger, prices),
+            timestamp: Date.now()
+        });
+
+    } catch (error) {
+        console.error('[API] Portfolio error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Rename portfolio or change cost basis method
+app.patch('/api/portfolios/:id', (req, res) => {
+    try {
+        const portfolio = findPortfolio(req.params.id);
+        const { name, method } = req.body || {};
+        const nextMethod = method !== undefined ? portfolioLedger.normalizeMethod(method) : portfolio.method;
+
+        portfolioStore.update(() => {
+            if (name !== undefined && String(name).trim()) portfolio.name = String(name).trim();
+            portfolio.method = nextMethod;
+        });
+        res.json(portfolioSummary(portfolio));
+
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/portfolios/:id', (req, res) => {
+    try {
+        findPortfolio(req.params.id);
+        portfolioStore.update(data => {
+            data.portfolios = data.portfolios.filter(p => p.id !== req.params.id);
+        });
+        res.json({ deleted: req.params.id });
+
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Transaction log
+app.get('/api/portfolios/:id/transactions', (req, res) => {
+    try {
+        const portfolio = findPortfolio(req.params.id);
+        res.json({ transactions: portfolioLedger.sortTransactions(portfolio.transactions) });
+
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Record a buy, sell, split, dividend or fee
+app.post('/api/portfolios/:id/transactions', (req, res) => {
+    try {
+        const portfolio = findPortfolio(req.params.id);
+        const tx = {
+            id: createId('tx'),
+            ...portfolioLedger.normalizeTransaction(req.body),
+            createdAt: Date.now()
+        };
+
+        // Replay first so an oversell is rejected before anything is stored
+        portfolioLedger.replay([...portfolio.transactions, tx], portfolio.method);
+
+        portfolioStore.update(() => portfolio.transactions.push(tx));
+        console.log(`[Portfolio] ${portfolio.name}: ${tx.type} ${tx.symbol || ''}`);
+        res.status(201).json(tx);
+
+    } catch (error) {
+        console.error('[API] Add transaction error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+app.delete('/api/portfolios/:id/transactions/:txId', (req, res) => {
+    try {
+        const portfolio = findPortfolio(req.params.id);
+        const remaining = portfolio.transactions.filter(t => t.id !== req.params.txId);
+        if (remaining.length === portfolio.transactions.length) {
+            return res.status(404).json({ error: 'Transaction not found' });
+        }
+
+        // Removing a buy may leave a later sell uncovered
+        portfolioLedger.replay(remaining, portfolio.method);
+
+        portfolioStore.update(() => { portfolio.transactions = remaining; });
+        res.json({ deleted: req.params.txId });
+
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Daily equity curve from the ledger and daily history bars
+app.get('/api/portfolios/:id/equity', async (req, res) => {
+    try {
+        const portfolio = findPortfolio(req.params.id);
+        const transactions = portfolioLedger.sortTransactions(portfolio.transactions);
+        if (transactions.length === 0) {
+            return res.json({ id: portfolio.id, curve: [], stats: portfolioLedger.equityStats([]) });
+        }
+
+        const startDate = transactions[0].date;
+        const symbols = [...new Set(transactions.map(t => t.symbol).filter(Boolean))];
+        const barsBySymbol = {};
+
+        await Promise.all(symbols.map(async (symbol) => {
+            const cacheKey = `portfolio_bars_${symbol}_${startDate}`;
+            let bars = getCached(cacheKey);
+            if (!bars) {
+                const history = await marketData.bars(symbol, {
+                    period1: new Date(startDate),
+                    period2: new Date(),
+                    interval: '1d'
+                });
+                bars = history.map(bar => ({
+                    date: bar.date.toISOString().split('T')[0],
+                    close: bar.close
+                }));
+                setCache(cacheKey, bars);
+            }
+            barsBySymbol[symbol] = bars;
+        }));
+
+        const curve = portfolioLedger.buildEquityCurve(transactions, portfolio.method, barsBySymbol);
+
+        res.json({
+            id: portfolio.id,
+            curve,
+            stats: portfolioLedger.equityStats(curve),
+            timestamp: Date.now()
+        });
+
+    } catch (error) {
+        console.error('[API] Portfolio equity error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// Strategy Backtest API
+// ===================================
+const BACKTEST_MAX_SYMBOLS = 30;
+const BACKTEST_WARMUP_DAYS = 400; // calendar days of extra history so SMA200 is ready on day one
+
+function backtestSymbols(body) {
+    if (body.universe) {
+        const universe = universes.get(String(body.universe).toLowerCase());
+        if (universe.symbols.length > BACKTEST_MAX_SYMBOLS) {
+            throw new HttpError(400, `Universe ${universe.id} has ${universe.symbols.length} symbols; at most ${BACKTEST_MAX_SYMBOLS} per backtest`);
+        }
+        return universe.symbols;
+    }
+
+    const list = Array.isArray(body.symbols) ? body.symbols : String(body.symbols || body.symbol || '').split(',');
+    const symbols = [...new Set(list.map(s => String(s).trim().toUpperCase()).filter(Boolean))];
+    if (symbols.length === 0) throw new HttpError(400, 'symbol, symbols or universe is required');
+    if (symbols.length > BACKTEST_MAX_SYMBOLS) {
+        throw new HttpError(400, `At most ${BACKTEST_MAX_SYMBOLS} symbols per backtest`);
+    }
+    return symbols;
+}
+
+function backtestDate(value, fallback, field) {
+    const date = value ? new Date(value) : fallback;
+    if (isNaN(date.getTime())) throw new HttpError(400, `${field} is invalid`);
+    return date.toISOString().split('T')[0];
+}
+
+// Daily bars for [start - warm-up, end], shaped for lib/backtest
+async function getBacktestBars(symbol, start, end) {
+    const cacheKey = `backtest_bars_${symbol}_${start}_${end}`;
+    const cached = getCached(cacheKey);
+    if (cached) return cached;
+
+    const history = await marketData.bars(symbol, {
+        period1: new Date(new Date(start).getTime() - BACKTEST_WARMUP_DAYS * 24 * 60 * 60 * 1000),
+        period2: new Date(`${end}T23:59:59Z`),
+        interval: '1d'
+    });
+    const bars = history
+        .filter(bar => bar.open != null && bar.close != null)
+        .map(bar => ({
+            date: bar.date.toISOString().split('T')[0],
+            open: bar.open,
+            high: bar.high,
+            low: bar.low,
+            close: bar.close,
+            volume: bar.volume
+        }));
+
+    setCache(cacheKey, bars);
+    return bars;
+}
+
+app.get('/api/backtest/strategies', (req, res) => {
+    res.json({
+        strategies: Object.entries(backtester.STRATEGY_PRESETS).map(([id, preset]) => ({ id, ...preset })),
+        universes: Object.fromEntries(universes.list().filter(u => u.count <= BACKTEST_MAX_SYMBOLS).map(u => [u.id, u.count])),
+        conditionTypes: backtester.CONDITION_TYPES,
+        operators: backtester.OPERATORS
+    });
+});
+
+/**
+ * Body: { symbol | symbols | universe, strategy | rules, start, end,
+ *         initialCapital, positionSize, commission }
+ */
+app.post('/api/backtest', async (req, res) => {
+    try {
+        const body = req.body || {};
+        const rules = backtester.normalizeRules(body);
+        const symbols = backtestSymbols(body);
+        const end = backtestDate(body.end, new Date(), 'end');
+        const start = backtestDate(body.start, new Date(new Date(end).getTime() - 2 * 365 * 24 * 60 * 60 * 1000), 'start');
+        if (start >= end) throw new HttpError(400, 'start must be before end');
+
+        const initialCapital = Number(body.initialCapital || 10000);
+        if (!Number.isFinite(initialCapital) || initialCapital <= 0) {
+            throw new HttpError(400, 'initialCapital must be a positive number');
+        }
+
+        const commission = backtester.normalizeCommission(body.commission);
+
+        const positionSize = body.positionSize !== undefined ? Number(body.positionSize) : undefined;
+        if (positionSize !== undefined && !(positionSize > 0 && positionSize <= 100)) {
+            throw new HttpError(400, 'positionSize must be a percentage between 0 and 100');
+        }
+
+        console.log(`[API] Backtesting "${rules.name}" on ${symbols.length} symbols (${start} → ${end})`);
+
+        const barsBySymbol = {};
+        const skipped = [];
+        await Promise.all(symbols.map(async (symbol) => {
+            try {
+                const bars = (await getBacktestBars(symbol, start, end)).filter(b => b.date <= end);
+                if (bars.some(b => b.date >= start)) barsBySymbol[symbol] = bars;
+                else skipped.push(symbol);
+            } catch (e) {
+                console.error(`[Backtest] No bars for ${symbol}:`, e.message);
+                skipped.push(symbol);
+            }
+        }));
+
+        const result = backtester.runBacktest(barsBySymbol, rules, {
+            start,
+            initialCapital,
+            positionSize,
+            commission,
+            scoreFn: calculateAIScore
+        });
+
+        res.json({
+            strategy: rules,
+            symbols: Object.keys(barsBySymbol),
+            skipped,
+            start,
+            end,
+            ...result,
+            timestamp: Date.now()
+        });
+
+    } catch (error) {
+        console.error('[API] Backtest error:', error.message);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// ===================================
+// Bar Store API
+// ===================================
+app.get('/api/bars/store', (req, res) => {
+    res.json({ symbols: barStore.list() });
+});
+
+app.get('/api/bars/store/:symbol', (req, res) => {
+    const info = barStore.info(req.params.symbol);
+    if (!info) {
+        return res.status(404).json({ error: `No stored bars for ${req.params.symbol.toUpperCase()}` });
+    }
+    res.json({ ...info, gaps: barStore.gaps(req.params.symbol) });
+});
+
+// Re-fetch missing sessions for a symbol; responds with the gaps that remain
+app.post('/api/bars/store/:symbol/repair', async (req, res) => {
+    try {
+        const symbol = req.params.symbol.toUpperCase();
+        if (!barStore.info(symbol)) throw new HttpError(404, `No stored bars for ${symbol}`);
+        res.json({ symbol, gaps: await barStore.repair(symbol) });
+    } catch (error) {
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
 // Start broadcasting every 10 seconds
 setInterval(broadcastPrices, 10000);
 
+// Keep the options-flow tape and the put/call history growing between page views
+setInterval(() => {
+    pollOptionsFlow(universes.get('options'))
+        .then(recordPutCall)
+        .catch(e => console.error('[Options Flow] Poll error:', e.message));
+}, OPTIONS_FLOW_POLL_MS);
+
+// Run saved screens when their scheduled slots come up
+setInterval(() => {
+    savedScreens.tick().catch(e => console.error('[Screens] Schedule error:', e.message));
+}, SCREEN_TICK_MS);
+
 // ===================================
 // Start Server
 // ===================================
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createAlertEngine } = require('../lib/alerts');
+
+function memoryStore() {
+    const data = { alerts: [], history: [] };
+    return { read: () => data, update: fn => fn(data) };
+}
+
+test('deleting an alert while indicators load does not drop the other events', async () => {
+    const store = memoryStore();
+    let doomed;
+    const engine = createAlertEngine({
+        store,
+        getIndicators: async () => {
+            // DELETE /api/alerts/:id lands while the cycle waits on bars
+            engine.remove(doomed.id);
+            return { rsi: 25 };
+        }
+    });
+
+    doomed = engine.create({ symbol: 'AAPL', condition: { type: 'price', operator: 'above', value: 100 } });
+    const price = engine.create({ symbol: 'MSFT', condition: { type: 'price', operator: 'above', value: 100 } });
+    const rsi = engine.create({ symbol: 'AAPL', condition: { type: 'rsi', operator: 'below', value: 30 } });
+
+    const events = await engine.evaluate([
+        { symbol: 'AAPL', price: 150 },
+        { symbol: 'MSFT', price: 300 }
+    ]);
+
+    assert.deepEqual(events.map(e => e.alertId).sort(), [price.id, rsi.id].sort());
+    assert.deepEqual(store.read().history.map(e => e.alertId).sort(), [price.id, rsi.id].sort());
+    assert.equal(engine.list().find(a => a.id === price.id).triggerCount, 1);
+    assert.equal(engine.list().find(a => a.id === rsi.id).triggerCount, 1);
+    assert.equal(engine.list().some(a => a.id === doomed.id), false);
+});
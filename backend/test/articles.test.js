@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createArticleFetcher } = require('../news/articles');
+
+const CHUNK = new TextEncoder().encode(`<p>${'Shares rose after the company raised its outlook. '.repeat(20)}</p>\n`);
+
+test('article pages are read only up to the size limit', async t => {
+    let pulled = 0;
+    const realFetch = global.fetch;
+    t.after(() => { global.fetch = realFetch; });
+
+    // A page that never ends: reading it whole would never return
+    global.fetch = async () => new Response(new ReadableStream({
+        pull(controller) {
+            pulled += CHUNK.length;
+            controller.enqueue(CHUNK);
+        }
+    }), { headers: { 'content-type': 'text/html' } });
+
+    const text = await createArticleFetcher('http').fetch('https://example.com/news/endless');
+    assert.match(text, /raised its outlook/);
+    assert.ok(pulled < 3 * 1024 * 1024, `pulled ${pulled} bytes`);
+});
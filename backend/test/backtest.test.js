@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeRules, normalizeCommission, runBacktest } = require('../lib/backtest');
+
+function rejectsWith400(fn) {
+    assert.throws(fn, error => error.status === 400 && /commission must be a percentage/.test(error.message));
+}
+
+// 300 sessions swinging around an uptrend, so the RSI reversion preset trades several times
+const BARS = Array.from({ length: 300 }, (_, i) => {
+    const close = 100 + i * 0.2 + Math.sin(i / 8) * 10;
+    return {
+        date: new Date(Date.UTC(2024, 0, 1) + i * 24 * 60 * 60 * 1000).toISOString().split('T')[0],
+        open: close, high: close + 1, low: close - 1, close, volume: 1000000
+    };
+});
+
+test('commission accepts a percentage from 0 up to 100', () => {
+    assert.equal(normalizeCommission(undefined), 0);
+    assert.equal(normalizeCommission(''), 0);
+    assert.equal(normalizeCommission(0), 0);
+    assert.equal(normalizeCommission('0.1'), 0.1);
+    assert.equal(normalizeCommission(99.9), 99.9);
+});
+
+test('commission rejects negative, out-of-range and non-numeric values', () => {
+    [-50, -0.01, 100, 250, 'abc', NaN, Infinity].forEach(value => rejectsWith400(() => normalizeCommission(value)));
+});
+
+test('runBacktest refuses a negative commission instead of inventing profits', () => {
+    const rules = normalizeRules({ strategy: 'rsi_reversion' });
+    rejectsWith400(() => runBacktest({ TEST: BARS }, rules, { commission: -50 }));
+    rejectsWith400(() => runBacktest({ TEST: BARS }, rules, { commission: 'abc' }));
+
+    const free = runBacktest({ TEST: BARS }, rules, { commission: 0 });
+    const costly = runBacktest({ TEST: BARS }, rules, { commission: 1 });
+    assert.ok(costly.trades.length > 0);
+    assert.ok(Number.isFinite(costly.stats.totalReturn));
+    assert.ok(costly.stats.totalReturn < free.stats.totalReturn);
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBarStore } = require('../lib/bar-store');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function slowProvider() {
+    const calls = [];
+    return {
+        calls,
+        async bars(symbol, { period1, period2 }) {
+            calls.push({ symbol, from: period1.getTime(), to: period2.getTime() });
+            await new Promise(resolve => setTimeout(resolve, 10));
+            const bars = [];
+            for (let t = Math.ceil(period1.getTime() / DAY_MS) * DAY_MS; t <= period2.getTime(); t += DAY_MS) {
+                bars.push({ date: new Date(t), open: 1, high: 1, low: 1, close: 1, adjClose: 1, volume: 1 });
+            }
+            return bars;
+        }
+    };
+}
+
+test('concurrent requests reaching further back share one backfill', async t => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stockify-bars-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    const provider = slowProvider();
+    const store = createBarStore({ provider, dir });
+
+    const now = Date.now();
+    const window = days => ({ period1: new Date(now - days * DAY_MS), period2: new Date(now) });
+    const [recent, wide, wider] = await Promise.all([
+        store.bars('AAPL', window(30)),
+        store.bars('AAPL', window(365)),
+        store.bars('AAPL', window(365))
+    ]);
+
+    assert.equal(provider.calls.length, 2, 'initial fetch plus one backfill');
+    assert.ok(provider.calls[1].to <= provider.calls[0].from + DAY_MS, 'backfill only fetches the missing range');
+    assert.ok(recent.length >= 29 && recent.length <= 31);
+    assert.deepEqual(wide, wider);
+    assert.ok(wide.length >= 364);
+});
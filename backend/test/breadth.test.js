@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stockify-breadth-'));
+process.env.STOCKIFY_DATA_DIR = dataDir;
+const { createBreadthEngine } = require('../lib/breadth');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 0, 1);
+
+function barsFor(seed, from, to) {
+    const bars = [];
+    for (let i = from; i < to; i++) {
+        const close = 100 + i * 0.1 + Math.sin(i / 7 + seed) * 5;
+        bars.push({ date: new Date(START + i * DAY_MS), open: close, high: close + 1, low: close - 1, close, volume: 1000 });
+    }
+    return bars;
+}
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('a moving bar window does not wipe long-indicator history', async () => {
+    let window = [0, 600];
+    const engine = createBreadthEngine({
+        bars: async symbol => (symbol === '^GSPC' ? [] : barsFor(symbol.charCodeAt(0), ...window))
+    });
+    const universe = { id: 'test', symbols: ['A', 'B', 'C'] };
+
+    const first = await engine.series(universe, { days: 1000, force: true });
+    const day = first.days.find(d => d.date === '2024-12-01');
+    assert.notEqual(day.pctAboveSma200, null);
+    assert.notEqual(day.netNewHighs, null);
+
+    // Next refresh sees bars from day 300 on: 2024-12-01 is inside its warm-up
+    window = [300, 700];
+    const second = await engine.series(universe, { days: 1000, force: true });
+    const again = second.days.find(d => d.date === '2024-12-01');
+    assert.equal(again.pctAboveSma200, day.pctAboveSma200);
+    assert.equal(again.newHighs, day.newHighs);
+    assert.equal(again.netNewHighs, day.netNewHighs);
+
+    assert.equal(second.days.length, 699);
+    assert.equal(second.days[0].date, first.days[0].date);
+    assert.notEqual(second.latest.pctAboveSma200, null);
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const createFixtureProvider = require('../providers/fixture');
+
+const market = createFixtureProvider({ dir: path.join(__dirname, '..', 'fixtures') });
+const YEAR = { period1: new Date(Date.now() - 365 * 24 * 60 * 60 * 1000), period2: new Date() };
+
+test('intraday intervals without a recording fall back to daily bars', async () => {
+    const daily = await market.bars('AAPL', { ...YEAR, interval: '1d' });
+    const fiveMinute = await market.bars('AAPL', { ...YEAR, interval: '5m' });
+    assert.ok(daily.length > 200);
+    assert.deepEqual(fiveMinute, daily);
+});
+
+test('weekly bars are rolled up from daily bars', async () => {
+    const daily = await market.bars('AAPL', { ...YEAR, interval: '1d' });
+    const weekly = await market.bars('AAPL', { ...YEAR, interval: '1wk' });
+    const last = weekly[weekly.length - 1];
+    const days = daily.filter(bar => bar.date >= last.date);
+
+    assert.ok(days.length >= 1 && days.length <= 5);
+    assert.equal(last.date.getUTCDay(), days[0].date.getUTCDay());
+    assert.equal(last.open, days[0].open);
+    assert.equal(last.close, days[days.length - 1].close);
+    assert.equal(last.high, Math.max(...days.map(b => b.high)));
+    assert.equal(last.low, Math.min(...days.map(b => b.low)));
+    assert.equal(last.volume, days.reduce((sum, b) => sum + b.volume, 0));
+    assert.equal(weekly.reduce((sum, b) => sum + b.volume, 0), daily.reduce((sum, b) => sum + b.volume, 0));
+});
+
+test('a symbol with no bars at all still reports the missing fixture', async () => {
+    await assert.rejects(market.bars('ZZZZ', { ...YEAR, interval: '5m' }), /No fixture for ZZZZ \(bars-5m\)/);
+});
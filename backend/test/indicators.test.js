@@ -0,0 +1,136 @@
+/**
+ * Indicator golden values
+ *
+ * SMA / EMA and RSI are checked against the StockCharts ChartSchool worked
+ * examples (the "Moving Averages" spreadsheet and Wilder's RSI on the
+ * 33-close series). The rest use short bar sets whose values are worked out
+ * by hand below, so a change in seeding or smoothing shows up as a diff.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const indicators = require('../lib/indicators');
+
+function assertSeries(actual, expected, decimals = 2) {
+    assert.equal(actual.length, expected.length, 'series length');
+    expected.forEach((value, i) => {
+        if (value === null) {
+            assert.equal(actual[i], null, `bar ${i} should be null`);
+        } else {
+            assert.ok(actual[i] !== null, `bar ${i} should have a value`);
+            assert.ok(Math.abs(actual[i] - value) <= 0.5 * 10 ** -decimals + 1e-9,
+                `bar ${i}: expected ${value}, got ${actual[i]}`);
+        }
+    });
+}
+
+const nulls = count => new Array(count).fill(null);
+
+// StockCharts "Moving Averages": 30 closes, 10-day SMA and EMA
+const MA_CLOSES = [
+    22.27, 22.19, 22.08, 22.17, 22.18, 22.13, 22.23, 22.43, 22.24, 22.29,
+    22.15, 22.39, 22.38, 22.61, 23.36, 24.05, 23.75, 23.83, 23.95, 23.63,
+    23.82, 23.87, 23.65, 23.19, 23.10, 23.33, 22.68, 23.10, 22.40, 22.17
+];
+
+// StockCharts "RSI": Wilder's 14-period RSI on 33 closes
+const RSI_CLOSES = [
+    44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826,
+    45.8931, 46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439,
+    46.2122, 46.2521, 45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672,
+    43.4205, 42.6628, 43.1314
+];
+
+// Hand-worked bars (period 3): bar 4 gaps above the prior close, bar 5 falls through it
+const BARS = {
+    high: [10, 11, 12, 11, 14, 12, 10],
+    low: [8, 9, 9, 10, 11, 9, 8],
+    close: [9, 10, 11, 10.5, 13, 9.5, 8.5]
+};
+
+test('sma matches the StockCharts 10-day example', () => {
+    assertSeries(indicators.sma(MA_CLOSES, 10), [
+        ...nulls(9),
+        22.22, 22.21, 22.23, 22.26, 22.30, 22.42, 22.61, 22.77, 22.91, 23.08, 23.21,
+        23.38, 23.52, 23.65, 23.71, 23.68, 23.61, 23.50, 23.43, 23.28, 23.13
+    ]);
+});
+
+test('ema is SMA-seeded and matches the StockCharts 10-day example', () => {
+    assertSeries(indicators.ema(MA_CLOSES, 10), [
+        ...nulls(9),
+        22.22, 22.21, 22.24, 22.27, 22.33, 22.52, 22.80, 22.97, 23.13, 23.28, 23.34,
+        23.43, 23.51, 23.53, 23.47, 23.40, 23.39, 23.26, 23.23, 23.08, 22.92
+    ]);
+});
+
+test('ema skips leading nulls before seeding', () => {
+    const series = indicators.ema([null, null, 1, 2, 3, 4], 3);
+    assertSeries(series, [null, null, null, null, 2, 3], 9);
+});
+
+test('rsi uses Wilder smoothing and matches the StockCharts example', () => {
+    assertSeries(indicators.rsi(RSI_CLOSES, 14), [
+        ...nulls(14),
+        70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+        54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77
+    ]);
+});
+
+test('rsi is 100 with no losses and 50 on a flat series', () => {
+    assert.equal(indicators.rsi([1, 2, 3, 4], 3)[3], 100);
+    assert.equal(indicators.rsi([5, 5, 5, 5], 3)[3], 50);
+});
+
+// On a straight line an SMA-seeded EMA(n) lags by exactly (n - 1) / 2, so
+// MACD(12, 26) = 12.5 - 5.5 = 7 from its first bar and the histogram is 0
+test('macd on a linear series is the EMA lag difference', () => {
+    const closes = Array.from({ length: 60 }, (_, i) => 100 + i);
+    const { macd, signal, histogram } = indicators.macd(closes);
+    assertSeries(macd, [...nulls(25), ...new Array(35).fill(7)], 9);
+    assertSeries(signal, [...nulls(33), ...new Array(27).fill(7)], 9);
+    assertSeries(histogram, [...nulls(33), ...new Array(27).fill(0)], 9);
+});
+
+// Closes 1..20: mean 10.5, population variance (20² - 1) / 12 = 33.25
+test('bollinger uses the population standard deviation', () => {
+    const closes = Array.from({ length: 20 }, (_, i) => i + 1);
+    const { upper, middle, lower } = indicators.bollinger(closes, 20, 2);
+    const std = Math.sqrt(33.25);
+    assertSeries(middle, [...nulls(19), 10.5], 9);
+    assertSeries(upper, [...nulls(19), 10.5 + 2 * std], 9);
+    assertSeries(lower, [...nulls(19), 10.5 - 2 * std], 9);
+});
+
+// True ranges: 2, 3, 1, 3.5 (gap up from 10.5), 4 (low 9 vs close 13), 2
+// ATR(3) = (2 + 3 + 1) / 3 = 2, then (2·2 + 3.5) / 3 = 2.5, (2.5·2 + 4) / 3 = 3, (3·2 + 2) / 3
+test('atr seeds with the mean true range and smooths with Wilder', () => {
+    assertSeries(indicators.atr(BARS.high, BARS.low, BARS.close, 3),
+        [null, null, null, 2, 2.5, 3, 8 / 3], 9);
+});
+
+// +DM: 1, 1, 0, 3, 0, 0   -DM: 0, 0, 0, 0, 2, 1   TR as above
+// Wilder sums on bar 3: TR 6, +DM 2, -DM 0            -> +DI 33.33, DX 100
+//             bar 4: TR 7.5, +DM 13/3, -DM 0          -> +DI 57.78, DX 100
+//             bar 5: TR 9, +DM 26/9, -DM 2            -> DX 200/11
+//             bar 6: TR 8, +DM 52/27, -DM 7/3         -> DX 220/23
+// ADX(3) = mean of the first three DX on bar 5 (2·3 - 1), then Wilder-smoothed
+test('adx follows Wilder\'s worked method', () => {
+    const { adx, plusDI, minusDI } = indicators.adx(BARS.high, BARS.low, BARS.close, 3);
+    const first = (100 + 100 + 200 / 11) / 3;
+    assertSeries(plusDI, [null, null, null, 100 / 3, 13 / 3 / 7.5 * 100, 26 / 9 / 9 * 100, 52 / 27 / 8 * 100], 9);
+    assertSeries(minusDI, [null, null, null, 0, 0, 2 / 9 * 100, 7 / 3 / 8 * 100], 9);
+    assertSeries(adx, [null, null, null, null, null, first, (first * 2 + 220 / 23) / 3], 9);
+});
+
+// %K(3): bar 2 (11 - 8) / (12 - 8) = 75, bar 3 (10.5 - 9) / 3 = 50, bar 4 (13 - 9) / 5 = 80,
+// bar 5 (9.5 - 9) / 5 = 10, bar 6 (8.5 - 8) / 6; %D(3) is their 3-bar mean
+test('stochastic %K and %D over the high-low range', () => {
+    const { k, d } = indicators.stochastic(BARS.high, BARS.low, BARS.close, 3, 3);
+    assertSeries(k, [null, null, 75, 50, 80, 10, 0.5 / 6 * 100], 9);
+    assertSeries(d, [null, null, null, null, 205 / 3, 140 / 3, (90 + 0.5 / 6 * 100) / 3], 9);
+});
+
+test('stochastic is 50 when the range is flat', () => {
+    assert.equal(indicators.stochastic([5, 5, 5], [5, 5, 5], [5, 5, 5], 3).k[2], 50);
+});
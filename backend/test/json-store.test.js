@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stockify-store-'));
+process.env.STOCKIFY_DATA_DIR = dataDir;
+const { createJsonStore } = require('../lib/json-store');
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('a missing file starts from the defaults', () => {
+    const store = createJsonStore('fresh', { items: [] });
+    assert.deepEqual(store.read(), { items: [] });
+    store.update(data => data.items.push(1));
+    assert.deepEqual(JSON.parse(fs.readFileSync(store.file, 'utf8')), { items: [1] });
+});
+
+test('an unparseable file is moved aside before anything is saved over it', t => {
+    t.mock.method(console, 'error', () => {});
+    const file = path.join(dataDir, 'portfolios.json');
+    const damaged = '{"portfolios": [{"id": "p1", "name": "Main"';
+    fs.writeFileSync(file, damaged);
+
+    const store = createJsonStore('portfolios', { portfolios: [] });
+    assert.deepEqual(store.read(), { portfolios: [] });
+    store.update(data => data.portfolios.push({ id: 'p2' }));
+
+    assert.equal(fs.readFileSync(`${file}.corrupt`, 'utf8'), damaged);
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { portfolios: [{ id: 'p2' }] });
+});
+
+test('other read errors are raised instead of falling back to defaults', () => {
+    fs.mkdirSync(path.join(dataDir, 'alerts.json'));
+    const store = createJsonStore('alerts', { alerts: [] });
+    assert.throws(() => store.read(), { code: 'EISDIR' });
+});
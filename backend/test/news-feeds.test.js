@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createNewsAggregator } = require('../news');
+
+function memoryStore() {
+    const data = { updatedAt: 0, articles: [], stories: [], feeds: {}, symbols: {} };
+    return { read: () => data, update: fn => fn(data) };
+}
+
+test('malformed NEWS_FEEDS entries are skipped instead of failing start-up', t => {
+    const saved = { feeds: process.env.NEWS_FEEDS, provider: process.env.MARKET_DATA_PROVIDER };
+    t.after(() => {
+        if (saved.feeds === undefined) delete process.env.NEWS_FEEDS;
+        else process.env.NEWS_FEEDS = saved.feeds;
+        if (saved.provider === undefined) delete process.env.MARKET_DATA_PROVIDER;
+        else process.env.MARKET_DATA_PROVIDER = saved.provider;
+    });
+    process.env.NEWS_FEEDS = 'not a url, Broken|htp//x, Local|file:///etc/passwd, Wire|https://example.com/rss';
+    delete process.env.MARKET_DATA_PROVIDER;
+
+    const aggregator = createNewsAggregator({ store: memoryStore(), news: async () => [], symbols: () => [] });
+    const rss = aggregator.sources().filter(source => source.kind === 'rss');
+    assert.deepEqual(rss.map(source => [source.name, source.url]), [['Wire', 'https://example.com/rss']]);
+});
+
+test('only http(s) links and thumbnails are kept on stored articles', async t => {
+    const saved = process.env.NEWS_FEEDS;
+    t.after(() => {
+        if (saved === undefined) delete process.env.NEWS_FEEDS;
+        else process.env.NEWS_FEEDS = saved;
+    });
+    delete process.env.NEWS_FEEDS;
+
+    const items = [
+        { title: 'Apple unveils a new chip for its laptops', link: 'javascript:alert(document.cookie)', publishedAt: 3000 },
+        { title: 'Microsoft cloud revenue beats estimates', link: 'data:text/html,<script>alert(1)</script>', thumbnail: 'javascript:alert(1)', publishedAt: 2000 },
+        { title: 'Nvidia shares climb on data center demand', link: 'https://example.com/nvda', thumbnail: 'https://example.com/nvda.jpg', publishedAt: 1000 }
+    ];
+    const aggregator = createNewsAggregator({ store: memoryStore(), news: async () => items, symbols: () => ['AAPL'] });
+    const { items: stored } = await aggregator.query();
+
+    assert.deepEqual(stored.map(a => [a.link, a.thumbnail]), [
+        [null, null],
+        [null, null],
+        ['https://example.com/nvda', 'https://example.com/nvda.jpg']
+    ]);
+});
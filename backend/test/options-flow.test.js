@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Stores resolve their directory when json-store loads
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stockify-flow-'));
+process.env.STOCKIFY_DATA_DIR = dataDir;
+const { createFlowTape } = require('../lib/options-flow');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SESSION = Date.UTC(2026, 9, 19, 15, 0); // Monday 11:00 ET
+
+function chain(contractSymbol, volume) {
+    return {
+        symbol: 'AAPL',
+        underlyingPrice: 170,
+        expirations: [{
+            expirationDate: '2026-11-20T00:00:00.000Z',
+            calls: [{ contractSymbol, strike: 170, volume, openInterest: 1000, lastPrice: 2, bid: 1.9, ask: 2.1 }],
+            puts: []
+        }]
+    };
+}
+
+test.after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+test('a new session drops old day tapes and contracts no longer quoted', () => {
+    const tape = createFlowTape();
+    tape.record(chain('AAPL-OLD', 100), SESSION - 40 * DAY_MS);
+    tape.record(chain('AAPL-RECENT', 100), SESSION - 3 * DAY_MS);
+    tape.record(chain('AAPL-NOW', 100), SESSION);
+
+    const files = fs.readdirSync(dataDir).filter(f => f.startsWith('options-flow-')).sort();
+    assert.deepEqual(files, ['options-flow-2026-10-16.json', 'options-flow-2026-10-19.json']);
+
+    const { contracts } = JSON.parse(fs.readFileSync(path.join(dataDir, 'options-flow.json'), 'utf8'));
+    assert.deepEqual(Object.keys(contracts).sort(), ['AAPL-NOW', 'AAPL-RECENT']);
+
+    assert.equal(tape.tape({ date: '2026-10-16' }).total, 1);
+    assert.equal(tape.tape({ date: '2026-09-09' }).total, 0);
+    assert.equal(tape.premium({ date: '2026-10-19' }).callPremium, 100 * 2 * 100);
+});
+
+test('prunes once per session, not on every poll', () => {
+    const tape = createFlowTape();
+    tape.record(chain('AAPL-A', 100), SESSION);
+    fs.writeFileSync(path.join(dataDir, 'options-flow-2025-01-02.json'), '{"date":"2025-01-02","prints":[]}');
+    tape.record(chain('AAPL-A', 200), SESSION + 60 * 1000);
+    assert.ok(fs.existsSync(path.join(dataDir, 'options-flow-2025-01-02.json')));
+
+    tape.record(chain('AAPL-A', 50), SESSION + DAY_MS);
+    assert.ok(!fs.existsSync(path.join(dataDir, 'options-flow-2025-01-02.json')));
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { maxPain } = require('../lib/options');
+
+// Payout to holders at each strike (per share, times open interest):
+//   90: puts (100 - 90)·60 + (110 - 90)·100           = 2600
+//  100: calls (100 - 90)·100 + puts (110 - 100)·100   = 2000
+//  110: calls (110 - 90)·100 + (110 - 100)·50         = 2500
+const CALLS = [
+    { strike: 90, openInterest: 100 },
+    { strike: 100, openInterest: 50 },
+    { strike: 110, openInterest: 10 }
+];
+const PUTS = [
+    { strike: 90, openInterest: 20 },
+    { strike: 100, openInterest: 60 },
+    { strike: 110, openInterest: 100 }
+];
+
+test('maxPain picks the strike with the smallest holder payout', () => {
+    assert.deepEqual(maxPain(CALLS, PUTS), { strike: 100, payout: 2000 * 100 });
+});
+
+test('maxPain does not favour the highest strike', () => {
+    const calls = CALLS.map(c => ({ ...c, openInterest: c.strike === 90 ? 1000 : c.openInterest }));
+    // 90: 2600, 100: 10000 + 1000, 110: 20000 + 500
+    assert.deepEqual(maxPain(calls, PUTS), { strike: 90, payout: 2600 * 100 });
+});
+
+test('maxPain counts missing open interest as zero and handles an empty chain', () => {
+    assert.deepEqual(maxPain([{ strike: 50 }], [{ strike: 60, openInterest: 1 }]), { strike: 60, payout: 0 });
+    assert.equal(maxPain([], []), null);
+});
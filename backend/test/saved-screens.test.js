@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createSavedScreens } = require('../lib/saved-screens');
+
+// Monday 2026-10-19, 09:40 ET (EDT, UTC-4): the 'open' slot is due
+const OPEN_SLOT_TIME = Date.UTC(2026, 9, 19, 13, 40);
+
+function memoryStore() {
+    const data = { screens: [], runs: [] };
+    return { read: () => data, update: fn => fn(data) };
+}
+
+function setup() {
+    const calls = [];
+    let release;
+    const gate = new Promise(resolve => { release = resolve; });
+    const screens = createSavedScreens({
+        store: memoryStore(),
+        universes: { get: id => ({ id, symbols: ['AAPL'] }) },
+        run: async screen => {
+            calls.push(screen.name);
+            await gate;
+            return [{ symbol: 'AAPL' }];
+        }
+    });
+    ['First', 'Second'].forEach(name => screens.create({
+        name, kind: 'expression', expression: 'price > 1', universe: 'top', schedule: ['open']
+    }));
+    return { screens, calls, release };
+}
+
+test('a tick during a slow scheduled pass does not run screens twice', async () => {
+    const { screens, calls, release } = setup();
+    const first = screens.tick(OPEN_SLOT_TIME);
+    const second = screens.tick(OPEN_SLOT_TIME + 60 * 1000);
+    await new Promise(resolve => setImmediate(resolve));
+    release();
+    await Promise.all([first, second]);
+
+    assert.equal(calls.length, 2);
+    assert.deepEqual([...calls].sort(), ['First', 'Second']);
+    screens.list().forEach(screen => assert.equal(screen.lastSlot, '2026-10-19 09:35'));
+});
+
+test('every due slot is claimed before the first scan starts', async () => {
+    const { screens, release } = setup();
+    const pass = screens.tick(OPEN_SLOT_TIME);
+    await new Promise(resolve => setImmediate(resolve));
+    screens.list().forEach(screen => assert.equal(screen.lastSlot, '2026-10-19 09:35'));
+    release();
+    await pass;
+
+    await screens.tick(OPEN_SLOT_TIME + 5 * 60 * 1000);
+    screens.list().forEach(screen => assert.equal(screens.runs(screen.id).length, 1));
+});
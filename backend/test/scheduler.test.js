@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const withScheduler = require('../providers/scheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function countingProvider() {
+    const calls = [];
+    return {
+        calls,
+        provider: {
+            name: 'test',
+            async bars(symbol, options) {
+                calls.push({ symbol, ...options });
+                await new Promise(resolve => setTimeout(resolve, 5));
+                return [];
+            }
+        }
+    };
+}
+
+test('"up to now" bars requests made moments apart share one call', async () => {
+    const { provider, calls } = countingProvider();
+    const market = withScheduler(provider, { rate: 0 });
+    const request = () => market.bars('AAPL', {
+        period1: new Date(Date.now() - 100 * DAY_MS),
+        period2: new Date(),
+        interval: '1d'
+    });
+    const first = request();
+    await new Promise(resolve => setTimeout(resolve, 2));
+    await Promise.all([first, request()]);
+
+    assert.equal(calls.length, 1);
+    assert.equal(market.metrics().coalesced, 1);
+});
+
+test('different symbols, intervals or days are not shared', async () => {
+    const { provider, calls } = countingProvider();
+    const market = withScheduler(provider, { rate: 0 });
+    const now = new Date('2026-10-19T15:00:00Z');
+    await Promise.all([
+        market.bars('AAPL', { period1: new Date(now - DAY_MS), period2: now, interval: '1d' }),
+        market.bars('MSFT', { period1: new Date(now - DAY_MS), period2: now, interval: '1d' }),
+        market.bars('AAPL', { period1: new Date(now - DAY_MS), period2: now, interval: '5m' }),
+        market.bars('AAPL', { period1: new Date(now - 2 * DAY_MS), period2: now, interval: '1d' })
+    ]);
+
+    assert.equal(calls.length, 4);
+});
+
+test('intraday requests round to the minute', async () => {
+    const { provider, calls } = countingProvider();
+    const market = withScheduler(provider, { rate: 0 });
+    const at = time => market.bars('AAPL', { period1: new Date(time), interval: '5m' });
+    await Promise.all([
+        at('2026-10-19T15:00:01Z'),
+        at('2026-10-19T15:00:59Z'),
+        at('2026-10-19T15:01:00Z')
+    ]);
+
+    assert.equal(calls.length, 2);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parse, ScreenExprError } = require('../lib/screen-expr');
+const { compileScreen, evaluateScreen } = require('../lib/screener');
+
+function assertRejects(source, message, start, end) {
+    assert.throws(() => compileScreen(source), error => {
+        assert.ok(error instanceof ScreenExprError);
+        assert.equal(error.status, 400);
+        assert.match(error.message, message);
+        assert.equal(error.start, start);
+        assert.equal(error.end, end);
+        return true;
+    });
+}
+
+test('inherited object keys are unknown fields', () => {
+    assertRejects('__proto__ > 1', /^Unknown field "__proto__"/, 0, 9);
+    assertRejects('price > 1 and constructor < 2', /^Unknown field "constructor"/, 14, 25);
+    assertRejects('toString >= hasOwnProperty', /^Unknown field "toString"/, 0, 8);
+});
+
+test('inherited object keys are unknown functions', () => {
+    assertRejects('constructor(14) > 1', /^Unknown function "constructor"/, 0, 11);
+    assertRejects('rsi(14) < __proto__(2)', /^Unknown function "__proto__"/, 10, 19);
+});
+
+test('a valid screen still compiles and evaluates', () => {
+    const screen = compileScreen('price > 10 and change(1) > 0');
+    assert.equal(parse('price > 10').type, 'compare');
+    const bars = [{ close: 10 }, { close: 11 }];
+    const { match, values } = evaluateScreen(screen, { bars, quote: { price: 11 } });
+    assert.equal(match, true);
+    assert.equal(values['change(1)'], 10);
+});
+
+test('lookback adds up nested windows', () => {
+    const { requirements } = compileScreen('close > prev(sma(200), 252)');
+    // 252 bars back, 200 more for that SMA, the current bar and the indicator warm-up
+    assert.equal(requirements.lookback, 252 + 200 + 1 + 100);
+
+    const bars = Array.from({ length: requirements.lookback }, (_, i) => ({ close: 100 + i }));
+    const screen = compileScreen('close > prev(sma(200), 252)');
+    assert.equal(evaluateScreen(screen, { bars }).match, true);
+    assert.equal(evaluateScreen(screen, { bars: bars.slice(-353) }).values['prev(sma(200), 252)'], null);
+});
+
+test('lookback counts periods only, not band multipliers', () => {
+    assert.equal(compileScreen('bb_upper(20, 2.5) > close').requirements.lookback, 20 + 1 + 100);
+    assert.equal(compileScreen('crosses_above(sma(50), sma(200))').requirements.lookback, 200 + 1 + 1 + 100);
+});
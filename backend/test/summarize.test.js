@@ -0,0 +1,23 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rankSentences, summarizeArticles } = require('../news/summarize');
+
+const WORDS = ['chip', 'demand', 'revenue', 'guidance', 'margin', 'shares', 'analysts', 'quarter', 'supply', 'orders', 'growth', 'outlook'];
+
+// Long articles of distinct, overlapping sentences
+function article(id, count) {
+    const sentences = Array.from({ length: count }, (_, i) =>
+        `Sentence ${i} says ${Array.from({ length: 8 }, (_, k) => WORDS[(i + k * id) % WORDS.length]).join(' ')} today.`);
+    return { id: `a${id}`, text: sentences.join(' ') };
+}
+
+test('ranking takes only the opening sentences of long articles', () => {
+    const articles = Array.from({ length: 8 }, (_, i) => article(i + 1, 300));
+    const started = Date.now();
+    const ranked = rankSentences(articles);
+
+    assert.equal(ranked.length, 8 * 40);
+    assert.ok(ranked.every(sentence => sentence.index < 40));
+    assert.ok(Date.now() - started < 1500, 'ranking stays well under the event-loop budget');
+    assert.ok(summarizeArticles(articles));
+});
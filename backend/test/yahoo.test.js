@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const yahooFinance = require('yahoo-finance2').default;
+const createYahooProvider = require('../providers/yahoo');
+
+test('earnings revenues stay on their quarter when a history entry is dropped', async t => {
+    const original = yahooFinance.quoteSummary;
+    t.after(() => { yahooFinance.quoteSummary = original; });
+    yahooFinance.quoteSummary = async () => ({
+        earningsHistory: {
+            history: [
+                { quarter: null, epsActual: 1.0 },
+                { quarter: new Date('2024-06-30'), epsActual: 1.1 },
+                { quarter: new Date('2024-09-30'), epsActual: 1.2 },
+                { quarter: new Date('2024-12-31'), epsActual: 1.3 }
+            ]
+        },
+        earnings: {
+            financialsChart: {
+                quarterly: [
+                    { date: '1Q2024', revenue: 100 },
+                    { date: '2Q2024', revenue: 200 },
+                    { date: '3Q2024', revenue: 300 },
+                    { date: '4Q2024', revenue: 400 }
+                ]
+            }
+        }
+    });
+
+    const { history } = await createYahooProvider().earnings('AAPL');
+    assert.deepEqual(history.map(h => [h.epsActual, h.revenueActual]), [[1.1, 200], [1.2, 300], [1.3, 400]]);
+});
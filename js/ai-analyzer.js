@@ -16,6 +16,15 @@
         MACD_PERIODS: { fast: 12, slow: 26, signal: 9 },
         ADX_PERIOD: 14,
         ATR_PERIOD: 14,
+        // Timeframe button -> /api/ohlcv period and bar interval
+        TIMEFRAMES: {
+            '1d': { period: '1d', interval: '5m' },
+            '1w': { period: '1w', interval: '1h' },
+            '1m': { period: '1mo', interval: '1d' },
+            '3m': { period: '3mo', interval: '1d' },
+            '6m': { period: '6mo', interval: '1d' },
+            '1y': { period: '1y', interval: '1d' }
+        },
     };
 
     // ===================================
@@ -33,6 +42,8 @@
     let currentChartType = 'candlestick';
     let activeIndicators = new Set();
     let isFullscreen = false;
+    let chartInterval = '1d';
+    let candleSocket = null;
 
     // Indicator colors
     const INDICATOR_COLORS = {
@@ -574,21 +585,21 @@
             currentStockData = stockData;
 
             // Fetch OHLCV data with indicators from new API
+            const timeframe = CONFIG.TIMEFRAMES[period] || CONFIG.TIMEFRAMES['1m'];
+            chartInterval = timeframe.interval;
             try {
-                const periodMap = { '1d': '1d', '1w': '1w', '1m': '1mo', '3m': '3mo', '6m': '6mo', '1y': '1y' };
-                const apiPeriod = periodMap[period] || '1mo';
-                const apiBase = (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')
-                    ? 'http://localhost:3001' : '';
-                const response = await fetch(`${apiBase}/api/ohlcv/${currentSymbol}?period=${apiPeriod}`);
+                const response = await fetch(`${apiBase()}/api/ohlcv/${currentSymbol}?period=${timeframe.period}&interval=${timeframe.interval}`);
                 if (response.ok) {
                     const ohlcvResponse = await response.json();
                     ohlcvData = ohlcvResponse.data;
                 } else {
+                    chartInterval = '1d';
                     ohlcvData = stockData.historical.map(d => ({
                         time: d.date, open: d.open, high: d.high, low: d.low, close: d.close, volume: d.volume
                     }));
                 }
             } catch {
+                chartInterval = '1d';
                 ohlcvData = stockData.historical.map(d => ({
                     time: d.date, open: d.open, high: d.high, low: d.low, close: d.close, volume: d.volume
                 }));
@@ -597,6 +608,7 @@
             updateDisplay(stockData);
             updateChartWithData();
             performAnalysis(stockData);
+            subscribeCandles();
 
             // Start real-time updates
             startRealTimeUpdates();
@@ -675,14 +687,15 @@
         const lows = stockData.historical.map(d => d.low);
         const currentPrice = stockData.quote.price;
 
-        // Calculate indicators
-        const ema9 = calculateEMA(closes, CONFIG.EMA_PERIODS.short);
-        const ema21 = calculateEMA(closes, CONFIG.EMA_PERIODS.medium);
-        const ema50 = calculateEMA(closes, CONFIG.EMA_PERIODS.long);
-        const rsi = calculateRSI(closes, CONFIG.RSI_PERIOD);
-        const macd = calculateMACD(closes);
-        const adx = calculateADX(highs, lows, closes, CONFIG.ADX_PERIOD);
-        const atr = calculateATR(highs, lows, closes, CONFIG.ATR_PERIOD);
+        // Calculate indicators (shared library served at js/indicators.js)
+        const { fast, slow, signal } = CONFIG.MACD_PERIODS;
+        const ema9 = Indicators.ema(closes, CONFIG.EMA_PERIODS.short);
+        const ema21 = Indicators.ema(closes, CONFIG.EMA_PERIODS.medium);
+        const ema50 = Indicators.ema(closes, CONFIG.EMA_PERIODS.long);
+        const rsi = Indicators.latest(Indicators.rsi(closes, CONFIG.RSI_PERIOD), 50);
+        const macd = Indicators.macdSummary(closes, fast, slow, signal);
+        const adx = Indicators.latest(Indicators.adx(highs, lows, closes, CONFIG.ADX_PERIOD).adx, 25);
+        const atr = Indicators.latest(Indicators.atr(highs, lows, closes, CONFIG.ATR_PERIOD), 0);
 
         // Detect trend
         const trend = detectTrend(ema9, ema21, ema50, adx, currentPrice);
@@ -701,130 +714,6 @@
         updateInsightsDisplay(trend, rsi, macd, levels, currentPrice, stockData.symbol);
     }
 
-    // ===================================
-    // Technical Indicator Calculations
-    // ===================================
-    function calculateEMA(data, period) {
-        const k = 2 / (period + 1);
-        const emaArray = [];
-        let ema = data.slice(0, period).reduce((a, b) => a + b, 0) / period;
-
-        for (let i = 0; i < data.length; i++) {
-            if (i < period) {
-                emaArray.push(null);
-            } else {
-                ema = data[i] * k + ema * (1 - k);
-                emaArray.push(ema);
-            }
-        }
-        return emaArray;
-    }
-
-    function calculateRSI(closes, period) {
-        const changes = [];
-        for (let i = 1; i < closes.length; i++) {
-            changes.push(closes[i] - closes[i - 1]);
-        }
-
-        let avgGain = 0;
-        let avgLoss = 0;
-
-        for (let i = 0; i < period; i++) {
-            if (changes[i] > 0) avgGain += changes[i];
-            else avgLoss += Math.abs(changes[i]);
-        }
-
-        avgGain /= period;
-        avgLoss /= period;
-
-        for (let i = period; i < changes.length; i++) {
-            const change = changes[i];
-            if (change > 0) {
-                avgGain = (avgGain * (period - 1) + change) / period;
-                avgLoss = (avgLoss * (period - 1)) / period;
-            } else {
-                avgGain = (avgGain * (period - 1)) / period;
-                avgLoss = (avgLoss * (period - 1) + Math.abs(change)) / period;
-            }
-        }
-
-        const rs = avgLoss === 0 ? 100 : avgGain / avgLoss;
-        return 100 - (100 / (1 + rs));
-    }
-
-    function calculateMACD(closes) {
-        const ema12 = calculateEMA(closes, CONFIG.MACD_PERIODS.fast);
-        const ema26 = calculateEMA(closes, CONFIG.MACD_PERIODS.slow);
-
-        const macdLine = [];
-        for (let i = 0; i < closes.length; i++) {
-            if (ema12[i] !== null && ema26[i] !== null) {
-                macdLine.push(ema12[i] - ema26[i]);
-            } else {
-                macdLine.push(null);
-            }
-        }
-
-        const signalLine = calculateEMA(macdLine.filter(v => v !== null), CONFIG.MACD_PERIODS.signal);
-        const currentMacd = macdLine[macdLine.length - 1];
-        const currentSignal = signalLine[signalLine.length - 1];
-        const histogram = currentMacd - currentSignal;
-
-        return {
-            macd: currentMacd,
-            signal: currentSignal,
-            histogram: histogram
-        };
-    }
-
-    function calculateADX(highs, lows, closes, period) {
-        // Simplified ADX calculation
-        const trueRanges = [];
-        const plusDM = [];
-        const minusDM = [];
-
-        for (let i = 1; i < closes.length; i++) {
-            const highDiff = highs[i] - highs[i - 1];
-            const lowDiff = lows[i - 1] - lows[i];
-
-            plusDM.push(highDiff > lowDiff && highDiff > 0 ? highDiff : 0);
-            minusDM.push(lowDiff > highDiff && lowDiff > 0 ? lowDiff : 0);
-
-            const tr = Math.max(
-                highs[i] - lows[i],
-                Math.abs(highs[i] - closes[i - 1]),
-                Math.abs(lows[i] - closes[i - 1])
-            );
-            trueRanges.push(tr);
-        }
-
-        // Calculate smoothed averages
-        const smoothedTR = trueRanges.slice(-period).reduce((a, b) => a + b, 0);
-        const smoothedPlusDM = plusDM.slice(-period).reduce((a, b) => a + b, 0);
-        const smoothedMinusDM = minusDM.slice(-period).reduce((a, b) => a + b, 0);
-
-        const plusDI = (smoothedPlusDM / smoothedTR) * 100;
-        const minusDI = (smoothedMinusDM / smoothedTR) * 100;
-        const dx = Math.abs(plusDI - minusDI) / (plusDI + minusDI) * 100;
-
-        return dx || 25; // Default to 25 if calculation fails
-    }
-
-    function calculateATR(highs, lows, closes, period) {
-        const trueRanges = [];
-
-        for (let i = 1; i < closes.length; i++) {
-            const tr = Math.max(
-                highs[i] - lows[i],
-                Math.abs(highs[i] - closes[i - 1]),
-                Math.abs(lows[i] - closes[i - 1])
-            );
-            trueRanges.push(tr);
-        }
-
-        return trueRanges.slice(-period).reduce((a, b) => a + b, 0) / period;
-    }
-
     // ===================================
     // Trend Detection
     // ===================================
@@ -1266,9 +1155,74 @@
         }, CONFIG.UPDATE_INTERVAL);
     }
 
+    // ===================================
+    // Live Candles (WebSocket)
+    // ===================================
+    let candleSubscription = null;
+
+    function connectCandleStream() {
+        const base = apiBase();
+        const wsBase = base ? base.replace(/^http/, 'ws') : `ws://${window.location.host}`;
+        candleSocket = new WebSocket(`${wsBase}/ws`);
+
+        candleSocket.addEventListener('open', () => {
+            candleSubscription = null;
+            subscribeCandles();
+        });
+        candleSocket.addEventListener('message', (msg) => {
+            const message = JSON.parse(msg.data);
+            if (message.type === 'candle') applyLiveCandle(message.data);
+        });
+        candleSocket.addEventListener('close', () => setTimeout(connectCandleStream, 5000));
+    }
+
+    // Follow the forming bar of the symbol / interval on the chart
+    function subscribeCandles() {
+        if (!candleSocket) return connectCandleStream();
+        if (candleSocket.readyState !== WebSocket.OPEN || !currentSymbol) return;
+
+        const next = { symbol: currentSymbol, interval: chartInterval };
+        if (candleSubscription?.symbol === next.symbol && candleSubscription.interval === next.interval) return;
+        if (candleSubscription) {
+            candleSocket.send(JSON.stringify({ action: 'unsubscribe', ...candleSubscription }));
+        }
+        candleSocket.send(JSON.stringify({ action: 'subscribe', ...next }));
+        candleSubscription = next;
+    }
+
+    // Update the last bar in place (or start a new one) without reloading the chart
+    function applyLiveCandle(candle) {
+        if (!ohlcvData || !mainSeries) return;
+        if (candle.symbol !== currentSymbol || candle.interval !== chartInterval) return;
+
+        const last = ohlcvData[ohlcvData.length - 1];
+        if (last && candle.time < last.time) return;
+
+        const bar = { ...(last?.time === candle.time ? last : {}), ...candle };
+        if (last?.time === candle.time) ohlcvData[ohlcvData.length - 1] = bar;
+        else ohlcvData.push(bar);
+
+        if (currentChartType === 'candlestick') {
+            mainSeries.update({ time: bar.time, open: bar.open, high: bar.high, low: bar.low, close: bar.close });
+        } else {
+            mainSeries.update({ time: bar.time, value: bar.close });
+        }
+        if (volumeSeries) {
+            volumeSeries.update({
+                time: bar.time, value: bar.volume,
+                color: bar.close >= bar.open ? 'rgba(34, 197, 94, 0.6)' : 'rgba(239, 68, 68, 0.6)',
+            });
+        }
+    }
+
     // ===================================
     // Utility Functions
     // ===================================
+    function apiBase() {
+        return (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1')
+            ? 'http://localhost:3001' : '';
+    }
+
     function showLoading() {
         const overlay = document.getElementById('loading-overlay');
         if (overlay) overlay.classList.add('active');
@@ -301,80 +301,125 @@
     // ===================================
     // 4. AI Sector Rotation
     // ===================================
-    function updateSectorRotation(stock) {
+    const ROTATION_STATUS = {
+        leading: { status: '🔥 Leading', class: 'hot' },
+        improving: { status: '📈 Improving', class: 'warm' },
+        weakening: { status: '➡️ Weakening', class: 'neutral' },
+        lagging: { status: '❄️ Lagging', class: 'cold' }
+    };
+
+    // Strongest sectors by JdK RS-Ratio vs SPY (weekly, from /api/sector-rotation)
+    async function updateSectorRotation(stock) {
         const sectorRotation = document.getElementById('sector-rotation');
 
-        // Sector data with relative strength
-        const sectors = [
-            { name: 'Technology', rs: 1.45, status: '🔥 HOT', class: 'hot' },
-            { name: 'Healthcare', rs: 1.22, status: '📈 Rising', class: 'warm' },
-            { name: 'Consumer Disc.', rs: 1.12, status: '📈 Rising', class: 'warm' },
-            { name: 'Financials', rs: 1.05, status: '➡️ Neutral', class: 'neutral' },
-            { name: 'Industrials', rs: 0.98, status: '➡️ Neutral', class: 'neutral' },
-            { name: 'Energy', rs: 0.85, status: '❄️ Cold', class: 'cold' },
-            { name: 'Utilities', rs: 0.75, status: '❄️ Cold', class: 'cold' }
-        ];
-
-        // Randomize slightly for realism
-        sectors.forEach(s => {
-            s.rs = (s.rs + (Math.random() - 0.5) * 0.1).toFixed(2);
-        });
-
-        // Sort by RS
-        sectors.sort((a, b) => b.rs - a.rs);
-
-        sectorRotation.innerHTML = sectors.slice(0, 5).map((s, i) => `
-            <div class="sector-item ${s.class}">
-                <div class="sector-rank">${i + 1}</div>
-                <div class="sector-info">
-                    <div class="sector-name">${s.name}</div>
-                    <div class="sector-strength">RS: ${s.rs}</div>
-                </div>
-                <div class="sector-status">${s.status}</div>
-            </div>
-        `).join('');
+        try {
+            const response = await fetch(`${API_BASE}/api/sector-rotation?timeframe=weekly`);
+            if (!response.ok) throw new Error('Failed to fetch sector rotation');
+            const data = await response.json();
+
+            sectorRotation.innerHTML = data.sectors.slice(0, 5).map((s, i) => {
+                const quadrant = ROTATION_STATUS[s.quadrant];
+                return `
+                    <div class="sector-item ${quadrant.class}">
+                        <div class="sector-rank">${i + 1}</div>
+                        <div class="sector-info">
+                            <div class="sector-name">${s.name}</div>
+                            <div class="sector-strength">RS: ${s.rsRatio.toFixed(2)} · Mom: ${s.rsMomentum.toFixed(2)}</div>
+                        </div>
+                        <div class="sector-status">${quadrant.status}</div>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Sector rotation error:', error);
+            sectorRotation.innerHTML = '<div class="sector-item neutral"><div class="sector-info">ไม่สามารถโหลดข้อมูล Sector ได้</div></div>';
+        }
     }
 
     // ===================================
     // 5. AI Portfolio Optimizer
     // ===================================
-    function updatePortfolioOptimizer(stock) {
+    const ALLOCATION_COLORS = ['#22c55e', '#3b82f6', '#8b5cf6', '#f59e0b', '#64748b'];
+
+    async function updatePortfolioOptimizer(stock) {
         const optimizer = document.getElementById('portfolio-optimizer');
+        const badge = document.getElementById('portfolio-badge');
 
-        // Calculate optimal allocation based on risk metrics
-        const aiScore = stock.aiScore;
-        const volatility = stock.riskLevel === 'high' ? 0.35 : stock.riskLevel === 'low' ? 0.15 : 0.25;
+        try {
+            // Holdings come from the server-side ledger (/api/portfolios)
+            const listResponse = await fetch(`${API_BASE}/api/portfolios`);
+            if (!listResponse.ok) throw new Error('Portfolio API unavailable');
+            const { portfolios } = await listResponse.json();
+
+            // The card has no picker, so it always shows the first portfolio
+            const portfolio = portfolios[0];
+
+            if (!portfolio) {
+                badge.textContent = 'No Portfolio';
+                optimizer.innerHTML = `
+                    <div class="portfolio-empty">ยังไม่มีพอร์ต - บันทึกรายการซื้อขายผ่าน /api/portfolios เพื่อดูสัดส่วนจริง</div>
+                `;
+                return;
+            }
+
+            const [holdingsResponse, equityResponse] = await Promise.all([
+                fetch(`${API_BASE}/api/portfolios/${portfolio.id}`),
+                fetch(`${API_BASE}/api/portfolios/${portfolio.id}/equity`)
+            ]);
+            if (!holdingsResponse.ok) throw new Error('Could not load holdings');
+
+            const holdings = await holdingsResponse.json();
+            const stats = equityResponse.ok ? (await equityResponse.json()).stats : null;
+
+            badge.textContent = portfolio.name;
+            renderPortfolio(optimizer, holdings, stats, stock.symbol);
 
-        // Sharpe Ratio estimation
-        const expectedReturn = (aiScore / 100 * 0.3) + 0.05; // 5-35% expected
-        const sharpeRatio = (expectedReturn / volatility).toFixed(2);
-        const maxDrawdown = (-volatility * 100 * 0.5).toFixed(1);
+        } catch (error) {
+            console.error('Portfolio error:', error);
+            badge.textContent = 'Offline';
+            optimizer.innerHTML = '<div class="portfolio-empty">ไม่สามารถโหลดข้อมูลพอร์ตได้</div>';
+        }
+    }
 
-        // Recommended allocation
-        const allocations = [
-            { symbol: stock.symbol, pct: Math.min(40, aiScore / 2 + 15), color: '#22c55e' },
-            { symbol: 'SPY', pct: 25, color: '#3b82f6' },
-            { symbol: 'QQQ', pct: 20, color: '#8b5cf6' },
-            { symbol: 'BONDS', pct: 100 - Math.min(40, aiScore / 2 + 15) - 45, color: '#f59e0b' }
-        ];
+    function renderPortfolio(optimizer, holdings, stats, symbol) {
+        const { positions, totals } = holdings;
+
+        // Largest four positions, everything else grouped as "Other"
+        const allocations = positions.slice(0, 4).map((p, i) => ({
+            symbol: p.symbol,
+            pct: p.weight || 0,
+            color: ALLOCATION_COLORS[i]
+        }));
+        const otherPct = positions.slice(4).reduce((sum, p) => sum + (p.weight || 0), 0);
+        if (otherPct > 0) {
+            allocations.push({ symbol: 'Other', pct: otherPct, color: ALLOCATION_COLORS[4] });
+        }
+
+        const held = positions.find(p => p.symbol === symbol);
+        const sharpe = stats ? stats.sharpe : 0;
+        const totalReturn = stats ? stats.totalReturn : 0;
+        const maxDrawdown = stats ? stats.maxDrawdown : 0;
 
         optimizer.innerHTML = `
             <div class="optimizer-metrics">
                 <div class="metric">
                     <span class="metric-label">Sharpe Ratio</span>
-                    <span class="metric-value ${sharpeRatio > 1.5 ? 'good' : ''}">${sharpeRatio}</span>
+                    <span class="metric-value ${sharpe > 1.5 ? 'good' : ''}">${sharpe.toFixed(2)}</span>
                 </div>
                 <div class="metric">
-                    <span class="metric-label">Expected Return</span>
-                    <span class="metric-value">${(expectedReturn * 100).toFixed(1)}%</span>
+                    <span class="metric-label">Total Return</span>
+                    <span class="metric-value ${totalReturn >= 0 ? 'good' : 'warning'}">${totalReturn.toFixed(1)}%</span>
                 </div>
                 <div class="metric">
                     <span class="metric-label">Max Drawdown</span>
-                    <span class="metric-value warning">${maxDrawdown}%</span>
+                    <span class="metric-value warning">${maxDrawdown.toFixed(1)}%</span>
                 </div>
             </div>
             <div class="allocation-chart">
-                <div class="allocation-title">แนะนำสัดส่วนพอร์ต</div>
+                <div class="allocation-title">
+                    สัดส่วนพอร์ตปัจจุบัน • มูลค่า $${totals.marketValue.toLocaleString()} •
+                    P&L ${totals.totalPnl >= 0 ? '+' : ''}$${totals.totalPnl.toLocaleString()}
+                </div>
                 <div class="allocation-bars">
                     ${allocations.map(a => `
                         <div class="alloc-bar" style="--width: ${a.pct}%; --color: ${a.color};">
@@ -382,6 +427,11 @@
                         </div>
                     `).join('')}
                 </div>
+                <div class="allocation-title">
+                    ${held
+                        ? `ถือ ${symbol} ${held.quantity} หุ้น • ต้นทุนเฉลี่ย $${held.avgCost.toFixed(2)} • ${held.unrealizedPnl >= 0 ? '+' : ''}${(held.unrealizedPnlPercent || 0).toFixed(1)}%`
+                        : `ยังไม่มี ${symbol} ในพอร์ต`}
+                </div>
             </div>
         `;
     }
@@ -389,62 +439,53 @@
     // ===================================
     // 6. AI News Sentiment
     // ===================================
-    function updateNewsSentiment(stock) {
+    async function updateNewsSentiment(stock) {
         const sentimentDisplay = document.getElementById('sentiment-display');
         const overallSentiment = document.getElementById('overall-sentiment');
 
-        // Calculate sentiment based on stock performance
-        const aiScore = stock.aiScore;
-        let positive = Math.min(70, Math.max(20, aiScore + 10));
-        let negative = Math.min(40, Math.max(10, 100 - aiScore - 30));
-        let neutral = 100 - positive - negative;
+        // Headline sentiment scored by the backend lexicon model
+        let data;
+        try {
+            const response = await fetch(`${API_BASE}/api/news/${encodeURIComponent(stock.symbol)}?limit=20`);
+            if (!response.ok) throw new Error('Failed to fetch news');
+            data = await response.json();
+        } catch (error) {
+            console.error('News sentiment error:', error);
+            overallSentiment.textContent = 'N/A';
+            overallSentiment.className = 'sentiment-badge neutral';
+            sentimentDisplay.innerHTML = '<div class="news-source">ไม่สามารถโหลดข่าวได้</div>';
+            return;
+        }
 
-        let overall = positive > 50 ? 'Bullish' : positive < 30 ? 'Bearish' : 'Neutral';
-        let overallClass = positive > 50 ? 'bullish' : positive < 30 ? 'bearish' : 'neutral';
+        const news = data.news || [];
+        const summary = data.sentiment || { label: 'neutral', confidence: 0, positive: 0, neutral: 0, negative: 0, count: 0 };
+        const labels = { positive: ['Bullish', 'bullish'], negative: ['Bearish', 'bearish'], neutral: ['Neutral', 'neutral'] };
+        const [overall, overallClass] = labels[summary.label];
 
-        overallSentiment.textContent = overall;
+        overallSentiment.textContent = summary.count ? `${overall} · ${Math.round(summary.confidence * 100)}%` : 'No news';
         overallSentiment.className = `sentiment-badge ${overallClass}`;
+        overallSentiment.title = 'Overall sentiment · model confidence';
 
-        // Generate mock news based on sentiment
-        const news = [];
-
-        if (positive > 50) {
-            news.push({
-                title: `${stock.symbol} shows strong momentum ahead`,
-                source: 'Reuters',
-                time: '2h',
-                sentiment: 'positive'
-            });
-            news.push({
-                title: `Analysts upgrade ${stock.symbol} price target`,
-                source: 'Bloomberg',
-                time: '5h',
-                sentiment: 'positive'
-            });
+        if (!summary.count) {
+            sentimentDisplay.innerHTML = `<div class="news-source">ไม่พบข่าวของ ${escapeHtml(stock.symbol)}</div>`;
+            return;
         }
 
-        if (negative > 25) {
-            news.push({
-                title: `Concerns rise over ${stock.symbol} valuation`,
-                source: 'WSJ',
-                time: '8h',
-                sentiment: 'negative'
-            });
-        }
+        const share = n => Math.round((n / summary.count) * 100);
+        const positive = share(summary.positive);
+        const negative = share(summary.negative);
+        const neutral = 100 - positive - negative;
+        const segment = (cls, pct) => `<div class="${cls}" style="width: ${pct}%">${pct >= 10 ? `${pct}%` : ''}</div>`;
 
-        news.push({
-            title: `${stock.symbol} trading volume spikes`,
-            source: 'CNBC',
-            time: '12h',
-            sentiment: 'neutral'
-        });
+        // Most decided headlines first
+        const top = [...news].sort((a, b) => Math.abs(b.sentimentScore) - Math.abs(a.sentimentScore)).slice(0, 3);
 
         sentimentDisplay.innerHTML = `
             <div class="sentiment-meter">
                 <div class="meter-bar">
-                    <div class="meter-negative" style="width: ${negative}%">${negative}%</div>
-                    <div class="meter-neutral" style="width: ${neutral}%">${neutral}%</div>
-                    <div class="meter-positive" style="width: ${positive}%">${positive}%</div>
+                    ${segment('meter-negative', negative)}
+                    ${segment('meter-neutral', neutral)}
+                    ${segment('meter-positive', positive)}
                 </div>
                 <div class="meter-labels">
                     <span>🐻 Bearish</span>
@@ -453,12 +494,12 @@
                 </div>
             </div>
             <div class="news-list">
-                ${news.slice(0, 3).map(n => `
+                ${top.map(n => `
                     <div class="news-item ${n.sentiment}">
                         <div class="news-sentiment">${n.sentiment === 'positive' ? '🐂' : n.sentiment === 'negative' ? '🐻' : '😐'}</div>
                         <div class="news-content">
-                            <div class="news-title">${n.title}</div>
-                            <div class="news-source">${n.source} • ${n.time} ago</div>
+                            <div class="news-title"><a href="${escapeHtml(n.link)}" target="_blank" rel="noopener noreferrer">${escapeHtml(n.title)}</a></div>
+                            <div class="news-source">${escapeHtml(n.publisher || n.source)} • ${timeAgo(n.publishedAt)} • score ${n.sentimentScore > 0 ? '+' : ''}${n.sentimentScore.toFixed(2)}</div>
                         </div>
                     </div>
                 `).join('')}
@@ -469,6 +510,21 @@
     // ===================================
     // Utility Functions
     // ===================================
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function timeAgo(timestamp) {
+        const hours = Math.floor((Date.now() - new Date(timestamp)) / 3600000);
+        if (hours < 1) return 'just now';
+        if (hours < 24) return `${hours}h ago`;
+        return `${Math.floor(hours / 24)}d ago`;
+    }
+
     function updateConnectionStatus() {
         const statusEl = document.getElementById('connection-status');
         if (!statusEl) return;
@@ -0,0 +1,280 @@
+/**
+ * Strategy Backtest
+ * Runs /api/backtest and charts the equity curve against buy & hold
+ */
+
+const API_BASE = window.location.hostname === 'localhost'
+    ? 'http://localhost:3001'
+    : `http://${window.location.hostname}:3001`;
+
+const EXIT_REASONS = {
+    signal: 'สัญญาณขาย',
+    stop_loss: '🛑 Stop Loss',
+    take_profit: '🎯 Take Profit',
+    end_of_test: 'สิ้นสุดการทดสอบ'
+};
+
+// State
+let strategies = [];
+let chart = null;
+let strategySeries = null;
+let benchmarkSeries = null;
+let resizeObserver = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('🧪 Strategy Backtest initialized');
+
+    const end = new Date();
+    const start = new Date();
+    start.setFullYear(start.getFullYear() - 2);
+    document.getElementById('end-input').value = end.toISOString().split('T')[0];
+    document.getElementById('start-input').value = start.toISOString().split('T')[0];
+
+    document.getElementById('run-btn')?.addEventListener('click', runBacktest);
+    document.getElementById('strategy-select')?.addEventListener('change', applyStrategyDefaults);
+    document.getElementById('universe-select')?.addEventListener('change', (e) => {
+        document.getElementById('symbols-input').disabled = Boolean(e.target.value);
+    });
+
+    // Mobile menu
+    document.getElementById('mobile-menu-btn')?.addEventListener('click', () => {
+        document.getElementById('nav-tabs')?.classList.toggle('open');
+    });
+
+    loadStrategies();
+});
+
+// Load strategy presets and universes
+async function loadStrategies() {
+    try {
+        const response = await fetch(`${API_BASE}/api/backtest/strategies`);
+        const data = await response.json();
+        strategies = data.strategies || [];
+
+        document.getElementById('strategy-select').innerHTML = strategies
+            .map(s => `<option value="${s.id}">${s.name}</option>`)
+            .join('');
+
+        document.getElementById('universe-select').innerHTML += Object.entries(data.universes || {})
+            .map(([id, count]) => `<option value="${id}">${id} (${count} หุ้น)</option>`)
+            .join('');
+
+        applyStrategyDefaults();
+    } catch (error) {
+        console.error('Error loading strategies:', error);
+    }
+}
+
+function selectedStrategy() {
+    const id = document.getElementById('strategy-select').value;
+    return strategies.find(s => s.id === id);
+}
+
+// Fill stop/target from the preset and describe its rules
+function applyStrategyDefaults() {
+    const strategy = selectedStrategy();
+    if (!strategy) return;
+
+    document.getElementById('stop-input').value = strategy.stopLoss || '';
+    document.getElementById('target-input').value = strategy.takeProfit || '';
+
+    const joiner = strategy.match === 'any' ? ' หรือ ' : ' และ ';
+    document.getElementById('rules-summary').innerHTML = `
+        <div class="rule-line"><span class="rule-tag entry">ซื้อ</span>${strategy.entry.map(describeCondition).join(joiner)}</div>
+        <div class="rule-line"><span class="rule-tag exit">ขาย</span>${strategy.exit.map(describeCondition).join(' หรือ ') || '-'}</div>
+    `;
+}
+
+function describeCondition(condition) {
+    const op = (condition.operator || '').replace('_', ' ');
+    switch (condition.type) {
+        case 'rsi': return `RSI(${condition.period || 14}) ${op} ${condition.value}`;
+        case 'macd_cross': return `MACD ${condition.direction} crossover`;
+        case 'sma_cross': return `SMA${condition.fast}/SMA${condition.slow} ${condition.direction} cross`;
+        case 'price_sma': return `Price ${op} SMA${condition.period}`;
+        case 'ai_score': return `AI Score ${op} ${condition.value}`;
+        case 'volume_ratio': return `Volume ${op} ${condition.value}x avg`;
+        case 'return': return `${condition.days}d return ${op} ${condition.value}%`;
+        default: return condition.type;
+    }
+}
+
+// Run backtest
+async function runBacktest() {
+    const strategy = selectedStrategy();
+    if (!strategy) return;
+
+    const universe = document.getElementById('universe-select').value;
+    const stopLoss = document.getElementById('stop-input').value;
+    const takeProfit = document.getElementById('target-input').value;
+
+    const body = {
+        rules: {
+            name: strategy.name,
+            match: strategy.match,
+            entry: strategy.entry,
+            exit: strategy.exit,
+            stopLoss: stopLoss || null,
+            takeProfit: takeProfit || null
+        },
+        start: document.getElementById('start-input').value,
+        end: document.getElementById('end-input').value,
+        initialCapital: Number(document.getElementById('capital-input').value) || 10000
+    };
+    if (universe) body.universe = universe;
+    else body.symbols = document.getElementById('symbols-input').value;
+
+    const chartEl = document.getElementById('equity-chart');
+    chartEl.innerHTML = `
+        <div class="loading-state">
+            <div class="loading-spinner"></div>
+            <span>กำลังทดสอบกลยุทธ์...</span>
+        </div>
+    `;
+    chart = null;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/backtest`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        renderStats(data.stats, data.benchmark);
+        renderEquityChart(data.equityCurve, data.benchmark);
+        renderTrades(data.trades);
+        updateLastUpdate();
+
+        if (data.skipped?.length) {
+            console.warn('Skipped symbols without data:', data.skipped.join(', '));
+        }
+
+    } catch (error) {
+        console.error('Error running backtest:', error);
+        chartEl.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-icon">⚠️</span>
+                <p>${error.message || 'เกิดข้อผิดพลาดในการทดสอบ'}</p>
+            </div>
+        `;
+    }
+}
+
+// Render summary stats
+function renderStats(stats, benchmark) {
+    const benchmarkReturn = benchmark.length
+        ? (benchmark[benchmark.length - 1].equity / stats.initialCapital - 1) * 100
+        : 0;
+
+    const cards = [
+        { label: 'CAGR', value: formatPercent(stats.cagr), tone: toneOf(stats.cagr) },
+        { label: 'Total Return', value: formatPercent(stats.totalReturn), tone: toneOf(stats.totalReturn) },
+        { label: 'Buy & Hold', value: formatPercent(benchmarkReturn), tone: toneOf(benchmarkReturn) },
+        { label: 'Max Drawdown', value: `${stats.maxDrawdown.toFixed(2)}%`, tone: 'negative' },
+        { label: 'Sharpe', value: stats.sharpe.toFixed(2), tone: stats.sharpe >= 1 ? 'positive' : '' },
+        { label: 'Win Rate', value: `${stats.winRate.toFixed(1)}%`, tone: stats.winRate >= 50 ? 'positive' : 'negative' },
+        { label: 'Trades', value: stats.trades, tone: '' },
+        { label: 'Profit Factor', value: stats.profitFactor !== null ? stats.profitFactor.toFixed(2) : '-', tone: '' },
+        { label: 'Exposure', value: `${stats.exposure.toFixed(0)}%`, tone: '' }
+    ];
+
+    document.getElementById('stats-grid').innerHTML = cards.map(card => `
+        <div class="stat-card">
+            <span class="stat-label">${card.label}</span>
+            <span class="stat-value ${card.tone}">${card.value}</span>
+        </div>
+    `).join('');
+}
+
+// Render equity curve vs benchmark
+function renderEquityChart(curve, benchmark) {
+    const container = document.getElementById('equity-chart');
+    container.innerHTML = '';
+
+    if (typeof LightweightCharts === 'undefined') {
+        container.innerHTML = '<div class="empty-state"><p>Chart library not loaded</p></div>';
+        return;
+    }
+
+    chart = LightweightCharts.createChart(container, {
+        layout: {
+            background: { type: 'solid', color: 'transparent' },
+            textColor: '#a1a1aa',
+        },
+        grid: {
+            vertLines: { color: 'rgba(255, 255, 255, 0.05)' },
+            horzLines: { color: 'rgba(255, 255, 255, 0.05)' },
+        },
+        rightPriceScale: {
+            borderColor: 'rgba(255, 255, 255, 0.1)',
+        },
+        timeScale: {
+            borderColor: 'rgba(255, 255, 255, 0.1)',
+        },
+        handleScroll: { vertTouchDrag: false },
+    });
+
+    strategySeries = chart.addAreaSeries({
+        topColor: 'rgba(99, 102, 241, 0.4)',
+        bottomColor: 'rgba(99, 102, 241, 0.0)',
+        lineColor: '#6366f1',
+        lineWidth: 2,
+    });
+    benchmarkSeries = chart.addLineSeries({
+        color: '#a1a1aa',
+        lineWidth: 1,
+        lineStyle: LightweightCharts.LineStyle.Dashed,
+    });
+
+    strategySeries.setData(curve.map(p => ({ time: p.date, value: p.equity })));
+    benchmarkSeries.setData(benchmark.map(p => ({ time: p.date, value: p.equity })));
+    chart.timeScale().fitContent();
+
+    resizeObserver?.disconnect();
+    resizeObserver = new ResizeObserver(() => {
+        chart?.applyOptions({ width: container.clientWidth });
+    });
+    resizeObserver.observe(container);
+}
+
+// Render trades table
+function renderTrades(trades) {
+    document.getElementById('trade-count').textContent = `(${trades.length})`;
+    const tbody = document.getElementById('trades-body');
+
+    if (trades.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="empty-row">ไม่มีการซื้อขายในช่วงนี้</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = [...trades].reverse().map(trade => `
+        <tr>
+            <td class="trade-symbol">${trade.symbol}</td>
+            <td>${trade.entryDate}</td>
+            <td>$${trade.entryPrice.toFixed(2)}</td>
+            <td>${trade.exitDate}</td>
+            <td>$${trade.exitPrice.toFixed(2)}</td>
+            <td>${trade.holdingDays}</td>
+            <td class="${toneOf(trade.pnl)}">${formatPercent(trade.returnPercent)} ($${trade.pnl.toFixed(2)})</td>
+            <td>${EXIT_REASONS[trade.exitReason] || trade.exitReason}</td>
+        </tr>
+    `).join('');
+}
+
+function formatPercent(value) {
+    return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+function toneOf(value) {
+    return value >= 0 ? 'positive' : 'negative';
+}
+
+// Update last update time
+function updateLastUpdate() {
+    const now = new Date();
+    const timeStr = now.toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' });
+    document.getElementById('last-update').textContent = `อัปเดต: ${timeStr}`;
+}
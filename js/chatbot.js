@@ -1,6 +1,9 @@
 /**
  * Stockify AI Chatbot
- * Advanced GPT-powered Stock Analysis Assistant
+ * Stock analysis assistant; replies stream in from /api/chat/stream
+ *
+ * Conversations are stored server-side (/api/chat/sessions); the page only
+ * keeps the open session's id and sends it with each new message.
  */
 
 (function () {
@@ -11,12 +14,15 @@
     // ===================================
     const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
     const API_BASE = isLocalhost ? 'http://localhost:3001' : '';
+    const SESSION_KEY = 'stockify_chat_session';
 
     // ===================================
     // State
     // ===================================
-    let conversationHistory = [];
+    let sessionId = localStorage.getItem(SESSION_KEY);
+    let sessions = [];
     let isWaiting = false;
+    let activeRequest = null;
 
     // ===================================
     // DOM Elements
@@ -25,19 +31,28 @@
     const chatInput = document.getElementById('chat-input');
     const sendBtn = document.getElementById('send-btn');
     const quickActions = document.getElementById('quick-actions');
+    const modelLabel = document.getElementById('chat-model');
+    const subtitle = document.getElementById('chat-subtitle');
+    const sessionPanel = document.getElementById('chat-sessions');
+    const sessionList = document.getElementById('session-list');
+    const welcomeHtml = chatMessages.innerHTML;
+    const defaultSubtitle = subtitle ? subtitle.textContent : '';
 
     // ===================================
     // Initialize
     // ===================================
     function init() {
         // Event listeners
-        sendBtn.addEventListener('click', sendMessage);
+        sendBtn.addEventListener('click', () => isWaiting ? cancelReply() : sendMessage());
         chatInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
                 e.preventDefault();
                 sendMessage();
             }
         });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && isWaiting) cancelReply();
+        });
 
         // Quick action buttons
         document.querySelectorAll('.quick-btn').forEach(btn => {
@@ -48,6 +63,15 @@
             });
         });
 
+        // Sessions
+        document.getElementById('new-chat-btn').addEventListener('click', newChat);
+        document.getElementById('sessions-toggle').addEventListener('click', () => {
+            sessionPanel.classList.toggle('open');
+        });
+        sessionList.addEventListener('click', onSessionClick);
+        loadSessions();
+        if (sessionId) openSession(sessionId);
+
         // Mobile menu
         const mobileMenuBtn = document.getElementById('mobile-menu-btn');
         const navTabs = document.getElementById('nav-tabs');
@@ -81,102 +105,252 @@
 
         // Show typing indicator
         const typingEl = showTypingIndicator();
+        setWaiting(true);
+        activeRequest = new AbortController();
 
-        isWaiting = true;
-        sendBtn.disabled = true;
+        let bot = null;
+        let replyText = '';
+        const showBot = () => {
+            typingEl.remove();
+            if (!bot) bot = createMessage('bot');
+            return bot;
+        };
 
         try {
-            // Prepare conversation context (last 10 messages)
-            const contextMessages = conversationHistory.slice(-10);
-
             // Call API
-            const response = await fetch(`${API_BASE}/api/chat`, {
+            const response = await fetch(`${API_BASE}/api/chat/stream`, {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
                 },
                 body: JSON.stringify({
-                    message: message,
-                    stockContext: contextMessages
-                })
+                    sessionId,
+                    message
+                }),
+                signal: activeRequest.signal
             });
 
-            // Remove typing indicator
-            if (typingEl) typingEl.remove();
-
             if (!response.ok) {
                 const error = await response.json();
-                throw new Error(error.message || 'Failed to get response');
+                throw new Error(error.error || error.message || 'Failed to get response');
             }
 
-            const data = await response.json();
-
-            // Add bot message to UI
-            appendMessage('bot', data.reply, data.stockData);
+            let result = null;
+            await readEvents(response, (event, data) => {
+                switch (event) {
+                    case 'start':
+                        setSession(data.sessionId, data.title);
+                        if (modelLabel) modelLabel.textContent = data.provider === 'mock' ? '⚡ โหมดทดสอบ (ไม่ได้เชื่อมต่อโมเดล AI)' : `⚡ Powered by ${data.model}`;
+                        break;
+                    case 'tool_call':
+                        setTypingStatus(typingEl, `กำลังดึงข้อมูล ${TOOL_TITLES[data.tool] || data.tool}${data.args?.symbol ? ` ${data.args.symbol}` : ''}...`);
+                        break;
+                    case 'tool':
+                        showBot().addCard(renderToolCard(data));
+                        break;
+                    case 'token':
+                        replyText += data.text;
+                        showBot().setText(replyText);
+                        break;
+                    case 'done':
+                        result = data;
+                        break;
+                    case 'error':
+                        throw new Error(data.message);
+                }
+            });
+            if (!result) throw new Error('การเชื่อมต่อขาดระหว่างตอบ');
 
-            // Update conversation history
-            conversationHistory.push(
-                { role: 'user', content: message },
-                { role: 'assistant', content: data.reply }
-            );
+            showBot().setText(result.reply);
+            setSession(result.sessionId, result.title);
 
         } catch (error) {
-            console.error('Chat error:', error);
-            if (typingEl) typingEl.remove();
-
-            appendMessage('bot', `❌ เกิดข้อผิดพลาด: ${error.message}\n\nลองใหม่อีกครั้งครับ`);
+            if (error.name === 'AbortError') {
+                // The server keeps whatever arrived before the stop
+                showBot().setText(`${replyText}\n\n${STOPPED_NOTE}`);
+            } else {
+                console.error('Chat error:', error);
+                appendMessage('bot', `❌ เกิดข้อผิดพลาด: ${error.message}\n\nลองใหม่อีกครั้งครับ`);
+            }
         } finally {
-            isWaiting = false;
-            sendBtn.disabled = false;
+            typingEl.remove();
+            activeRequest = null;
+            setWaiting(false);
             chatInput.focus();
+            loadSessions();
+        }
+    }
+
+    function cancelReply() {
+        if (activeRequest) activeRequest.abort();
+    }
+
+    // Send button doubles as the stop button while a reply streams
+    function setWaiting(waiting) {
+        isWaiting = waiting;
+        sendBtn.classList.toggle('stop', waiting);
+        sendBtn.title = waiting ? 'หยุด (Esc)' : 'ส่ง';
+        sendBtn.innerHTML = waiting ? '<span class="stop-icon">■</span>' : '<span class="send-icon">➤</span>';
+    }
+
+    // Server-sent events from a fetch() response body
+    async function readEvents(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const frames = buffer.split('\n\n');
+            buffer = frames.pop();
+            frames.forEach(frame => {
+                const event = frame.match(/^event: (.*)$/m)?.[1] || 'message';
+                const data = frame.match(/^data: (.*)$/m)?.[1];
+                if (data) onEvent(event, JSON.parse(data));
+            });
+        }
+    }
+
+    // ===================================
+    // Chat Sessions
+    // ===================================
+    const STOPPED_NOTE = '⏹ หยุดการตอบแล้ว';
+
+    function setSession(id, title) {
+        sessionId = id;
+        localStorage.setItem(SESSION_KEY, id);
+        if (subtitle) subtitle.textContent = title || defaultSubtitle;
+        renderSessions();
+    }
+
+    async function loadSessions() {
+        try {
+            const response = await fetch(`${API_BASE}/api/chat/sessions`);
+            if (!response.ok) throw new Error('Sessions API unavailable');
+            sessions = (await response.json()).sessions;
+            renderSessions();
+        } catch (error) {
+            console.error('Sessions error:', error);
+        }
+    }
+
+    function renderSessions() {
+        if (sessions.length === 0) {
+            sessionList.innerHTML = '<li class="session-empty">ยังไม่มีประวัติ</li>';
+            return;
+        }
+        sessionList.innerHTML = sessions.map(s => `
+            <li class="session-item ${s.id === sessionId ? 'active' : ''}" data-id="${escapeHtml(s.id)}">
+                <div class="session-info">
+                    <span class="session-title">${escapeHtml(s.title || 'แชทใหม่')}</span>
+                    <span class="session-preview">${escapeHtml(s.preview)}</span>
+                </div>
+                <div class="session-actions">
+                    <button class="session-action" data-action="rename" title="เปลี่ยนชื่อ">✏️</button>
+                    <a class="session-action" href="${API_BASE}/api/chat/sessions/${encodeURIComponent(s.id)}/export" download title="ส่งออก Markdown">⬇️</a>
+                    <button class="session-action" data-action="delete" title="ลบ">🗑️</button>
+                </div>
+            </li>
+        `).join('');
+    }
+
+    function onSessionClick(e) {
+        const item = e.target.closest('.session-item');
+        if (!item || e.target.closest('a')) return;
+        const action = e.target.closest('[data-action]')?.dataset.action;
+
+        if (action === 'rename') renameSession(item.dataset.id);
+        else if (action === 'delete') deleteSession(item.dataset.id);
+        else if (!isWaiting && item.dataset.id !== sessionId) openSession(item.dataset.id);
+    }
+
+    async function openSession(id) {
+        try {
+            const response = await fetch(`${API_BASE}/api/chat/sessions/${encodeURIComponent(id)}`);
+            if (!response.ok) throw new Error('Session not found');
+            const session = await response.json();
+
+            chatMessages.innerHTML = '';
+            session.messages.forEach(m => {
+                const text = m.stopped ? `${m.content}\n\n${STOPPED_NOTE}` : m.content;
+                appendMessage(m.role === 'user' ? 'user' : 'bot', text, m.toolResults);
+            });
+            if (quickActions) quickActions.style.display = session.messages.length ? 'none' : '';
+            setSession(session.id, session.title);
+            sessionPanel.classList.remove('open');
+        } catch (error) {
+            // A deleted or unknown session starts a fresh chat
+            console.error('Open session error:', error);
+            newChat();
+        }
+    }
+
+    function newChat() {
+        if (isWaiting) return;
+        sessionId = null;
+        localStorage.removeItem(SESSION_KEY);
+        chatMessages.innerHTML = welcomeHtml;
+        if (quickActions) quickActions.style.display = '';
+        if (subtitle) subtitle.textContent = defaultSubtitle;
+        sessionPanel.classList.remove('open');
+        renderSessions();
+        chatInput.focus();
+    }
+
+    async function renameSession(id) {
+        const current = sessions.find(s => s.id === id);
+        const title = prompt('ชื่อบทสนทนา', current?.title || '');
+        if (title === null || !title.trim()) return;
+
+        const response = await fetch(`${API_BASE}/api/chat/sessions/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ title })
+        });
+        if (!response.ok) {
+            alert((await response.json()).error);
+            return;
         }
+        if (id === sessionId && subtitle) subtitle.textContent = (await response.json()).title;
+        loadSessions();
+    }
+
+    async function deleteSession(id) {
+        if (!confirm('ลบบทสนทนานี้?')) return;
+
+        const response = await fetch(`${API_BASE}/api/chat/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+        if (!response.ok) return;
+        sessions = sessions.filter(s => s.id !== id);
+        if (id === sessionId) newChat();
+        else renderSessions();
     }
 
     // ===================================
     // Append Message to Chat
     // ===================================
-    function appendMessage(type, text, stockData = null) {
+    function appendMessage(type, text, toolResults = []) {
+        const message = createMessage(type);
+        toolResults.forEach(toolResult => message.addCard(renderToolCard(toolResult)));
+        message.setText(text);
+        return message;
+    }
+
+    // Empty message bubble whose text and cards can be filled in as a reply streams
+    function createMessage(type) {
         const messageEl = document.createElement('div');
         messageEl.className = `message ${type}`;
 
         const avatar = type === 'bot' ? '🤖' : '👤';
         const time = new Date().toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' });
 
-        // Format text with markdown-like formatting
-        const formattedText = formatText(text);
-
-        let stockCardHtml = '';
-        if (stockData) {
-            const changeClass = stockData.changePercent >= 0 ? 'positive' : 'negative';
-            const changeSign = stockData.changePercent >= 0 ? '+' : '';
-            stockCardHtml = `
-                <div class="stock-card-mini">
-                    <div class="stat">
-                        <span class="stat-label">ราคา</span>
-                        <span class="stat-value">$${stockData.price?.toFixed(2)}</span>
-                    </div>
-                    <div class="stat">
-                        <span class="stat-label">เปลี่ยนแปลง</span>
-                        <span class="stat-value ${changeClass}">${changeSign}${stockData.changePercent?.toFixed(2)}%</span>
-                    </div>
-                    <div class="stat">
-                        <span class="stat-label">High/Low</span>
-                        <span class="stat-value">$${stockData.high?.toFixed(2)} / $${stockData.low?.toFixed(2)}</span>
-                    </div>
-                    <div class="stat">
-                        <span class="stat-label">Volume</span>
-                        <span class="stat-value">${formatVolume(stockData.volume)}</span>
-                    </div>
-                </div>
-            `;
-        }
-
         messageEl.innerHTML = `
             <div class="message-avatar">${avatar}</div>
             <div class="message-content">
                 <div class="message-text">
-                    ${formattedText}
-                    ${stockCardHtml}
+                    <div class="message-body"></div>
+                    <div class="message-cards"></div>
                 </div>
                 <div class="message-time">${time}</div>
             </div>
@@ -184,6 +358,176 @@
 
         chatMessages.appendChild(messageEl);
         scrollToBottom();
+
+        const body = messageEl.querySelector('.message-body');
+        const cards = messageEl.querySelector('.message-cards');
+        return {
+            setText(text) {
+                // Format text with markdown-like formatting
+                body.innerHTML = formatText(text);
+                scrollToBottom();
+            },
+            addCard(html) {
+                cards.insertAdjacentHTML('beforeend', html);
+                scrollToBottom();
+            }
+        };
+    }
+
+    // ===================================
+    // Tool Data Cards
+    // ===================================
+    const TOOL_TITLES = {
+        get_quote: '💵 ราคาล่าสุด',
+        analyze_stock: '🎯 AI Analysis',
+        get_technicals: '📊 Technical Indicators',
+        summarize_news: '📰 สรุปข่าว',
+        screen_stocks: '🔍 Stock Screener',
+        options_summary: '🧮 Options',
+        earnings_history: '📅 Earnings',
+        dividend_history: '💰 Dividends'
+    };
+
+    const TOOL_CARDS = {
+        get_quote: q => statGrid([
+            ['ราคา', price(q.price)],
+            ['เปลี่ยนแปลง', percent(q.changePercent), tone(q.changePercent)],
+            ['High/Low', `${price(q.high)} / ${price(q.low)}`],
+            ['Volume', formatVolume(q.volume)],
+            ['Market Cap', q.marketCap ? '$' + formatVolume(q.marketCap) : 'N/A'],
+            ['52W High/Low', `${price(q.fiftyTwoWeekHigh)} / ${price(q.fiftyTwoWeekLow)}`]
+        ]),
+        analyze_stock: a => statGrid([
+            ['AI Score', `${a.aiScore}/100`],
+            ['Rating', a.rating],
+            ['ราคา', price(a.price)],
+            ['RSI', fixed(a.indicators?.rsi, 1)],
+            ['จุดเข้า', price(a.entryPoint)],
+            ['จุดออก', price(a.exitPoint)],
+            ['ความเสี่ยง', a.riskLevel],
+            ['ระยะเวลา', a.horizon]
+        ]),
+        get_technicals: t => statGrid([
+            ['ราคาปิด', price(t.close)],
+            ['RSI (14)', fixed(t.rsi14, 1)],
+            ['MACD', t.macd ? `${fixed(t.macd.histogram, 3)} (${t.macd.trend})` : 'N/A', t.macd ? tone(t.macd.histogram) : ''],
+            ['ATR (14)', fixed(t.atr14)],
+            ['SMA 50', price(t.sma50)],
+            ['SMA 200', price(t.sma200)],
+            ['5 วัน', percent(t.change5d), tone(t.change5d)],
+            ['20 วัน', percent(t.change20d), tone(t.change20d)]
+        ]),
+        summarize_news: n => `
+            ${statGrid([['Sentiment', n.sentiment], ['จำนวนข่าว', n.newsCount ?? 0]])}
+            <ul class="tool-card-list">${(n.points || []).map(p => `
+                <li>${escapeHtml(p.text)} <a href="${escapeHtml(p.link)}" target="_blank" rel="noopener noreferrer">(${escapeHtml(p.publisher || 'ที่มา')})</a></li>
+            `).join('')}</ul>
+            ${n.facts?.length ? `<p class="tool-card-note">${n.facts.map(f => `${escapeHtml(f.label)}: ${escapeHtml(f.value)}`).join(' · ')}</p>` : ''}
+        `,
+        screen_stocks: r => r.results.length === 0 ? '<p class="tool-card-note">ไม่พบหุ้นที่ตรงเงื่อนไข</p>' : `
+            <table class="tool-card-table">
+                <thead><tr><th>Symbol</th><th>ราคา</th><th>%</th><th>RSI</th><th>MACD</th></tr></thead>
+                <tbody>${r.results.map(s => `
+                    <tr>
+                        <td>${escapeHtml(s.symbol)}</td>
+                        <td>${price(s.price)}</td>
+                        <td class="${tone(s.changePercent)}">${percent(s.changePercent)}</td>
+                        <td>${fixed(s.rsi, 1)}</td>
+                        <td>${escapeHtml(s.macd)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+            ${r.count > r.results.length ? `<p class="tool-card-note">แสดง ${r.results.length} จาก ${r.count} ตัว</p>` : ''}
+        `,
+        options_summary: o => `
+            ${statGrid([
+                ['ราคาอ้างอิง', price(o.underlyingPrice)],
+                ['Earnings Move', o.earnings?.expectedMove ? `±${fixed(o.earnings.expectedMove.movePercent)}%` : 'N/A']
+            ])}
+            <table class="tool-card-table">
+                <thead><tr><th>หมดอายุ</th><th>Max Pain</th><th>Exp. Move</th><th>P/C OI</th><th>ATM IV</th></tr></thead>
+                <tbody>${o.expirations.map(e => `
+                    <tr>
+                        <td>${escapeHtml(e.expirationDate)}</td>
+                        <td>${price(e.maxPain)}</td>
+                        <td>${e.expectedMovePercent === null ? 'N/A' : `±${fixed(e.expectedMovePercent)}%`}</td>
+                        <td>${fixed(e.putCallOpenInterest)}</td>
+                        <td>${e.atmIV === null ? 'N/A' : `${fixed(e.atmIV, 1)}%`}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        `,
+        earnings_history: e => `
+            ${statGrid([
+                ['ประกาศงบถัดไป', e.next?.date ? new Date(e.next.date).toLocaleDateString('th-TH') : 'N/A'],
+                ['EPS คาดการณ์', fixed(e.next?.epsEstimate)],
+                ['Beat Rate', e.summary?.beatRate === null || e.summary?.beatRate === undefined ? 'N/A' : `${fixed(e.summary.beatRate, 0)}%`],
+                ['Gap เฉลี่ย', percent(e.summary?.avgGapPercent), tone(e.summary?.avgGapPercent)]
+            ])}
+            <table class="tool-card-table">
+                <thead><tr><th>ไตรมาส</th><th>EPS</th><th>Surprise</th><th>วันแรก</th></tr></thead>
+                <tbody>${e.history.map(h => `
+                    <tr>
+                        <td>${escapeHtml(h.quarter)}</td>
+                        <td>${fixed(h.epsActual)}</td>
+                        <td class="${tone(h.epsSurprisePercent)}">${percent(h.epsSurprisePercent)}</td>
+                        <td class="${tone(h.reaction?.day1)}">${percent(h.reaction?.day1)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>
+        `,
+        dividend_history: d => statGrid([
+            ['ปันผลต่อปี', price(d.forwardAnnual)],
+            ['Yield', d.forwardYield === null || d.forwardYield === undefined ? 'N/A' : `${fixed(d.forwardYield)}%`],
+            ['Payout Ratio', d.payoutRatio === null || d.payoutRatio === undefined ? 'N/A' : `${fixed(d.payoutRatio, 1)}%`],
+            ['ความถี่', d.frequency || 'N/A'],
+            ['XD ถัดไป', d.nextExDate ? new Date(d.nextExDate).toLocaleDateString('th-TH') : 'N/A'],
+            ['เพิ่มปันผลติดต่อกัน', d.streaks?.increase !== undefined ? `${d.streaks.increase} ปี` : 'N/A']
+        ])
+    };
+
+    function renderToolCard(toolResult) {
+        const title = TOOL_TITLES[toolResult.tool] || toolResult.tool;
+        const subject = toolResult.args?.symbol ? ` · ${escapeHtml(String(toolResult.args.symbol).toUpperCase())}` : '';
+
+        if (toolResult.error) {
+            return `<div class="tool-card error"><div class="tool-card-title">⚠️ ${title}${subject}</div><p class="tool-card-note">${escapeHtml(toolResult.error)}</p></div>`;
+        }
+        const render = TOOL_CARDS[toolResult.tool];
+        if (!render) return '';
+
+        return `
+            <div class="tool-card">
+                <div class="tool-card-title">${title}${subject}</div>
+                ${render(toolResult.result)}
+            </div>
+        `;
+    }
+
+    function statGrid(stats) {
+        return `
+            <div class="stock-card-mini">
+                ${stats.map(([label, value, className = '']) => `
+                    <div class="stat">
+                        <span class="stat-label">${label}</span>
+                        <span class="stat-value ${className}">${escapeHtml(value ?? 'N/A')}</span>
+                    </div>`).join('')}
+            </div>
+        `;
+    }
+
+    const isNum = v => typeof v === 'number' && isFinite(v);
+    const fixed = (v, digits = 2) => isNum(v) ? v.toFixed(digits) : 'N/A';
+    const price = v => isNum(v) ? `$${v.toFixed(2)}` : 'N/A';
+    const percent = v => isNum(v) ? `${v >= 0 ? '+' : ''}${v.toFixed(2)}%` : 'N/A';
+    const tone = v => isNum(v) ? (v >= 0 ? 'positive' : 'negative') : '';
+
+    function escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
     }
 
     // ===================================
@@ -192,8 +536,8 @@
     function formatText(text) {
         if (!text) return '';
 
-        // Split into paragraphs
-        let formatted = text
+        // Escape first: replies quote RSS and article text, and stored sessions are re-rendered
+        let formatted = escapeHtml(text)
             // Bold text
             .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
             // Bullet points
@@ -238,7 +582,7 @@
                         <span></span>
                         <span></span>
                     </div>
-                    <span style="color: var(--text-muted); font-size: 0.85rem;">กำลังคิด...</span>
+                    <span class="typing-status" style="color: var(--text-muted); font-size: 0.85rem;">กำลังคิด...</span>
                 </div>
             </div>
         `;
@@ -247,6 +591,11 @@
         return typingEl;
     }
 
+    function setTypingStatus(typingEl, text) {
+        const status = typingEl.querySelector('.typing-status');
+        if (status) status.textContent = text;
+    }
+
     // ===================================
     // Scroll to Bottom
     // ===================================
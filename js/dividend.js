@@ -1,5 +1,6 @@
 /**
  * Dividend Calendar - JavaScript
+ * Upcoming ex-dates plus per-symbol history, growth and income projection
  */
 
 // API Configuration
@@ -7,9 +8,12 @@ const API_BASE = window.location.hostname === 'localhost'
     ? 'http://localhost:3001'
     : '';
 
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
 // State
 let dividendsData = [];
 let sortBy = 'date';
+let analysisSymbol = null;
 
 // DOM Elements
 const dividendGrid = document.getElementById('dividend-grid');
@@ -19,6 +23,9 @@ const totalStocksEl = document.getElementById('total-stocks');
 const avgYieldEl = document.getElementById('avg-yield');
 const upcomingCountEl = document.getElementById('upcoming-count');
 const lastUpdateEl = document.getElementById('last-update');
+const analysisSymbolEl = document.getElementById('analysis-symbol');
+const analysisSharesEl = document.getElementById('analysis-shares');
+const analysisYearsEl = document.getElementById('analysis-years');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
@@ -34,6 +41,20 @@ function setupEventListeners() {
         renderDividends();
     });
 
+    // Dividend analysis
+    document.getElementById('analysis-btn')?.addEventListener('click', () => loadAnalysis(analysisSymbolEl.value));
+    analysisSymbolEl?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') loadAnalysis(analysisSymbolEl.value);
+    });
+    analysisSharesEl?.addEventListener('change', () => loadAnalysis(analysisSymbol));
+    analysisYearsEl?.addEventListener('change', () => loadAnalysis(analysisSymbol));
+    dividendGrid?.addEventListener('click', (e) => {
+        const card = e.target.closest('[data-symbol]');
+        if (!card) return;
+        loadAnalysis(card.dataset.symbol);
+        document.getElementById('analysis-section').scrollIntoView({ behavior: 'smooth' });
+    });
+
     // Mobile menu
     const mobileMenuBtn = document.getElementById('mobile-menu-btn');
     const navTabs = document.getElementById('nav-tabs');
@@ -56,6 +77,8 @@ async function loadDividends() {
         renderDividends();
         updateLastUpdate();
 
+        if (!analysisSymbol && dividendsData.length > 0) loadAnalysis(dividendsData[0].symbol);
+
     } catch (error) {
         console.error('Error loading dividends:', error);
         showError();
@@ -144,7 +167,7 @@ function createDividendCard(div) {
     }
 
     return `
-        <div class="dividend-card">
+        <div class="dividend-card" data-symbol="${div.symbol}">
             ${dateHtml}
             <div class="dividend-info">
                 <span class="dividend-symbol">${div.symbol}</span>
@@ -152,7 +175,8 @@ function createDividendCard(div) {
                 <div class="dividend-meta">
                     <span>💵 $${div.dividendRate.toFixed(2)}/หุ้น</span>
                     <span>📊 ราคา $${div.price.toFixed(2)}</span>
-                    <span>📅 ${div.frequency}</span>
+                    <span>📅 ${div.frequency || '-'}</span>
+                    ${div.increaseStreak ? `<span>🔥 เพิ่มปันผล ${div.increaseStreak} ปีติด</span>` : ''}
                 </div>
             </div>
             <div class="dividend-yield">
@@ -167,6 +191,164 @@ function createDividendCard(div) {
     `;
 }
 
+// ===================================
+// Dividend Analysis
+// ===================================
+async function loadAnalysis(symbol) {
+    symbol = (symbol || '').trim().toUpperCase();
+    if (!symbol) return;
+    analysisSymbol = symbol;
+    analysisSymbolEl.value = symbol;
+
+    const shares = Math.max(0, Number(analysisSharesEl.value) || 0);
+    const years = analysisYearsEl.value;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/dividends/${encodeURIComponent(symbol)}/history?shares=${shares}&years=${years}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to fetch dividend history');
+        if (symbol !== analysisSymbol) return;
+
+        document.getElementById('analysis-name').textContent = `· ${data.symbol} ${data.name !== data.symbol ? data.name : ''}`;
+        renderAnalysisStats(data);
+        renderAnnualChart(data.annual);
+        renderProjection(data.projection);
+        renderScenarios(data.scenarios);
+    } catch (error) {
+        console.error('Error loading dividend analysis:', error);
+        document.getElementById('analysis-name').textContent = `· ${symbol}`;
+        document.getElementById('analysis-stats').innerHTML = '';
+        document.getElementById('annual-chart').innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">❌</div>
+                <p>${error.message}</p>
+            </div>
+        `;
+        document.getElementById('projection-total').textContent = '';
+        document.getElementById('scenario-note').textContent = '';
+        document.getElementById('projection-body').innerHTML = '<tr><td colspan="3" class="empty-row">-</td></tr>';
+        document.getElementById('scenario-body').innerHTML = '<tr><td colspan="5" class="empty-row">-</td></tr>';
+    }
+}
+
+function renderAnalysisStats(data) {
+    const growth = years => {
+        const value = data.growth[`${years}y`];
+        return value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${value.toFixed(1)}%`;
+    };
+    const streak = data.streaks;
+
+    const stats = [
+        ['ความถี่', data.frequency || '-', data.lastPayment ? `ล่าสุด ${data.lastPayment.date}` : ''],
+        ['ปันผลต่อปี (Forward)', data.forwardAnnual !== null ? `$${data.forwardAnnual.toFixed(2)}` : '-', data.forwardYield !== null ? `Yield ${data.forwardYield.toFixed(2)}%` : ''],
+        ['TTM', data.trailingAnnual !== null ? `$${data.trailingAnnual.toFixed(2)}` : '-', data.nextExDate ? `Ex-Div ถัดไป ${data.nextExDate}` : ''],
+        ['Payout Ratio', data.payoutRatio !== null ? `${data.payoutRatio.toFixed(1)}%` : '-', 'ของกำไรต่อหุ้น'],
+        ['การเติบโต 1Y / 3Y', `${growth(1)} / ${growth(3)}`, 'CAGR'],
+        ['การเติบโต 5Y / 10Y', `${growth(5)} / ${growth(10)}`, 'CAGR'],
+        ['เพิ่มปันผลติดต่อกัน', `${streak.increase} ปี`, streak.increaseSince ? `ตั้งแต่ ${streak.increaseSince}` : ''],
+        ['ไม่ลดปันผล', `${streak.noCut} ปี`, streak.noCutSince ? `ตั้งแต่ ${streak.noCutSince}` : '']
+    ];
+
+    document.getElementById('analysis-stats').innerHTML = stats.map(([label, value, sub]) => `
+        <div class="analysis-stat">
+            <span class="analysis-stat-label">${label}</span>
+            <span class="analysis-stat-value">${value}</span>
+            <span class="analysis-stat-sub">${sub}</span>
+        </div>
+    `).join('');
+}
+
+// Regular + special dividends per calendar year as stacked bars
+function renderAnnualChart(annual) {
+    const container = document.getElementById('annual-chart');
+    if (!annual.length) {
+        container.innerHTML = '<div class="empty-state"><p>ไม่มีประวัติปันผล</p></div>';
+        return;
+    }
+
+    container.innerHTML = '';
+    const width = container.clientWidth || 500;
+    const height = container.clientHeight || 240;
+    const pad = { top: 16, right: 8, bottom: 28, left: 44 };
+    const max = Math.max(...annual.map(a => a.total)) * 1.1 || 1;
+    const slot = (width - pad.left - pad.right) / annual.length;
+    const y = v => height - pad.bottom - v / max * (height - pad.top - pad.bottom);
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    container.appendChild(svg);
+
+    [0, 0.5, 1].forEach(f => {
+        const v = max / 1.1 * f;
+        addSvg(svg, 'line', { x1: pad.left, x2: width - pad.right, y1: y(v), y2: y(v), class: 'grid-line' });
+        addSvg(svg, 'text', { x: pad.left - 6, y: y(v) + 4, 'text-anchor': 'end', class: 'axis-label' }, `$${v.toFixed(2)}`);
+    });
+
+    const labelEvery = Math.ceil(annual.length / 12);
+    annual.forEach((a, i) => {
+        const x = pad.left + i * slot + slot * 0.15;
+        const barWidth = slot * 0.7;
+        const regular = addSvg(svg, 'rect', {
+            x, y: y(a.regular), width: barWidth, height: y(0) - y(a.regular),
+            rx: 3, class: `bar-regular${a.partial ? ' partial' : ''}`
+        });
+        addSvg(regular, 'title', {}, `${a.year}: $${a.regular.toFixed(4)} (${a.payments} ครั้ง)${a.partial ? ' - ปีปัจจุบัน' : ''}`);
+        if (a.special > 0) {
+            const special = addSvg(svg, 'rect', {
+                x, y: y(a.total), width: barWidth, height: y(a.regular) - y(a.total), rx: 3, class: 'bar-special'
+            });
+            addSvg(special, 'title', {}, `${a.year}: special $${a.special.toFixed(4)}`);
+        }
+        if (i % labelEvery === 0) {
+            addSvg(svg, 'text', { x: x + barWidth / 2, y: height - 8, 'text-anchor': 'middle', class: 'axis-label' }, String(a.year));
+        }
+    });
+}
+
+function renderProjection(projection) {
+    const body = document.getElementById('projection-body');
+    document.getElementById('projection-total').textContent = `· ${projection.shares} หุ้น = ${formatMoney(projection.income)}`;
+
+    if (projection.payments.length === 0) {
+        body.innerHTML = '<tr><td colspan="3" class="empty-row">ไม่มีข้อมูล</td></tr>';
+        return;
+    }
+    body.innerHTML = projection.payments.map(p => `
+        <tr>
+            <td>${p.date}</td>
+            <td>$${p.amount.toFixed(4)}</td>
+            <td>${formatMoney(p.income)}</td>
+        </tr>
+    `).join('');
+}
+
+function renderScenarios(scenarios) {
+    document.getElementById('scenario-note').textContent =
+        `· ${scenarios.years} ปี, ปันผลโต ${scenarios.dividendGrowth.toFixed(1)}%/ปี`;
+
+    document.getElementById('scenario-body').innerHTML = scenarios.results.map(r => `
+        <tr>
+            <td>${r.label}</td>
+            <td>${formatMoney(r.income)}</td>
+            <td>${r.endShares.toFixed(2)}</td>
+            <td>${formatMoney(r.endValue)}</td>
+            <td>${r.yieldOnCost !== null ? r.yieldOnCost.toFixed(2) + '%' : '-'}</td>
+        </tr>
+    `).join('');
+}
+
+function addSvg(parent, tag, attrs, text) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    if (text !== undefined) el.textContent = text;
+    parent.appendChild(el);
+    return el;
+}
+
+function formatMoney(value) {
+    return `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
 function showLoading() {
     dividendGrid.innerHTML = `
         <div class="loading-state">
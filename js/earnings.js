@@ -1,5 +1,6 @@
 /**
  * Earnings Calendar - Frontend Logic
+ * Upcoming reports plus per-company surprise history and price reaction
  */
 
 (function () {
@@ -10,12 +11,17 @@
     // ===================================
     const isLocalhost = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
     const API_BASE = isLocalhost ? 'http://localhost:3001' : '';
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 48 };
+    const QUARTER_COLORS = ['#8b5cf6', '#22c55e', '#f59e0b', '#06b6d4', '#ef4444', '#ec4899', '#84cc16', '#6366f1'];
+    const PERIOD_LABELS = { '0q': 'ไตรมาสนี้', '+1q': 'ไตรมาสหน้า', '0y': 'ปีนี้', '+1y': 'ปีหน้า' };
 
     // ===================================
     // State
     // ===================================
     let earningsData = [];
     let currentFilter = 'all';
+    let historySymbol = null;
 
     // ===================================
     // DOM Elements
@@ -26,6 +32,8 @@
     const nextEarning = document.getElementById('next-earning');
     const lastUpdate = document.getElementById('last-update');
     const refreshBtn = document.getElementById('refresh-btn');
+    const historyInput = document.getElementById('history-symbol');
+    const historyBtn = document.getElementById('history-btn');
 
     // ===================================
     // Initialize
@@ -44,6 +52,18 @@
             });
         });
 
+        // Earnings history
+        historyBtn.addEventListener('click', () => loadHistory(historyInput.value));
+        historyInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') loadHistory(historyInput.value);
+        });
+        earningsGrid.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-history]');
+            if (!button) return;
+            loadHistory(button.dataset.history);
+            document.getElementById('history-section').scrollIntoView({ behavior: 'smooth' });
+        });
+
         // Mobile menu
         const mobileMenuBtn = document.getElementById('mobile-menu-btn');
         const navTabs = document.getElementById('nav-tabs');
@@ -83,6 +103,8 @@
 
             renderEarnings();
 
+            if (!historySymbol && earningsData.length > 0) loadHistory(earningsData[0].symbol);
+
         } catch (error) {
             console.error('Error loading earnings:', error);
             showError('ไม่สามารถโหลดข้อมูลได้');
@@ -184,15 +206,207 @@
                         <span class="countdown-value ${countdownClass}">${countdownText}</span>
                         <span class="countdown-label">countdown</span>
                     </div>
+                    <button class="earning-action secondary" data-history="${earning.symbol}">ประวัติ</button>
                     <a href="analyzer.html?symbol=${earning.symbol}" class="earning-action">วิเคราะห์</a>
                 </div>
             `;
         }).join('');
     }
 
+    // ===================================
+    // Earnings History
+    // ===================================
+    async function loadHistory(symbol) {
+        symbol = (symbol || '').trim().toUpperCase();
+        if (!symbol) return;
+        historySymbol = symbol;
+        historyInput.value = symbol;
+        document.getElementById('history-name').textContent = `· ${symbol}`;
+        document.getElementById('reaction-chart').innerHTML = `
+            <div class="loading-state">
+                <div class="loading-spinner"></div>
+                <span>กำลังโหลดข้อมูล...</span>
+            </div>
+        `;
+
+        try {
+            const response = await fetch(`${API_BASE}/api/earnings/${encodeURIComponent(symbol)}/history`);
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Failed to fetch earnings history');
+            if (symbol !== historySymbol) return;
+
+            document.getElementById('history-name').textContent = `· ${data.symbol} ${data.name !== data.symbol ? data.name : ''}`;
+            renderHistorySummary(data);
+            renderReactionChart(data.history);
+            renderHistoryTable(data.history);
+            renderRevisions(data.revisions);
+        } catch (error) {
+            console.error('Error loading earnings history:', error);
+            document.getElementById('history-summary').innerHTML = '';
+            document.getElementById('reaction-legend').innerHTML = '';
+            document.getElementById('reaction-chart').innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">❌</div>
+                    <p>${error.message}</p>
+                </div>
+            `;
+            document.getElementById('history-body').innerHTML = '<tr><td colspan="10" class="empty-row">-</td></tr>';
+            document.getElementById('revisions-body').innerHTML = '<tr><td colspan="6" class="empty-row">-</td></tr>';
+        }
+    }
+
+    function renderHistorySummary(data) {
+        const s = data.summary;
+        // [label, value, sub-label, number that colours the value]
+        const cards = [
+            ['Beat Rate', s.beatRate !== null ? `${s.beatRate}%` : '-', `${s.quarters} ไตรมาส`, null],
+            ['Avg EPS Surprise', formatPercent(s.avgEpsSurprisePercent), `Revenue ${formatPercent(s.avgRevenueSurprisePercent)}`, s.avgEpsSurprisePercent],
+            ['Avg Gap', formatPercent(s.avgGapPercent), `|1D| ${s.avgAbsMovePercent !== null ? s.avgAbsMovePercent.toFixed(2) + '%' : '-'}`, s.avgGapPercent],
+            ['Avg Drift 5D', formatPercent(s.avgDrift5), 'หลังประกาศ', s.avgDrift5],
+            ['Avg Drift 20D', formatPercent(s.avgDrift20), 'หลังประกาศ', s.avgDrift20],
+            ['Next Report', data.next ? data.next.date : '-', data.next ? `${data.next.time}${data.next.epsEstimate ? ` · EPS Est $${data.next.epsEstimate.toFixed(2)}` : ''}` : '', null]
+        ];
+
+        document.getElementById('history-summary').innerHTML = cards.map(([label, value, sub, tone]) => `
+            <div class="summary-item">
+                <span class="summary-label">${label}</span>
+                <span class="summary-value ${toneClass(tone)}">${value}</span>
+                <span class="summary-sub">${sub}</span>
+            </div>
+        `).join('');
+    }
+
+    // One line per quarter: close vs the pre-report close, by session offset
+    function renderReactionChart(history) {
+        const container = document.getElementById('reaction-chart');
+        const legend = document.getElementById('reaction-legend');
+        const quarters = history.filter(h => h.reaction && h.reaction.path.length > 1);
+
+        if (quarters.length === 0) {
+            legend.innerHTML = '';
+            container.innerHTML = '<div class="empty-state"><p>ไม่มีข้อมูลราคาในช่วงประกาศงบ</p></div>';
+            return;
+        }
+
+        const changes = quarters.flatMap(h => h.reaction.path.map(p => p.change));
+        const yMin = Math.floor(Math.min(0, ...changes) - 1);
+        const yMax = Math.ceil(Math.max(0, ...changes) + 1);
+
+        container.innerHTML = '';
+        const width = container.clientWidth || 600;
+        const height = container.clientHeight || 300;
+        const x = v => CHART_PADDING.left + (v + 5) / 25 * (width - CHART_PADDING.left - CHART_PADDING.right);
+        const y = v => height - CHART_PADDING.bottom - (v - yMin) / ((yMax - yMin) || 1) * (height - CHART_PADDING.top - CHART_PADDING.bottom);
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        container.appendChild(svg);
+
+        const yStep = (yMax - yMin) / 4;
+        for (let i = 0; i <= 4; i++) {
+            const v = yMin + yStep * i;
+            addSvg(svg, 'line', { x1: CHART_PADDING.left, x2: width - CHART_PADDING.right, y1: y(v), y2: y(v), class: 'grid-line' });
+            addSvg(svg, 'text', { x: CHART_PADDING.left - 6, y: y(v) + 4, 'text-anchor': 'end', class: 'axis-label' }, `${v.toFixed(1)}%`);
+        }
+        [-5, 0, 5, 10, 15, 20].forEach(v => {
+            addSvg(svg, 'text', { x: x(v), y: height - 8, 'text-anchor': 'middle', class: 'axis-label' }, v === 0 ? 'D0' : `${v > 0 ? '+' : ''}${v}`);
+        });
+        addSvg(svg, 'line', { x1: x(0), x2: x(0), y1: CHART_PADDING.top, y2: height - CHART_PADDING.bottom, class: 'zero-line' });
+        addSvg(svg, 'line', { x1: CHART_PADDING.left, x2: width - CHART_PADDING.right, y1: y(0), y2: y(0), class: 'zero-line' });
+
+        quarters.forEach((h, i) => {
+            const color = QUARTER_COLORS[i % QUARTER_COLORS.length];
+            const d = h.reaction.path.map((p, j) => `${j === 0 ? 'M' : 'L'}${x(p.offset).toFixed(1)},${y(p.change).toFixed(1)}`).join(' ');
+            const path = addSvg(svg, 'path', { d, fill: 'none', stroke: color, 'stroke-width': i === 0 ? 2.5 : 1.5, opacity: i === 0 ? 1 : 0.75 });
+            addSvg(path, 'title', {}, `${h.quarter} · ${h.reaction.reactionDate}`);
+        });
+
+        legend.innerHTML = quarters.map((h, i) => `
+            <span class="legend-item" style="--legend-color: ${QUARTER_COLORS[i % QUARTER_COLORS.length]}">
+                ${quarterLabel(h.quarter)} ${h.reportDateSource === 'inferred' ? '*' : ''}
+            </span>
+        `).join('');
+    }
+
+    function renderHistoryTable(history) {
+        const body = document.getElementById('history-body');
+        if (history.length === 0) {
+            body.innerHTML = '<tr><td colspan="10" class="empty-row">ไม่มีข้อมูล</td></tr>';
+            return;
+        }
+
+        body.innerHTML = history.map(h => {
+            const r = h.reaction || {};
+            const report = h.reportDate
+                ? `${h.reportDate}${h.reportDateSource === 'inferred' ? ' *' : ''}`
+                : '-';
+            return `
+                <tr>
+                    <td>${quarterLabel(h.quarter)}</td>
+                    <td title="${h.reportDateSource === 'inferred' ? 'ประมาณจากปริมาณการซื้อขาย' : h.timing}">${report}</td>
+                    <td>${formatMoney(h.epsActual)}</td>
+                    <td>${formatMoney(h.epsEstimate)}</td>
+                    <td class="${toneClass(h.epsSurprisePercent)}">${formatPercent(h.epsSurprisePercent)}</td>
+                    <td class="${toneClass(h.revenueSurprisePercent)}">${formatPercent(h.revenueSurprisePercent)}</td>
+                    <td class="${toneClass(r.gapPercent)}">${formatPercent(r.gapPercent)}</td>
+                    <td class="${toneClass(r.day1)}">${formatPercent(r.day1)}</td>
+                    <td class="${toneClass(r.day5)}">${formatPercent(r.day5)}</td>
+                    <td class="${toneClass(r.day20)}">${formatPercent(r.day20)}</td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    function renderRevisions(revisions) {
+        const body = document.getElementById('revisions-body');
+        if (!revisions || revisions.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" class="empty-row">ไม่มีข้อมูล</td></tr>';
+            return;
+        }
+
+        const arrows = { up: '▲', down: '▼', flat: '•' };
+        body.innerHTML = revisions.map(r => `
+            <tr>
+                <td>${PERIOD_LABELS[r.period] || r.period}${r.endDate ? ` <span class="muted">${r.endDate}</span>` : ''}</td>
+                <td class="trend-${r.direction}">${arrows[r.direction]} ${formatMoney(r.epsEstimate)}</td>
+                <td class="${toneClass(r.change7)}">${formatPercent(r.change7)}</td>
+                <td class="${toneClass(r.change30)}">${formatPercent(r.change30)}</td>
+                <td class="${toneClass(r.change90)}">${formatPercent(r.change90)}</td>
+                <td>${r.revisions ? `<span class="positive">${r.revisions.up30}</span> / <span class="negative">${r.revisions.down30}</span>` : '-'}</td>
+            </tr>
+        `).join('');
+    }
+
     // ===================================
     // Helper Functions
     // ===================================
+    function addSvg(parent, tag, attrs, text) {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+        if (text !== undefined) el.textContent = text;
+        parent.appendChild(el);
+        return el;
+    }
+
+    function quarterLabel(date) {
+        const d = new Date(date);
+        return `Q${Math.floor(d.getUTCMonth() / 3) + 1} ${d.getUTCFullYear()}`;
+    }
+
+    function formatPercent(value) {
+        if (value === null || value === undefined) return '-';
+        return `${value > 0 ? '+' : ''}${value.toFixed(2)}%`;
+    }
+
+    function formatMoney(value) {
+        return value === null || value === undefined ? '-' : `$${value.toFixed(2)}`;
+    }
+
+    function toneClass(value) {
+        if (value === null || value === undefined || value === 0) return '';
+        return value > 0 ? 'positive' : 'negative';
+    }
+
     function showLoading() {
         earningsGrid.innerHTML = `
             <div class="loading-state">
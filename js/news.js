@@ -14,8 +14,16 @@
     // ===================================
     // State
     // ===================================
-    let currentSymbol = 'AAPL';
+    const PAGE_SIZE = 20;
+    const TIME_RANGES = { '24h': 24, '3d': 72, '7d': 168 }; // hours
+
+    let currentSymbol = ''; // '' = market-wide
+    let currentSource = '';
+    let currentRange = '';
+    let currentView = 'articles';
+    let currentPage = 1;
     let newsData = [];
+    let storyData = [];
 
     // ===================================
     // DOM Elements
@@ -29,31 +37,28 @@
     const negativeCount = document.getElementById('negative-count');
     const customSymbolInput = document.getElementById('custom-symbol');
     const searchBtn = document.getElementById('search-btn');
+    const sourceFilter = document.getElementById('source-filter');
+    const timeFilter = document.getElementById('time-filter');
+    const pagination = document.getElementById('news-pagination');
+    const aiSummaryBtn = document.getElementById('ai-summary-btn');
 
     // ===================================
     // Initialize
     // ===================================
     function init() {
         // Event listeners
-        refreshBtn.addEventListener('click', () => loadNews(currentSymbol));
+        refreshBtn.addEventListener('click', () => loadNews({ refresh: true }));
 
-        // Stock chips
+        // Stock chips ("ทั้งหมด" carries an empty symbol)
         document.querySelectorAll('.stock-chip').forEach(chip => {
-            chip.addEventListener('click', () => {
-                document.querySelectorAll('.stock-chip').forEach(c => c.classList.remove('active'));
-                chip.classList.add('active');
-                currentSymbol = chip.dataset.symbol;
-                loadNews(currentSymbol);
-            });
+            chip.addEventListener('click', () => selectSymbol(chip.dataset.symbol));
         });
 
         // Custom search
         searchBtn.addEventListener('click', () => {
             const symbol = customSymbolInput.value.trim().toUpperCase();
             if (symbol) {
-                document.querySelectorAll('.stock-chip').forEach(c => c.classList.remove('active'));
-                currentSymbol = symbol;
-                loadNews(currentSymbol);
+                selectSymbol(symbol);
             }
         });
 
@@ -63,6 +68,42 @@
             }
         });
 
+        // Filters
+        sourceFilter.addEventListener('change', () => {
+            currentSource = sourceFilter.value;
+            currentPage = 1;
+            loadNews();
+        });
+
+        timeFilter.addEventListener('change', () => {
+            currentRange = timeFilter.value;
+            currentPage = 1;
+            loadNews();
+        });
+
+        document.querySelectorAll('.view-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                document.querySelectorAll('.view-btn').forEach(b => b.classList.toggle('active', b === btn));
+                currentView = btn.dataset.view;
+                currentPage = 1;
+                loadNews();
+            });
+        });
+
+        pagination.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-page]');
+            if (!btn || btn.disabled) return;
+            currentPage = Number(btn.dataset.page);
+            loadNews();
+            newsGrid.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        });
+
+        // Ticker tags filter the feed to that symbol
+        newsGrid.addEventListener('click', (e) => {
+            const tag = e.target.closest('.ticker-tag');
+            if (tag) selectSymbol(tag.dataset.symbol);
+        });
+
         // Mobile menu
         const mobileMenuBtn = document.getElementById('mobile-menu-btn');
         const navTabs = document.getElementById('nav-tabs');
@@ -73,7 +114,6 @@
         }
 
         // AI Summary button
-        const aiSummaryBtn = document.getElementById('ai-summary-btn');
         const closeSummaryBtn = document.getElementById('close-summary-btn');
         const aiSummarySection = document.getElementById('ai-summary-section');
 
@@ -85,10 +125,17 @@
             closeSummaryBtn.addEventListener('click', () => {
                 aiSummarySection.style.display = 'none';
             });
+
+            // Ticker entities filter the feed like ticker tags
+            aiSummarySection.addEventListener('click', (e) => {
+                const tag = e.target.closest('.ticker-tag');
+                if (tag) selectSymbol(tag.dataset.symbol);
+            });
         }
 
         // Load initial data
-        loadNews(currentSymbol);
+        loadSources();
+        loadNews();
 
         console.log('📰 News Feed initialized');
     }
@@ -99,7 +146,6 @@
     async function loadAISummary() {
         const aiSummarySection = document.getElementById('ai-summary-section');
         const summaryContent = document.getElementById('summary-content');
-        const aiSummaryBtn = document.getElementById('ai-summary-btn');
 
         // Show loading
         aiSummarySection.style.display = 'block';
@@ -148,51 +194,122 @@
 
         summaryContent.innerHTML = `
             <div class="ai-summary">
-                ${data.points?.map((point, index) => `
+                ${data.points?.length ? data.points.map((point, index) => `
                     <div class="summary-point">
                         <span class="point-icon">${index + 1}️⃣</span>
-                        <span class="point-text">${point}</span>
+                        <span class="point-text">
+                            ${escapeHtml(point.text)}
+                            <a class="point-source" href="${escapeHtml(point.link)}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(point.title)}">— ${escapeHtml(point.publisher || 'ที่มา')}</a>
+                        </span>
                     </div>
-                `).join('') || '<p>ไม่มีข้อมูลสรุป</p>'}
+                `).join('') : '<p>ไม่มีข้อมูลสรุป</p>'}
             </div>
+            ${data.facts?.length ? `
+                <div class="summary-facts">
+                    ${data.facts.map(fact => `
+                        <a class="summary-fact" href="${escapeHtml(fact.link)}" target="_blank" rel="noopener noreferrer" title="${escapeHtml(fact.text)}">
+                            <span class="fact-label">${escapeHtml(fact.label)}</span>
+                            <span class="fact-value">${escapeHtml(fact.value)}</span>
+                        </a>
+                    `).join('')}
+                </div>
+            ` : ''}
+            ${data.entities?.length ? `
+                <div class="summary-entities">
+                    ${data.entities.map(entity => entity.kind === 'ticker'
+                        ? `<button class="ticker-tag" data-symbol="${escapeHtml(entity.name)}">${escapeHtml(entity.name)}</button>`
+                        : `<span class="entity-tag">${escapeHtml(entity.name)}</span>`).join('')}
+                </div>
+            ` : ''}
             <div class="summary-sentiment">
                 <span class="sentiment-indicator">${sentimentIcon}</span>
                 <div class="sentiment-info">
-                    <span class="sentiment-label">Overall Sentiment</span>
-                    <span class="sentiment-value ${sentimentClass}">${sentimentLabel}</span>
+                    <span class="sentiment-label">Overall Sentiment · สรุปจาก ${data.newsCount || 0} ข่าว (อ่านเนื้อหาเต็ม ${data.articlesFetched || 0})</span>
+                    <span class="sentiment-value ${sentimentClass}">${sentimentLabel}${typeof data.confidence === 'number' ? ` · ${Math.round(data.confidence * 100)}%` : ''}</span>
                 </div>
             </div>
         `;
     }
 
+    // ===================================
+    // Filters
+    // ===================================
+    function selectSymbol(symbol) {
+        currentSymbol = symbol;
+        currentPage = 1;
+        document.querySelectorAll('.stock-chip').forEach(c => c.classList.toggle('active', c.dataset.symbol === symbol));
+        if (symbol && !document.querySelector(`.stock-chip[data-symbol="${symbol}"]`)) {
+            customSymbolInput.value = symbol;
+        }
+
+        // The AI summary works per symbol
+        aiSummaryBtn.disabled = !symbol;
+        aiSummaryBtn.title = symbol ? '' : 'เลือกหุ้นก่อนเพื่อสรุปข่าว';
+        if (!symbol) document.getElementById('ai-summary-section').style.display = 'none';
+
+        loadNews();
+    }
+
+    async function loadSources() {
+        try {
+            const response = await fetch(`${API_BASE}/api/news/sources`);
+            if (!response.ok) throw new Error('Failed to fetch news sources');
+
+            const { sources } = await response.json();
+            sourceFilter.innerHTML = '<option value="">ทุกแหล่งข่าว</option>' + sources.map(source => `
+                <option value="${escapeHtml(source.id)}">${escapeHtml(source.name)}${source.error ? ' ⚠️' : ''}</option>
+            `).join('');
+            sourceFilter.value = currentSource;
+        } catch (error) {
+            console.error('Error loading news sources:', error);
+        }
+    }
+
+    function newsQuery({ refresh = false } = {}) {
+        const params = new URLSearchParams({ page: currentPage, limit: PAGE_SIZE });
+        if (currentView === 'stories') params.set('group', 'stories');
+        if (currentSource) params.set('source', currentSource);
+        if (currentRange) params.set('since', Date.now() - TIME_RANGES[currentRange] * 60 * 60 * 1000);
+        if (refresh) params.set('refresh', '1');
+        return params;
+    }
+
     // ===================================
     // Load News
     // ===================================
-    async function loadNews(symbol) {
+    async function loadNews(options) {
         showLoading();
-        newsTitle.textContent = `📋 ข่าว ${symbol}`;
+        newsTitle.textContent = currentSymbol ? `📋 ข่าว ${currentSymbol}` : '📋 ข่าวตลาดทั้งหมด';
 
         try {
-            const response = await fetch(`${API_BASE}/api/news/${symbol}`);
+            const path = currentSymbol ? `/api/news/${encodeURIComponent(currentSymbol)}` : '/api/news';
+            const response = await fetch(`${API_BASE}${path}?${newsQuery(options)}`);
 
             if (!response.ok) {
                 throw new Error('Failed to fetch news');
             }
 
             const data = await response.json();
-            newsData = data.news || [];
+            storyData = data.stories || [];
+            newsData = data.stories ? storyData.flatMap(story => story.articles) : (data.news || []);
 
             // Update sentiment counts
             updateSentimentCounts();
 
             // Update last update time
-            lastUpdate.textContent = `อัปเดต: ${new Date().toLocaleTimeString('th-TH')}`;
+            lastUpdate.textContent = `อัปเดต: ${new Date(data.updatedAt || Date.now()).toLocaleTimeString('th-TH')}`;
+
+            if (currentView === 'stories') renderStories();
+            else renderNews();
+            renderPagination(data);
 
-            renderNews();
+            // A refresh may have changed feed status
+            if (options?.refresh) loadSources();
 
         } catch (error) {
             console.error('Error loading news:', error);
             showError('ไม่สามารถโหลดข่าวได้');
+            pagination.innerHTML = '';
         }
     }
 
@@ -212,14 +329,30 @@
     // ===================================
     // Render News
     // ===================================
+    function renderEmpty() {
+        newsGrid.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">📭</div>
+                <p>ไม่พบข่าว${currentSymbol ? `สำหรับ ${escapeHtml(currentSymbol)}` : ''}${currentSource || currentRange ? ' ตามตัวกรองที่เลือก' : ''}</p>
+            </div>
+        `;
+    }
+
+    function tickerTags(tickers) {
+        return (tickers || []).map(ticker => `
+            <button class="ticker-tag${ticker === currentSymbol ? ' active' : ''}" data-symbol="${escapeHtml(ticker)}">${escapeHtml(ticker)}</button>
+        `).join('');
+    }
+
+    function sourceBadge(sources) {
+        if (!sources || sources.length < 2) return '';
+        const names = sources.map(s => s.publisher || s.source);
+        return `<span class="source-count" title="${escapeHtml(names.join(', '))}">📡 ${sources.length} แหล่ง</span>`;
+    }
+
     function renderNews() {
         if (newsData.length === 0) {
-            newsGrid.innerHTML = `
-                <div class="empty-state">
-                    <div class="empty-state-icon">📭</div>
-                    <p>ไม่พบข่าวสำหรับ ${currentSymbol}</p>
-                </div>
-            `;
+            renderEmpty();
             return;
         }
 
@@ -231,18 +364,20 @@
                 <div class="news-card">
                     <div class="news-thumbnail">
                         ${news.thumbnail
-                    ? `<img src="${news.thumbnail}" alt="" loading="lazy" onerror="this.parentElement.innerHTML='<div class=\\'news-thumbnail-placeholder\\'>📰</div>'">`
+                    ? `<img src="${escapeHtml(news.thumbnail)}" alt="" loading="lazy" onerror="this.parentElement.innerHTML='<div class=\\'news-thumbnail-placeholder\\'>📰</div>'">`
                     : '<div class="news-thumbnail-placeholder">📰</div>'
                 }
                     </div>
                     <div class="news-content">
                         <h3 class="news-title">
-                            <a href="${news.link}" target="_blank" rel="noopener noreferrer">${news.title}</a>
+                            <a href="${escapeHtml(news.link)}" target="_blank" rel="noopener noreferrer">${escapeHtml(news.title)}</a>
                         </h3>
+                        <div class="ticker-tags">${tickerTags(news.tickers)}</div>
                         <div class="news-meta">
-                            <span class="news-publisher">${news.publisher || 'Unknown'}</span>
+                            <span class="news-publisher">${escapeHtml(news.publisher || 'Unknown')}</span>
+                            ${sourceBadge(news.sources)}
                             <span class="news-time">🕐 ${timeAgo}</span>
-                            <span class="sentiment-badge ${news.sentiment}">
+                            <span class="sentiment-badge ${news.sentiment}" title="${sentimentTitle(news)}">
                                 ${sentimentLabel}
                             </span>
                         </div>
@@ -252,6 +387,51 @@
         }).join('');
     }
 
+    function renderStories() {
+        if (storyData.length === 0) {
+            renderEmpty();
+            return;
+        }
+
+        newsGrid.innerHTML = storyData.map(story => `
+            <div class="story-card">
+                <div class="story-header">
+                    <h3 class="news-title">${escapeHtml(story.headline)}</h3>
+                    <div class="ticker-tags">${tickerTags(story.tickers)}</div>
+                    <div class="news-meta">
+                        <span class="news-publisher">${escapeHtml(story.sources.join(' · '))}</span>
+                        <span class="news-time">🕐 ${getTimeAgo(story.lastPublishedAt)}</span>
+                        <span class="story-count">📰 ${story.articleCount} ข่าว</span>
+                    </div>
+                </div>
+                <ul class="story-articles">
+                    ${story.articles.map(news => `
+                        <li>
+                            <a href="${escapeHtml(news.link)}" target="_blank" rel="noopener noreferrer">${escapeHtml(news.title)}</a>
+                            <span class="story-article-meta">
+                                ${escapeHtml(news.publisher || news.source)} · ${getTimeAgo(news.publishedAt)}
+                                ${sourceBadge(news.sources)}
+                                <span class="sentiment-badge ${news.sentiment}" title="${sentimentTitle(news)}">${getSentimentLabel(news.sentiment)}</span>
+                            </span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </div>
+        `).join('');
+    }
+
+    function renderPagination({ page, pages, total }) {
+        if (!pages || pages <= 1) {
+            pagination.innerHTML = total ? `<span class="page-info">ทั้งหมด ${total} รายการ</span>` : '';
+            return;
+        }
+        pagination.innerHTML = `
+            <button class="page-btn" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>‹ ก่อนหน้า</button>
+            <span class="page-info">หน้า ${page} / ${pages} · ${total} รายการ</span>
+            <button class="page-btn" data-page="${page + 1}" ${page >= pages ? 'disabled' : ''}>ถัดไป ›</button>
+        `;
+    }
+
     // ===================================
     // Helper Functions
     // ===================================
@@ -259,7 +439,8 @@
         if (!timestamp) return 'Unknown';
 
         const now = new Date();
-        const date = new Date(timestamp * 1000);
+        // ISO strings from the API; older payloads sent epoch seconds
+        const date = typeof timestamp === 'number' ? new Date(timestamp * 1000) : new Date(timestamp);
         const diffMs = now - date;
         const diffMins = Math.floor(diffMs / 60000);
         const diffHours = Math.floor(diffMins / 60);
@@ -273,6 +454,19 @@
         return date.toLocaleDateString('th-TH');
     }
 
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function sentimentTitle(news) {
+        if (typeof news.sentimentScore !== 'number') return '';
+        return `คะแนน ${news.sentimentScore > 0 ? '+' : ''}${news.sentimentScore.toFixed(2)} · ความมั่นใจ ${Math.round(news.sentimentConfidence * 100)}%`;
+    }
+
     function getSentimentLabel(sentiment) {
         switch (sentiment) {
             case 'positive': return '📈 บวก';
@@ -0,0 +1,320 @@
+/**
+ * Options Analytics
+ * Greeks chain, IV smile / term structure and open interest from /api/options/:symbol/*
+ */
+
+const API_BASE = window.location.hostname === 'localhost'
+    ? 'http://localhost:3001'
+    : `http://${window.location.hostname}:3001`;
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_PADDING = { top: 16, right: 16, bottom: 28, left: 48 };
+
+// State
+let analytics = null;
+let currentSymbol = null;
+
+// Initialize
+document.addEventListener('DOMContentLoaded', () => {
+    console.log('🎯 Options Analytics initialized');
+
+    document.getElementById('load-btn')?.addEventListener('click', () => loadSymbol());
+    document.getElementById('symbol-input')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') loadSymbol();
+    });
+    document.getElementById('expiration-select')?.addEventListener('change', (e) => loadExpiration(e.target.value));
+
+    // Mobile menu
+    document.getElementById('mobile-menu-btn')?.addEventListener('click', () => {
+        document.getElementById('nav-tabs')?.classList.toggle('open');
+    });
+
+    const fromUrl = new URLSearchParams(window.location.search).get('symbol');
+    if (fromUrl) document.getElementById('symbol-input').value = fromUrl;
+    loadSymbol();
+});
+
+// Load analytics for the symbol in the input
+async function loadSymbol() {
+    const symbol = document.getElementById('symbol-input').value.trim().toUpperCase();
+    if (!symbol) return;
+    currentSymbol = symbol;
+
+    document.getElementById('chain-body').innerHTML =
+        '<tr><td colspan="13" class="empty-row">กำลังโหลด Options chain...</td></tr>';
+
+    try {
+        const response = await fetch(`${API_BASE}/api/options/${symbol}/analytics`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+        analytics = data;
+
+        renderStats(data);
+        renderTermStructure(data.surface.termStructure);
+
+        const select = document.getElementById('expiration-select');
+        select.innerHTML = data.expirations
+            .map(e => `<option value="${e.expirationDate}">${e.expirationDate} (${Math.round(e.daysToExpiry)}d)</option>`)
+            .join('');
+
+        if (data.expirations.length) await loadExpiration(data.expirations[0].expirationDate);
+        updateLastUpdate();
+
+    } catch (error) {
+        console.error('Error loading options analytics:', error);
+        analytics = null;
+        document.getElementById('stats-grid').innerHTML = '';
+        ['smile-chart', 'term-chart', 'oi-chart'].forEach(id => { document.getElementById(id).innerHTML = ''; });
+        document.getElementById('chain-body').innerHTML =
+            `<tr><td colspan="13" class="empty-row">⚠️ ${error.message || 'ไม่สามารถโหลดข้อมูล Options ได้'}</td></tr>`;
+    }
+}
+
+// Smile, open interest and Greeks for one expiration
+async function loadExpiration(date) {
+    if (!analytics) return;
+
+    const smile = analytics.surface.smiles.find(s => s.expirationDate === date);
+    renderSmile(smile);
+
+    try {
+        const response = await fetch(`${API_BASE}/api/options/${currentSymbol}/chain?expiration=${date}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error);
+
+        const expiration = data.expirations[0];
+        const summary = analytics.expirations.find(e => e.expirationDate === date);
+        document.getElementById('chain-expiry').textContent = `(${date})`;
+        renderOpenInterest(expiration, summary, data.underlyingPrice);
+        renderChain(expiration, data.underlyingPrice);
+
+    } catch (error) {
+        console.error('Error loading chain:', error);
+        document.getElementById('chain-body').innerHTML =
+            `<tr><td colspan="13" class="empty-row">⚠️ ${error.message}</td></tr>`;
+    }
+}
+
+// ===================================
+// Summary
+// ===================================
+function renderStats(data) {
+    const nearest = data.expirations[0] || {};
+    const move = nearest.expectedMove;
+    const earningsMove = data.earnings?.expectedMove;
+    const totalCallOI = data.expirations.reduce((sum, e) => sum + e.callOpenInterest, 0);
+    const totalPutOI = data.expirations.reduce((sum, e) => sum + e.putOpenInterest, 0);
+
+    const cards = [
+        { label: 'ราคาปัจจุบัน', value: `$${data.underlyingPrice.toFixed(2)}`, sub: data.symbol },
+        { label: `Max Pain (${nearest.expirationDate || '-'})`, value: nearest.maxPain ? `$${nearest.maxPain.strike}` : '-', sub: '' },
+        {
+            label: 'Expected Move (ใกล้สุด)',
+            value: move ? `±${move.movePercent.toFixed(2)}%` : '-',
+            sub: move ? `$${move.low} – $${move.high}` : ''
+        },
+        {
+            label: `Earnings Move${data.earnings ? ` (${data.earnings.date})` : ''}`,
+            value: earningsMove ? `±${earningsMove.movePercent.toFixed(2)}%` : '-',
+            sub: earningsMove ? `Straddle $${earningsMove.straddle} · ${earningsMove.expirationDate}` : ''
+        },
+        { label: 'Put/Call OI', value: totalCallOI ? (totalPutOI / totalCallOI).toFixed(2) : '-', sub: `${formatNumber(totalPutOI)} / ${formatNumber(totalCallOI)}` },
+        {
+            label: 'OI Walls',
+            value: `${data.walls.support[0] ? `$${data.walls.support[0].strike}` : '-'} / ${data.walls.resistance[0] ? `$${data.walls.resistance[0].strike}` : '-'}`,
+            sub: 'แนวรับ (Put) / แนวต้าน (Call)'
+        }
+    ];
+
+    document.getElementById('stats-grid').innerHTML = cards.map(card => `
+        <div class="stat-card">
+            <span class="stat-label">${card.label}</span>
+            <span class="stat-value">${card.value}</span>
+            <span class="stat-sub">${card.sub}</span>
+        </div>
+    `).join('');
+}
+
+// ===================================
+// SVG Charts
+// ===================================
+
+// Empty <svg> sized to its container plus x / y scale helpers
+function createPlot(containerId, xDomain, yDomain) {
+    const container = document.getElementById(containerId);
+    container.innerHTML = '';
+    const width = container.clientWidth || 400;
+    const height = container.clientHeight || 260;
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    container.appendChild(svg);
+
+    const [x0, x1] = xDomain;
+    const [y0, y1] = yDomain;
+    const x = v => CHART_PADDING.left + (v - x0) / ((x1 - x0) || 1) * (width - CHART_PADDING.left - CHART_PADDING.right);
+    const y = v => height - CHART_PADDING.bottom - (v - y0) / ((y1 - y0) || 1) * (height - CHART_PADDING.top - CHART_PADDING.bottom);
+
+    return { svg, x, y, width, height };
+}
+
+function addElement(svg, tag, attrs, text) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    if (text !== undefined) el.textContent = text;
+    svg.appendChild(el);
+    return el;
+}
+
+// Horizontal grid lines with y-axis labels, x-axis labels for the given ticks
+function addAxes(plot, yTicks, xTicks, formatY, formatX) {
+    yTicks.forEach(v => {
+        addElement(plot.svg, 'line', { x1: CHART_PADDING.left, x2: plot.width - CHART_PADDING.right, y1: plot.y(v), y2: plot.y(v), class: 'grid-line' });
+        addElement(plot.svg, 'text', { x: CHART_PADDING.left - 6, y: plot.y(v) + 4, 'text-anchor': 'end', class: 'axis-label' }, formatY(v));
+    });
+    xTicks.forEach(v => {
+        addElement(plot.svg, 'text', { x: plot.x(v), y: plot.height - 8, 'text-anchor': 'middle', class: 'axis-label' }, formatX(v));
+    });
+}
+
+function ticks(min, max, count = 4) {
+    return Array.from({ length: count + 1 }, (_, i) => min + (max - min) * i / count);
+}
+
+function addLine(plot, points, color, dashed = false) {
+    if (points.length === 0) return;
+    const d = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${plot.x(p[0]).toFixed(1)},${plot.y(p[1]).toFixed(1)}`).join(' ');
+    addElement(plot.svg, 'path', { d, fill: 'none', stroke: color, 'stroke-width': 2, 'stroke-dasharray': dashed ? '4 4' : 'none' });
+    points.forEach(p => addElement(plot.svg, 'circle', { cx: plot.x(p[0]), cy: plot.y(p[1]), r: 2.5, fill: color }));
+}
+
+function addMarker(plot, value, color, label) {
+    const x = plot.x(value);
+    addElement(plot.svg, 'line', { x1: x, x2: x, y1: CHART_PADDING.top, y2: plot.height - CHART_PADDING.bottom, stroke: color, 'stroke-dasharray': '3 3' });
+    addElement(plot.svg, 'text', { x: x + 4, y: CHART_PADDING.top + 10, fill: color, class: 'axis-label' }, label);
+}
+
+function emptyChart(containerId, message) {
+    document.getElementById(containerId).innerHTML = `<div class="empty-state"><p>${message}</p></div>`;
+}
+
+// IV by strike for calls and puts
+function renderSmile(smile) {
+    const points = smile?.points || [];
+    const calls = points.filter(p => p.callIV !== null).map(p => [p.strike, p.callIV * 100]);
+    const puts = points.filter(p => p.putIV !== null).map(p => [p.strike, p.putIV * 100]);
+    if (calls.length + puts.length === 0) return emptyChart('smile-chart', 'ไม่มีข้อมูล IV');
+
+    const strikes = points.map(p => p.strike);
+    const ivs = [...calls, ...puts].map(p => p[1]);
+    const yMin = Math.floor(Math.min(...ivs) - 2);
+    const yMax = Math.ceil(Math.max(...ivs) + 2);
+    const plot = createPlot('smile-chart', [Math.min(...strikes), Math.max(...strikes)], [yMin, yMax]);
+
+    addAxes(plot, ticks(yMin, yMax), ticks(Math.min(...strikes), Math.max(...strikes)), v => `${v.toFixed(0)}%`, v => v.toFixed(0));
+    addLine(plot, calls, '#22c55e');
+    addLine(plot, puts, '#ef4444');
+    if (analytics) addMarker(plot, analytics.underlyingPrice, '#6366f1', `$${analytics.underlyingPrice.toFixed(2)}`);
+}
+
+// ATM IV across expirations
+function renderTermStructure(term) {
+    if (!term.length) return emptyChart('term-chart', 'ไม่มีข้อมูล IV');
+
+    const days = term.map(t => t.daysToExpiry);
+    const ivs = term.map(t => t.atmIV * 100);
+    const yMin = Math.floor(Math.min(...ivs) - 2);
+    const yMax = Math.ceil(Math.max(...ivs) + 2);
+    const plot = createPlot('term-chart', [0, Math.max(...days)], [yMin, yMax]);
+
+    addAxes(plot, ticks(yMin, yMax), ticks(0, Math.max(...days)), v => `${v.toFixed(0)}%`, v => `${v.toFixed(0)}d`);
+    addLine(plot, term.map(t => [t.daysToExpiry, t.atmIV * 100]), '#6366f1');
+}
+
+// Call / put open interest per strike with max pain and spot markers
+function renderOpenInterest(expiration, summary, spot) {
+    const strikes = [...new Set([...expiration.calls, ...expiration.puts].map(c => c.strike))].sort((a, b) => a - b);
+    if (!strikes.length) return emptyChart('oi-chart', 'ไม่มีข้อมูล Open Interest');
+
+    const oiAt = (list, strike) => list.find(c => c.strike === strike)?.openInterest || 0;
+    const maxOI = Math.max(1, ...strikes.flatMap(s => [oiAt(expiration.calls, s), oiAt(expiration.puts, s)]));
+    const step = strikes.length > 1 ? Math.min(...strikes.slice(1).map((s, i) => s - strikes[i])) : 1;
+    const plot = createPlot('oi-chart', [strikes[0] - step, strikes[strikes.length - 1] + step], [0, maxOI]);
+    const barWidth = Math.max(2, (plot.x(strikes[0] + step) - plot.x(strikes[0])) * 0.35);
+
+    addAxes(plot, ticks(0, maxOI), strikes.filter((_, i) => i % Math.ceil(strikes.length / 10) === 0), formatNumber, v => v.toFixed(0));
+    strikes.forEach(strike => {
+        [[expiration.calls, '#22c55e', -1], [expiration.puts, '#ef4444', 0]].forEach(([list, color, offset]) => {
+            const oi = oiAt(list, strike);
+            if (!oi) return;
+            addElement(plot.svg, 'rect', {
+                x: plot.x(strike) + offset * barWidth,
+                y: plot.y(oi),
+                width: barWidth,
+                height: plot.y(0) - plot.y(oi),
+                fill: color,
+                opacity: 0.75
+            });
+        });
+    });
+
+    if (summary?.maxPain) addMarker(plot, summary.maxPain.strike, '#f59e0b', `Max Pain $${summary.maxPain.strike}`);
+    addMarker(plot, spot, '#6366f1', `$${spot.toFixed(2)}`);
+}
+
+// ===================================
+// Chain Table
+// ===================================
+function renderChain(expiration, spot) {
+    const strikes = [...new Set([...expiration.calls, ...expiration.puts].map(c => c.strike))].sort((a, b) => a - b);
+    const tbody = document.getElementById('chain-body');
+    if (!strikes.length) {
+        tbody.innerHTML = '<tr><td colspan="13" class="empty-row">ไม่มีสัญญาในวันหมดอายุนี้</td></tr>';
+        return;
+    }
+
+    const atm = strikes.reduce((best, s) => Math.abs(s - spot) < Math.abs(best - spot) ? s : best, strikes[0]);
+    const side = (contract, reverse) => {
+        const cells = contract
+            ? [
+                formatNumber(contract.openInterest),
+                formatPercent(contract.impliedVolatility),
+                formatGreek(contract.vega),
+                formatGreek(contract.theta),
+                formatGreek(contract.gamma, 4),
+                formatGreek(contract.delta, 2)
+            ]
+            : Array(6).fill('-');
+        const itm = contract?.inTheMoney ? ' class="itm"' : '';
+        return (reverse ? [...cells].reverse() : cells).map(v => `<td${itm}>${v}</td>`).join('');
+    };
+
+    tbody.innerHTML = strikes.map(strike => `
+        <tr class="${strike === atm ? 'atm' : ''}">
+            ${side(expiration.calls.find(c => c.strike === strike), false)}
+            <td class="strike-col">${strike}</td>
+            ${side(expiration.puts.find(p => p.strike === strike), true)}
+        </tr>
+    `).join('');
+}
+
+function formatGreek(value, digits = 3) {
+    return value === null || value === undefined ? '-' : value.toFixed(digits);
+}
+
+function formatPercent(value) {
+    return value === null || value === undefined ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatNumber(value) {
+    if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+    if (value >= 1e3) return `${(value / 1e3).toFixed(1)}K`;
+    return Math.round(value).toString();
+}
+
+// Update last update time
+function updateLastUpdate() {
+    const now = new Date();
+    const timeStr = now.toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' });
+    document.getElementById('last-update').textContent = `อัปเดต: ${timeStr}`;
+}
@@ -1,5 +1,5 @@
 // Stockify Pro AI - Real-time Dashboard JavaScript
-// PWA + Simulated Real-time Data
+// PWA + live data from /api/dashboard and the /ws quote stream
 
 (function () {
     'use strict';
@@ -8,11 +8,11 @@
     // Configuration
     // ===================================
     const CONFIG = {
-        UPDATE_INTERVAL: 3000, // 3 seconds for simulated data
         RECOMMENDATIONS_INTERVAL: 30000, // 30 seconds for recommendations
-        INDICES_INTERVAL: 10000, // 10 seconds for indices
-        TICKER_SPEED: 30, // seconds for full scroll
-        PRICE_VOLATILITY: 0.002, // 0.2% max change per update
+        DASHBOARD_INTERVAL: 60000, // REST refresh behind the /ws stream
+        STATUS_INTERVAL: 5000, // re-check widget freshness
+        // A widget with no real update for this long is marked stale
+        STALE_AFTER: { indices: 60000, vix: 60000, ticker: 60000, sectors: 60000, fearGreed: 180000 },
         API_BASE: window.location.hostname === 'localhost' ? 'http://localhost:3001' : '',
     };
 
@@ -20,29 +20,11 @@
     // Market Data Store
     // ===================================
     const marketData = {
-        indices: {
-            SPY: { name: 'S&P 500', price: 6051.09, change: 0.95, high: 6099.97, low: 6032.38, prevClose: 5994.10 },
-            QQQ: { name: 'Nasdaq 100', price: 21622.25, change: 1.24, high: 21780.00, low: 21489.12, prevClose: 21357.35 },
-            NKY: { name: 'Nikkei 225', price: 39470.44, change: 0.68, high: 39720.00, low: 39280.55, prevClose: 39203.25 },
-            STOXX: { name: 'Euro Stoxx 50', price: 4977.50, change: -0.32, high: 5012.40, low: 4958.20, prevClose: 4993.50 },
-            SET: { name: 'SET Index', price: 1432.18, change: 0.45, high: 1440.25, low: 1425.80, prevClose: 1425.74 },
-            CNA50: { name: 'China A50', price: 13458.30, change: -0.85, high: 13620.00, low: 13410.50, prevClose: 13573.80 }
-        },
-        vix: { value: 13.81, change: -2.45, prevClose: 14.16 },
-        fearGreed: { value: 72, label: 'Greed' },
-        sectors: {
-            XLK: { name: 'Technology', change: 2.15 },
-            XLF: { name: 'Financials', change: 1.42 },
-            XLV: { name: 'Healthcare', change: 0.85 },
-            XLI: { name: 'Industrials', change: 0.65 },
-            XLC: { name: 'Communication', change: 1.28 },
-            XLY: { name: 'Consumer Disc.', change: 0.72 },
-            XLP: { name: 'Consumer Staples', change: -0.12 },
-            XLE: { name: 'Energy', change: -0.58 },
-            XLU: { name: 'Utilities', change: -1.05 },
-            XLRE: { name: 'Real Estate', change: -0.78 },
-            XLB: { name: 'Materials', change: 0.15 }
-        }
+        quotes: {}, // symbol -> latest quote from /api/dashboard or /ws
+        indices: [], // index cards: { id, symbol, name }
+        ticker: [], // ticker tape: { symbol, code, name }
+        sectors: [], // sector tiles: { symbol, name }
+        fearGreed: { value: null, label: null }
     };
 
     // ===================================
@@ -52,14 +34,14 @@
         initServiceWorker();
         initConnectionStatus();
         initMobileMenu();
-        initTicker();
-        initRealTimeUpdates();
+        initWidgetStatus();
         initInteractions();
         initPWAInstall();
-        updateLastUpdateTime();
         checkMarketStatus();
         initStockPicks(); // AI Stock Recommendations
-        initLiveIndices(); // Live indices from API
+        initLiveDashboard(); // Indices, ticker, VIX and sectors from API + /ws
+        initBreadth(); // Market breadth vs S&P 500
+        initFearGreed(); // Fear & Greed composite from API
     });
 
     // ===================================
@@ -111,27 +93,18 @@
     // ===================================
     // Connection Status
     // ===================================
+    // Reflects the /ws quote stream; the browser's offline event overrides it
     function initConnectionStatus() {
-        const statusEl = document.getElementById('connection-status');
+        window.addEventListener('offline', () => setConnectionStatus(false, 'Offline - Showing Last Data'));
+    }
 
-        // Simulate connection
-        setTimeout(() => {
-            statusEl.classList.add('connected');
-            statusEl.querySelector('.status-text').textContent = 'Live Data';
-        }, 1500);
-
-        // Handle online/offline
-        window.addEventListener('online', () => {
-            statusEl.classList.remove('disconnected');
-            statusEl.classList.add('connected');
-            statusEl.querySelector('.status-text').textContent = 'Live Data';
-        });
+    function setConnectionStatus(connected, text) {
+        const statusEl = document.getElementById('connection-status');
+        if (!statusEl) return;
 
-        window.addEventListener('offline', () => {
-            statusEl.classList.remove('connected');
-            statusEl.classList.add('disconnected');
-            statusEl.querySelector('.status-text').textContent = 'Offline - Using Cached Data';
-        });
+        statusEl.classList.toggle('connected', connected);
+        statusEl.classList.toggle('disconnected', !connected);
+        statusEl.querySelector('.status-text').textContent = text || (connected ? 'Live Data' : 'Disconnected');
     }
 
     // ===================================
@@ -163,199 +136,94 @@
     // ===================================
     // Ticker Strip
     // ===================================
-    function initTicker() {
+    function renderTicker() {
         const tickerContent = document.getElementById('ticker-content');
         if (!tickerContent) return;
 
-        const tickerData = [
-            { symbol: 'SPY', name: 'S&P 500' },
-            { symbol: 'QQQ', name: 'Nasdaq' },
-            { symbol: 'DIA', name: 'Dow Jones', price: 43828.06, change: 0.72 },
-            { symbol: 'IWM', name: 'Russell 2000', price: 2368.45, change: 1.15 },
-            { symbol: 'GLD', name: 'Gold', price: 2657.30, change: 0.28 },
-            { symbol: 'USO', name: 'Crude Oil', price: 70.58, change: -1.23 },
-            { symbol: 'TLT', name: '20Y Treasury', price: 89.42, change: -0.45 },
-            { symbol: 'DXY', name: 'Dollar Index', price: 107.12, change: 0.18 },
-            { symbol: 'BTC', name: 'Bitcoin', price: 101842.50, change: 2.85 },
-            { symbol: 'ETH', name: 'Ethereum', price: 3892.25, change: 3.12 },
-        ];
-
-        function renderTicker() {
-            let html = '';
-            const items = [...tickerData, ...tickerData]; // Duplicate for seamless scroll
-
-            items.forEach(item => {
-                const data = marketData.indices[item.symbol] || item;
-                const price = data.price || item.price;
-                const change = data.change || item.change;
-                const isPositive = change >= 0;
-
-                html += `
-                    <div class="ticker-item">
-                        <span class="ticker-symbol">${item.symbol}</span>
-                        <span class="ticker-price">${formatNumber(price)}</span>
-                        <span class="ticker-change ${isPositive ? 'positive' : 'negative'}">
-                            ${isPositive ? '+' : ''}${change.toFixed(2)}%
-                        </span>
-                    </div>
-                `;
-            });
-
-            tickerContent.innerHTML = html;
-        }
-
-        renderTicker();
-
-        // Update ticker periodically
-        setInterval(renderTicker, CONFIG.UPDATE_INTERVAL);
+        const items = marketData.ticker.filter(item => marketData.quotes[item.symbol]);
+        // Duplicate for seamless scroll
+        tickerContent.innerHTML = [...items, ...items].map(item => {
+            const quote = marketData.quotes[item.symbol];
+            const isPositive = quote.changePercent >= 0;
+            return `
+                <div class="ticker-item" title="${item.name}">
+                    <span class="ticker-symbol">${item.code}</span>
+                    <span class="ticker-price">${formatNumber(quote.price)}</span>
+                    <span class="ticker-change ${isPositive ? 'positive' : 'negative'}">
+                        ${isPositive ? '+' : ''}${quote.changePercent.toFixed(2)}%
+                    </span>
+                </div>
+            `;
+        }).join('');
     }
 
     // ===================================
-    // Real-time Price Updates
+    // Widget Freshness
     // ===================================
-    function initRealTimeUpdates() {
+    // widget -> time its data was last fetched upstream
+    const widgetUpdated = {};
+
+    function initWidgetStatus() {
         setInterval(() => {
-            updatePrices();
-            updateVIX();
-            updateFearGreed();
-            updateLastUpdateTime();
-        }, CONFIG.UPDATE_INTERVAL);
+            Object.keys(CONFIG.STALE_AFTER).forEach(renderWidgetStatus);
+        }, CONFIG.STATUS_INTERVAL);
     }
 
-    function updatePrices() {
-        Object.keys(marketData.indices).forEach(symbol => {
-            const data = marketData.indices[symbol];
-
-            // Simulate price movement
-            const changePercent = (Math.random() - 0.5) * 2 * CONFIG.PRICE_VOLATILITY;
-            const priceChange = data.price * changePercent;
-
-            data.price = parseFloat((data.price + priceChange).toFixed(2));
-            data.change = parseFloat((((data.price - data.prevClose) / data.prevClose) * 100).toFixed(2));
-
-            // Update high/low
-            if (data.price > data.high) data.high = data.price;
-            if (data.price < data.low) data.low = data.price;
-
-            // Update DOM
-            updateIndexCard(symbol, data);
-        });
+    function markUpdated(widget, time = Date.now()) {
+        widgetUpdated[widget] = Math.max(widgetUpdated[widget] || 0, time);
+        renderWidgetStatus(widget);
+        updateLastUpdateTime();
     }
 
-    function updateIndexCard(symbol, data) {
-        const symbolLower = symbol.toLowerCase();
-        const priceEl = document.getElementById(`${symbolLower}-price`);
-        const changeEl = document.getElementById(`${symbolLower}-change`);
-        const highEl = document.getElementById(`${symbolLower}-high`);
-        const lowEl = document.getElementById(`${symbolLower}-low`);
-
-        if (priceEl) {
-            const oldPrice = parseFloat(priceEl.textContent.replace(/,/g, ''));
-            priceEl.textContent = formatNumber(data.price);
-
-            // Flash animation
-            if (data.price > oldPrice) {
-                priceEl.classList.remove('price-flash-negative');
-                priceEl.classList.add('price-flash-positive');
-            } else if (data.price < oldPrice) {
-                priceEl.classList.remove('price-flash-positive');
-                priceEl.classList.add('price-flash-negative');
-            }
-
-            setTimeout(() => {
-                priceEl.classList.remove('price-flash-positive', 'price-flash-negative');
-            }, 500);
-        }
-
-        if (changeEl) {
-            const isPositive = data.change >= 0;
-            changeEl.className = `price-change ${isPositive ? 'positive' : 'negative'}`;
-            changeEl.innerHTML = `
-                <span class="change-value">${isPositive ? '+' : ''}${data.change.toFixed(2)}%</span>
-                <span class="change-arrow">${isPositive ? '▲' : '▼'}</span>
-            `;
+    function renderWidgetStatus(widget) {
+        const updated = widgetUpdated[widget];
+        let state, text;
+        if (!updated) {
+            state = backendAvailable === false ? 'offline' : '';
+            text = backendAvailable === false ? 'ออฟไลน์ · ไม่มีข้อมูล' : 'กำลังโหลด...';
+        } else if (Date.now() - updated > CONFIG.STALE_AFTER[widget]) {
+            state = 'stale';
+            text = `ข้อมูลเก่า · ${formatTime(updated)}`;
+        } else {
+            state = 'live';
+            text = `อัปเดต ${formatTime(updated)}`;
         }
 
-        if (highEl) highEl.textContent = formatNumber(data.high);
-        if (lowEl) lowEl.textContent = formatNumber(data.low);
+        document.querySelectorAll(`[data-widget-status="${widget}"]`).forEach(el => {
+            el.classList.remove('live', 'stale', 'offline');
+            if (state) el.classList.add(state);
+            el.textContent = text;
+        });
     }
 
-    function updateVIX() {
-        const vix = marketData.vix;
-
-        // Simulate VIX movement
-        const vixChange = (Math.random() - 0.5) * 0.5;
-        vix.value = parseFloat(Math.max(10, Math.min(30, vix.value + vixChange)).toFixed(2));
-        vix.change = parseFloat((((vix.value - vix.prevClose) / vix.prevClose) * 100).toFixed(2));
-
-        // Update DOM
-        const vixValueEl = document.getElementById('vix-value');
-        const vixChangeEl = document.getElementById('vix-change');
-        const vixGaugeFill = document.getElementById('vix-gauge-fill');
-        const vixIndicator = document.getElementById('vix-indicator');
-
-        if (vixValueEl) vixValueEl.textContent = vix.value.toFixed(2);
-        if (vixChangeEl) {
-            const isDown = vix.change < 0;
-            vixChangeEl.className = `vix-change ${isDown ? 'positive' : 'negative'}`;
-            vixChangeEl.innerHTML = `<span>${vix.change >= 0 ? '+' : ''}${vix.change.toFixed(2)}%</span>`;
-        }
-
-        // Update gauge (0-50 scale)
-        const gaugePercent = Math.min(100, (vix.value / 50) * 100);
-        if (vixGaugeFill) vixGaugeFill.style.width = `${gaugePercent}%`;
-        if (vixIndicator) vixIndicator.style.left = `${gaugePercent}%`;
-
-        // Update status
-        const vixStatus = document.getElementById('vix-status');
-        if (vixStatus) {
-            let status, statusClass, note;
-            if (vix.value < 15) {
-                status = 'Extreme Greed';
-                statusClass = 'low';
-                note = 'ตลาดมีความมั่นใจสูง - ระวัง Complacency';
-            } else if (vix.value < 20) {
-                status = 'Low Fear';
-                statusClass = 'low';
-                note = 'ความผันผวนต่ำกว่าปกติ';
-            } else if (vix.value < 25) {
-                status = 'Moderate';
-                statusClass = 'medium';
-                note = 'ความผันผวนปกติ';
-            } else {
-                status = 'High Fear';
-                statusClass = 'high';
-                note = 'ตลาดมีความกังวลสูง';
-            }
+    function formatTime(time) {
+        return new Date(time).toLocaleTimeString('th-TH', {
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    }
 
-            vixStatus.innerHTML = `
-                <span class="status-badge ${statusClass}">${status}</span>
-                <span class="status-note">${note}</span>
-            `;
+    // Header clock shows the newest real update across the widgets
+    function updateLastUpdateTime() {
+        const el = document.getElementById('last-update-time');
+        const latest = Math.max(0, ...Object.values(widgetUpdated));
+        if (el && latest) el.textContent = formatTime(latest);
+    }
 
-            // Update VIX value color
-            if (vixValueEl) {
-                vixValueEl.style.color = vix.value < 20 ? 'var(--positive)' :
-                    vix.value < 25 ? 'var(--warning)' : 'var(--negative)';
-            }
-        }
+    // ===================================
+    // Fear & Greed Gauge
+    // ===================================
+    function fearGreedColor(value) {
+        if (value < 25) return 'var(--negative)';
+        if (value < 45) return '#f97316';
+        if (value < 55) return 'var(--warning)';
+        if (value < 75) return '#84cc16';
+        return 'var(--positive)';
     }
 
-    function updateFearGreed() {
+    function renderFearGreed() {
         const fg = marketData.fearGreed;
-
-        // Simulate small changes
-        const fgChange = (Math.random() - 0.5) * 3;
-        fg.value = Math.max(0, Math.min(100, Math.round(fg.value + fgChange)));
-
-        // Update label
-        if (fg.value < 25) fg.label = 'Extreme Fear';
-        else if (fg.value < 45) fg.label = 'Fear';
-        else if (fg.value < 55) fg.label = 'Neutral';
-        else if (fg.value < 75) fg.label = 'Greed';
-        else fg.label = 'Extreme Greed';
-
-        // Update DOM
         const fgValueEl = document.getElementById('fg-value');
         const fgLabelEl = document.getElementById('fg-label');
         const fgNeedle = document.getElementById('fg-needle');
@@ -365,13 +233,7 @@
             fgLabelEl.textContent = fg.label;
 
             // Update color
-            let color;
-            if (fg.value < 25) color = 'var(--negative)';
-            else if (fg.value < 45) color = '#f97316';
-            else if (fg.value < 55) color = 'var(--warning)';
-            else if (fg.value < 75) color = '#84cc16';
-            else color = 'var(--positive)';
-
+            const color = fearGreedColor(fg.value);
             fgValueEl.style.color = color;
             fgLabelEl.style.color = color;
         }
@@ -383,18 +245,6 @@
         }
     }
 
-    function updateLastUpdateTime() {
-        const el = document.getElementById('last-update-time');
-        if (el) {
-            const now = new Date();
-            el.textContent = now.toLocaleTimeString('th-TH', {
-                hour: '2-digit',
-                minute: '2-digit',
-                second: '2-digit'
-            });
-        }
-    }
-
     // ===================================
     // Interactions
     // ===================================
@@ -654,32 +504,106 @@
     }
 
     // ===================================
-    // Live Indices from API
+    // Live Dashboard from API + /ws
     // ===================================
-    async function initLiveIndices() {
-        if (!backendAvailable) return;
+    async function initLiveDashboard() {
+        if (backendAvailable === null) await checkBackend();
+        if (!backendAvailable) {
+            setConnectionStatus(false, 'Offline - Backend Unavailable');
+            Object.keys(CONFIG.STALE_AFTER).forEach(renderWidgetStatus);
+            return;
+        }
 
-        fetchLiveIndices();
-        setInterval(fetchLiveIndices, CONFIG.INDICES_INTERVAL);
+        await fetchDashboard();
+        connectQuoteStream();
+        setInterval(fetchDashboard, CONFIG.DASHBOARD_INTERVAL);
     }
 
-    async function fetchLiveIndices() {
-        if (!backendAvailable) return;
-
+    async function fetchDashboard() {
         try {
-            const response = await fetch(`${CONFIG.API_BASE}/api/indices`);
+            const response = await fetch(`${CONFIG.API_BASE}/api/dashboard`);
             if (!response.ok) throw new Error('API error');
 
             const data = await response.json();
-
-            data.indices.forEach(idx => {
-                updateIndexFromAPI(idx);
-            });
+            const strip = ({ quote, ...item }) => item;
+            marketData.indices = data.indices.map(strip);
+            marketData.ticker = data.ticker.map(strip);
+            marketData.sectors = data.sectors.map(strip);
+
+            const quotes = [...data.indices, ...data.ticker, ...data.sectors]
+                .map(item => item.quote)
+                .filter(Boolean);
+            applyQuotes(quotes, data.updated);
         } catch (error) {
-            console.warn('[Indices] API fetch failed:', error.message);
+            console.warn('[Dashboard] API fetch failed:', error.message);
         }
     }
 
+    // Subscribes to every dashboard symbol; the server pushes { type: 'quotes' } every 10 seconds
+    function connectQuoteStream() {
+        const wsBase = CONFIG.API_BASE ? CONFIG.API_BASE.replace(/^http/, 'ws') : `ws://${window.location.host}`;
+        const ws = new WebSocket(`${wsBase}/ws`);
+
+        ws.addEventListener('open', () => {
+            const symbols = new Set([...marketData.indices, ...marketData.ticker, ...marketData.sectors].map(item => item.symbol));
+            symbols.forEach(symbol => ws.send(JSON.stringify({ action: 'subscribe', symbol })));
+            setConnectionStatus(true);
+        });
+
+        ws.addEventListener('message', (msg) => {
+            const message = JSON.parse(msg.data);
+            if (message.type === 'quotes') applyQuotes(message.data);
+        });
+
+        ws.addEventListener('close', () => {
+            setConnectionStatus(false, 'Reconnecting...');
+            setTimeout(connectQuoteStream, 5000);
+        });
+    }
+
+    // Route quotes to the widgets showing them; `fetchedAt` is when upstream was asked
+    function applyQuotes(quotes, fetchedAt = Date.now()) {
+        const touched = new Set();
+
+        quotes.forEach(quote => {
+            // Stream quotes carry no prevClose, so merge over what we have
+            const merged = { ...marketData.quotes[quote.symbol], ...quote };
+            marketData.quotes[quote.symbol] = merged;
+
+            marketData.indices.filter(idx => idx.symbol === quote.symbol).forEach(idx => {
+                updateIndexFromAPI({ ...idx, ...merged });
+                touched.add(idx.id === 'vix' ? 'vix' : 'indices');
+            });
+            if (marketData.ticker.some(item => item.symbol === quote.symbol)) touched.add('ticker');
+            if (marketData.sectors.some(sector => sector.symbol === quote.symbol)) {
+                updateSectorTile(quote.symbol, merged);
+                touched.add('sectors');
+            }
+        });
+
+        if (touched.has('ticker')) renderTicker();
+        touched.forEach(widget => markUpdated(widget, fetchedAt));
+    }
+
+    function sectorTone(changePercent) {
+        if (changePercent >= 1.5) return 'positive-3';
+        if (changePercent >= 1) return 'positive-2';
+        if (changePercent >= 0.25) return 'positive-1';
+        if (changePercent > -0.25) return 'neutral';
+        if (changePercent > -1) return 'negative-1';
+        return 'negative-2';
+    }
+
+    function updateSectorTile(symbol, quote) {
+        const tile = document.querySelector(`.sector-tile.${symbol.toLowerCase()}`);
+        if (!tile || typeof quote.changePercent !== 'number') return;
+
+        tile.classList.remove('positive-3', 'positive-2', 'positive-1', 'neutral', 'negative-1', 'negative-2');
+        tile.classList.add(sectorTone(quote.changePercent));
+        tile.querySelector('.tile-change').textContent =
+            `${quote.changePercent >= 0 ? '+' : ''}${quote.changePercent.toFixed(2)}%`;
+    }
+
     function updateIndexFromAPI(idx) {
         const priceEl = document.getElementById(`${idx.id}-price`);
         const changeEl = document.getElementById(`${idx.id}-change`);
@@ -774,6 +698,202 @@
         }
     }
 
+    // ===================================
+    // Fear & Greed Index from API
+    // ===================================
+    const FEAR_GREED_INTERVAL = 60000;
+
+    async function initFearGreed() {
+        if (backendAvailable === null) await checkBackend();
+        if (!backendAvailable) return;
+
+        fetchFearGreed();
+        setInterval(fetchFearGreed, FEAR_GREED_INTERVAL);
+    }
+
+    async function fetchFearGreed() {
+        try {
+            const response = await fetch(`${CONFIG.API_BASE}/api/fear-greed`);
+            if (!response.ok) throw new Error('API error');
+
+            const data = await response.json();
+            marketData.fearGreed = { value: data.score, label: data.label };
+            renderFearGreed();
+            renderFearGreedDetails(data);
+            markUpdated('fearGreed');
+        } catch (error) {
+            console.warn('[Fear & Greed] API fetch failed:', error.message);
+        }
+    }
+
+    function renderFearGreedDetails(data) {
+        const source = document.getElementById('fg-source');
+        if (source) source.textContent = `Stockify Composite · ${data.date}`;
+
+        const previous = document.getElementById('fg-previous');
+        if (previous) {
+            previous.innerHTML = [
+                ['วันก่อน', data.previous.close],
+                ['1 สัปดาห์', data.previous.week],
+                ['1 เดือน', data.previous.month]
+            ].map(([label, value]) => `
+                <div class="fg-previous-item">
+                    <span>${label}</span>
+                    <strong style="color: ${value === null ? 'inherit' : fearGreedColor(value)}">${value ?? '--'}</strong>
+                </div>
+            `).join('');
+        }
+
+        const components = document.getElementById('fg-components');
+        if (components) {
+            components.innerHTML = data.components.map(c => `
+                <div class="fg-component" title="${c.value === null ? 'ไม่มีข้อมูล' : `${c.value}${c.unit === '%' ? '%' : ''}`}">
+                    <span>${c.label}</span>
+                    <div class="fg-component-bar">
+                        <div class="fg-component-fill" style="width: ${c.score ?? 0}%; background: ${c.score === null ? 'transparent' : fearGreedColor(c.score)}"></div>
+                    </div>
+                    <span class="fg-component-score">${c.score ?? '--'}</span>
+                </div>
+            `).join('');
+        }
+    }
+
+    // ===================================
+    // Market Breadth
+    // ===================================
+    const BREADTH_DAYS = 120;
+    const BREADTH_INTERVAL = 15 * 60 * 1000; // matches the server-side refresh
+    const BREADTH_METRICS = {
+        pctAboveSma50: { label: '% > SMA50', min: 0, max: 100 },
+        pctAboveSma200: { label: '% > SMA200', min: 0, max: 100 },
+        mcclellan: { label: 'McClellan Oscillator', zero: true },
+        netNewHighs: { label: 'New Highs - New Lows', zero: true }
+    };
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    let breadthData = null;
+    let breadthMetric = 'pctAboveSma50';
+
+    async function initBreadth() {
+        if (backendAvailable === null) await checkBackend();
+        if (!backendAvailable) return;
+
+        document.querySelectorAll('#breadth-metric .tf-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                breadthMetric = btn.dataset.metric;
+                renderBreadthChart();
+            });
+        });
+
+        fetchBreadth();
+        setInterval(fetchBreadth, BREADTH_INTERVAL);
+    }
+
+    async function fetchBreadth() {
+        try {
+            const response = await fetch(`${CONFIG.API_BASE}/api/breadth?days=${BREADTH_DAYS}`);
+            if (!response.ok) throw new Error('API error');
+
+            breadthData = await response.json();
+            renderBreadthStats(breadthData.latest);
+            renderBreadthChart();
+        } catch (error) {
+            console.warn('[Breadth] API fetch failed:', error.message);
+        }
+    }
+
+    function renderBreadthStats(day) {
+        if (!day) return;
+        const set = (id, html) => {
+            const el = document.getElementById(id);
+            if (el) el.innerHTML = html;
+        };
+        const tone = value => value > 0 ? 'positive' : value < 0 ? 'negative' : '';
+        const percent = value => value === null ? '--' : `${value.toFixed(0)}%`;
+
+        set('breadth-ad', `<span class="positive">${day.advancers}</span> / <span class="negative">${day.decliners}</span>`);
+        set('breadth-volume', `${formatVolume(day.upVolume)} / ${formatVolume(day.downVolume)}`);
+        set('breadth-sma', `${percent(day.pctAboveSma50)} / ${percent(day.pctAboveSma200)}`);
+        set('breadth-highs', day.netNewHighs === null ? '--'
+            : `<span class="${tone(day.netNewHighs)}">${day.newHighs} / ${day.newLows}</span>`);
+        set('breadth-mcclellan', day.mcclellan === null ? '--'
+            : `<span class="${tone(day.mcclellan)}">${day.mcclellan.toFixed(1)}</span> / ${day.summation.toFixed(0)}`);
+
+        const universe = document.getElementById('breadth-universe');
+        if (universe) universe.textContent = `${breadthData.members} หุ้น · ${day.date}`;
+    }
+
+    function addSvg(parent, tag, attrs) {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+        parent.appendChild(el);
+        return el;
+    }
+
+    // Breadth metric (left scale) with the S&P 500 close (right scale) over the same days
+    function renderBreadthChart() {
+        const svg = document.getElementById('breadth-chart');
+        if (!svg || !breadthData) return;
+        svg.innerHTML = '';
+
+        const metric = BREADTH_METRICS[breadthMetric];
+        const legend = document.getElementById('breadth-legend-metric');
+        if (legend) legend.textContent = metric.label;
+
+        const days = breadthData.days;
+        const width = 720, height = 260, pad = { top: 12, right: 48, bottom: 20, left: 40 };
+        const x = i => pad.left + (days.length > 1 ? i / (days.length - 1) : 0) * (width - pad.left - pad.right);
+        const scale = (values, min, max) => {
+            const finite = values.filter(v => v !== null);
+            const lo = min ?? Math.min(...finite, 0);
+            const hi = max ?? Math.max(...finite, 0);
+            const span = hi - lo || 1;
+            return { lo, hi, y: v => pad.top + (1 - (v - lo) / span) * (height - pad.top - pad.bottom) };
+        };
+        // Gaps (null values) start a new segment
+        const path = (values, y) => {
+            let d = '';
+            let drawing = false;
+            values.forEach((v, i) => {
+                if (v === null) {
+                    drawing = false;
+                    return;
+                }
+                d += `${drawing ? ' L' : ' M'}${x(i).toFixed(1)},${y(v).toFixed(1)}`;
+                drawing = true;
+            });
+            return d.trim();
+        };
+
+        const values = days.map(d => d[breadthMetric]);
+        const left = scale(values, metric.min, metric.max);
+        const benchmark = days.map(d => d.benchmark);
+        const finiteBenchmark = benchmark.filter(v => v !== null);
+        const right = scale(benchmark, Math.min(...finiteBenchmark), Math.max(...finiteBenchmark));
+
+        [left.lo, (left.lo + left.hi) / 2, left.hi].forEach(v => {
+            addSvg(svg, 'line', { x1: pad.left, x2: width - pad.right, y1: left.y(v), y2: left.y(v), class: 'breadth-grid' });
+            addSvg(svg, 'text', { x: pad.left - 6, y: left.y(v) + 4, 'text-anchor': 'end', class: 'breadth-axis' }).textContent = v.toFixed(0);
+        });
+        if (metric.zero) {
+            addSvg(svg, 'line', { x1: pad.left, x2: width - pad.right, y1: left.y(0), y2: left.y(0), class: 'breadth-zero' });
+        }
+        if (finiteBenchmark.length) {
+            [right.lo, right.hi].forEach(v => {
+                addSvg(svg, 'text', { x: width - pad.right + 6, y: right.y(v) + 4, class: 'breadth-axis' }).textContent = formatNumber(v);
+            });
+            addSvg(svg, 'path', { d: path(benchmark, right.y), class: 'breadth-line-benchmark' });
+        }
+        addSvg(svg, 'path', { d: path(values, left.y), class: 'breadth-line' });
+
+        [0, days.length - 1].filter(i => days[i]).forEach(i => {
+            addSvg(svg, 'text', {
+                x: x(i), y: height - 4,
+                'text-anchor': i === 0 ? 'start' : 'end',
+                class: 'breadth-axis'
+            }).textContent = days[i].date;
+        });
+    }
+
     // ===================================
     // Expose for debugging
     // ===================================
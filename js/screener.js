@@ -19,6 +19,13 @@
     let sortColumn = 'change';
     let sortDirection = 'desc';
 
+    // Expression screen (window.ScreenExpr is served by the backend; without it the server validates alone)
+    const ScreenExpr = window.ScreenExpr || null;
+    let exprColumns = [];
+    let exprResults = [];
+    let exprSort = { key: null, direction: 'desc' };
+    let suggestions = { items: [], index: 0, from: 0, to: 0 };
+
     // ===================================
     // DOM Elements
     // ===================================
@@ -28,6 +35,12 @@
     const applyFiltersBtn = document.getElementById('apply-filters');
     const resetFiltersBtn = document.getElementById('reset-filters');
     const refreshBtn = document.getElementById('refresh-btn');
+    const exprInput = document.getElementById('expr-input');
+    const exprRunBtn = document.getElementById('expr-run');
+    const exprSaveBtn = document.getElementById('expr-save');
+    const exprError = document.getElementById('expr-error');
+    const exprSuggestions = document.getElementById('expr-suggestions');
+    const exprResultsSection = document.getElementById('expr-results');
 
     // ===================================
     // Initialize
@@ -58,7 +71,7 @@
         });
 
         // Sortable headers
-        document.querySelectorAll('.sortable').forEach(th => {
+        document.querySelectorAll('#results-table .sortable').forEach(th => {
             th.addEventListener('click', () => {
                 const column = th.dataset.sort;
                 if (sortColumn === column) {
@@ -72,6 +85,8 @@
             });
         });
 
+        initExpressionEditor();
+
         // Mobile menu
         const mobileMenuBtn = document.getElementById('mobile-menu-btn');
         const navTabs = document.getElementById('nav-tabs');
@@ -249,11 +264,316 @@
         }).join('');
     }
 
+    // ===================================
+    // Expression Screen
+    // ===================================
+    function initExpressionEditor() {
+        exprRunBtn.addEventListener('click', runExpression);
+        exprSaveBtn.addEventListener('click', saveExpression);
+
+        exprInput.addEventListener('input', () => {
+            updateSuggestions();
+            validateExpression({ typing: true });
+        });
+        exprInput.addEventListener('keydown', handleEditorKey);
+        exprInput.addEventListener('blur', () => setTimeout(hideSuggestions, 150));
+
+        // mousedown keeps focus in the input while picking
+        exprSuggestions.addEventListener('mousedown', e => {
+            const item = e.target.closest('li[data-index]');
+            if (!item) return;
+            e.preventDefault();
+            acceptSuggestion(Number(item.dataset.index));
+        });
+
+        document.querySelectorAll('#expr-examples .preset-btn').forEach(btn => {
+            btn.addEventListener('click', () => {
+                exprInput.value = btn.dataset.expr;
+                btn.parentElement.querySelectorAll('.preset-btn').forEach(b => b.classList.remove('active'));
+                btn.classList.add('active');
+                runExpression();
+            });
+        });
+
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('expr')) {
+            exprInput.value = params.get('expr');
+            runExpression();
+        }
+    }
+
+    function handleEditorKey(e) {
+        const open = !exprSuggestions.hidden && suggestions.items.length > 0;
+
+        if (open && (e.key === 'ArrowDown' || e.key === 'ArrowUp')) {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            suggestions.index = (suggestions.index + step + suggestions.items.length) % suggestions.items.length;
+            renderSuggestions();
+        } else if (open && (e.key === 'Tab' || e.key === 'Enter')) {
+            e.preventDefault();
+            acceptSuggestion(suggestions.index);
+        } else if (open && e.key === 'Escape') {
+            hideSuggestions();
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runExpression();
+        }
+    }
+
+    function updateSuggestions() {
+        if (!ScreenExpr) return;
+        const { from, to, items } = ScreenExpr.complete(exprInput.value, exprInput.selectionStart);
+        suggestions = { items, index: 0, from, to };
+        renderSuggestions();
+    }
+
+    function renderSuggestions() {
+        if (!suggestions.items.length) {
+            hideSuggestions();
+            return;
+        }
+        exprSuggestions.innerHTML = suggestions.items.map((item, i) => `
+            <li role="option" data-index="${i}" class="${i === suggestions.index ? 'active' : ''}" aria-selected="${i === suggestions.index}">
+                <span class="suggestion-kind ${item.kind}">${item.kind === 'function' ? 'ƒ' : item.kind === 'field' ? '◆' : '⋯'}</span>
+                <span class="suggestion-label">${escapeHtml(item.label)}</span>
+                <span class="suggestion-detail">${escapeHtml(item.detail)}</span>
+            </li>
+        `).join('');
+        exprSuggestions.hidden = false;
+    }
+
+    function hideSuggestions() {
+        exprSuggestions.hidden = true;
+        suggestions.items = [];
+    }
+
+    function acceptSuggestion(index) {
+        const item = suggestions.items[index];
+        if (!item) return;
+        const value = exprInput.value;
+        exprInput.value = value.slice(0, suggestions.from) + item.insert + value.slice(suggestions.to);
+        const cursor = suggestions.from + item.insert.length;
+        exprInput.setSelectionRange(cursor, cursor);
+        exprInput.focus();
+        hideSuggestions();
+        validateExpression({ typing: true });
+    }
+
+    // Instant feedback while typing; the server re-checks on run
+    function validateExpression({ typing = false } = {}) {
+        if (!ScreenExpr || !exprInput.value.trim()) {
+            clearExprError();
+            return true;
+        }
+        try {
+            ScreenExpr.parse(exprInput.value);
+            clearExprError();
+            return true;
+        } catch (error) {
+            // While typing, an error at the very end only means the expression is unfinished
+            if (typing && error.end >= exprInput.value.trimEnd().length) {
+                clearExprError();
+            } else {
+                showExprError(error.message, error.start, error.end);
+            }
+            return false;
+        }
+    }
+
+    function showExprError(message, start, end) {
+        const text = exprInput.value;
+        const from = Math.min(start ?? text.length, text.length);
+        const to = Math.max(from, Math.min(end ?? from + 1, text.length));
+        const marked = from < to
+            ? `${escapeHtml(text.slice(0, from))}<mark>${escapeHtml(text.slice(from, to))}</mark>${escapeHtml(text.slice(to))}`
+            : `${escapeHtml(text)}<mark class="caret"> </mark>`;
+
+        exprError.innerHTML = `
+            <code class="expr-error-source">${marked}</code>
+            <span class="expr-error-message">⚠️ ${escapeHtml(message)}</span>
+        `;
+        exprError.hidden = false;
+        exprInput.classList.add('invalid');
+    }
+
+    function clearExprError() {
+        exprError.hidden = true;
+        exprError.innerHTML = '';
+        exprInput.classList.remove('invalid');
+    }
+
+    async function runExpression() {
+        const expr = exprInput.value.trim();
+        hideSuggestions();
+        if (!expr) {
+            showExprError('กรุณาพิมพ์สูตร เช่น rsi(14) < 30', 0, 0);
+            return;
+        }
+        if (!validateExpression()) return;
+
+        exprResultsSection.hidden = false;
+        document.getElementById('expr-tbody').innerHTML = `
+            <tr class="loading-row">
+                <td colspan="${exprColumns.length + 5}">
+                    <div class="loading-spinner"></div>
+                    <span>กำลังสแกนหุ้น...</span>
+                </td>
+            </tr>
+        `;
+
+        try {
+            const response = await fetch(`${API_BASE}/api/screener/query?expr=${encodeURIComponent(expr)}&limit=200`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                if (response.status === 400) {
+                    exprResultsSection.hidden = true;
+                    showExprError(data.error, data.start, data.end);
+                    return;
+                }
+                throw new Error(data.error || 'Failed to run screen');
+            }
+
+            exprColumns = data.columns;
+            exprResults = data.results;
+            exprSort = { key: data.sort, direction: data.order };
+            document.getElementById('expr-count').textContent = `${data.count} / ${data.scanned} หุ้น`;
+            document.getElementById('expr-canonical').textContent = data.expression;
+            lastUpdate.textContent = `อัปเดต: ${new Date().toLocaleTimeString('th-TH')}`;
+
+            const url = new URL(window.location.href);
+            url.searchParams.set('expr', expr);
+            window.history.replaceState(null, '', url);
+
+            renderExprResults();
+        } catch (error) {
+            console.error('Error running screen:', error);
+            document.getElementById('expr-tbody').innerHTML = `
+                <tr class="empty-state">
+                    <td colspan="${exprColumns.length + 5}">
+                        <div class="empty-state-icon">❌</div>
+                        <p>ไม่สามารถรันสูตรได้</p>
+                    </td>
+                </tr>
+            `;
+        }
+    }
+
+    // Saved screens are listed, scheduled and diffed on the Technical page
+    async function saveExpression() {
+        const expression = exprInput.value.trim();
+        if (!expression || !validateExpression()) {
+            if (!expression) showExprError('กรุณาพิมพ์สูตรก่อนบันทึก', 0, 0);
+            return;
+        }
+        const name = prompt('ชื่อ Screen', '');
+        if (!name) return;
+
+        try {
+            const response = await fetch(`${API_BASE}/api/screens`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name,
+                    kind: 'expression',
+                    expression,
+                    sort: exprSort.key ? { key: exprSort.key, order: exprSort.direction } : undefined
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                if (data.start !== undefined) showExprError(data.error, data.start, data.end);
+                else alert(`บันทึกไม่สำเร็จ: ${data.error}`);
+                return;
+            }
+            if (confirm(`บันทึก "${data.name}" แล้ว\nไปหน้า Technical เพื่อตั้งเวลารันอัตโนมัติ?`)) {
+                window.location.href = 'technical.html';
+            }
+        } catch (error) {
+            console.error('Error saving screen:', error);
+            alert('บันทึกไม่สำเร็จ');
+        }
+    }
+
+    function exprValue(row, key) {
+        return key in row.values ? row.values[key] : row[key];
+    }
+
+    function renderExprResults() {
+        const headers = [
+            { key: 'symbol', label: 'Symbol' },
+            { key: 'name', label: 'ชื่อ' },
+            { key: 'price', label: 'ราคา' },
+            { key: 'changePercent', label: 'เปลี่ยนแปลง' },
+            ...exprColumns
+        ];
+
+        const thead = document.getElementById('expr-thead');
+        thead.innerHTML = headers.map(h => {
+            const sorted = exprSort.key === h.key ? `sorted-${exprSort.direction}` : '';
+            return `<th class="sortable ${sorted}" data-sort="${escapeHtml(h.key)}">${escapeHtml(h.label)}</th>`;
+        }).join('') + '<th>Action</th>';
+        thead.querySelectorAll('.sortable').forEach(th => {
+            th.addEventListener('click', () => {
+                const key = th.dataset.sort;
+                exprSort = exprSort.key === key
+                    ? { key, direction: exprSort.direction === 'asc' ? 'desc' : 'asc' }
+                    : { key, direction: 'desc' };
+                renderExprResults();
+            });
+        });
+
+        const tbody = document.getElementById('expr-tbody');
+        if (exprResults.length === 0) {
+            tbody.innerHTML = `
+                <tr class="empty-state">
+                    <td colspan="${headers.length + 1}">
+                        <div class="empty-state-icon">📭</div>
+                        <p>ไม่พบหุ้นที่ตรงตามสูตร</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const { key, direction } = exprSort;
+        const sorted = [...exprResults].sort((a, b) => {
+            const x = exprValue(a, key);
+            const y = exprValue(b, key);
+            if (x == null || y == null) return (x == null) - (y == null);
+            const diff = typeof x === 'string' ? x.localeCompare(y) : x - y;
+            return direction === 'asc' ? diff : -diff;
+        });
+
+        tbody.innerHTML = sorted.map(stock => {
+            const change = stock.changePercent ?? 0;
+            const changeClass = change >= 0 ? 'positive' : 'negative';
+            return `
+                <tr>
+                    <td class="symbol-cell">${escapeHtml(stock.symbol)}</td>
+                    <td class="name-cell" title="${escapeHtml(stock.name)}">${escapeHtml(stock.name)}</td>
+                    <td class="price-cell">$${stock.price?.toFixed(2) ?? 'N/A'}</td>
+                    <td class="change-cell ${changeClass}">${change >= 0 ? '+' : ''}${change.toFixed(2)}%</td>
+                    ${exprColumns.map(c => `<td class="expr-value-cell">${formatExprValue(stock.values[c.key])}</td>`).join('')}
+                    <td><a href="analyzer.html?symbol=${encodeURIComponent(stock.symbol)}" class="analyze-btn">วิเคราะห์</a></td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    function formatExprValue(value) {
+        if (value === null || value === undefined) return 'N/A';
+        if (typeof value === 'boolean') return value ? '✓' : '✗';
+        if (Math.abs(value) >= 1e6) return (value < 0 ? '-' : '') + formatVolume(Math.abs(value));
+        return value.toFixed(2);
+    }
+
     // ===================================
     // Helper Functions
     // ===================================
     function updateSortIndicators() {
-        document.querySelectorAll('.sortable').forEach(th => {
+        document.querySelectorAll('#results-table .sortable').forEach(th => {
             th.classList.remove('sorted-asc', 'sorted-desc');
             if (th.dataset.sort === sortColumn) {
                 th.classList.add(sortDirection === 'asc' ? 'sorted-asc' : 'sorted-desc');
@@ -268,7 +588,16 @@
         return 'sell';
     }
 
+    function escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
     function formatVolume(volume) {
+        if (volume >= 1e12) return (volume / 1e12).toFixed(2) + 'T';
         if (volume >= 1e9) return (volume / 1e9).toFixed(2) + 'B';
         if (volume >= 1e6) return (volume / 1e6).toFixed(2) + 'M';
         if (volume >= 1e3) return (volume / 1e3).toFixed(1) + 'K';
@@ -1,5 +1,6 @@
 /**
  * Sector ETF Flows - JavaScript
+ * Heatmap, flow table and the relative rotation graph against SPY
  */
 
 // API Configuration
@@ -7,8 +8,17 @@ const API_BASE = window.location.hostname === 'localhost'
     ? 'http://localhost:3001'
     : '';
 
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const QUADRANTS = {
+    leading: { label: 'Leading', color: '#22c55e' },
+    weakening: { label: 'Weakening', color: '#f59e0b' },
+    lagging: { label: 'Lagging', color: '#ef4444' },
+    improving: { label: 'Improving', color: '#3b82f6' }
+};
+
 // State
 let sectorsData = [];
+let rrgTimeframe = 'weekly';
 
 // DOM Elements
 const heatmapGrid = document.getElementById('heatmap-grid');
@@ -20,11 +30,24 @@ const lastUpdateEl = document.getElementById('last-update');
 document.addEventListener('DOMContentLoaded', () => {
     console.log('📊 Sector ETF Flows initialized');
     loadSectorFlows();
+    loadRotation();
     setupEventListeners();
 });
 
 function setupEventListeners() {
-    refreshBtn?.addEventListener('click', loadSectorFlows);
+    refreshBtn?.addEventListener('click', () => {
+        loadSectorFlows();
+        loadRotation();
+    });
+
+    document.querySelectorAll('.rrg-tab').forEach(tab => {
+        tab.addEventListener('click', () => {
+            document.querySelectorAll('.rrg-tab').forEach(t => t.classList.remove('active'));
+            tab.classList.add('active');
+            rrgTimeframe = tab.dataset.timeframe;
+            loadRotation();
+        });
+    });
 
     // Mobile menu
     const mobileMenuBtn = document.getElementById('mobile-menu-btn');
@@ -132,6 +155,131 @@ function renderTable() {
     }).join('');
 }
 
+// ===================================
+// Relative Rotation Graph
+// ===================================
+async function loadRotation() {
+    const chart = document.getElementById('rrg-chart');
+    try {
+        const response = await fetch(`${API_BASE}/api/sector-rotation?timeframe=${rrgTimeframe}`);
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Failed to fetch sector rotation');
+
+        document.getElementById('rrg-subtitle').textContent =
+            `vs ${data.benchmark} · ${data.timeframe === 'weekly' ? 'รายสัปดาห์' : 'รายวัน'} · ${data.asOf || '-'}`;
+        renderRotationChart(data.sectors);
+        renderQuadrantList(data.sectors);
+    } catch (error) {
+        console.error('Error loading sector rotation:', error);
+        chart.innerHTML = `
+            <div class="loading-state">
+                <span>❌ ${error.message}</span>
+            </div>
+        `;
+        document.getElementById('rrg-quadrants').innerHTML = '';
+    }
+}
+
+// RS-Ratio on x, RS-Momentum on y, quadrants split at 100 / 100, one tail per sector
+function renderRotationChart(sectors) {
+    const container = document.getElementById('rrg-chart');
+    if (sectors.length === 0) {
+        container.innerHTML = '<div class="loading-state"><span>ไม่พบข้อมูล</span></div>';
+        return;
+    }
+
+    container.innerHTML = '';
+    const width = container.clientWidth || 600;
+    const height = container.clientHeight || 480;
+    const pad = { top: 16, right: 16, bottom: 36, left: 48 };
+
+    // Symmetric around 100 so the quadrants stay the same size
+    const points = sectors.flatMap(s => s.tail);
+    const spanX = Math.max(1, ...points.map(p => Math.abs(p.rsRatio - 100))) * 1.15;
+    const spanY = Math.max(1, ...points.map(p => Math.abs(p.rsMomentum - 100))) * 1.15;
+    const x = v => pad.left + (v - (100 - spanX)) / (2 * spanX) * (width - pad.left - pad.right);
+    const y = v => height - pad.bottom - (v - (100 - spanY)) / (2 * spanY) * (height - pad.top - pad.bottom);
+
+    const svg = document.createElementNS(SVG_NS, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    container.appendChild(svg);
+
+    const left = x(100 - spanX);
+    const right = x(100 + spanX);
+    const top = y(100 + spanY);
+    const bottom = y(100 - spanY);
+    [
+        ['improving', left, top, 'start', 'hanging'],
+        ['leading', right, top, 'end', 'hanging'],
+        ['lagging', left, bottom, 'start', 'auto'],
+        ['weakening', right, bottom, 'end', 'auto']
+    ].forEach(([quadrant, qx, qy, anchor, baseline]) => {
+        const q = QUADRANTS[quadrant];
+        addSvg(svg, 'rect', {
+            x: Math.min(qx, x(100)), y: Math.min(qy, y(100)),
+            width: Math.abs(x(100) - qx), height: Math.abs(y(100) - qy),
+            fill: q.color, opacity: 0.06
+        });
+        addSvg(svg, 'text', {
+            x: qx + (anchor === 'start' ? 8 : -8), y: qy + (baseline === 'hanging' ? 8 : -8),
+            'text-anchor': anchor, 'dominant-baseline': baseline, fill: q.color, class: 'rrg-quadrant-label'
+        }, q.label);
+    });
+
+    addSvg(svg, 'line', { x1: x(100), x2: x(100), y1: top, y2: bottom, class: 'rrg-axis' });
+    addSvg(svg, 'line', { x1: left, x2: right, y1: y(100), y2: y(100), class: 'rrg-axis' });
+    [100 - spanX, 100, 100 + spanX].forEach(v => {
+        addSvg(svg, 'text', { x: x(v), y: height - 18, 'text-anchor': 'middle', class: 'rrg-tick' }, v.toFixed(1));
+    });
+    [100 - spanY, 100, 100 + spanY].forEach(v => {
+        addSvg(svg, 'text', { x: pad.left - 6, y: y(v) + 4, 'text-anchor': 'end', class: 'rrg-tick' }, v.toFixed(1));
+    });
+    addSvg(svg, 'text', { x: (left + right) / 2, y: height - 2, 'text-anchor': 'middle', class: 'rrg-tick' }, 'JdK RS-Ratio →');
+    addSvg(svg, 'text', {
+        x: 12, y: (top + bottom) / 2, 'text-anchor': 'middle', class: 'rrg-tick',
+        transform: `rotate(-90 12 ${(top + bottom) / 2})`
+    }, 'JdK RS-Momentum →');
+
+    sectors.forEach(sector => {
+        const color = QUADRANTS[sector.quadrant].color;
+        const d = sector.tail.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(p.rsRatio).toFixed(1)},${y(p.rsMomentum).toFixed(1)}`).join(' ');
+        addSvg(svg, 'path', { d, fill: 'none', stroke: color, 'stroke-width': 1.5, opacity: 0.7 });
+        sector.tail.slice(0, -1).forEach(p => {
+            addSvg(svg, 'circle', { cx: x(p.rsRatio), cy: y(p.rsMomentum), r: 2, fill: color, opacity: 0.6 });
+        });
+
+        const head = sector.tail[sector.tail.length - 1];
+        const dot = addSvg(svg, 'circle', { cx: x(head.rsRatio), cy: y(head.rsMomentum), r: 5, fill: color });
+        addSvg(dot, 'title', {}, `${sector.name} (${sector.symbol})\nRS-Ratio ${sector.rsRatio} · RS-Momentum ${sector.rsMomentum}`);
+        addSvg(svg, 'text', { x: x(head.rsRatio) + 7, y: y(head.rsMomentum) - 7, class: 'rrg-symbol' }, sector.symbol);
+    });
+}
+
+function renderQuadrantList(sectors) {
+    document.getElementById('rrg-quadrants').innerHTML = Object.entries(QUADRANTS).map(([key, q]) => {
+        const members = sectors.filter(s => s.quadrant === key);
+        return `
+            <div class="rrg-quadrant" style="--quadrant-color: ${q.color}">
+                <div class="rrg-quadrant-title">${q.label} <span>${members.length}</span></div>
+                ${members.map(s => `
+                    <div class="rrg-member">
+                        <span>${s.icon} ${s.symbol}</span>
+                        <span class="rrg-values">${s.rsRatio.toFixed(2)} / ${s.rsMomentum.toFixed(2)}</span>
+                    </div>
+                `).join('') || '<div class="rrg-member empty">-</div>'}
+            </div>
+        `;
+    }).join('');
+}
+
+function addSvg(parent, tag, attrs, text) {
+    const el = document.createElementNS(SVG_NS, tag);
+    Object.entries(attrs).forEach(([key, value]) => el.setAttribute(key, value));
+    if (text !== undefined) el.textContent = text;
+    parent.appendChild(el);
+    return el;
+}
+
 function formatVolume(vol) {
     if (vol >= 1e9) return (vol / 1e9).toFixed(2) + 'B';
     if (vol >= 1e6) return (vol / 1e6).toFixed(2) + 'M';
@@ -14,6 +14,15 @@ let filters = {
     ma: [],
     volume: []
 };
+let lastResults = [];
+let enteredSymbols = new Set(); // new entrants of the saved-screen run on display
+
+// Sort select options as result sort keys (also stored with saved screens)
+const SORTS = {
+    symbol: { key: 'symbol', order: 'asc' },
+    rsi: { key: 'rsi', order: 'asc' },
+    change: { key: 'changePercent', order: 'desc' }
+};
 
 // Presets
 const PRESETS = {
@@ -70,8 +79,31 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // Sort select
     document.getElementById('sort-select')?.addEventListener('change', sortResults);
+
+    // Saved screens
+    document.getElementById('save-screen-form')?.addEventListener('submit', saveScreen);
+
+    loadUniverses();
+    loadSavedScreens();
+    connectScreenStream();
 });
 
+// Load symbol universes into the selector
+async function loadUniverses() {
+    const select = document.getElementById('universe-select');
+    if (!select) return;
+
+    try {
+        const response = await fetch(`${API_BASE}/api/universes`);
+        const data = await response.json();
+        select.innerHTML = (data.universes || []).map(u => `
+            <option value="${u.id}" ${u.id === 'us-large' ? 'selected' : ''}>${u.name} (${u.count})</option>
+        `).join('');
+    } catch (error) {
+        console.error('Error loading universes:', error);
+    }
+}
+
 // Update filters from checkboxes
 function updateFilters() {
     filters = {
@@ -129,6 +161,7 @@ function resetFilters() {
 // Scan stocks
 async function scanStocks() {
     updateFilters();
+    enteredSymbols = new Set();
 
     const grid = document.getElementById('results-grid');
     grid.innerHTML = `
@@ -145,6 +178,9 @@ async function scanStocks() {
         if (filters.ma.length) params.append('ma', filters.ma.join(','));
         if (filters.volume.length) params.append('volume', filters.volume.join(','));
 
+        const universe = document.getElementById('universe-select')?.value;
+        if (universe) params.append('universe', universe);
+
         const response = await fetch(`${API_BASE}/api/technical-screener?${params}`);
 
         if (!response.ok) {
@@ -168,6 +204,7 @@ async function scanStocks() {
 
 // Render results
 function renderResults(results) {
+    lastResults = results;
     const grid = document.getElementById('results-grid');
     document.getElementById('result-count').textContent = `(${results.length})`;
 
@@ -181,12 +218,20 @@ function renderResults(results) {
         return;
     }
 
-    grid.innerHTML = results.map(stock => createResultCard(stock)).join('');
+    const { key, order } = SORTS[document.getElementById('sort-select')?.value] || SORTS.rsi;
+    const sorted = [...results].sort((a, b) => {
+        const x = a[key];
+        const y = b[key];
+        if (x == null || y == null) return (x == null) - (y == null);
+        const diff = typeof x === 'string' ? x.localeCompare(y) : x - y;
+        return order === 'asc' ? diff : -diff;
+    });
+    grid.innerHTML = sorted.map(stock => createResultCard(stock)).join('');
 }
 
 // Create result card HTML
 function createResultCard(stock) {
-    const isPositive = stock.change >= 0;
+    const isPositive = (stock.changePercent ?? stock.change) >= 0;
     const changeSign = isPositive ? '+' : '';
     const cardClass = isPositive ? 'bullish' : 'bearish';
     const changeClass = isPositive ? 'positive' : 'negative';
@@ -200,11 +245,13 @@ function createResultCard(stock) {
     const macdClass = stock.macdSignal === 'bullish' ? 'bullish' :
         stock.macdSignal === 'bearish' ? 'bearish' : 'neutral';
 
+    const isNew = enteredSymbols.has(stock.symbol);
+
     return `
-        <div class="stock-result-card ${cardClass}">
+        <div class="stock-result-card ${cardClass} ${isNew ? 'entered' : ''}">
             <div class="stock-header">
                 <div>
-                    <div class="stock-symbol">${stock.symbol}</div>
+                    <div class="stock-symbol">${stock.symbol}${isNew ? ' <span class="entered-badge">🆕 เข้าใหม่</span>' : ''}</div>
                     <div class="stock-name">${stock.name || '-'}</div>
                 </div>
                 <div class="stock-price-info">
@@ -241,9 +288,7 @@ function createResultCard(stock) {
 
 // Sort results
 function sortResults() {
-    // Re-fetch with sort parameter
-    // For now, just re-scan
-    scanStocks();
+    if (lastResults.length) renderResults(lastResults);
 }
 
 // Update last update time
@@ -252,3 +297,250 @@ function updateLastUpdate() {
     const timeStr = now.toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' });
     document.getElementById('last-update').textContent = `อัปเดต: ${timeStr}`;
 }
+
+// ===================================
+// Saved Screens
+// ===================================
+const SCHEDULE_LABELS = { open: 'เปิดตลาด', close: 'ปิดตลาด' };
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+async function screensRequest(path, options = {}) {
+    const response = await fetch(`${API_BASE}/api/screens${path}`, {
+        headers: { 'Content-Type': 'application/json' },
+        ...options
+    });
+    const data = await response.json();
+    if (!response.ok) throw new Error(data.error || `HTTP ${response.status}`);
+    return data;
+}
+
+async function loadSavedScreens() {
+    try {
+        const data = await screensRequest('');
+        renderSavedScreens(data.screens || []);
+    } catch (error) {
+        console.error('Error loading saved screens:', error);
+    }
+}
+
+// Save the current filters, universe and sort as a named screen
+async function saveScreen(event) {
+    event.preventDefault();
+    updateFilters();
+
+    const nameInput = document.getElementById('screen-name');
+    const schedule = Array.from(document.querySelectorAll('input[name="screen-schedule"]:checked')).map(input => input.value);
+
+    try {
+        await screensRequest('', {
+            method: 'POST',
+            body: JSON.stringify({
+                name: nameInput.value,
+                kind: 'technical',
+                filters,
+                universe: document.getElementById('universe-select')?.value || undefined,
+                sort: SORTS[document.getElementById('sort-select')?.value] || SORTS.rsi,
+                schedule
+            })
+        });
+        nameInput.value = '';
+        if (schedule.length && 'Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
+        loadSavedScreens();
+    } catch (error) {
+        alert(`บันทึกไม่สำเร็จ: ${error.message}`);
+    }
+}
+
+function renderSavedScreens(screens) {
+    const list = document.getElementById('saved-screens-list');
+    if (!list) return;
+
+    if (screens.length === 0) {
+        list.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-icon">💾</span>
+                <p>ยังไม่มี Screen ที่บันทึกไว้</p>
+            </div>
+        `;
+        return;
+    }
+
+    list.innerHTML = screens.map(screen => {
+        const run = screen.lastRun;
+        const describe = screen.kind === 'expression'
+            ? `<code>${escapeHtml(screen.expression)}</code>`
+            : Object.entries(screen.filters).filter(([, values]) => values.length)
+                .map(([group, values]) => `${group.toUpperCase()}: ${values.join(', ')}`).join(' · ');
+        const slots = ['open', 'close'].map(slot => `
+            <button class="schedule-chip ${screen.schedule.includes(slot) ? 'active' : ''}" data-action="schedule" data-slot="${slot}" title="สลับการรันอัตโนมัติ">
+                🕒 ${SCHEDULE_LABELS[slot]}
+            </button>
+        `).join('') + screen.schedule.filter(slot => !SCHEDULE_LABELS[slot])
+            .map(slot => `<span class="schedule-chip active">🕒 ${escapeHtml(slot)}</span>`).join('');
+
+        let runInfo = '<span class="screen-run-info">ยังไม่เคยรัน</span>';
+        if (run) {
+            const time = new Date(run.ranAt).toLocaleString('th-TH', { dateStyle: 'short', timeStyle: 'short' });
+            runInfo = run.error
+                ? `<span class="screen-run-info error">⚠️ ${time} · ${escapeHtml(run.error)}</span>`
+                : `<span class="screen-run-info">${run.trigger === 'schedule' ? '🕒' : '▶'} ${time} · ${run.count} หุ้น</span>
+                   ${run.entered.map(s => `<span class="symbol-chip entered">+${escapeHtml(s)}</span>`).join('')}
+                   ${run.left.map(s => `<span class="symbol-chip left">−${escapeHtml(s)}</span>`).join('')}`;
+        }
+
+        return `
+            <div class="saved-screen-card" data-id="${screen.id}">
+                <div class="saved-screen-header">
+                    <div>
+                        <div class="saved-screen-name">${escapeHtml(screen.name)}</div>
+                        <div class="saved-screen-meta">${screen.kind === 'expression' ? 'สูตร' : 'Technical'} · ${escapeHtml(screen.universe)}</div>
+                    </div>
+                    <div class="saved-screen-actions">
+                        <button class="reset-btn" data-action="run" title="รันตอนนี้">▶ รัน</button>
+                        <button class="reset-btn" data-action="load" title="โหลดเงื่อนไข">📂</button>
+                        <button class="reset-btn" data-action="delete" title="ลบ">🗑</button>
+                    </div>
+                </div>
+                <div class="saved-screen-filters">${describe}</div>
+                <div class="saved-screen-schedule">${slots}</div>
+                <div class="saved-screen-run">${runInfo}</div>
+            </div>
+        `;
+    }).join('');
+
+    list.querySelectorAll('.saved-screen-card').forEach(card => {
+        const screen = screens.find(s => s.id === card.dataset.id);
+        card.querySelectorAll('[data-action]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const action = btn.dataset.action;
+                if (action === 'run') runSavedScreen(screen, btn);
+                if (action === 'load') loadScreenFilters(screen);
+                if (action === 'delete') deleteSavedScreen(screen);
+                if (action === 'schedule') toggleSchedule(screen, btn.dataset.slot);
+            });
+        });
+    });
+}
+
+// Run now and show the result set with its new entrants marked
+async function runSavedScreen(screen, button) {
+    if (button) button.disabled = true;
+    const grid = document.getElementById('results-grid');
+    grid.innerHTML = `
+        <div class="loading-state">
+            <div class="loading-spinner"></div>
+            <span>กำลังรัน "${escapeHtml(screen.name)}"...</span>
+        </div>
+    `;
+
+    try {
+        const run = await screensRequest(`/${screen.id}/run`, { method: 'POST' });
+        showScreenRun(run);
+        loadSavedScreens();
+    } catch (error) {
+        console.error('Error running saved screen:', error);
+        grid.innerHTML = `
+            <div class="empty-state">
+                <span class="empty-icon">⚠️</span>
+                <p>${escapeHtml(error.message)}</p>
+            </div>
+        `;
+    } finally {
+        if (button) button.disabled = false;
+    }
+}
+
+function showScreenRun(run) {
+    enteredSymbols = new Set(run.entered);
+    renderResults(run.rows || []);
+    updateLastUpdate();
+    document.querySelector('.results-section')?.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Technical screens fill the checkboxes; expression screens open in the Screener editor
+function loadScreenFilters(screen) {
+    if (screen.kind === 'expression') {
+        window.location.href = `screener.html?expr=${encodeURIComponent(screen.expression)}`;
+        return;
+    }
+
+    document.querySelectorAll('.filter-option input').forEach(input => {
+        input.checked = (screen.filters[input.name] || []).includes(input.value);
+    });
+    const universeSelect = document.getElementById('universe-select');
+    if (universeSelect) universeSelect.value = screen.universe;
+    const sortName = Object.keys(SORTS).find(name => SORTS[name].key === screen.sort?.key);
+    if (sortName) document.getElementById('sort-select').value = sortName;
+
+    updateFilters();
+    scanStocks();
+}
+
+async function deleteSavedScreen(screen) {
+    if (!confirm(`ลบ Screen "${screen.name}"?`)) return;
+    try {
+        await screensRequest(`/${screen.id}`, { method: 'DELETE' });
+        loadSavedScreens();
+    } catch (error) {
+        alert(`ลบไม่สำเร็จ: ${error.message}`);
+    }
+}
+
+async function toggleSchedule(screen, slot) {
+    const schedule = screen.schedule.includes(slot)
+        ? screen.schedule.filter(s => s !== slot)
+        : [...screen.schedule, slot];
+    try {
+        await screensRequest(`/${screen.id}`, { method: 'PATCH', body: JSON.stringify({ schedule }) });
+        loadSavedScreens();
+    } catch (error) {
+        alert(`ตั้งเวลาไม่สำเร็จ: ${error.message}`);
+    }
+}
+
+// New entrants of any saved screen are pushed over the /ws socket as { type: 'screen' }
+function connectScreenStream() {
+    const wsBase = API_BASE.replace(/^http/, 'ws');
+    const ws = new WebSocket(`${wsBase}/ws`);
+
+    ws.addEventListener('message', (msg) => {
+        const message = JSON.parse(msg.data);
+        if (message.type !== 'screen') return;
+
+        const event = message.data;
+        const text = `${event.name}: หุ้นเข้าใหม่ ${event.entered.join(', ')}`;
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification('Stockify Screen', { body: text });
+        }
+
+        const banner = document.getElementById('screen-alert');
+        if (banner) {
+            banner.innerHTML = `
+                🆕 <strong>${escapeHtml(event.name)}</strong> มีหุ้นเข้าใหม่:
+                ${event.entered.map(s => `<span class="symbol-chip entered">${escapeHtml(s)}</span>`).join('')}
+                <button class="reset-btn" data-run="${event.runId}">ดูผลลัพธ์</button>
+            `;
+            banner.hidden = false;
+            banner.querySelector('button').addEventListener('click', async () => {
+                try {
+                    showScreenRun(await screensRequest(`/${event.screenId}/runs/${event.runId}`));
+                    banner.hidden = true;
+                } catch (error) {
+                    console.error('Error loading screen run:', error);
+                }
+            });
+        }
+        loadSavedScreens();
+    });
+
+    ws.addEventListener('close', () => setTimeout(connectScreenStream, 5000));
+}
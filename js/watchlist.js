@@ -18,11 +18,18 @@
         loadWatchlist();
         loadOptionsFlow();
         loadAlerts();
+        connectAlertStream();
         startClock();
         updateConnectionStatus();
 
         // Refresh options button
         document.getElementById('refresh-options')?.addEventListener('click', loadOptionsFlow);
+        document.getElementById('tape-older')?.addEventListener('click', () => loadTapePage(tapePageIndex + 1));
+        document.getElementById('tape-newer')?.addEventListener('click', () => loadTapePage(tapePageIndex - 1));
+
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission();
+        }
     });
 
     // ===================================
@@ -224,53 +231,114 @@
     }
 
     // ===================================
-    // Alerts System
+    // Alerts System (server-side, /api/alerts)
     // ===================================
-    function getAlerts() {
-        try {
-            return JSON.parse(localStorage.getItem(ALERTS_KEY) || '[]');
-        } catch {
-            return [];
+    const ALERT_PATTERNS = [
+        { re: /^(price|ราคา)\s*(crosses above|crosses below|>|<)\s*([\d.]+)$/, type: 'price' },
+        { re: /^rsi\s*(crosses above|crosses below|>|<)\s*([\d.]+)$/, type: 'rsi' },
+        { re: /^(change|%)\s*(crosses above|crosses below|>|<)\s*(-?[\d.]+)%?$/, type: 'change_percent' },
+        { re: /^(volume|vol)\s*(crosses above|crosses below|>|<)\s*([\d.]+)x?$/, type: 'volume_ratio' }
+    ];
+
+    const OPERATOR_NAMES = {
+        '>': 'above',
+        '<': 'below',
+        'crosses above': 'crosses_above',
+        'crosses below': 'crosses_below'
+    };
+
+    // Turn "price > 200", "rsi < 30", "52w high", "macd bullish" into a structured condition
+    function parseAlertCondition(text) {
+        const input = text.trim().toLowerCase().replace(/\s+/g, ' ');
+
+        if (/^52w? ?high$/.test(input)) return { type: 'high_52w' };
+        if (/^52w? ?low$/.test(input)) return { type: 'low_52w' };
+        const macd = input.match(/^macd (bullish|bearish)$/);
+        if (macd) return { type: 'macd_cross', direction: macd[1] };
+
+        for (const pattern of ALERT_PATTERNS) {
+            const match = input.match(pattern.re);
+            if (!match) continue;
+            const [operator, value] = match.slice(-2);
+            return { type: pattern.type, operator: OPERATOR_NAMES[operator], value: parseFloat(value) };
         }
+        return null;
     }
 
-    function saveAlerts(alerts) {
-        localStorage.setItem(ALERTS_KEY, JSON.stringify(alerts));
-    }
+    async function addAlert(symbol) {
+        const text = prompt(`ตั้ง Alert สำหรับ ${symbol}\n\nรูปแบบที่รองรับ:\n• price > 200 / price crosses below 180\n• rsi < 30\n• change > 5 (% เปลี่ยนแปลงวันนี้)\n• volume > 2 (เท่าของ Volume เฉลี่ย)\n• 52w high / 52w low\n• macd bullish / macd bearish`, 'price > 0');
 
-    function addAlert(symbol) {
-        const condition = prompt(`ตั้ง Alert สำหรับ ${symbol}\n\nเลือกประเภท:\n1. ราคาถึง (พิมพ์: price > 200)\n2. RSI (พิมพ์: rsi < 30)\n\nตัวอย่าง: price > 200`, 'price > 0');
+        if (!text) return;
 
-        if (!condition) return;
+        const condition = parseAlertCondition(text);
+        if (!condition) {
+            alert('รูปแบบ Alert ไม่ถูกต้อง');
+            return;
+        }
 
-        const alerts = getAlerts();
-        alerts.push({
-            id: Date.now(),
-            symbol,
-            condition,
-            createdAt: Date.now(),
-            active: true
-        });
+        try {
+            const response = await fetch(`${API_BASE}/api/alerts`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ symbol, condition, mode: 'cooldown', cooldownMinutes: 60 })
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error);
 
-        saveAlerts(alerts);
-        loadAlerts();
+            loadAlerts();
+        } catch (error) {
+            alert(`ไม่สามารถตั้ง Alert ได้: ${error.message}`);
+        }
     }
 
-    function removeAlert(id) {
-        let alerts = getAlerts();
-        alerts = alerts.filter(a => a.id !== id);
-        saveAlerts(alerts);
+    async function removeAlert(id) {
+        await fetch(`${API_BASE}/api/alerts/${id}`, { method: 'DELETE' });
         loadAlerts();
     }
 
-    function loadAlerts() {
+    // Alerts saved by older versions lived in localStorage as free text
+    async function migrateLocalAlerts() {
+        let legacy = [];
+        try {
+            legacy = JSON.parse(localStorage.getItem(ALERTS_KEY) || '[]');
+        } catch {
+            legacy = [];
+        }
+        if (legacy.length === 0) return;
+
+        for (const item of legacy) {
+            const condition = parseAlertCondition(item.condition || '');
+            if (!condition) continue;
+            await fetch(`${API_BASE}/api/alerts`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ symbol: item.symbol, condition })
+            }).catch(() => null);
+        }
+        localStorage.removeItem(ALERTS_KEY);
+    }
+
+    async function loadAlerts() {
         const container = document.getElementById('alerts-list');
         const countEl = document.getElementById('alert-count');
-        const alerts = getAlerts();
 
-        countEl.textContent = `${alerts.length} alerts`;
+        let alerts = [];
+        let events = [];
+        try {
+            await migrateLocalAlerts();
+            const [alertsRes, historyRes] = await Promise.all([
+                fetch(`${API_BASE}/api/alerts`),
+                fetch(`${API_BASE}/api/alerts/history?limit=5`)
+            ]);
+            alerts = (await alertsRes.json()).alerts || [];
+            events = (await historyRes.json()).events || [];
+        } catch (error) {
+            console.error('Alerts error:', error);
+        }
+
+        countEl.textContent = `${alerts.filter(a => a.active).length} alerts`;
 
-        if (alerts.length === 0) {
+        if (alerts.length === 0 && events.length === 0) {
             container.innerHTML = `
                 <div class="no-alerts">
                     <div class="no-alerts-icon">🔕</div>
@@ -281,26 +349,61 @@
         }
 
         container.innerHTML = alerts.map(alert => `
-            <div class="alert-item">
+            <div class="alert-item ${alert.active ? '' : 'inactive'}">
                 <div class="alert-info">
                     <span class="alert-symbol">${alert.symbol}</span>
-                    <span class="alert-condition">${alert.condition}</span>
+                    <span class="alert-condition">${alert.description}</span>
+                    ${alert.lastTriggeredAt ? `<span class="alert-fired">🔔 ${new Date(alert.lastTriggeredAt).toLocaleString('th-TH')}</span>` : ''}
                 </div>
                 <button class="alert-delete" data-id="${alert.id}">🗑️</button>
             </div>
+        `).join('') + events.map(event => `
+            <div class="alert-item fired">
+                <div class="alert-info">
+                    <span class="alert-symbol">${event.symbol}</span>
+                    <span class="alert-condition">✅ ${event.description} @ $${event.price.toFixed(2)}</span>
+                    <span class="alert-fired">${new Date(event.triggeredAt).toLocaleString('th-TH')}</span>
+                </div>
+            </div>
         `).join('');
 
         container.querySelectorAll('.alert-delete').forEach(btn => {
-            btn.addEventListener('click', () => removeAlert(parseInt(btn.dataset.id)));
+            btn.addEventListener('click', () => removeAlert(btn.dataset.id));
+        });
+    }
+
+    // Triggered alerts are pushed over the /ws socket as { type: 'alert' }
+    function connectAlertStream() {
+        const wsBase = API_BASE ? API_BASE.replace(/^http/, 'ws') : `ws://${window.location.host}`;
+        const ws = new WebSocket(`${wsBase}/ws`);
+
+        ws.addEventListener('message', (msg) => {
+            const message = JSON.parse(msg.data);
+            if (message.type !== 'alert') return;
+
+            const event = message.data;
+            if ('Notification' in window && Notification.permission === 'granted') {
+                new Notification(`Stockify Alert: ${event.symbol}`, { body: event.description });
+            }
+            loadAlerts();
         });
+
+        ws.addEventListener('close', () => setTimeout(connectAlertStream, 5000));
     }
 
     // ===================================
     // Options Flow (Real Data from API)
     // ===================================
+    const TAPE_PAGE_SIZE = 15;
+
+    // Cursors of the tape pages seen so far: tapePages[i] is the `before` id of page i
+    let tapePages = [];
+    let tapePageIndex = 0;
+    let tapeDate = null;
+
     async function loadOptionsFlow() {
         const tbody = document.getElementById('options-tbody');
-        tbody.innerHTML = '<tr><td colspan="7" class="loading-row">กำลังดึงข้อมูล Options realtime...</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="8" class="loading-row">กำลังดึงข้อมูล Options realtime...</td></tr>';
 
         try {
             const response = await fetch(`${API_BASE}/api/options-flow`);
@@ -311,7 +414,39 @@
 
         } catch (error) {
             console.error('Options flow error:', error);
-            tbody.innerHTML = '<tr><td colspan="7" class="loading-row">❌ ไม่สามารถโหลดข้อมูลได้</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="8" class="loading-row">❌ ไม่สามารถโหลดข้อมูลได้</td></tr>';
+        }
+    }
+
+    // Page through the day's stored prints, newest first
+    async function loadTapePage(index) {
+        if (index < 0) return;
+        const before = index === 0 ? null : tapePages[index];
+        if (index > 0 && !before) return;
+
+        try {
+            const params = new URLSearchParams({ limit: TAPE_PAGE_SIZE });
+            if (tapeDate) params.set('date', tapeDate);
+            if (before) params.set('before', before);
+
+            const response = await fetch(`${API_BASE}/api/options-flow/tape?${params}`);
+            if (!response.ok) throw new Error('Failed to fetch tape');
+            const data = await response.json();
+
+            tapePages = tapePages.slice(0, index + 1);
+            tapePages[index] = before;
+            if (data.nextBefore) tapePages[index + 1] = data.nextBefore;
+            tapePageIndex = index;
+
+            renderOptionsTable(data.prints);
+            document.getElementById('tape-date').textContent = `(${data.date})`;
+            document.getElementById('tape-page-label').textContent =
+                `${index * TAPE_PAGE_SIZE + Math.min(1, data.prints.length)}-${index * TAPE_PAGE_SIZE + data.prints.length} / ${data.total}`;
+            document.getElementById('tape-newer').disabled = index === 0;
+            document.getElementById('tape-older').disabled = !data.nextBefore;
+
+        } catch (error) {
+            console.error('Options tape error:', error);
         }
     }
 
@@ -322,22 +457,30 @@
         document.getElementById('put-call-ratio').textContent = data.putCallRatio;
         document.getElementById('market-mood-text').textContent = data.mood;
 
-        // Render unusual activity table
+        // Render the newest page of today's tape
+        tapeDate = data.date || null;
+        tapePages = [];
         renderOptionsTable(data.unusualActivity || []);
+        loadTapePage(0);
     }
 
     function renderOptionsTable(options) {
         const tbody = document.getElementById('options-tbody');
 
         if (options.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="7" class="loading-row">ไม่พบ Unusual Activity ในขณะนี้</td></tr>';
+            tbody.innerHTML = '<tr><td colspan="8" class="loading-row">ไม่พบ Unusual Activity ในขณะนี้</td></tr>';
             return;
         }
 
         tbody.innerHTML = options.map(opt => `
             <tr>
+                <td class="print-time">${opt.time ? new Date(opt.time).toLocaleTimeString('th-TH', { hour: '2-digit', minute: '2-digit' }) : '-'}</td>
                 <td class="option-symbol">${opt.symbol}</td>
-                <td><span class="option-type ${opt.type.toLowerCase()}">${opt.type}</span></td>
+                <td>
+                    <span class="option-type ${opt.type.toLowerCase()}">${opt.type}</span>
+                    ${opt.classification && opt.classification !== 'regular' ? `<span class="flow-tag ${opt.classification}">${opt.classification.toUpperCase()}</span>` : ''}
+                    ${opt.effect && opt.effect !== 'unknown' ? `<span class="flow-effect">${opt.effect === 'opening' ? 'Open' : 'Close'}</span>` : ''}
+                </td>
                 <td>$${opt.strike}</td>
                 <td>${opt.expiry}</td>
                 <td>${opt.volume.toLocaleString()}</td>